@@ -0,0 +1,140 @@
+require("dotenv").config();
+
+// EigenLayer core contracts. Mainnet addresses are the defaults; point the
+// env vars at your own deployment to read from a local Anvil/Hardhat node.
+const CONTRACT_ADDRESSES = {
+  delegationManager: (
+    process.env.DELEGATION_MANAGER_ADDRESS ||
+    "0x39053D51B77DC0d36036Fc1fCc8Cb819df8Ef37A"
+  ).toLowerCase(),
+  strategyManager: (
+    process.env.STRATEGY_MANAGER_ADDRESS ||
+    "0x858646372CC42E1A627fcE94aa7A7033e7CF075A"
+  ).toLowerCase(),
+  eigenPodManager: (
+    process.env.EIGEN_POD_MANAGER_ADDRESS ||
+    "0x91E677b07F7AF907ec9a428aafA9fc14a0d3A338"
+  ).toLowerCase(),
+};
+
+// Blocks a queued withdrawal must wait before it can be completed
+// (DelegationManager.minWithdrawalDelayBlocks, 7 days on mainnet)
+const WITHDRAWAL_DELAY_BLOCKS =
+  parseInt(process.env.WITHDRAWAL_DELAY_BLOCKS) || 50400;
+
+const BLOCK_TIME_SECONDS = 12;
+
+// Share of an AVS's rewards operators keep until they or the
+// RewardsCoordinator owner set another, in bips (10000 = 100%)
+const DEFAULT_OPERATOR_SPLIT_BIPS =
+  parseInt(process.env.DEFAULT_OPERATOR_SPLIT_BIPS) || 1000;
+
+// Minimal ABIs for the view functions the API reads
+const DELEGATION_MANAGER_ABI = [
+  {
+    name: "delegatedTo",
+    type: "function",
+    stateMutability: "view",
+    inputs: [{ name: "staker", type: "address" }],
+    outputs: [{ name: "", type: "address" }],
+  },
+  {
+    name: "operatorShares",
+    type: "function",
+    stateMutability: "view",
+    inputs: [
+      { name: "operator", type: "address" },
+      { name: "strategy", type: "address" },
+    ],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+];
+
+const STRATEGY_MANAGER_ABI = [
+  {
+    name: "stakerStrategyList",
+    type: "function",
+    stateMutability: "view",
+    inputs: [
+      { name: "staker", type: "address" },
+      { name: "index", type: "uint256" },
+    ],
+    outputs: [{ name: "", type: "address" }],
+  },
+  {
+    name: "stakerStrategyListLength",
+    type: "function",
+    stateMutability: "view",
+    inputs: [{ name: "staker", type: "address" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    name: "stakerStrategyShares",
+    type: "function",
+    stateMutability: "view",
+    inputs: [
+      { name: "staker", type: "address" },
+      { name: "strategy", type: "address" },
+    ],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+];
+
+// Native ETH restaked through EigenPods is tracked here rather than in the
+// StrategyManager
+const EIGEN_POD_MANAGER_ABI = [
+  {
+    name: "podOwnerShares",
+    type: "function",
+    stateMutability: "view",
+    inputs: [{ name: "podOwner", type: "address" }],
+    outputs: [{ name: "", type: "int256" }],
+  },
+];
+
+// Every strategy other than beacon chain ETH implements IStrategy
+const STRATEGY_ABI = [
+  {
+    name: "sharesToUnderlyingView",
+    type: "function",
+    stateMutability: "view",
+    inputs: [{ name: "amountShares", type: "uint256" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    name: "underlyingToken",
+    type: "function",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [{ name: "", type: "address" }],
+  },
+];
+
+const ERC20_ABI = [
+  {
+    name: "symbol",
+    type: "function",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [{ name: "", type: "string" }],
+  },
+  {
+    name: "decimals",
+    type: "function",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [{ name: "", type: "uint8" }],
+  },
+];
+
+module.exports = {
+  CONTRACT_ADDRESSES,
+  WITHDRAWAL_DELAY_BLOCKS,
+  BLOCK_TIME_SECONDS,
+  DEFAULT_OPERATOR_SPLIT_BIPS,
+  DELEGATION_MANAGER_ABI,
+  STRATEGY_MANAGER_ABI,
+  EIGEN_POD_MANAGER_ABI,
+  STRATEGY_ABI,
+  ERC20_ABI,
+};
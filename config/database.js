@@ -1,36 +1,79 @@
 const mongoose = require("mongoose");
 require("dotenv").config();
 
-const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(
-      process.env.MONGO_URI || "mongodb://localhost:27017/eigenlayer_restaking",
-      {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
+// Cap on the delay between connection attempts
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Connection events are registered once, however many attempts it takes
+let listenersRegistered = false;
+
+const registerListeners = () => {
+  if (listenersRegistered) {
+    return;
+  }
+  listenersRegistered = true;
+
+  // Handle connection events
+  mongoose.connection.on("error", (err) => {
+    console.error(" MongoDB connection error:", err);
+  });
+
+  mongoose.connection.on("disconnected", () => {
+    console.log(" MongoDB disconnected");
+  });
+
+  mongoose.connection.on("reconnected", () => {
+    console.log(" MongoDB reconnected");
+  });
+
+  // Graceful shutdown
+  process.on("SIGINT", async () => {
+    await mongoose.connection.close();
+    console.log(" MongoDB connection closed through app termination");
+    process.exit(0);
+  });
+};
+
+// Connect to MongoDB, retrying with exponential backoff. Rejects once
+// maxRetries attempts have failed; pass Infinity to keep trying forever.
+const connectDB = async ({
+  maxRetries = parseInt(process.env.MONGO_MAX_RETRIES) || 5,
+  retryDelay = parseInt(process.env.MONGO_RETRY_DELAY_MS) || 1000,
+} = {}) => {
+  registerListeners();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const conn = await mongoose.connect(
+        process.env.MONGO_URI ||
+          "mongodb://localhost:27017/eigenlayer_restaking",
+        {
+          useNewUrlParser: true,
+          useUnifiedTopology: true,
+        }
+      );
+
+      console.log(` MongoDB Connected: ${conn.connection.host}`);
+      return conn;
+    } catch (error) {
+      console.error(
+        ` Error connecting to MongoDB (attempt ${attempt}):`,
+        error.message
+      );
+
+      if (attempt >= maxRetries) {
+        throw error;
       }
-    );
-
-    console.log(` MongoDB Connected: ${conn.connection.host}`);
-
-    // Handle connection events
-    mongoose.connection.on("error", (err) => {
-      console.error(" MongoDB connection error:", err);
-    });
-
-    mongoose.connection.on("disconnected", () => {
-      console.log(" MongoDB disconnected");
-    });
-
-    // Graceful shutdown
-    process.on("SIGINT", async () => {
-      await mongoose.connection.close();
-      console.log(" MongoDB connection closed through app termination");
-      process.exit(0);
-    });
-  } catch (error) {
-    console.error(" Error connecting to MongoDB:", error.message);
-    process.exit(1);
+
+      const wait = Math.min(
+        retryDelay * 2 ** (attempt - 1),
+        MAX_RETRY_DELAY_MS
+      );
+      console.log(` Retrying MongoDB connection in ${wait}ms...`);
+      await delay(wait);
+    }
   }
 };
 
@@ -0,0 +1,25 @@
+const {
+  STETH_TOKEN,
+  EIGEN_TOKEN,
+  WETH_TOKEN,
+  ETH_ADDRESS,
+} = require("./tokens");
+
+// Currencies values can be reported in
+const CURRENCIES = ["usd", "eur", "eth"];
+
+// CoinGecko coin ids of known tokens, keyed by lowercased token address.
+// Other tokens are looked up by their Ethereum contract.
+const COINGECKO_IDS = {
+  [ETH_ADDRESS]: "ethereum",
+  [STETH_TOKEN]: "staked-ether",
+  "0xae78736cd615f374d3085123a210448e74fc6393": "rocket-pool-eth",
+  "0xbe9895146f7af43049ca1c1ae358b0541ea49704": "coinbase-wrapped-staked-eth",
+  [EIGEN_TOKEN]: "eigenlayer",
+  [WETH_TOKEN]: "weth",
+};
+
+module.exports = {
+  CURRENCIES,
+  COINGECKO_IDS,
+};
@@ -0,0 +1,26 @@
+// Where a stored document's data came from. Prices come from a price
+// provider: CoinGecko or a local price file.
+const SOURCES = ["subgraph", "rated", "onchain", "coingecko", "file", "mock"];
+
+// Mock data is only written when explicitly enabled
+const isMockDataEnabled = () => process.env.USE_MOCK_DATA === "true";
+
+// Strict mode: refuse records without a known source, and mock records
+// unless USE_MOCK_DATA is enabled, so fixtures never sit beside real data
+const assertWritableSource = (source) => {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Refusing to write data with unknown source "${source}"`);
+  }
+
+  if (source === "mock" && !isMockDataEnabled()) {
+    throw new Error(
+      "Refusing to write mock data while USE_MOCK_DATA is not enabled"
+    );
+  }
+};
+
+module.exports = {
+  SOURCES,
+  isMockDataEnabled,
+  assertWritableSource,
+};
@@ -0,0 +1,47 @@
+// Known EigenLayer mainnet strategies, keyed by lowercased strategy address
+const BEACON_CHAIN_ETH_STRATEGY = "0xbeac0eeeeeeeeeeeeeeeeeeeeeeeeeeeeeebeac0";
+const STETH_STRATEGY = "0x93c4b944d05dfe6df7645a86cd2206016c51564d";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// underlyingToken is null for native ETH, which has no strategy contract and
+// whose shares are always worth one wei each
+const STRATEGIES = {
+  [BEACON_CHAIN_ETH_STRATEGY]: {
+    symbol: "ETH",
+    name: "Native Beacon Chain ETH",
+    underlyingToken: null,
+    decimals: 18,
+  },
+  [STETH_STRATEGY]: {
+    symbol: "stETH",
+    name: "Lido Staked Ether",
+    underlyingToken: "0xae7ab96520de3a18e5e111b5eaab095312d7fe84",
+    decimals: 18,
+  },
+  "0x1bee69b7dfffa4e2d53c2a2df135c388ad25dcd2": {
+    symbol: "rETH",
+    name: "Rocket Pool ETH",
+    underlyingToken: "0xae78736cd615f374d3085123a210448e74fc6393",
+    decimals: 18,
+  },
+  "0x54945180db7943c0ed0fee7edab2bd24620256bc": {
+    symbol: "cbETH",
+    name: "Coinbase Wrapped Staked ETH",
+    underlyingToken: "0xbe9895146f7af43049ca1c1ae358b0541ea49704",
+    decimals: 18,
+  },
+};
+
+// Resolve a display symbol for a strategy, preferring the catalog entry
+const getStrategySymbol = (strategyAddress, fallback = "UNKNOWN") => {
+  const strategy = STRATEGIES[strategyAddress?.toLowerCase()];
+  return strategy ? strategy.symbol : fallback;
+};
+
+module.exports = {
+  BEACON_CHAIN_ETH_STRATEGY,
+  STETH_STRATEGY,
+  ZERO_ADDRESS,
+  STRATEGIES,
+  getStrategySymbol,
+};
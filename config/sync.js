@@ -0,0 +1,36 @@
+// Datasets the watch loop (syncDeltas) refreshes on every run, beside the
+// subgraph datasets it syncs incrementally
+const SUBGRAPH_DATASETS = [
+  "restakers",
+  "validators",
+  "avs",
+  "avsMetadata",
+  "withdrawalsQueued",
+  "undelegations",
+  "withdrawalsCompleted",
+  "slashings",
+  "distributionRoots",
+  "rewardsClaims",
+  "claimers",
+  "avsRewardsSubmissions",
+  "operatorDirectedRewardsSubmissions",
+  "operatorSplits",
+  "defaultSplits",
+];
+
+// Datasets a sync run is expected to have refreshed. Strategy rates need a
+// chain provider and the distribution snapshot needs DISTRIBUTION_SNAPSHOT;
+// without them the loop skips those, so they are not expected to be fresh.
+const getRefreshedDatasets = () => [
+  ...SUBGRAPH_DATASETS,
+  ...(process.env.WEB3_PROVIDER_URL ? ["strategies"] : []),
+  "rewards",
+  "snapshots",
+  "prices",
+  ...(process.env.DISTRIBUTION_SNAPSHOT ? ["distributionSnapshot"] : []),
+];
+
+module.exports = {
+  SUBGRAPH_DATASETS,
+  getRefreshedDatasets,
+};
@@ -0,0 +1,29 @@
+const { STRATEGIES, STETH_STRATEGY } = require("./strategies");
+
+// Known reward tokens, keyed by lowercased token address
+const STETH_TOKEN = STRATEGIES[STETH_STRATEGY].underlyingToken;
+const EIGEN_TOKEN = "0xec53bf9167f50cdeb3ae105f56099aaab9061f83";
+const WETH_TOKEN = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+
+// Stands in for native ETH wherever a token address is expected, such as
+// the priced asset of beacon chain ETH stake
+const ETH_ADDRESS = "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+
+const REWARD_TOKENS = {
+  [STETH_TOKEN]: { symbol: "stETH", name: "Lido Staked Ether", decimals: 18 },
+  [EIGEN_TOKEN]: { symbol: "EIGEN", name: "Eigen", decimals: 18 },
+  [WETH_TOKEN]: { symbol: "WETH", name: "Wrapped Ether", decimals: 18 },
+};
+
+// Catalog entry for a reward token, or null when it is unknown
+const getRewardToken = (tokenAddress) =>
+  REWARD_TOKENS[tokenAddress?.toLowerCase()] || null;
+
+module.exports = {
+  STETH_TOKEN,
+  EIGEN_TOKEN,
+  WETH_TOKEN,
+  ETH_ADDRESS,
+  REWARD_TOKENS,
+  getRewardToken,
+};
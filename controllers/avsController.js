@@ -0,0 +1,509 @@
+const AVS = require("../models/AVS");
+const Validator = require("../models/Validator");
+const Strategy = require("../models/Strategy");
+const RewardsSubmission = require("../models/RewardsSubmission");
+const SyncState = require("../models/SyncState");
+const DataFetcher = require("../utils/dataFetcher");
+const {
+  toBigInt,
+  formatUnits,
+  formatTokenAmount,
+  formatStrategyAmounts,
+  totalsByToken,
+  sumAmounts,
+  RATE_UNIT,
+} = require("../utils/amounts");
+const { offeredRewardRates } = require("../utils/yield");
+const { getStrategySymbol } = require("../config/strategies");
+const {
+  badRequest,
+  buildSort,
+  buildAmountRange,
+  buildAddressFilter,
+  buildSourceFilter,
+  buildSearchFilter,
+  buildStakeToken,
+  tokenStakeExpression,
+} = require("../utils/queryHelpers");
+
+// Synced datasets these responses are built from
+const DATASETS = ["avs", "avsMetadata"];
+
+// Fields clients may sort the AVS list by
+const SORTABLE_FIELDS = {
+  stake: "tokenStake",
+  operatorCount: "operatorCount",
+  name: "metadata.name",
+  lastUpdated: "lastUpdated",
+};
+
+const REGISTRATION_STATUSES = ["registered", "deregistered", "all"];
+
+// Rewards submissions are synced from the RewardsCoordinator, and offered
+// rates use the stake securing the AVS
+const SUBMISSION_DATASETS = [
+  "avs",
+  "avsRewardsSubmissions",
+  "operatorDirectedRewardsSubmissions",
+];
+
+const SUBMISSION_STATUSES = ["active", "upcoming", "ended", "all"];
+const SUBMISSION_TYPES = ["avs", "operator_directed", "all"];
+
+// An AVS with its securing stake formatted: each strategy in its own token,
+// and the underlying stake totalled per token, given
+// Strategy.getUnderlyingTokens
+const formatAVS = (avs, tokens) => ({
+  ...avs,
+  restakedStrategies: formatStrategyAmounts(
+    avs.restakedStrategies,
+    ["totalShares", "totalUnderlying"],
+    tokens
+  ),
+  stakeByToken: totalsByToken(
+    avs.restakedStrategies,
+    ["totalUnderlying"],
+    tokens
+  ),
+});
+
+// Whether a submission is paying out at a time
+const submissionStatus = (submission, at) =>
+  submission.startTimestamp > at
+    ? "upcoming"
+    : submission.endTimestamp > at
+    ? "active"
+    : "ended";
+
+// Get all AVSs with filtering and pagination
+const getAVSList = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = "stake",
+      sortOrder = "desc",
+      minStake,
+      maxStake,
+      source,
+      search,
+      token,
+    } = req.query;
+
+    // Stake is ranked and filtered in one underlying token
+    const tokens = await Strategy.getUnderlyingTokens();
+    const stakeToken = buildStakeToken(token, tokens);
+
+    // Build filter object
+    const filter = {};
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    const searchFilter = buildSearchFilter(
+      search,
+      ["avsAddress"],
+      ["metadata.name"]
+    );
+    if (searchFilter) {
+      filter.$or = searchFilter;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sortObj = buildSort(sortBy, sortOrder, SORTABLE_FIELDS);
+
+    // Registrations are served by /api/avs/:address/operators
+    const { avsList, total } = await AVS.listByTokenStake(
+      filter,
+      tokenStakeExpression("restakedStrategies", "totalUnderlying", stakeToken),
+      {
+        stakeRange: buildAmountRange(minStake, maxStake, stakeToken.decimals),
+        sort: sortObj,
+        skip,
+        limit: parseInt(limit),
+      }
+    );
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+    const hasNext = parseInt(page) < totalPages;
+    const hasPrev = parseInt(page) > 1;
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: avsList.map((avs) => ({
+        ...formatAVS(avs, tokens),
+        tokenStake: formatTokenAmount(avs.tokenStake, stakeToken.decimals),
+      })),
+      pagination: {
+        current: parseInt(page),
+        pages: totalPages,
+        count: avsList.length,
+        total: total,
+        hasNext: hasNext,
+        hasPrev: hasPrev,
+      },
+      filters: {
+        minStake,
+        maxStake,
+        source,
+        search,
+        token: stakeToken.tokenAddress,
+      },
+      sorting: {
+        sortBy,
+        sortOrder,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get AVS by address
+const getAVSByAddress = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    const avs = await AVS.findOne({ avsAddress: address.toLowerCase() }).lean();
+
+    if (!avs) {
+      return res.status(404).json({
+        success: false,
+        error: "AVS not found",
+      });
+    }
+
+    const { operators, ...details } = avs;
+    const tokens = await Strategy.getUnderlyingTokens();
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: {
+        ...formatAVS(details, tokens),
+        deregisteredOperatorCount: operators.filter(
+          (operator) => operator.status === "deregistered"
+        ).length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the operators registered to an AVS, largest stake in ?token= first
+const getAVSOperators = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { page = 1, limit = 10, status = "registered", token } = req.query;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    if (!REGISTRATION_STATUSES.includes(status)) {
+      throw badRequest(
+        `Invalid status "${status}". Allowed: ${REGISTRATION_STATUSES.join(
+          ", "
+        )}`
+      );
+    }
+
+    const avs = await AVS.findOne({ avsAddress: address.toLowerCase() })
+      .select("avsAddress metadata.name operators")
+      .lean();
+
+    if (!avs) {
+      return res.status(404).json({
+        success: false,
+        error: "AVS not found",
+      });
+    }
+
+    const registrations = avs.operators.filter(
+      (operator) => status === "all" || operator.status === status
+    );
+
+    // Operators are ranked by their stake in one underlying token
+    const tokens = await Strategy.getUnderlyingTokens();
+    const stakeToken = buildStakeToken(token, tokens);
+
+    // Get operator information for every registration
+    const validators = await Validator.find({
+      operatorAddress: {
+        $in: registrations.map((operator) => operator.operatorAddress),
+      },
+    })
+      .select(
+        "operatorAddress operatorName status stakeByStrategy delegatorCount"
+      )
+      .lean();
+    const validatorMap = new Map(
+      validators.map((validator) => [validator.operatorAddress, validator])
+    );
+
+    const operators = registrations
+      .map((registration) => {
+        const validator = validatorMap.get(registration.operatorAddress);
+        const stakes = validator?.stakeByStrategy || [];
+
+        return {
+          ...registration,
+          operatorName: validator?.operatorName || null,
+          operatorStatus: validator?.status || null,
+          tokenStake: sumAmounts(
+            stakes
+              .filter((stake) =>
+                stakeToken.strategies.includes(stake.strategyAddress)
+              )
+              .map((stake) => stake.underlyingAmount)
+          ),
+          stakeByToken: totalsByToken(stakes, ["underlyingAmount"], tokens),
+          delegatorCount: validator?.delegatorCount || 0,
+        };
+      })
+      .sort((a, b) =>
+        a.tokenStake === b.tokenStake ? 0 : a.tokenStake > b.tokenStake ? -1 : 1
+      );
+
+    // Apply pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedOperators = operators.slice(skip, skip + parseInt(limit));
+    const total = operators.length;
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: paginatedOperators.map((operator) => ({
+        ...operator,
+        tokenAddress: stakeToken.tokenAddress,
+        tokenStake: formatTokenAmount(operator.tokenStake, stakeToken.decimals),
+      })),
+      avs: {
+        avsAddress: avs.avsAddress,
+        name: avs.metadata?.name || null,
+      },
+      pagination: {
+        current: parseInt(page),
+        pages: totalPages,
+        count: paginatedOperators.length,
+        total: total,
+      },
+      filters: {
+        status,
+        token: stakeToken.tokenAddress,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the rewards submissions an AVS funded, latest start first, with what
+// its active submissions offer per share of each strategy
+const getAVSRewardsSubmissions = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const {
+      page = 1,
+      limit = 10,
+      status = "all",
+      type = "all",
+      token,
+    } = req.query;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    if (!SUBMISSION_STATUSES.includes(status)) {
+      throw badRequest(
+        `Invalid status "${status}". Allowed: ${SUBMISSION_STATUSES.join(", ")}`
+      );
+    }
+    if (!SUBMISSION_TYPES.includes(type)) {
+      throw badRequest(
+        `Invalid type "${type}". Allowed: ${SUBMISSION_TYPES.join(", ")}`
+      );
+    }
+    const tokenAddress = buildAddressFilter(token, "token");
+
+    const avsAddress = address.toLowerCase();
+    const avs = await AVS.findOne({ avsAddress })
+      .select("avsAddress metadata.name restakedStrategies")
+      .lean();
+
+    if (!avs && !(await RewardsSubmission.exists({ avsAddress }))) {
+      return res.status(404).json({
+        success: false,
+        error: "AVS not found",
+      });
+    }
+
+    const now = new Date();
+    const filter = {
+      avsAddress,
+      ...RewardsSubmission.statusFilter(status, now),
+    };
+    if (type !== "all") {
+      filter.submissionType = type;
+    }
+    if (tokenAddress) {
+      filter.tokenAddress = tokenAddress;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const submissions = await RewardsSubmission.find(filter)
+      .sort({ startTimestamp: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+    const total = await RewardsSubmission.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    // Operator-directed submissions are averaged over all the stake
+    // securing the AVS, since operators' own stake is not tracked per AVS
+    const active = (await RewardsSubmission.findActive(avsAddress, now)).filter(
+      (submission) => !tokenAddress || submission.tokenAddress === tokenAddress
+    );
+    const tokens = new Map(
+      active.map((submission) => [
+        submission.tokenAddress,
+        {
+          tokenSymbol: submission.tokenSymbol,
+          decimals: submission.tokenDecimals,
+        },
+      ])
+    );
+    const stakedShares = new Map(
+      (avs ? avs.restakedStrategies : []).map((strategy) => [
+        strategy.strategyAddress,
+        strategy.totalShares,
+      ])
+    );
+    const rates = await Strategy.getRateMap();
+    const strategyTokens = await Strategy.getUnderlyingTokens();
+
+    const offeredRates = offeredRewardRates(active, stakedShares)
+      .map((rate) => {
+        const { tokenSymbol, decimals } = tokens.get(rate.tokenAddress);
+        const underlyingRate = toBigInt(rates.get(rate.strategyAddress));
+        const perUnderlying =
+          rate.dailyRewardsPerShare !== null && underlyingRate > 0n
+            ? (rate.dailyRewardsPerShare * RATE_UNIT) / underlyingRate
+            : null;
+
+        return {
+          strategyAddress: rate.strategyAddress,
+          strategySymbol: getStrategySymbol(rate.strategyAddress),
+          tokenAddress: rate.tokenAddress,
+          tokenSymbol,
+          decimals,
+          stakedShares: formatTokenAmount(
+            rate.shares,
+            strategyTokens.get(rate.strategyAddress)?.decimals ?? null
+          ),
+          activeSubmissions: rate.submissionCount,
+          dailyRewards: formatTokenAmount(rate.dailyRewards, decimals),
+          // Per whole share, and per whole unit of the strategy's
+          // underlying token when its rate is known
+          dailyRewardsPerShare:
+            rate.dailyRewardsPerShare === null
+              ? null
+              : formatTokenAmount(rate.dailyRewardsPerShare, decimals),
+          dailyRewardsPerUnderlying:
+            perUnderlying === null
+              ? null
+              : formatTokenAmount(perUnderlying, decimals),
+        };
+      })
+      .sort(
+        (a, b) =>
+          a.strategyAddress.localeCompare(b.strategyAddress) ||
+          a.tokenAddress.localeCompare(b.tokenAddress)
+      );
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(SUBMISSION_DATASETS),
+      data: submissions.map((submission) => ({
+        submissionHash: submission.submissionHash,
+        submissionType: submission.submissionType,
+        submitterAddress: submission.submitterAddress,
+        submissionNonce: submission.submissionNonce,
+        status: submissionStatus(submission, now),
+        tokenAddress: submission.tokenAddress,
+        tokenSymbol: submission.tokenSymbol,
+        decimals: submission.tokenDecimals,
+        amount: formatTokenAmount(submission.amount, submission.tokenDecimals),
+        strategies: submission.strategies.map((strategy) => ({
+          strategyAddress: strategy.strategyAddress,
+          tokenSymbol: getStrategySymbol(strategy.strategyAddress),
+          multiplier: formatUnits(strategy.multiplier),
+        })),
+        operatorRewards: submission.operatorRewards.map((reward) => ({
+          operatorAddress: reward.operatorAddress,
+          amount: formatTokenAmount(reward.amount, submission.tokenDecimals),
+        })),
+        startTimestamp: submission.startTimestamp,
+        endTimestamp: submission.endTimestamp,
+        duration: submission.duration,
+        description: submission.description,
+        timestamp: submission.timestamp,
+        blockNumber: submission.blockNumber,
+        transactionHash: submission.transactionHash,
+        source: submission.source,
+      })),
+      offeredRates,
+      avs: {
+        avsAddress,
+        name: avs?.metadata?.name || null,
+      },
+      pagination: {
+        current: parseInt(page),
+        pages: totalPages,
+        count: submissions.length,
+        total: total,
+      },
+      filters: {
+        status,
+        type,
+        token: tokenAddress,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAVSList,
+  getAVSByAddress,
+  getAVSOperators,
+  getAVSRewardsSubmissions,
+};
@@ -0,0 +1,176 @@
+const mongoose = require("mongoose");
+const SyncState = require("../models/SyncState");
+const DataFetcher = require("../utils/dataFetcher");
+const { settleWithin } = require("../utils/settle");
+const { getRefreshedDatasets } = require("../config/sync");
+
+// Dependency checks must answer well within a probe's timeout
+const CHECK_TIMEOUT_MS = 3000;
+
+// Upstream heads are reused across probes for this long, so frequent probes
+// do not each call the chain and the subgraph
+const getUpstreamCheckTtlMs = () =>
+  parseInt(process.env.UPSTREAM_CHECK_TTL_MS) || 30 * 1000;
+
+const SERVICE = {
+  service: "EigenLayer Restaking API",
+  version: "1.0.0",
+};
+
+const CONNECTION_STATES = {
+  0: "disconnected",
+  1: "connected",
+  2: "connecting",
+  3: "disconnecting",
+};
+
+// Data older than this makes the API not ready; defaults to two missed
+// sync intervals
+const getMaxSyncAgeMs = () =>
+  parseInt(process.env.SYNC_MAX_AGE_MS) ||
+  2 * (parseInt(process.env.DATA_FETCH_INTERVAL_MS) || 60 * 60 * 1000);
+
+const checkDatabase = async () => {
+  const state = CONNECTION_STATES[mongoose.connection.readyState] || "unknown";
+  if (mongoose.connection.readyState !== 1) {
+    return { status: "down", state };
+  }
+
+  const ping = await settleWithin(
+    mongoose.connection.db.admin().ping(),
+    CHECK_TIMEOUT_MS
+  );
+
+  return { status: ping ? "up" : "down", state };
+};
+
+// Only the datasets the sync loop refreshes decide readiness; others (a
+// one-off CLI load, a feature whose configuration was removed) are still
+// listed but never make the API unavailable
+const checkSync = async () => {
+  const maxAgeSeconds = Math.floor(getMaxSyncAgeMs() / 1000);
+  const refreshed = new Set(getRefreshedDatasets());
+  const states = await SyncState.find({})
+    .select("dataset source lastSuccessAt")
+    .lean();
+
+  if (states.length === 0) {
+    return { status: "down", maxAgeSeconds, datasets: [] };
+  }
+
+  const datasets = states.map((state) => {
+    const ageSeconds = state.lastSuccessAt
+      ? Math.floor((Date.now() - state.lastSuccessAt.getTime()) / 1000)
+      : null;
+
+    // Mock fixtures do not age, so only real sources can go stale
+    const fresh =
+      ageSeconds !== null &&
+      (state.source === "mock" || ageSeconds <= maxAgeSeconds);
+
+    return {
+      dataset: state.dataset,
+      source: state.source,
+      lastSyncedAt: state.lastSuccessAt,
+      ageSeconds,
+      checked: refreshed.has(state.dataset),
+      status: fresh ? "up" : "stale",
+    };
+  });
+
+  return {
+    status: datasets.every(
+      (dataset) => !dataset.checked || dataset.status === "up"
+    )
+      ? "up"
+      : "stale",
+    maxAgeSeconds,
+    datasets,
+  };
+};
+
+const readUpstream = async () => {
+  const dataFetcher = new DataFetcher();
+
+  const [chainHead, subgraphHead] = await Promise.all([
+    settleWithin(dataFetcher.fetchChainHead(1), CHECK_TIMEOUT_MS),
+    settleWithin(dataFetcher.fetchSubgraphHead(1), CHECK_TIMEOUT_MS),
+  ]);
+
+  return {
+    chain: { status: chainHead !== null ? "up" : "down", head: chainHead },
+    subgraph: {
+      status: subgraphHead !== null ? "up" : "down",
+      head: subgraphHead,
+    },
+    checkedAt: new Date(),
+  };
+};
+
+// Latest upstream check; concurrent probes share it while it is in flight
+let upstreamCheck = null;
+
+const checkUpstream = () => {
+  if (
+    !upstreamCheck ||
+    Date.now() - upstreamCheck.startedAt >= getUpstreamCheckTtlMs()
+  ) {
+    upstreamCheck = {
+      startedAt: Date.now(),
+      result: readUpstream().catch((error) => {
+        upstreamCheck = null;
+        throw error;
+      }),
+    };
+  }
+
+  return upstreamCheck.result;
+};
+
+// Liveness: the process is up and serving requests
+const getLiveness = (req, res) => {
+  res.status(200).json({
+    status: "OK",
+    timestamp: new Date().toISOString(),
+    ...SERVICE,
+  });
+};
+
+// Readiness: the database is reachable and the data is fresh enough to
+// serve. Unreachable upstreams only degrade the status, since stored data
+// can still be served while they are down.
+const getReadiness = async (req, res, next) => {
+  try {
+    const [database, upstream] = await Promise.all([
+      checkDatabase(),
+      checkUpstream(),
+    ]);
+
+    const sync =
+      database.status === "up"
+        ? await checkSync()
+        : { status: "unknown", datasets: [] };
+
+    const ready = database.status === "up" && sync.status === "up";
+    const degraded =
+      upstream.chain.status !== "up" || upstream.subgraph.status !== "up";
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? (degraded ? "DEGRADED" : "OK") : "UNAVAILABLE",
+      timestamp: new Date().toISOString(),
+      ...SERVICE,
+      checks: {
+        database,
+        sync,
+        upstream,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLiveness,
+  getReadiness,
+};
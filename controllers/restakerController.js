@@ -1,6 +1,117 @@
 const Restaker = require("../models/Restaker");
 const Validator = require("../models/Validator");
+const SyncState = require("../models/SyncState");
+const Strategy = require("../models/Strategy");
+const OperatorSnapshot = require("../models/OperatorSnapshot");
+const PositionSnapshot = require("../models/PositionSnapshot");
+const RewardEvent = require("../models/RewardEvent");
+const TokenPrice = require("../models/TokenPrice");
 const DataFetcher = require("../utils/dataFetcher");
+const { STETH_TOKEN, getRewardToken } = require("../config/tokens");
+const {
+  sharesToUnderlying,
+  sumAmounts,
+  formatTokenAmount,
+  formatAmounts,
+  formatStrategyAmounts,
+  totalsByToken,
+} = require("../utils/amounts");
+const {
+  buildSort,
+  buildAmountRange,
+  buildYieldWindow,
+  parseAsOf,
+  buildSourceFilter,
+  buildSearchFilter,
+  buildStakeToken,
+  tokenStakeExpression,
+  buildCurrency,
+} = require("../utils/queryHelpers");
+const {
+  windowRange,
+  stakeTimeIn,
+  totalStakeTime,
+  yieldOver,
+} = require("../utils/yield");
+const { valueHoldings } = require("../utils/valuation");
+
+// Synced datasets these responses are built from. Position statuses come
+// from the withdrawal datasets.
+const DATASETS = [
+  "restakers",
+  "withdrawalsQueued",
+  "undelegations",
+  "withdrawalsCompleted",
+];
+
+// Underlying amount of a strategy's shares at its latest rate, or null
+// while the rate is unknown
+const toUnderlying = (rates, strategyAddress, shares) =>
+  rates.has(strategyAddress)
+    ? sharesToUnderlying(shares, rates.get(strategyAddress))
+    : null;
+
+// Amount fields of positions, in their strategy's token decimals
+const POSITION_AMOUNTS = [
+  "amountDeposited",
+  "amountRestaked",
+  "amountUnderlying",
+];
+
+// Value of a position's underlying tokens, given Strategy.getUnderlyingTokens
+// and TokenPrice.getPricesAt
+const valuePosition = (position, currency, tokens, prices) => {
+  const {
+    holdings: [holding],
+  } = valueHoldings(
+    [
+      {
+        strategyAddress: position.strategyAddress,
+        amount: position.amountUnderlying,
+      },
+    ],
+    tokens,
+    prices
+  );
+  return {
+    currency,
+    price: holding.price,
+    priceDate: holding.priceDate,
+    value: holding.value,
+  };
+};
+
+// Value positions at the latest prices in ?currency=, or null without one,
+// then format their amounts
+const formatPositions = async (positions, currency, tokens) => {
+  const prices =
+    currency &&
+    (await TokenPrice.getPricesAt(
+      [...tokens.values()].map((token) => token.tokenAddress),
+      currency,
+      new Date()
+    ));
+
+  return formatStrategyAmounts(
+    positions.map((position) => ({
+      ...position,
+      valuation: currency
+        ? valuePosition(position, currency, tokens, prices)
+        : null,
+    })),
+    POSITION_AMOUNTS,
+    tokens
+  );
+};
+
+// Fields clients may sort the restaker list by
+const SORTABLE_FIELDS = {
+  amount: "amountRestaked",
+  amountRestaked: "amountRestaked",
+  delegationTimestamp: "delegationTimestamp",
+  blockNumber: "blockNumber",
+  lastUpdated: "lastUpdated",
+};
 
 // Get all restakers with filtering and pagination
 const getRestakers = async (req, res, next) => {
@@ -12,14 +123,23 @@ const getRestakers = async (req, res, next) => {
       sortOrder = "desc",
       status,
       operator,
+      strategy,
       minAmount,
       maxAmount,
+      source,
       search,
     } = req.query;
 
+    const currency = buildCurrency(req.query.currency);
+
     // Build filter object
     const filter = {};
 
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
     if (status) {
       filter.status = status;
     }
@@ -28,27 +148,26 @@ const getRestakers = async (req, res, next) => {
       filter.targetAVSOperatorAddress = operator.toLowerCase();
     }
 
-    if (minAmount || maxAmount) {
-      filter.amountRestakedStETH = {};
-      if (minAmount) {
-        filter.amountRestakedStETH.$gte = minAmount;
-      }
-      if (maxAmount) {
-        filter.amountRestakedStETH.$lte = maxAmount;
-      }
+    if (strategy) {
+      filter.strategyAddress = strategy.toLowerCase();
     }
 
-    if (search) {
-      filter.$or = [
-        { userAddress: { $regex: search, $options: "i" } },
-        { targetAVSOperatorAddress: { $regex: search, $options: "i" } },
-      ];
+    const amountRange = buildAmountRange(minAmount, maxAmount);
+    if (amountRange) {
+      filter.amountRestaked = amountRange;
+    }
+
+    const searchFilter = buildSearchFilter(search, [
+      "userAddress",
+      "targetAVSOperatorAddress",
+    ]);
+    if (searchFilter) {
+      filter.$or = searchFilter;
     }
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortObj = {};
-    sortObj[sortBy] = sortOrder === "desc" ? -1 : 1;
+    const sortObj = buildSort(sortBy, sortOrder, SORTABLE_FIELDS);
 
     // Execute query with population
     const restakers = await Restaker.find(filter)
@@ -59,10 +178,13 @@ const getRestakers = async (req, res, next) => {
 
     // Get total count for pagination
     const total = await Restaker.countDocuments(filter);
+    const tokens = await Strategy.getUnderlyingTokens();
 
     // Enrich data with validator information
     const enrichedRestakers = await Promise.all(
-      restakers.map(async (restaker) => {
+      (
+        await formatPositions(restakers, currency, tokens)
+      ).map(async (restaker) => {
         try {
           const validator = await Validator.findOne({
             operatorAddress: restaker.targetAVSOperatorAddress,
@@ -75,7 +197,11 @@ const getRestakers = async (req, res, next) => {
                   operatorName: validator.operatorName,
                   status: validator.status,
                   commission: validator.commission,
-                  totalDelegatedStakeStETH: validator.totalDelegatedStakeStETH,
+                  stakeByToken: totalsByToken(
+                    validator.stakeByStrategy,
+                    ["underlyingAmount"],
+                    tokens
+                  ),
                 }
               : null,
           };
@@ -93,6 +219,7 @@ const getRestakers = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
       data: enrichedRestakers,
       pagination: {
         current: parseInt(page),
@@ -105,9 +232,12 @@ const getRestakers = async (req, res, next) => {
       filters: {
         status,
         operator,
+        strategy,
         minAmount,
         maxAmount,
+        source,
         search,
+        currency,
       },
       sorting: {
         sortBy,
@@ -123,6 +253,7 @@ const getRestakers = async (req, res, next) => {
 const getRestakerByAddress = async (req, res, next) => {
   try {
     const { address } = req.params;
+    const { source, period, from, to } = req.query;
     const dataFetcher = new DataFetcher();
 
     // Validate address format
@@ -133,40 +264,222 @@ const getRestakerByAddress = async (req, res, next) => {
       });
     }
 
-    const restaker = await Restaker.findOne({
-      userAddress: address.toLowerCase(),
-    }).lean();
+    const asOf = parseAsOf(req.query.asOf);
+    const currency = buildCurrency(req.query.currency);
+
+    const filter = { userAddress: address.toLowerCase() };
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    // Read positions from the snapshot at ?asOf= instead of the live ones
+    const run = asOf && (await PositionSnapshot.findRunAsOf(asOf));
+    if (asOf && !run) {
+      return res.status(404).json({
+        success: false,
+        error: "No snapshot at or before asOf",
+      });
+    }
+    if (run) {
+      filter.snapshotDate = run.snapshotDate;
+    }
 
-    if (!restaker) {
+    const positions = await (run ? PositionSnapshot : Restaker)
+      .find(filter)
+      .sort({ strategyAddress: 1, targetAVSOperatorAddress: 1 })
+      .lean();
+
+    if (positions.length === 0) {
       return res.status(404).json({
         success: false,
         error: "Restaker not found",
       });
     }
 
-    // Get validator information
-    const validator = await Validator.findOne({
-      operatorAddress: restaker.targetAVSOperatorAddress,
+    // Get validator information for every operator the wallet delegates to
+    const operatorAddresses = [
+      ...new Set(
+        positions.map((position) => position.targetAVSOperatorAddress)
+      ),
+    ];
+    const validators = await Validator.find({
+      operatorAddress: { $in: operatorAddresses },
     }).lean();
+    const validatorMap = new Map(
+      validators.map((validator) => [validator.operatorAddress, validator])
+    );
 
-    // Enrich restaker data
-    const enrichedRestaker = {
-      ...restaker,
-      validator: validator
-        ? {
-            operatorName: validator.operatorName,
-            status: validator.status,
-            commission: validator.commission,
-            totalDelegatedStakeStETH: validator.totalDelegatedStakeStETH,
-            delegatorCount: validator.delegatorCount,
-            slashHistory: validator.slashHistory,
-          }
-        : null,
+    // Operators as they were at the snapshot
+    if (run) {
+      const snapshots = await OperatorSnapshot.find({
+        operatorAddress: { $in: operatorAddresses },
+        snapshotDate: run.snapshotDate,
+      }).lean();
+      const snapshotTime = Math.floor(run.timestamp.getTime() / 1000);
+
+      snapshots.forEach((snapshot) => {
+        const validator = validatorMap.get(snapshot.operatorAddress);
+        if (validator) {
+          Object.assign(validator, {
+            status: snapshot.status,
+            stakeByStrategy: snapshot.stakeByStrategy,
+            delegatorCount: snapshot.delegatorCount,
+            slashHistory: validator.slashHistory.filter(
+              (slash) => slash.timestamp <= snapshotTime
+            ),
+          });
+        }
+      });
+    }
+
+    // Enrich each position
+    const tokens = await Strategy.getUnderlyingTokens();
+    const enrichedPositions = formatStrategyAmounts(
+      positions,
+      POSITION_AMOUNTS,
+      tokens
+    ).map((position) => {
+      const validator = validatorMap.get(position.targetAVSOperatorAddress);
+      const formatted = validator && Validator.formatAmounts(validator, tokens);
+
+      return {
+        ...position,
+        validator: formatted
+          ? {
+              operatorName: formatted.operatorName,
+              status: formatted.status,
+              commission: formatted.commission,
+              stakeByToken: formatted.stakeByToken,
+              delegatorCount: formatted.delegatorCount,
+              slashHistory: formatted.slashHistory,
+            }
+          : null,
+      };
+    });
+
+    const strategyTotals = run
+      ? await PositionSnapshot.getStrategyTotals(
+          address,
+          run.snapshotDate,
+          sourceFilter
+        )
+      : await Restaker.getStrategyTotals(address, sourceFilter);
+    const rates = await Strategy.getRateMap();
+
+    // Snapshot positions carry their underlying amount at the time, so
+    // total those rather than applying today's rate
+    const snapshotUnderlying = (strategyAddress) => {
+      const held = positions.filter(
+        (position) => position.strategyAddress === strategyAddress
+      );
+      return held.every((position) => position.amountUnderlying)
+        ? sumAmounts(held.map((position) => position.amountUnderlying))
+        : null;
     };
 
+    const totals = strategyTotals.map((total) => ({
+      strategyAddress: total._id,
+      tokenSymbol: total.tokenSymbol,
+      totalAmount: total.totalAmount,
+      totalUnderlying: run
+        ? snapshotUnderlying(total._id)
+        : toUnderlying(rates, total._id, total.totalAmount),
+      positionCount: total.positionCount,
+      operators: total.operators,
+    }));
+
+    // Value of the underlying tokens at the latest prices, or those of the
+    // snapshot's day
+    let valuation = null;
+    if (currency) {
+      const prices = await TokenPrice.getPricesAt(
+        [...tokens.values()].map((token) => token.tokenAddress),
+        currency,
+        run ? run.timestamp : new Date()
+      );
+      const { totalValue, holdings } = valueHoldings(
+        totals.map((total) => ({
+          strategyAddress: total.strategyAddress,
+          amount: total.totalUnderlying,
+        })),
+        tokens,
+        prices
+      );
+      valuation = { currency, totalValue, strategies: holdings };
+    }
+
+    // Annualized yield of the wallet over the window, from its daily
+    // position snapshots converted from each strategy's underlying token to
+    // stETH, which the rewards are paid in
+    let walletYield = null;
+    if (!run) {
+      const window = buildYieldWindow(period, from, to);
+      const rewardToken = {
+        tokenAddress: STETH_TOKEN,
+        ...getRewardToken(STETH_TOKEN),
+      };
+      const prices = await TokenPrice.getPricesAt(
+        [...tokens.values()]
+          .map((token) => token.tokenAddress)
+          .concat(STETH_TOKEN),
+        "eth",
+        window.end
+      );
+      const stakeRows = stakeTimeIn(
+        await PositionSnapshot.getStakeTime(
+          { userAddress: address.toLowerCase() },
+          window.start,
+          window.end
+        ),
+        rewardToken,
+        tokens,
+        prices
+      );
+      const [stake] = totalStakeTime(stakeRows, () => address).values();
+      const [earned] = await RewardEvent.sumRewards(
+        {
+          earnerAddress: address.toLowerCase(),
+          tokenAddress: STETH_TOKEN,
+          timestamp: windowRange(window),
+        },
+        "$earnerAddress"
+      );
+
+      walletYield = {
+        period: from || to ? null : period || "30d",
+        from: window.start,
+        to: window.end,
+        // Rewards and average stake are in stETH
+        ...formatAmounts(
+          yieldOver({ rewards: earned?.rewards, ...stake }, window),
+          ["rewards", "averageStake"],
+          rewardToken.decimals
+        ),
+      };
+    }
+
     res.status(200).json({
       success: true,
-      data: enrichedRestaker,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      asOf: run && {
+        snapshotDate: run.snapshotDate,
+        timestamp: run.timestamp,
+        blockNumber: run.blockNumber,
+      },
+      data: {
+        userAddress: address.toLowerCase(),
+        positions: enrichedPositions,
+        strategyTotals: formatStrategyAmounts(
+          totals,
+          ["totalAmount", "totalUnderlying"],
+          tokens
+        ),
+        operatorCount: operatorAddresses.length,
+        valuation,
+        yield: walletYield,
+      },
     });
   } catch (error) {
     next(error);
@@ -177,7 +490,15 @@ const getRestakerByAddress = async (req, res, next) => {
 const getRestakersByOperator = async (req, res, next) => {
   try {
     const { operatorAddress } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = "delegationTimestamp",
+      sortOrder = "desc",
+      minAmount,
+      maxAmount,
+      source,
+    } = req.query;
     const dataFetcher = new DataFetcher();
 
     // Validate address format
@@ -188,20 +509,33 @@ const getRestakersByOperator = async (req, res, next) => {
       });
     }
 
+    const currency = buildCurrency(req.query.currency);
+
+    const filter = {
+      targetAVSOperatorAddress: operatorAddress.toLowerCase(),
+    };
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    const amountRange = buildAmountRange(minAmount, maxAmount);
+    if (amountRange) {
+      filter.amountRestaked = amountRange;
+    }
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sortObj = buildSort(sortBy, sortOrder, SORTABLE_FIELDS);
 
-    const restakers = await Restaker.find({
-      targetAVSOperatorAddress: operatorAddress.toLowerCase(),
-    })
-      .sort({ delegationTimestamp: -1 })
+    const restakers = await Restaker.find(filter)
+      .sort(sortObj)
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
-    const total = await Restaker.countDocuments({
-      targetAVSOperatorAddress: operatorAddress.toLowerCase(),
-    });
+    const total = await Restaker.countDocuments(filter);
 
     // Get operator information
     const validator = await Validator.findOne({
@@ -209,15 +543,21 @@ const getRestakersByOperator = async (req, res, next) => {
     }).lean();
 
     const totalPages = Math.ceil(total / parseInt(limit));
+    const tokens = await Strategy.getUnderlyingTokens();
 
     res.status(200).json({
       success: true,
-      data: restakers,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: await formatPositions(restakers, currency, tokens),
       operator: validator
         ? {
             operatorName: validator.operatorName,
             status: validator.status,
-            totalDelegatedStakeStETH: validator.totalDelegatedStakeStETH,
+            stakeByToken: totalsByToken(
+              validator.stakeByStrategy,
+              ["underlyingAmount"],
+              tokens
+            ),
             delegatorCount: validator.delegatorCount,
           }
         : null,
@@ -236,41 +576,43 @@ const getRestakersByOperator = async (req, res, next) => {
 // Get restakers statistics
 const getRestakersStats = async (req, res, next) => {
   try {
-    // Basic counts
-    const totalRestakers = await Restaker.countDocuments({});
-    const activeRestakers = await Restaker.countDocuments({ status: "active" });
-    const unstakingRestakers = await Restaker.countDocuments({
-      status: "unstaking",
-    });
-
-    // Total value locked
-    const totalStakeResult = await Restaker.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalStake: { $sum: { $toDouble: "$amountRestakedStETH" } },
-          averageStake: { $avg: { $toDouble: "$amountRestakedStETH" } },
-        },
-      },
-    ]);
-
-    const totalStake =
-      totalStakeResult.length > 0 ? totalStakeResult[0].totalStake : 0;
-    const averageStake =
-      totalStakeResult.length > 0 ? totalStakeResult[0].averageStake : 0;
-
-    // Top operators by delegated stake
-    const topOperators = await Restaker.aggregate([
+    // Basic counts, restakers are distinct wallets across their positions
+    const totalPositions = await Restaker.countDocuments({});
+    const totalRestakers = (await Restaker.distinct("userAddress")).length;
+    const activeRestakers = (
+      await Restaker.distinct("userAddress", { status: "active" })
+    ).length;
+    const unstakingRestakers = (
+      await Restaker.distinct("userAddress", { status: "unstaking" })
+    ).length;
+    const withdrawnRestakers = (
+      await Restaker.distinct("userAddress", { status: "withdrawn" })
+    ).length;
+
+    // Value locked per strategy. Strategies' shares are in different
+    // tokens, so there is no total across them.
+    const strategyBreakdown = await Restaker.aggregate([
       {
         $group: {
-          _id: "$targetAVSOperatorAddress",
-          totalDelegated: { $sum: { $toDouble: "$amountRestakedStETH" } },
-          delegatorCount: { $sum: 1 },
+          _id: "$strategyAddress",
+          tokenSymbol: { $first: "$tokenSymbol" },
+          totalStake: { $sum: "$amountRestaked" },
+          averageStake: { $avg: "$amountRestaked" },
+          restakers: { $addToSet: "$userAddress" },
         },
       },
-      { $sort: { totalDelegated: -1 } },
-      { $limit: 5 },
+      { $sort: { totalStake: -1 } },
     ]);
+    const rates = await Strategy.getRateMap();
+    const tokens = await Strategy.getUnderlyingTokens();
+
+    // Top operators by delegated stake in the ?token= they are ranked in
+    const stakeToken = buildStakeToken(req.query.token, tokens);
+    const { validators: topOperators } = await Validator.listByTokenStake(
+      {},
+      tokenStakeExpression("stakeByStrategy", "underlyingAmount", stakeToken),
+      { sort: { tokenStake: -1, _id: -1 }, limit: 5 }
+    );
 
     // Recent activity
     const recentDelegations = await Restaker.find({})
@@ -280,25 +622,50 @@ const getRestakersStats = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
       data: {
         overview: {
           totalRestakers,
+          totalPositions,
           activeRestakers,
           unstakingRestakers,
-          totalValueLocked: totalStake.toFixed(2),
-          averageStake: averageStake.toFixed(2),
+          withdrawnRestakers,
         },
+        strategies: formatStrategyAmounts(
+          strategyBreakdown.map((strategy) => ({
+            strategyAddress: strategy._id,
+            tokenSymbol: strategy.tokenSymbol,
+            totalStake: strategy.totalStake,
+            averageStake: strategy.averageStake,
+            totalUnderlying: toUnderlying(
+              rates,
+              strategy._id,
+              strategy.totalStake
+            ),
+            restakerCount: strategy.restakers.length,
+          })),
+          ["totalStake", "averageStake", "totalUnderlying"],
+          tokens
+        ),
         topOperators: topOperators.map((op) => ({
-          operatorAddress: op._id,
-          totalDelegated: op.totalDelegated.toFixed(2),
+          operatorAddress: op.operatorAddress,
+          tokenAddress: stakeToken.tokenAddress,
+          tokenStake: formatTokenAmount(op.tokenStake, stakeToken.decimals),
           delegatorCount: op.delegatorCount,
         })),
-        recentActivity: recentDelegations.map((delegation) => ({
-          userAddress: delegation.userAddress,
-          amount: delegation.amountRestakedStETH,
-          operator: delegation.targetAVSOperatorAddress,
-          timestamp: delegation.delegationTimestamp,
-        })),
+        recentActivity: formatStrategyAmounts(
+          recentDelegations.map((delegation) => ({
+            userAddress: delegation.userAddress,
+            strategyAddress: delegation.strategyAddress,
+            tokenSymbol: delegation.tokenSymbol,
+            amount: delegation.amountRestaked,
+            amountUnderlying: delegation.amountUnderlying,
+            operator: delegation.targetAVSOperatorAddress,
+            timestamp: delegation.delegationTimestamp,
+          })),
+          ["amount", "amountUnderlying"],
+          tokens
+        ),
       },
     });
   } catch (error) {
@@ -1,12 +1,106 @@
 const Reward = require("../models/Reward");
+const RewardEvent = require("../models/RewardEvent");
 const Restaker = require("../models/Restaker");
+const PositionSnapshot = require("../models/PositionSnapshot");
+const Strategy = require("../models/Strategy");
 const Validator = require("../models/Validator");
+const SyncState = require("../models/SyncState");
+const TokenPrice = require("../models/TokenPrice");
+const DistributionRoot = require("../models/DistributionRoot");
+const DistributionEarning = require("../models/DistributionEarning");
+const RewardsClaim = require("../models/RewardsClaim");
+const RewardsClaimer = require("../models/RewardsClaimer");
 const DataFetcher = require("../utils/dataFetcher");
+const {
+  toBigInt,
+  toDecimal128,
+  formatUnits,
+  formatTokenAmount,
+  formatAmounts,
+  formatStrategyAmounts,
+  totalsByToken,
+} = require("../utils/amounts");
+const {
+  buildAmountRange,
+  buildAddressFilter,
+  buildPeriodRange,
+  buildYieldWindow,
+  buildSeriesRange,
+  buildSourceFilter,
+  buildTokenFilter,
+  buildCurrency,
+  rejectCurrency,
+} = require("../utils/queryHelpers");
+const { STETH_TOKEN, getRewardToken } = require("../config/tokens");
+const { ZERO_ADDRESS } = require("../config/strategies");
+const { bucketExpression, buildSeries } = require("../utils/timeSeries");
+const {
+  windowRange,
+  stakeTimeIn,
+  totalStakeTime,
+  yieldOver,
+} = require("../utils/yield");
+const { valueRewards, formatValue } = require("../utils/valuation");
+
+// Lower bounds of the APR buckets, in percent, of the stats yield distribution
+const YIELD_BUCKETS = [0, 1, 5, 10, 20, 50, 100];
+
+// Synced datasets these responses are built from
+const DATASETS = ["rewards"];
+
+// Claims are synced from the RewardsCoordinator
+const CLAIM_DATASETS = ["distributionRoots", "rewardsClaims", "claimers"];
+
+// Per-token totals with their amounts in each token's own decimals
+const formatTokenAmounts = (tokens = []) =>
+  tokens.map((token) => formatAmounts(token, ["amount"], token.decimals));
+
+// A wallet's reward summary with its amounts formatted; everything but the
+// per-token totals is in stETH
+const formatReward = (reward) => ({
+  ...formatAmounts(reward, [
+    "totalRewardsReceivedStETH",
+    "averageRewardAmount",
+  ]),
+  tokenTotals: formatTokenAmounts(reward.tokenTotals),
+  rewardsBreakdown: reward.rewardsBreakdown.map((breakdown) => ({
+    ...formatAmounts(breakdown, ["amountStETH"]),
+    tokens: formatTokenAmounts(breakdown.tokens),
+  })),
+  ...(reward.rewardFrequency && {
+    rewardFrequency: formatAmounts(reward.rewardFrequency, [
+      "dailyAverage",
+      "weeklyAverage",
+      "monthlyAverage",
+    ]),
+  }),
+});
+
+// Symbol and decimals of a reward token, from the catalog or else its latest
+// payout in the ledger, with fallbackDecimals for tokens neither knows
+const describeToken = async (tokenAddress, fallbackDecimals = 18) => {
+  const known = getRewardToken(tokenAddress);
+  if (known) {
+    return {
+      tokenAddress,
+      tokenSymbol: known.symbol,
+      decimals: known.decimals,
+    };
+  }
+
+  const token = await RewardEvent.findToken(tokenAddress);
+  return {
+    tokenAddress,
+    tokenSymbol: token ? token.tokenSymbol : "UNKNOWN",
+    decimals: token ? token.tokenDecimals : fallbackDecimals,
+  };
+};
 
 // Get rewards by wallet address
 const getRewardsByAddress = async (req, res, next) => {
   try {
     const { address } = req.params;
+    const { source, period, from, to } = req.query;
     const dataFetcher = new DataFetcher();
 
     // Validate address format
@@ -17,9 +111,16 @@ const getRewardsByAddress = async (req, res, next) => {
       });
     }
 
-    const reward = await Reward.findOne({
-      walletAddress: address.toLowerCase(),
-    }).lean();
+    const currency = buildCurrency(req.query.currency);
+
+    const filter = { walletAddress: address.toLowerCase() };
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    const reward = await Reward.findOne(filter).lean();
 
     if (!reward) {
       return res.status(404).json({
@@ -29,8 +130,9 @@ const getRewardsByAddress = async (req, res, next) => {
     }
 
     // Enrich rewards breakdown with validator information
+    const formatted = formatReward(reward);
     const enrichedBreakdown = await Promise.all(
-      reward.rewardsBreakdown.map(async (breakdown) => {
+      formatted.rewardsBreakdown.map(async (breakdown) => {
         try {
           const validator = await Validator.findOne({
             operatorAddress: breakdown.operatorAddress,
@@ -56,43 +158,133 @@ const getRewardsByAddress = async (req, res, next) => {
       })
     );
 
-    // Get restaker information for additional context
-    const restaker = await Restaker.findOne({
-      userAddress: address.toLowerCase(),
-    })
-      .select("amountRestakedStETH status delegationTimestamp")
-      .lean();
+    // Get restaker positions for additional context
+    const restaker = await Restaker.getWalletSummary(address);
+
+    // Annualized yield over the window from daily position snapshots,
+    // converted from each strategy's underlying token to stETH, and the
+    // stETH rewards earned
+    const window = buildYieldWindow(period, from, to);
+    const rewardToken = {
+      tokenAddress: STETH_TOKEN,
+      ...getRewardToken(STETH_TOKEN),
+    };
+    const tokens = await Strategy.getUnderlyingTokens();
+    const prices = await TokenPrice.getPricesAt(
+      [...tokens.values()]
+        .map((token) => token.tokenAddress)
+        .concat(STETH_TOKEN),
+      "eth",
+      window.end
+    );
+    const stakeRows = stakeTimeIn(
+      await PositionSnapshot.getStakeTime(
+        { userAddress: address.toLowerCase() },
+        window.start,
+        window.end
+      ),
+      rewardToken,
+      tokens,
+      prices
+    );
+    const [stake] = totalStakeTime(stakeRows, () => address).values();
+    const [earned] = await RewardEvent.sumRewards(
+      {
+        earnerAddress: address.toLowerCase(),
+        tokenAddress: STETH_TOKEN,
+        timestamp: windowRange(window),
+      },
+      "$earnerAddress"
+    );
+
+    // Value of every payout at the price on the day it was received
+    let valuation = null;
+    if (currency) {
+      const eventFilter = { earnerAddress: address.toLowerCase() };
+      if (sourceFilter) {
+        eventFilter.source = sourceFilter;
+      }
+
+      const dailyTotals = await RewardEvent.getDailyTotals(eventFilter);
+      const history = await TokenPrice.getPriceHistory(
+        [...new Set(dailyTotals.map((row) => row._id.tokenAddress))],
+        currency,
+        new Date()
+      );
+      const tokens = [...valueRewards(dailyTotals, history)].map(
+        ([tokenAddress, valued]) => ({
+          tokenAddress,
+          tokenSymbol:
+            (reward.tokenTotals || []).find(
+              (total) => total.tokenAddress === tokenAddress
+            )?.tokenSymbol || "UNKNOWN",
+          ...valued,
+        })
+      );
+
+      valuation = {
+        currency,
+        totalValue: formatValue(
+          tokens.reduce((total, token) => total + token.value, 0n)
+        ),
+        // Payouts from before the first stored price are left out of the total
+        unpricedEvents: tokens.reduce(
+          (total, token) => total + token.unpricedEvents,
+          0
+        ),
+        tokens: tokens.map((token) => ({
+          ...token,
+          value: formatValue(token.value),
+        })),
+      };
+    }
 
     const enrichedReward = {
-      ...reward,
+      ...formatted,
       rewardsBreakdown: enrichedBreakdown,
       restaker: restaker
         ? {
-            totalStaked: restaker.amountRestakedStETH,
+            stakeByStrategy: formatStrategyAmounts(
+              restaker.stakeByStrategy,
+              ["shares", "underlyingAmount"],
+              tokens
+            ),
+            stakeByToken: totalsByToken(
+              restaker.stakeByStrategy,
+              ["underlyingAmount"],
+              tokens
+            ),
+            positionCount: restaker.positionCount,
             status: restaker.status,
             delegationDate: restaker.delegationTimestamp,
           }
         : null,
       metrics: {
-        averageRewardPerOperator:
+        averageRewardPerOperator: formatTokenAmount(
           reward.rewardsBreakdown.length > 0
-            ? (
-                parseFloat(reward.totalRewardsReceivedStETH) /
-                reward.rewardsBreakdown.length
-              ).toFixed(4)
-            : "0",
-        rewardYield: restaker
-          ? (
-              (parseFloat(reward.totalRewardsReceivedStETH) /
-                parseFloat(restaker.amountRestakedStETH)) *
-              100
-            ).toFixed(2)
-          : "0",
+            ? toBigInt(reward.totalRewardsReceivedStETH) /
+                BigInt(reward.rewardsBreakdown.length)
+            : 0n,
+          rewardToken.decimals
+        ),
+        yield: {
+          period: from || to ? null : period || "30d",
+          from: window.start,
+          to: window.end,
+          // Rewards and average stake are in stETH
+          ...formatAmounts(
+            yieldOver({ rewards: earned?.rewards, ...stake }, window),
+            ["rewards", "averageStake"],
+            rewardToken.decimals
+          ),
+        },
       },
+      valuation,
     };
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
       data: enrichedReward,
     });
   } catch (error) {
@@ -100,94 +292,181 @@ const getRewardsByAddress = async (req, res, next) => {
   }
 };
 
-// Get top reward earners
+// Build the reward_events filter shared by the ranking endpoints: rewards
+// in one ?token= (stETH by default) paid inside ?period= (or ?from/&to),
+// optionally by one operator or AVS
+const buildRankingFilter = ({
+  token,
+  period,
+  from,
+  to,
+  operator,
+  avs,
+  source,
+}) => {
+  const filter = { tokenAddress: buildTokenFilter(token) };
+
+  const timeRange = buildPeriodRange(period, from, to);
+  if (timeRange) {
+    filter.timestamp = timeRange;
+  }
+
+  const operatorFilter = buildAddressFilter(operator, "operator");
+  if (operatorFilter) {
+    filter.operatorAddress = operatorFilter;
+  }
+
+  const avsFilter = buildAddressFilter(avs, "avs");
+  if (avsFilter) {
+    filter.avsAddress = avsFilter;
+  }
+
+  const sourceFilter = buildSourceFilter(source);
+  if (sourceFilter) {
+    filter.source = sourceFilter;
+  }
+
+  return filter;
+};
+
+// Get top reward earners, ranked by the rewards they earned in the window
 const getTopEarners = async (req, res, next) => {
   try {
     const {
       page = 1,
       limit = 10,
-      minRewards = 0,
+      minRewards,
+      maxRewards,
+      token,
       period, // '7d', '30d', '90d', 'all'
+      from,
+      to,
+      operator,
+      avs,
+      source,
     } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    rejectCurrency(req.query.currency);
 
-    // Build filter
-    const filter = {
-      totalRewardsReceivedStETH: { $gte: minRewards.toString() },
-    };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Add time-based filtering if period is specified
-    if (period && period !== "all") {
-      const now = new Date();
-      let startDate = new Date();
-
-      switch (period) {
-        case "7d":
-          startDate.setDate(now.getDate() - 7);
-          break;
-        case "30d":
-          startDate.setDate(now.getDate() - 30);
-          break;
-        case "90d":
-          startDate.setDate(now.getDate() - 90);
-          break;
-        default:
-          startDate = null;
-      }
+    const filter = buildRankingFilter({
+      token,
+      period,
+      from,
+      to,
+      operator,
+      avs,
+      source,
+    });
+    const rewardToken = await describeToken(filter.tokenAddress);
 
-      if (startDate) {
-        filter.lastRewardTimestamp = { $gte: startDate };
+    const { earners: topEarners, total } = await RewardEvent.rankEarners(
+      filter,
+      {
+        skip,
+        limit: parseInt(limit),
+        rewardsRange: buildAmountRange(
+          minRewards,
+          maxRewards,
+          rewardToken.decimals
+        ),
       }
-    }
+    );
 
-    const topEarners = await Reward.find(filter)
-      .sort({ totalRewardsReceivedStETH: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
+    // Lifetime totals in this token of the wallets on this page
+    const lifetimeRewards = await Reward.find({
+      walletAddress: { $in: topEarners.map((earner) => earner._id) },
+    })
+      .select("walletAddress tokenTotals")
       .lean();
+    const lifetimeMap = new Map(
+      lifetimeRewards.map((reward) => {
+        const tokenTotal = (reward.tokenTotals || []).find(
+          (total) => total.tokenAddress === rewardToken.tokenAddress
+        );
+        return [reward.walletAddress, tokenTotal ? tokenTotal.amount : 0n];
+      })
+    );
 
-    const total = await Reward.countDocuments(filter);
+    // Annualized yield of each wallet on the page over the ranking window,
+    // from its daily position snapshots converted to the ranked token. With
+    // ?operator= only stake delegated to that operator counts.
+    const window = buildYieldWindow(period || "all", from, to);
+    const tokens = await Strategy.getUnderlyingTokens();
+    const prices = await TokenPrice.getPricesAt(
+      [...tokens.values()]
+        .map((stakeToken) => stakeToken.tokenAddress)
+        .concat(rewardToken.tokenAddress),
+      "eth",
+      window.end
+    );
+    const stakeMatch = {
+      userAddress: { $in: topEarners.map((earner) => earner._id) },
+    };
+    if (filter.operatorAddress) {
+      stakeMatch.targetAVSOperatorAddress = filter.operatorAddress;
+    }
+    const stakeMap = totalStakeTime(
+      stakeTimeIn(
+        await PositionSnapshot.getStakeTime(
+          stakeMatch,
+          window.start,
+          window.end,
+          { wallet: "$userAddress" }
+        ),
+        rewardToken,
+        tokens,
+        prices
+      ),
+      (row) => row._id.wallet
+    );
 
     // Enrich with restaker information
     const enrichedEarners = await Promise.all(
       topEarners.map(async (earner, index) => {
+        const ranked = {
+          rank: skip + index + 1,
+          walletAddress: earner._id,
+          periodRewards: formatUnits(earner.rewards, rewardToken.decimals),
+          periodRewardEvents: earner.eventCount,
+          totalRewards: formatUnits(
+            lifetimeMap.get(earner._id) || 0n,
+            rewardToken.decimals
+          ),
+          activeOperatorsCount: earner.operators.length,
+          lastRewardTimestamp: earner.lastRewardTimestamp,
+          // Rewards and average stake are in the ranked token
+          yield: formatAmounts(
+            yieldOver(
+              { rewards: earner.rewards, ...stakeMap.get(earner._id) },
+              window
+            ),
+            ["rewards", "averageStake"],
+            rewardToken.decimals
+          ),
+        };
+
         try {
-          const restaker = await Restaker.findOne({
-            userAddress: earner.walletAddress,
-          })
-            .select("amountRestakedStETH targetAVSOperatorAddress status")
-            .lean();
+          const restaker = await Restaker.getWalletSummary(earner._id);
 
           return {
-            rank: skip + index + 1,
-            walletAddress: earner.walletAddress,
-            totalRewardsReceivedStETH: earner.totalRewardsReceivedStETH,
-            activeOperatorsCount: earner.activeOperatorsCount,
-            totalRewardEvents: earner.totalRewardEvents,
-            averageRewardAmount: earner.averageRewardAmount,
-            lastRewardTimestamp: earner.lastRewardTimestamp,
+            ...ranked,
             restaker: restaker
               ? {
-                  totalStaked: restaker.amountRestakedStETH,
-                  primaryOperator: restaker.targetAVSOperatorAddress,
+                  stakeByToken: totalsByToken(
+                    restaker.stakeByStrategy,
+                    ["underlyingAmount"],
+                    tokens
+                  ),
+                  primaryOperator: restaker.primaryOperator,
                   status: restaker.status,
                 }
               : null,
-            rewardYield: restaker
-              ? (
-                  (parseFloat(earner.totalRewardsReceivedStETH) /
-                    parseFloat(restaker.amountRestakedStETH)) *
-                  100
-                ).toFixed(2)
-              : "0",
           };
         } catch (error) {
           console.error(`Error enriching top earner data: ${error.message}`);
-          return {
-            rank: skip + index + 1,
-            ...earner,
-          };
+          return ranked;
         }
       })
     );
@@ -196,7 +475,9 @@ const getTopEarners = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
       data: enrichedEarners,
+      token: rewardToken,
       pagination: {
         current: parseInt(page),
         pages: totalPages,
@@ -205,7 +486,79 @@ const getTopEarners = async (req, res, next) => {
       },
       filters: {
         minRewards,
+        maxRewards,
+        token,
         period,
+        from,
+        to,
+        operator,
+        avs,
+        source,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a wallet's rank and percentile among earners in the window
+const getEarnerRank = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { token, period, from, to, operator, avs, source } = req.query;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    const filter = buildRankingFilter({
+      token,
+      period,
+      from,
+      to,
+      operator,
+      avs,
+      source,
+    });
+    const rewardToken = await describeToken(filter.tokenAddress);
+
+    const ranking = await RewardEvent.getEarnerRank(filter, address);
+
+    if (!ranking) {
+      return res.status(404).json({
+        success: false,
+        error: "No rewards found for this address in the requested window",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: {
+        walletAddress: address.toLowerCase(),
+        token: rewardToken,
+        rewards: formatUnits(ranking.rewards, rewardToken.decimals),
+        rank: ranking.rank,
+        totalEarners: ranking.totalEarners,
+        // Share of earners this wallet earned at least as much as
+        percentile: (
+          ((ranking.totalEarners - ranking.rank + 1) / ranking.totalEarners) *
+          100
+        ).toFixed(2),
+      },
+      filters: {
+        token,
+        period,
+        from,
+        to,
+        operator,
+        avs,
+        source,
       },
     });
   } catch (error) {
@@ -216,10 +569,12 @@ const getTopEarners = async (req, res, next) => {
 // Get rewards statistics
 const getRewardsStats = async (req, res, next) => {
   try {
+    const { period, from, to } = req.query;
+
     // Basic counts and totals
     const totalRewardRecords = await Reward.countDocuments({});
     const activeRewardEarners = await Reward.countDocuments({
-      totalRewardsReceivedStETH: { $gt: "0" },
+      totalRewardsReceivedStETH: { $gt: toDecimal128(0n) },
     });
 
     // Total rewards distributed
@@ -228,9 +583,9 @@ const getRewardsStats = async (req, res, next) => {
         $group: {
           _id: null,
           totalDistributed: {
-            $sum: { $toDouble: "$totalRewardsReceivedStETH" },
+            $sum: "$totalRewardsReceivedStETH",
           },
-          averageReward: { $avg: { $toDouble: "$totalRewardsReceivedStETH" } },
+          averageReward: { $avg: "$totalRewardsReceivedStETH" },
         },
       },
     ]);
@@ -238,9 +593,12 @@ const getRewardsStats = async (req, res, next) => {
     const totalDistributed =
       totalRewardsResult.length > 0
         ? totalRewardsResult[0].totalDistributed
-        : 0;
+        : 0n;
     const averageReward =
-      totalRewardsResult.length > 0 ? totalRewardsResult[0].averageReward : 0;
+      totalRewardsResult.length > 0 ? totalRewardsResult[0].averageReward : 0n;
+
+    // Totals per token from the ledger, each in its own units
+    const tokenTotals = await RewardEvent.getTokenTotals();
 
     // Reward distribution by operator
     const operatorRewards = await Reward.aggregate([
@@ -249,7 +607,7 @@ const getRewardsStats = async (req, res, next) => {
         $group: {
           _id: "$rewardsBreakdown.operatorAddress",
           totalRewards: {
-            $sum: { $toDouble: "$rewardsBreakdown.amountStETH" },
+            $sum: "$rewardsBreakdown.amountStETH",
           },
           uniqueEarners: { $addToSet: "$walletAddress" },
         },
@@ -273,14 +631,14 @@ const getRewardsStats = async (req, res, next) => {
             operatorAddress: op._id,
             operatorName: validator?.operatorName || "Unknown",
             status: validator?.status || "unknown",
-            totalRewards: op.totalRewards.toFixed(2),
+            totalRewards: formatTokenAmount(op.totalRewards, 18),
             uniqueEarnersCount: op.uniqueEarnersCount,
           };
         } catch (error) {
           return {
             operatorAddress: op._id,
             operatorName: "Unknown",
-            totalRewards: op.totalRewards.toFixed(2),
+            totalRewards: formatTokenAmount(op.totalRewards, 18),
             uniqueEarnersCount: op.uniqueEarnersCount,
           };
         }
@@ -304,7 +662,7 @@ const getRewardsStats = async (req, res, next) => {
           totalEvents: { $sum: "$totalRewardEvents" },
           averageEventsPerUser: { $avg: "$totalRewardEvents" },
           averageDailyReward: {
-            $avg: { $toDouble: "$rewardFrequency.dailyAverage" },
+            $avg: "$rewardFrequency.dailyAverage",
           },
         },
       },
@@ -316,75 +674,111 @@ const getRewardsStats = async (req, res, next) => {
         : {
             totalEvents: 0,
             averageEventsPerUser: 0,
-            averageDailyReward: 0,
+            averageDailyReward: 0n,
           };
 
-    // Yield distribution
-    const yieldDistribution = await Reward.aggregate([
-      {
-        $lookup: {
-          from: "restakers",
-          localField: "walletAddress",
-          foreignField: "userAddress",
-          as: "restaker",
-        },
-      },
-      { $unwind: { path: "$restaker", preserveNullAndEmptyArrays: true } },
-      {
-        $addFields: {
-          yieldPercentage: {
-            $cond: {
-              if: { $gt: [{ $toDouble: "$restaker.amountRestakedStETH" }, 0] },
-              then: {
-                $multiply: [
-                  {
-                    $divide: [
-                      { $toDouble: "$totalRewardsReceivedStETH" },
-                      { $toDouble: "$restaker.amountRestakedStETH" },
-                    ],
-                  },
-                  100,
-                ],
-              },
-              else: 0,
-            },
-          },
-        },
-      },
-      {
-        $bucket: {
-          groupBy: "$yieldPercentage",
-          boundaries: [0, 1, 5, 10, 20, 50, 100],
-          default: "Other",
-          output: {
-            count: { $sum: 1 },
-            averageYield: { $avg: "$yieldPercentage" },
-          },
-        },
-      },
-    ]);
+    // Wallets bucketed by their annualized stETH yield over the window, from
+    // daily position snapshots converted to stETH. Wallets whose stake has no
+    // price are left out.
+    const window = buildYieldWindow(period, from, to);
+    const rewardToken = {
+      tokenAddress: STETH_TOKEN,
+      ...getRewardToken(STETH_TOKEN),
+    };
+    const tokens = await Strategy.getUnderlyingTokens();
+    const prices = await TokenPrice.getPricesAt(
+      [...tokens.values()]
+        .map((token) => token.tokenAddress)
+        .concat(STETH_TOKEN),
+      "eth",
+      window.end
+    );
+    const stakeMap = totalStakeTime(
+      stakeTimeIn(
+        await PositionSnapshot.getStakeTime({}, window.start, window.end, {
+          wallet: "$userAddress",
+        }),
+        rewardToken,
+        tokens,
+        prices
+      ),
+      (row) => row._id.wallet
+    );
+    const earned = await RewardEvent.sumRewards(
+      { tokenAddress: STETH_TOKEN, timestamp: windowRange(window) },
+      "$earnerAddress"
+    );
+    const rewardsMap = new Map(
+      earned.map((earner) => [earner._id, earner.rewards])
+    );
+    const yields = [...stakeMap]
+      .map(
+        ([wallet, stake]) =>
+          yieldOver({ rewards: rewardsMap.get(wallet), ...stake }, window).apr
+      )
+      .filter((apr) => apr !== null)
+      .map(Number);
+    const yieldDistribution = YIELD_BUCKETS.map((lower, index) => {
+      const upper = YIELD_BUCKETS[index + 1];
+      const inBucket = yields.filter(
+        (apr) => apr >= lower && (upper === undefined || apr < upper)
+      );
+      return {
+        minYield: lower,
+        maxYield: upper ?? null,
+        count: inBucket.length,
+        averageYield:
+          inBucket.length > 0
+            ? (
+                inBucket.reduce((total, apr) => total + apr, 0) /
+                inBucket.length
+              ).toFixed(2)
+            : null,
+      };
+    });
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
       data: {
         overview: {
           totalRewardRecords,
           activeRewardEarners,
-          totalRewardsDistributed: totalDistributed.toFixed(2),
-          averageRewardPerUser: averageReward.toFixed(2),
+          totalRewardsDistributed: formatTokenAmount(totalDistributed, 18),
+          averageRewardPerUser: formatTokenAmount(averageReward, 18),
         },
+        tokens: tokenTotals.map((token) => ({
+          tokenAddress: token._id,
+          tokenSymbol: token.tokenSymbol,
+          decimals: token.tokenDecimals,
+          totalDistributed: formatTokenAmount(
+            token.amount,
+            token.tokenDecimals
+          ),
+          rewardEvents: token.eventCount,
+          earnerCount: token.earnerCount,
+          lastRewardTimestamp: token.lastRewardTimestamp,
+        })),
         activity: {
           totalRewardEvents: frequencyData.totalEvents,
           averageEventsPerUser: frequencyData.averageEventsPerUser.toFixed(2),
-          averageDailyReward: frequencyData.averageDailyReward.toFixed(4),
+          averageDailyReward: formatTokenAmount(
+            frequencyData.averageDailyReward,
+            18
+          ),
         },
         topOperatorsByRewards: enrichedOperatorRewards,
         recentActivity: recentRewards.map((reward) => ({
           walletAddress: reward.walletAddress,
-          totalRewards: reward.totalRewardsReceivedStETH,
+          totalRewards: formatTokenAmount(reward.totalRewardsReceivedStETH, 18),
           lastRewardDate: reward.lastRewardTimestamp,
         })),
-        yieldDistribution: yieldDistribution,
+        yieldDistribution: {
+          period: from || to ? null : period || "30d",
+          from: window.start,
+          to: window.end,
+          buckets: yieldDistribution,
+        },
       },
     });
   } catch (error) {
@@ -396,7 +790,7 @@ const getRewardsStats = async (req, res, next) => {
 const getRewardsByOperator = async (req, res, next) => {
   try {
     const { operatorAddress } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, minRewards, maxRewards, source } = req.query;
     const dataFetcher = new DataFetcher();
 
     // Validate address format
@@ -407,26 +801,39 @@ const getRewardsByOperator = async (req, res, next) => {
       });
     }
 
+    rejectCurrency(req.query.currency);
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Find rewards that include this operator
-    const rewards = await Reward.find({
-      "rewardsBreakdown.operatorAddress": operatorAddress.toLowerCase(),
-    })
+    // Find rewards that include this operator, optionally within a range of
+    // rewards received from it
+    const breakdownMatch = { operatorAddress: operatorAddress.toLowerCase() };
+    const rewardsRange = buildAmountRange(minRewards, maxRewards);
+    if (rewardsRange) {
+      breakdownMatch.amountStETH = rewardsRange;
+    }
+    const filter = { rewardsBreakdown: { $elemMatch: breakdownMatch } };
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    const rewards = await Reward.find(filter)
+      .sort({ totalRewardsReceivedStETH: -1, _id: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
-    const total = await Reward.countDocuments({
-      "rewardsBreakdown.operatorAddress": operatorAddress.toLowerCase(),
-    });
+    const total = await Reward.countDocuments(filter);
 
     // Get operator information
     const validator = await Validator.findOne({
       operatorAddress: operatorAddress.toLowerCase(),
     })
-      .select("operatorName status totalDelegatedStakeStETH delegatorCount")
+      .select("operatorName status stakeByStrategy delegatorCount")
       .lean();
+    const tokens = await Strategy.getUnderlyingTokens();
 
     // Calculate operator-specific metrics
     const operatorStats = await Reward.aggregate([
@@ -440,11 +847,11 @@ const getRewardsByOperator = async (req, res, next) => {
         $group: {
           _id: null,
           totalRewardsDistributed: {
-            $sum: { $toDouble: "$rewardsBreakdown.amountStETH" },
+            $sum: "$rewardsBreakdown.amountStETH",
           },
           uniqueBeneficiaries: { $addToSet: "$walletAddress" },
           averageRewardPerUser: {
-            $avg: { $toDouble: "$rewardsBreakdown.amountStETH" },
+            $avg: "$rewardsBreakdown.amountStETH",
           },
         },
       },
@@ -454,9 +861,9 @@ const getRewardsByOperator = async (req, res, next) => {
       operatorStats.length > 0
         ? operatorStats[0]
         : {
-            totalRewardsDistributed: 0,
+            totalRewardsDistributed: 0n,
             uniqueBeneficiaries: [],
-            averageRewardPerUser: 0,
+            averageRewardPerUser: 0n,
           };
 
     // Extract operator-specific rewards from each record
@@ -468,17 +875,18 @@ const getRewardsByOperator = async (req, res, next) => {
 
       return {
         walletAddress: reward.walletAddress,
-        totalUserRewards: reward.totalRewardsReceivedStETH,
-        operatorRewards: operatorBreakdown
-          ? operatorBreakdown.amountStETH
-          : "0",
-        rewardEvents: operatorBreakdown
-          ? operatorBreakdown.timestamps.length
-          : 0,
-        lastRewardTimestamp:
-          operatorBreakdown && operatorBreakdown.timestamps.length > 0
-            ? new Date(Math.max(...operatorBreakdown.timestamps) * 1000)
-            : null,
+        totalUserRewards: formatTokenAmount(
+          reward.totalRewardsReceivedStETH,
+          18
+        ),
+        operatorRewards: formatTokenAmount(
+          operatorBreakdown ? operatorBreakdown.amountStETH : 0n,
+          18
+        ),
+        rewardEvents: operatorBreakdown ? operatorBreakdown.eventCount : 0,
+        lastRewardTimestamp: operatorBreakdown
+          ? operatorBreakdown.lastRewardTimestamp
+          : null,
       };
     });
 
@@ -486,20 +894,28 @@ const getRewardsByOperator = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
       data: operatorRewards,
       operator: validator
         ? {
             operatorAddress: operatorAddress.toLowerCase(),
             operatorName: validator.operatorName,
             status: validator.status,
-            totalDelegatedStake: validator.totalDelegatedStakeStETH,
+            stakeByToken: totalsByToken(
+              validator.stakeByStrategy,
+              ["underlyingAmount"],
+              tokens
+            ),
             delegatorCount: validator.delegatorCount,
           }
         : null,
       statistics: {
-        totalRewardsDistributed: stats.totalRewardsDistributed.toFixed(2),
+        totalRewardsDistributed: formatTokenAmount(
+          stats.totalRewardsDistributed,
+          18
+        ),
         uniqueBeneficiaries: stats.uniqueBeneficiaries.length,
-        averageRewardPerUser: stats.averageRewardPerUser.toFixed(4),
+        averageRewardPerUser: formatTokenAmount(stats.averageRewardPerUser, 18),
       },
       pagination: {
         current: parseInt(page),
@@ -513,9 +929,258 @@ const getRewardsByOperator = async (req, res, next) => {
   }
 };
 
+// Get the rewards a wallet received in one token over time, per operator,
+// from the reward_events ledger
+const getRewardHistory = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { token, interval, from, to, source } = req.query;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    const range = buildSeriesRange(interval, from, to);
+
+    const filter = {
+      earnerAddress: address.toLowerCase(),
+      tokenAddress: buildTokenFilter(token),
+    };
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    if (!(await RewardEvent.exists(filter))) {
+      return res.status(404).json({
+        success: false,
+        error: "No reward data found for this address",
+      });
+    }
+
+    const rewardFlows = await RewardEvent.getRewardFlows(
+      filter,
+      bucketExpression("$timestamp", range),
+      range.to
+    );
+
+    const series = buildSeries(
+      range,
+      rewardFlows.map((flow) => ({
+        key: flow._id.operatorAddress,
+        bucket: flow._id.bucket,
+        amount: flow.amount,
+      }))
+    );
+    const eventCounts = buildSeries(
+      range,
+      rewardFlows.map((flow) => ({
+        key: "events",
+        bucket: flow._id.bucket,
+        amount: BigInt(flow.eventCount),
+      }))
+    );
+
+    const rewardToken = await describeToken(filter.tokenAddress);
+    const sum = (amounts) =>
+      formatUnits(
+        [...amounts.values()].reduce((total, amount) => total + amount, 0n),
+        rewardToken.decimals
+      );
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: {
+        walletAddress: address.toLowerCase(),
+        token: rewardToken,
+        history: series.map((point, index) => ({
+          timestamp: point.timestamp,
+          rewards: sum(point.flows),
+          cumulativeRewards: sum(point.totals),
+          eventCount: Number(eventCounts[index].flows.get("events") || 0n),
+          operators: [...point.flows].map(([operatorAddress, amount]) => ({
+            operatorAddress,
+            rewards: formatUnits(amount, rewardToken.decimals),
+          })),
+        })),
+      },
+      range: {
+        interval: range.interval,
+        from: range.from,
+        to: range.to,
+        points: range.points,
+      },
+      filters: {
+        token,
+        source,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a wallet's RewardsCoordinator claims: what it has claimed per token,
+// what it has earned but not claimed as of the latest distribution snapshot
+// loaded for it, and who claims for it
+const getRewardClaims = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    const earnerAddress = address.toLowerCase();
+    const claimed = await RewardsClaim.getClaimedTotals(earnerAddress);
+    const earnings = await DistributionEarning.findLatestForEarner(
+      earnerAddress
+    );
+    const claimer = await RewardsClaimer.findOne({ earnerAddress }).lean();
+
+    if (claimed.length === 0 && earnings.length === 0 && !claimer) {
+      return res.status(404).json({
+        success: false,
+        error: "No rewards claims found for this address",
+      });
+    }
+
+    const recipients = await RewardsClaim.getRecipients(earnerAddress);
+    const recentClaims = await RewardsClaim.find({ earnerAddress })
+      .sort({ timestamp: -1 })
+      .limit(10)
+      .lean();
+    const latestRoot = await DistributionRoot.findLatest();
+    const snapshotRoot =
+      earnings.length > 0 &&
+      (await DistributionRoot.findOne({
+        rootIndex: earnings[0].rootIndex,
+      }).lean());
+
+    // Claims carry their token's decimals when they could be read;
+    // otherwise fall back to the catalog and the ledger
+    const claimedMap = new Map(claimed.map((total) => [total._id, total]));
+    const earnedMap = new Map(
+      earnings.map((earning) => [earning.tokenAddress, earning])
+    );
+    const tokenMap = new Map();
+    for (const tokenAddress of new Set([
+      ...claimedMap.keys(),
+      ...earnedMap.keys(),
+    ])) {
+      const total = claimedMap.get(tokenAddress);
+      tokenMap.set(
+        tokenAddress,
+        total && total.tokenDecimals !== null
+          ? {
+              tokenAddress,
+              tokenSymbol: total.tokenSymbol,
+              decimals: total.tokenDecimals,
+            }
+          : await describeToken(tokenAddress, null)
+      );
+    }
+
+    const tokens = [...tokenMap.values()].map((token) => {
+      const total = claimedMap.get(token.tokenAddress);
+      const earning = earnedMap.get(token.tokenAddress);
+      const claimedAmount = total ? toBigInt(total.amount) : 0n;
+      const earned = earning ? toBigInt(earning.cumulativeAmount) : null;
+
+      return {
+        ...token,
+        cumulativeEarned:
+          earned === null ? null : formatTokenAmount(earned, token.decimals),
+        claimed: formatTokenAmount(claimedAmount, token.decimals),
+        // Earnings are cumulative, so a claim against a newer root than the
+        // snapshot can exceed them
+        unclaimed:
+          earned === null
+            ? null
+            : formatTokenAmount(
+                earned > claimedAmount ? earned - claimedAmount : 0n,
+                token.decimals
+              ),
+        claimCount: total ? total.claimCount : 0,
+        lastClaimTimestamp: total ? total.lastClaimTimestamp : null,
+      };
+    });
+
+    const describeRoot = (root) =>
+      root && {
+        rootIndex: root.rootIndex,
+        root: root.root,
+        rewardsCalculationEndTimestamp: root.rewardsCalculationEndTimestamp,
+        activatedAt: root.activatedAt,
+        claimable: root.activatedAt <= new Date(),
+      };
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(CLAIM_DATASETS),
+      data: {
+        walletAddress: earnerAddress,
+        tokens,
+        // Root of the snapshot unclaimed amounts are measured against
+        snapshot:
+          earnings.length > 0
+            ? describeRoot(snapshotRoot) || {
+                rootIndex: earnings[0].rootIndex,
+                root: earnings[0].root,
+              }
+            : null,
+        latestRoot: describeRoot(latestRoot),
+        settings: {
+          // Null when the earner claims for itself
+          claimerAddress:
+            claimer && claimer.claimerAddress !== ZERO_ADDRESS
+              ? claimer.claimerAddress
+              : null,
+          claimerSetAt: claimer ? claimer.timestamp : null,
+          recipients: recipients.map((recipient) => ({
+            recipientAddress: recipient._id,
+            claimCount: recipient.claimCount,
+            lastClaimTimestamp: recipient.lastClaimTimestamp,
+          })),
+        },
+        recentClaims: recentClaims.map((claim) => ({
+          root: claim.root,
+          tokenAddress: claim.tokenAddress,
+          tokenSymbol: tokenMap.get(claim.tokenAddress).tokenSymbol,
+          amount: formatTokenAmount(
+            claim.amount,
+            tokenMap.get(claim.tokenAddress).decimals
+          ),
+          claimerAddress: claim.claimerAddress,
+          recipientAddress: claim.recipientAddress,
+          timestamp: claim.timestamp,
+          transactionHash: claim.transactionHash,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getRewardsByAddress,
   getTopEarners,
+  getEarnerRank,
   getRewardsStats,
   getRewardsByOperator,
+  getRewardHistory,
+  getRewardClaims,
 };
@@ -0,0 +1,260 @@
+const Validator = require("../models/Validator");
+const RewardEvent = require("../models/RewardEvent");
+const PositionSnapshot = require("../models/PositionSnapshot");
+const Strategy = require("../models/Strategy");
+const TokenPrice = require("../models/TokenPrice");
+const SyncState = require("../models/SyncState");
+const { getStrategySymbol } = require("../config/strategies");
+const { STETH_TOKEN, getRewardToken } = require("../config/tokens");
+const { parseUnits, formatAmounts } = require("../utils/amounts");
+const {
+  badRequest,
+  buildSeriesRange,
+  buildYieldWindow,
+  buildSourceFilter,
+} = require("../utils/queryHelpers");
+const { closingSnapshots, buildStakeSeries } = require("../utils/timeSeries");
+const {
+  windowRange,
+  stakeTimeIn,
+  totalStakeTime,
+  yieldOver,
+  attributeRewards,
+} = require("../utils/yield");
+
+// Synced datasets these responses are built from
+const DATASETS = ["snapshots"];
+
+// Yield is computed from position snapshots, rewards and prices
+const YIELD_DATASETS = ["snapshots", "rewards", "prices"];
+
+// What the yield leaderboard ranks, and the field naming each entry
+const YIELD_SUBJECTS = {
+  wallet: "walletAddress",
+  operator: "operatorAddress",
+  strategy: "strategyAddress",
+};
+
+// Get total value locked over time, per strategy in its underlying token,
+// from the daily position snapshots
+const getTVLHistory = async (req, res, next) => {
+  try {
+    const { interval, from, to, source } = req.query;
+    const range = buildSeriesRange(interval, from, to);
+
+    const match = {};
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      match.source = sourceFilter;
+    }
+
+    // Each point shows the snapshot run it closed on; runs cover every
+    // position, so filtering by source leaves the runs themselves intact
+    const closing = closingSnapshots(
+      range,
+      await PositionSnapshot.getRunDates(range.to)
+    );
+    const totals = await PositionSnapshot.getStrategyHistory(match, [
+      ...new Set(closing.filter(Boolean)),
+    ]);
+    const series = buildStakeSeries(
+      range,
+      closing,
+      totals,
+      await Strategy.getUnderlyingTokens()
+    );
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: series.map((point) => ({
+        timestamp: point.timestamp,
+        snapshotDate: point.snapshotDate,
+        strategies: point.strategies,
+      })),
+      range: {
+        interval: range.interval,
+        from: range.from,
+        to: range.to,
+        points: range.points,
+      },
+      filters: {
+        source,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get wallets, operators or strategies ranked by annualized yield over a
+// window, from daily position snapshots. Strategies are credited the
+// rewards of their stakers in proportion to stake-time.
+const getYieldLeaderboard = async (req, res, next) => {
+  try {
+    const {
+      type = "wallet",
+      page = 1,
+      limit = 10,
+      period,
+      from,
+      to,
+      minStake,
+    } = req.query;
+
+    const field = YIELD_SUBJECTS[type];
+    if (!field) {
+      throw badRequest(
+        `Invalid type "${type}". Allowed: ${Object.keys(YIELD_SUBJECTS).join(
+          ", "
+        )}`
+      );
+    }
+
+    const window = buildYieldWindow(period, from, to);
+    const rewardToken = {
+      tokenAddress: STETH_TOKEN,
+      ...getRewardToken(STETH_TOKEN),
+    };
+    const rewardsMatch = {
+      tokenAddress: STETH_TOKEN,
+      timestamp: windowRange(window),
+    };
+
+    // Stake is measured per strategy in underlying units and converted to
+    // stETH, the token the rewards are paid in, at the window's end
+    const tokens = await Strategy.getUnderlyingTokens();
+    const prices = await TokenPrice.getPricesAt(
+      [...tokens.values()]
+        .map((token) => token.tokenAddress)
+        .concat(STETH_TOKEN),
+      "eth",
+      window.end
+    );
+    const stakeRows = stakeTimeIn(
+      await PositionSnapshot.getStakeTime(
+        {},
+        window.start,
+        window.end,
+        type === "operator"
+          ? { operator: "$targetAVSOperatorAddress" }
+          : { wallet: "$userAddress" }
+      ),
+      rewardToken,
+      tokens,
+      prices
+    );
+
+    let subjects;
+    if (type === "strategy") {
+      const earned = await RewardEvent.sumRewards(
+        rewardsMatch,
+        "$earnerAddress"
+      );
+      subjects = attributeRewards(
+        stakeRows,
+        new Map(earned.map((earner) => [earner._id, earner.rewards]))
+      );
+    } else {
+      const earned = await RewardEvent.sumRewards(
+        rewardsMatch,
+        type === "wallet" ? "$earnerAddress" : "$operatorAddress"
+      );
+      const rewardsMap = new Map(
+        earned.map((earner) => [earner._id, earner.rewards])
+      );
+      subjects = new Map(
+        [
+          ...totalStakeTime(stakeRows, (row) =>
+            type === "wallet" ? row._id.wallet : row._id.operator
+          ),
+        ].map(([address, stake]) => [
+          address,
+          { rewards: rewardsMap.get(address), ...stake },
+        ])
+      );
+    }
+
+    // Tiny average stakes make for meaningless yields, so they can be left out
+    const minimumStake = minStake
+      ? parseUnits(minStake, rewardToken.decimals)
+      : 0n;
+
+    const ranked = [...subjects]
+      .map(([address, subject]) => ({
+        [field]: address,
+        ...yieldOver(subject, window),
+      }))
+      .filter(
+        (entry) => entry.apr !== null && entry.averageStake >= minimumStake
+      )
+      .sort(
+        (a, b) =>
+          Number(b.apr) - Number(a.apr) || (a[field] < b[field] ? -1 : 1)
+      );
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const pageEntries = ranked.slice(skip, skip + parseInt(limit));
+
+    // Names to show alongside operators and strategies
+    let names = new Map();
+    if (type === "operator") {
+      const validators = await Validator.find({
+        operatorAddress: { $in: pageEntries.map((entry) => entry[field]) },
+      })
+        .select("operatorAddress operatorName")
+        .lean();
+      names = new Map(
+        validators.map((validator) => [
+          validator.operatorAddress,
+          validator.operatorName,
+        ])
+      );
+    }
+
+    const totalPages = Math.ceil(ranked.length / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(YIELD_DATASETS),
+      data: pageEntries.map((entry, index) => ({
+        rank: skip + index + 1,
+        // Rewards and average stake are in stETH
+        ...formatAmounts(
+          entry,
+          ["rewards", "averageStake"],
+          rewardToken.decimals
+        ),
+        ...(type === "operator" && {
+          operatorName: names.get(entry[field]) || null,
+        }),
+        ...(type === "strategy" && {
+          tokenSymbol: getStrategySymbol(entry[field]),
+        }),
+      })),
+      window: {
+        period: from || to ? null : period || "30d",
+        from: window.start,
+        to: window.end,
+      },
+      pagination: {
+        current: parseInt(page),
+        pages: totalPages,
+        count: pageEntries.length,
+        total: ranked.length,
+      },
+      filters: {
+        type,
+        minStake,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTVLHistory,
+  getYieldLeaderboard,
+};
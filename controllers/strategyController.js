@@ -0,0 +1,143 @@
+const Strategy = require("../models/Strategy");
+const StrategyRate = require("../models/StrategyRate");
+const Restaker = require("../models/Restaker");
+const SyncState = require("../models/SyncState");
+const DataFetcher = require("../utils/dataFetcher");
+const {
+  toBigInt,
+  sharesToUnderlying,
+  formatAmounts,
+} = require("../utils/amounts");
+const { buildBlockRange } = require("../utils/queryHelpers");
+
+// Synced datasets these responses are built from
+const DATASETS = ["strategies", "restakers"];
+
+// Get the strategy catalog with each strategy's latest rate and totals
+const getStrategies = async (req, res, next) => {
+  try {
+    const strategies = await Strategy.find({})
+      .sort({ strategyAddress: 1 })
+      .lean();
+
+    // Shares restaked per strategy
+    const totals = await Restaker.aggregate([
+      {
+        $group: {
+          _id: "$strategyAddress",
+          totalShares: { $sum: "$amountRestaked" },
+          restakers: { $addToSet: "$userAddress" },
+        },
+      },
+    ]);
+    const totalsMap = new Map(totals.map((total) => [total._id, total]));
+
+    const data = strategies
+      .map((strategy) => {
+        const total = totalsMap.get(strategy.strategyAddress);
+        const totalShares = total?.totalShares || 0n;
+
+        return {
+          ...strategy,
+          totalShares,
+          totalUnderlying:
+            strategy.sharesToUnderlying === null
+              ? null
+              : sharesToUnderlying(totalShares, strategy.sharesToUnderlying),
+          restakerCount: total?.restakers.length || 0,
+        };
+      })
+      .sort((a, b) => {
+        const sharesA = toBigInt(a.totalShares);
+        const sharesB = toBigInt(b.totalShares);
+        return sharesA === sharesB ? 0 : sharesA > sharesB ? -1 : 1;
+      });
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      // Shares and underlying amounts are in the strategy's token decimals;
+      // rates are per 1e18 shares
+      data: data.map((strategy) =>
+        formatAmounts(
+          formatAmounts(strategy, ["sharesToUnderlying"]),
+          ["totalShares", "totalUnderlying"],
+          strategy.decimals
+        )
+      ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the sharesToUnderlying rates recorded for a strategy, newest first
+const getStrategyRates = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { page = 1, limit = 50, fromBlock, toBlock } = req.query;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    const strategy = await Strategy.findOne({
+      strategyAddress: address.toLowerCase(),
+    }).lean();
+
+    if (!strategy) {
+      return res.status(404).json({
+        success: false,
+        error: "Strategy not found",
+      });
+    }
+
+    const filter = { strategyAddress: strategy.strategyAddress };
+
+    const blockRange = buildBlockRange(fromBlock, toBlock);
+    if (blockRange) {
+      filter.blockNumber = blockRange;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const rates = await StrategyRate.find(filter)
+      .select("blockNumber timestamp sharesToUnderlying source")
+      .sort({ blockNumber: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await StrategyRate.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: rates.map((rate) => formatAmounts(rate, ["sharesToUnderlying"])),
+      strategy: formatAmounts(strategy, ["sharesToUnderlying"]),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        count: rates.length,
+        total: total,
+      },
+      filters: {
+        fromBlock,
+        toBlock,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStrategies,
+  getStrategyRates,
+};
@@ -0,0 +1,60 @@
+const SyncState = require("../models/SyncState");
+const DataFetcher = require("../utils/dataFetcher");
+const { settleWithin } = require("../utils/settle");
+
+// Upstream head lookups must not hold the request open for long
+const HEAD_TIMEOUT_MS = 5000;
+
+// Get sync status and data freshness per dataset
+const getSyncStatus = async (req, res, next) => {
+  try {
+    const dataFetcher = new DataFetcher();
+
+    const [states, chainHead, subgraphHead] = await Promise.all([
+      SyncState.find({}).sort({ dataset: 1 }).lean(),
+      settleWithin(dataFetcher.fetchChainHead(1), HEAD_TIMEOUT_MS),
+      settleWithin(dataFetcher.fetchSubgraphHead(1), HEAD_TIMEOUT_MS),
+    ]);
+
+    // Lag is measured against the chain when reachable, else the subgraph
+    const referenceHead = chainHead ?? subgraphHead;
+
+    const datasets = states.map((state) => ({
+      dataset: state.dataset,
+      source: state.source,
+      status: state.status,
+      lastBlock: state.lastBlock,
+      lastSyncedAt: state.lastSuccessAt,
+      lastRunAt: state.lastRunAt,
+      lastError: state.lastError,
+      consecutiveFailures: state.consecutiveFailures,
+      recordsProcessed: state.recordsProcessed,
+      lagBlocks:
+        referenceHead !== null && state.lastBlock > 0
+          ? Math.max(referenceHead - state.lastBlock, 0)
+          : null,
+      lagSeconds: state.lastSuccessAt
+        ? Math.floor((Date.now() - state.lastSuccessAt.getTime()) / 1000)
+        : null,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chainHead,
+        subgraphHead,
+        subgraphLagBlocks:
+          chainHead !== null && subgraphHead !== null
+            ? Math.max(chainHead - subgraphHead, 0)
+            : null,
+        datasets,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSyncStatus,
+};
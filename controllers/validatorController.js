@@ -1,6 +1,80 @@
 const Validator = require("../models/Validator");
 const Restaker = require("../models/Restaker");
+const SyncState = require("../models/SyncState");
+const AVS = require("../models/AVS");
+const SlashEvent = require("../models/SlashEvent");
+const OperatorSnapshot = require("../models/OperatorSnapshot");
+const PositionSnapshot = require("../models/PositionSnapshot");
+const RewardEvent = require("../models/RewardEvent");
+const Strategy = require("../models/Strategy");
+const TokenPrice = require("../models/TokenPrice");
+const OperatorSplit = require("../models/OperatorSplit");
 const DataFetcher = require("../utils/dataFetcher");
+const { STETH_TOKEN, getRewardToken } = require("../config/tokens");
+const {
+  sumAmounts,
+  formatTokenAmount,
+  formatAmounts,
+  formatStrategyAmounts,
+  totalsByToken,
+  sharesToUnderlying,
+} = require("../utils/amounts");
+const {
+  buildSort,
+  buildAmountRange,
+  buildAddressFilter,
+  buildDateRange,
+  buildBlockRange,
+  buildSeriesRange,
+  buildYieldWindow,
+  parseAsOf,
+  buildSourceFilter,
+  buildSearchFilter,
+  buildStakeToken,
+  tokenStakeExpression,
+  buildCurrency,
+} = require("../utils/queryHelpers");
+const { closingSnapshots, buildStakeSeries } = require("../utils/timeSeries");
+const {
+  windowRange,
+  stakeTimeIn,
+  totalStakeTime,
+  yieldOver,
+  attributeRewards,
+} = require("../utils/yield");
+const { valueHoldings } = require("../utils/valuation");
+const { resolveSplits, commissionOf } = require("../utils/splits");
+
+// Synced datasets these responses are built from. Commissions are derived
+// from the operator splits.
+const DATASETS = ["validators", "slashings", "operatorSplits", "defaultSplits"];
+
+// Stake history is read from the daily snapshots
+const HISTORY_DATASETS = ["snapshots"];
+
+// Value of an operator's delegated stake in the underlying tokens of its
+// strategies, given Strategy.getUnderlyingTokens and TokenPrice.getPricesAt
+const valueStake = (validator, currency, tokens, prices) => {
+  const { totalValue, holdings } = valueHoldings(
+    (validator.stakeByStrategy || []).map((stake) => ({
+      strategyAddress: stake.strategyAddress,
+      amount: stake.underlyingAmount,
+    })),
+    tokens,
+    prices
+  );
+  return { currency, totalValue, strategies: holdings };
+};
+
+// Fields clients may sort the validator list by. Stake is the underlying
+// amount of the ?token= the list is ranked in.
+const SORTABLE_FIELDS = {
+  stake: "tokenStake",
+  delegatorCount: "delegatorCount",
+  commission: "commission",
+  registrationTimestamp: "registrationTimestamp",
+  lastUpdated: "lastUpdated",
+};
 
 // Get all validators with filtering and pagination
 const getValidators = async (req, res, next) => {
@@ -8,30 +82,33 @@ const getValidators = async (req, res, next) => {
     const {
       page = 1,
       limit = 10,
-      sortBy = "totalDelegatedStakeStETH",
+      sortBy = "stake",
       sortOrder = "desc",
       status,
       minStake,
       maxStake,
       hasSlashHistory,
+      source,
       search,
+      token,
     } = req.query;
 
+    const currency = buildCurrency(req.query.currency);
+
+    // Stake is ranked and filtered in one underlying token
+    const tokens = await Strategy.getUnderlyingTokens();
+    const stakeToken = buildStakeToken(token, tokens);
+
     // Build filter object
     const filter = {};
 
-    if (status) {
-      filter.status = status;
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
     }
 
-    if (minStake || maxStake) {
-      filter.totalDelegatedStakeStETH = {};
-      if (minStake) {
-        filter.totalDelegatedStakeStETH.$gte = minStake;
-      }
-      if (maxStake) {
-        filter.totalDelegatedStakeStETH.$lte = maxStake;
-      }
+    if (status) {
+      filter.status = status;
     }
 
     if (hasSlashHistory === "true") {
@@ -40,28 +117,38 @@ const getValidators = async (req, res, next) => {
       filter.slashHistory = { $size: 0 };
     }
 
-    if (search) {
-      filter.$or = [
-        { operatorAddress: { $regex: search, $options: "i" } },
-        { operatorName: { $regex: search, $options: "i" } },
-        { "metadata.description": { $regex: search, $options: "i" } },
-      ];
+    const searchFilter = buildSearchFilter(
+      search,
+      ["operatorAddress"],
+      ["operatorName", "metadata.description"]
+    );
+    if (searchFilter) {
+      filter.$or = searchFilter;
     }
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortObj = {};
-    sortObj[sortBy] = sortOrder === "desc" ? -1 : 1;
+    const sortObj = buildSort(sortBy, sortOrder, SORTABLE_FIELDS);
 
-    // Execute query
-    const validators = await Validator.find(filter)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+    const { validators, total } = await Validator.listByTokenStake(
+      filter,
+      tokenStakeExpression("stakeByStrategy", "underlyingAmount", stakeToken),
+      {
+        stakeRange: buildAmountRange(minStake, maxStake, stakeToken.decimals),
+        sort: sortObj,
+        skip,
+        limit: parseInt(limit),
+      }
+    );
 
-    // Get total count for pagination
-    const total = await Validator.countDocuments(filter);
+    // Value of each operator's stake at the latest prices
+    const prices =
+      currency &&
+      (await TokenPrice.getPricesAt(
+        [...tokens.values()].map((token) => token.tokenAddress),
+        currency,
+        new Date()
+      ));
 
     // Calculate pagination info
     const totalPages = Math.ceil(total / parseInt(limit));
@@ -70,7 +157,17 @@ const getValidators = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: validators,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: validators.map((validator) => ({
+        ...Validator.formatAmounts(validator, tokens),
+        tokenStake: formatTokenAmount(
+          validator.tokenStake,
+          stakeToken.decimals
+        ),
+        valuation: currency
+          ? valueStake(validator, currency, tokens, prices)
+          : null,
+      })),
       pagination: {
         current: parseInt(page),
         pages: totalPages,
@@ -84,7 +181,10 @@ const getValidators = async (req, res, next) => {
         minStake,
         maxStake,
         hasSlashHistory,
+        source,
         search,
+        token: stakeToken.tokenAddress,
+        currency,
       },
       sorting: {
         sortBy,
@@ -110,6 +210,10 @@ const getValidatorByAddress = async (req, res, next) => {
       });
     }
 
+    const { period, from, to } = req.query;
+    const asOf = parseAsOf(req.query.asOf);
+    const currency = buildCurrency(req.query.currency);
+
     const validator = await Validator.findOne({
       operatorAddress: address.toLowerCase(),
     }).lean();
@@ -121,32 +225,228 @@ const getValidatorByAddress = async (req, res, next) => {
       });
     }
 
+    // Rewind stake, delegations and status to the snapshot at ?asOf=
+    let snapshot = null;
+    if (asOf) {
+      const run = await OperatorSnapshot.findRunAsOf(asOf);
+      snapshot =
+        run &&
+        (await OperatorSnapshot.findOne({
+          operatorAddress: address.toLowerCase(),
+          snapshotDate: run.snapshotDate,
+        }).lean());
+
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          error: "No snapshot of this validator at or before asOf",
+        });
+      }
+
+      const snapshotTime = Math.floor(snapshot.timestamp.getTime() / 1000);
+      Object.assign(validator, {
+        stakeByStrategy: snapshot.stakeByStrategy,
+        delegatorCount: snapshot.delegatorCount,
+        status: snapshot.status,
+        slashHistory: validator.slashHistory.filter(
+          (slash) => slash.timestamp <= snapshotTime
+        ),
+      });
+    }
+
+    // Strategy tokens, to value stake and format amounts in their decimals
+    const tokens = await Strategy.getUnderlyingTokens();
+
     // Get delegators for this validator
-    const delegators = await Restaker.find({
-      targetAVSOperatorAddress: address.toLowerCase(),
-    })
+    const delegatorFilter = { targetAVSOperatorAddress: address.toLowerCase() };
+    if (snapshot) {
+      delegatorFilter.snapshotDate = snapshot.snapshotDate;
+    }
+
+    const delegators = await (snapshot ? PositionSnapshot : Restaker)
+      .find(delegatorFilter)
       .sort({ delegationTimestamp: -1 })
       .limit(10)
       .lean();
 
-    // Calculate additional metrics
-    const totalSlashedAmount = validator.slashHistory.reduce(
-      (sum, slash) => sum + parseFloat(slash.amountStETH || 0),
-      0
+    // Get the AVSs this operator is registered to, or was at the snapshot
+    const avsList = await (snapshot
+      ? AVS.findByOperatorAsOf(address, snapshot.timestamp)
+      : AVS.findByOperator(address)
+    )
+      .select("avsAddress metadata.name metadata.logo operators.$")
+      .lean();
+    if (snapshot) {
+      validator.avsServices = avsList.map((avs) => avs.avsAddress);
+    }
+
+    // Annualized yield of the operator's delegations over the window, from
+    // daily position snapshots. Stake is converted from each strategy's
+    // underlying token to stETH, which the rewards are paid in, and each
+    // delegator's rewards from it are split across strategies by stake-time.
+    let operatorYield = null;
+    if (!snapshot) {
+      const window = buildYieldWindow(period, from, to);
+      const rewardToken = {
+        tokenAddress: STETH_TOKEN,
+        ...getRewardToken(STETH_TOKEN),
+      };
+      const prices = await TokenPrice.getPricesAt(
+        [...tokens.values()]
+          .map((token) => token.tokenAddress)
+          .concat(STETH_TOKEN),
+        "eth",
+        window.end
+      );
+      const stakeRows = stakeTimeIn(
+        await PositionSnapshot.getStakeTime(
+          { targetAVSOperatorAddress: address.toLowerCase() },
+          window.start,
+          window.end,
+          { wallet: "$userAddress" }
+        ),
+        rewardToken,
+        tokens,
+        prices
+      );
+      const earned = await RewardEvent.sumRewards(
+        {
+          operatorAddress: address.toLowerCase(),
+          tokenAddress: STETH_TOKEN,
+          timestamp: windowRange(window),
+        },
+        "$earnerAddress"
+      );
+      const rewardsByWallet = new Map(
+        earned.map((earner) => [earner._id, earner.rewards])
+      );
+      const byStrategy = attributeRewards(stakeRows, rewardsByWallet);
+      const [stake] = totalStakeTime(stakeRows, () => address).values();
+
+      operatorYield = {
+        period: from || to ? null : period || "30d",
+        from: window.start,
+        to: window.end,
+        ...formatAmounts(
+          yieldOver(
+            {
+              rewards: sumAmounts(earned.map((earner) => earner.rewards)),
+              ...stake,
+            },
+            window
+          ),
+          ["rewards", "averageStake"],
+          rewardToken.decimals
+        ),
+        strategies: [...byStrategy].map(([strategyAddress, attributed]) => ({
+          strategyAddress,
+          ...formatAmounts(
+            yieldOver(attributed, window),
+            ["rewards", "averageStake"],
+            rewardToken.decimals
+          ),
+        })),
+      };
+    }
+
+    // Value of the delegated stake's underlying tokens at the latest prices,
+    // or those of the snapshot's day
+    let valuation = null;
+    if (currency) {
+      const prices = await TokenPrice.getPricesAt(
+        [...tokens.values()].map((token) => token.tokenAddress),
+        currency,
+        snapshot ? snapshot.timestamp : new Date()
+      );
+      valuation = valueStake(validator, currency, tokens, prices);
+    }
+
+    // Splits the operator keeps of each AVS's rewards, now or at the
+    // snapshot, with changes still to activate. Increases are flagged, as
+    // they cut what delegators earn.
+    const splitsAt = snapshot ? snapshot.timestamp : new Date();
+    const defaultSplitBips = await OperatorSplit.getDefaultSplitAt(splitsAt);
+    const splitHistory = (await OperatorSplit.getSplitHistory(address)).filter(
+      (change) => change.timestamp <= splitsAt
     );
+    const splits = resolveSplits(
+      splitHistory,
+      avsList.map((avs) => avs.avsAddress),
+      defaultSplitBips,
+      splitsAt
+    );
+    const upcomingSplits = splits
+      .filter((split) => split.upcoming)
+      .map((split) => ({
+        avsAddress: split.avsAddress,
+        currentSplitBips: split.splitBips,
+        ...split.upcoming,
+      }));
+
+    // Slashes per strategy, up to the snapshot when reading one
+    const slashMatch = { operatorAddress: address.toLowerCase() };
+    if (snapshot) {
+      slashMatch.timestamp = { $lte: snapshot.timestamp };
+    }
+    const slashedByStrategy = await SlashEvent.getStrategyTotals(slashMatch);
 
     const enrichedValidator = {
-      ...validator,
-      totalSlashedAmount: totalSlashedAmount.toFixed(2),
-      recentDelegators: delegators.map((delegator) => ({
-        userAddress: delegator.userAddress,
-        amountRestakedStETH: delegator.amountRestakedStETH,
-        delegationTimestamp: delegator.delegationTimestamp,
+      ...Validator.formatAmounts(validator, tokens),
+      commission: commissionOf(splits, defaultSplitBips),
+      pendingSplitIncrease: upcomingSplits.some((split) => split.isIncrease),
+      slashedByStrategy: formatStrategyAmounts(
+        slashedByStrategy,
+        ["sharesSlashed"],
+        tokens
+      ),
+      avs: avsList.map((avs) => ({
+        avsAddress: avs.avsAddress,
+        name: avs.metadata?.name || null,
+        logo: avs.metadata?.logo || null,
+        registeredAt: avs.operators[0].registeredAt,
       })),
+      recentDelegators: formatStrategyAmounts(
+        delegators.map((delegator) => ({
+          userAddress: delegator.userAddress,
+          strategyAddress: delegator.strategyAddress,
+          tokenSymbol: delegator.tokenSymbol,
+          amountRestaked: delegator.amountRestaked,
+          delegationTimestamp: delegator.delegationTimestamp,
+        })),
+        ["amountRestaked"],
+        tokens
+      ),
+      splits: {
+        defaultSplitBips,
+        current: splits.map((split) => ({
+          avsAddress: split.avsAddress,
+          splitBips: split.splitBips,
+          isDefault: split.isDefault,
+          activatedAt: split.activatedAt,
+        })),
+        upcoming: upcomingSplits,
+        history: splitHistory.map((change) => ({
+          avsAddress: change.avsAddress,
+          oldSplitBips: change.oldSplitBips,
+          newSplitBips: change.newSplitBips,
+          isIncrease: change.newSplitBips > change.oldSplitBips,
+          setAt: change.timestamp,
+          activatedAt: change.activatedAt,
+          transactionHash: change.transactionHash,
+        })),
+      },
+      valuation,
+      yield: operatorYield,
     };
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      asOf: snapshot && {
+        snapshotDate: snapshot.snapshotDate,
+        timestamp: snapshot.timestamp,
+        blockNumber: snapshot.blockNumber,
+      },
       data: enrichedValidator,
     });
   } catch (error) {
@@ -172,64 +472,52 @@ const getValidatorsStats = async (req, res, next) => {
       status: "inactive",
     });
 
-    // Total delegated stake
-    const totalStakeResult = await Validator.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalStake: { $sum: { $toDouble: "$totalDelegatedStakeStETH" } },
-          averageStake: { $avg: { $toDouble: "$totalDelegatedStakeStETH" } },
-        },
-      },
-    ]);
-
-    const totalStake =
-      totalStakeResult.length > 0 ? totalStakeResult[0].totalStake : 0;
-    const averageStake =
-      totalStakeResult.length > 0 ? totalStakeResult[0].averageStake : 0;
+    // Delegated stake per strategy, and per token in underlying units.
+    // Shares of different strategies cannot be added up.
+    const tokens = await Strategy.getUnderlyingTokens();
+    const rates = await Strategy.getRateMap();
+    const stakeByStrategy = (await Validator.getStrategyTotals()).map(
+      (total) => ({
+        strategyAddress: total._id,
+        tokenSymbol: total.tokenSymbol,
+        totalShares: total.totalShares,
+        totalUnderlying: rates.has(total._id)
+          ? sharesToUnderlying(total.totalShares, rates.get(total._id))
+          : null,
+        validatorCount: total.validatorCount,
+      })
+    );
 
-    // Top validators by stake
-    const topValidatorsByStake = await Validator.find({})
-      .sort({ totalDelegatedStakeStETH: -1 })
-      .limit(5)
-      .select(
-        "operatorAddress operatorName totalDelegatedStakeStETH delegatorCount status"
-      )
-      .lean();
+    // Top validators by stake in the ?token= they are ranked in
+    const stakeToken = buildStakeToken(req.query.token, tokens);
+    const { validators: topValidatorsByStake } =
+      await Validator.listByTokenStake(
+        {},
+        tokenStakeExpression("stakeByStrategy", "underlyingAmount", stakeToken),
+        { sort: { tokenStake: -1, _id: -1 }, limit: 5 }
+      );
 
     // Validators with most delegators
     const topValidatorsByDelegators = await Validator.find({})
       .sort({ delegatorCount: -1 })
       .limit(5)
       .select(
-        "operatorAddress operatorName delegatorCount totalDelegatedStakeStETH status"
+        "operatorAddress operatorName delegatorCount stakeByStrategy status"
       )
       .lean();
 
-    // Slash statistics
-    const slashStats = await Validator.aggregate([
-      { $unwind: { path: "$slashHistory", preserveNullAndEmptyArrays: true } },
-      {
-        $group: {
-          _id: null,
-          totalSlashEvents: {
-            $sum: { $cond: [{ $ifNull: ["$slashHistory", false] }, 1, 0] },
-          },
-          totalSlashedAmount: {
-            $sum: {
-              $toDouble: { $ifNull: ["$slashHistory.amountStETH", "0"] },
-            },
-          },
-        },
-      },
-    ]);
-
-    const slashData =
-      slashStats.length > 0
-        ? slashStats[0]
-        : { totalSlashEvents: 0, totalSlashedAmount: 0 };
+    // Slash statistics, from the slash events. Shares are totalled per
+    // strategy, as shares of different strategies cannot be added up.
+    const totalSlashEvents = (await SlashEvent.distinct("eventId")).length;
+    const slashedByStrategy = formatStrategyAmounts(
+      (await SlashEvent.getStrategyTotals()).map(
+        ({ slashRate, ...total }) => total
+      ),
+      ["sharesSlashed"],
+      tokens
+    );
 
-    // Commission distribution
+    // Commission distribution, from the splits operators keep
     const commissionStats = await Validator.aggregate([
       {
         $group: {
@@ -242,6 +530,7 @@ const getValidatorsStats = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
       data: {
         overview: {
           totalValidators,
@@ -249,19 +538,48 @@ const getValidatorsStats = async (req, res, next) => {
           jailedValidators,
           slashedValidators,
           inactiveValidators,
-          totalDelegatedStake: totalStake.toFixed(2),
-          averageDelegatedStake: averageStake.toFixed(2),
+          stakeByStrategy: formatStrategyAmounts(
+            stakeByStrategy,
+            ["totalShares", "totalUnderlying"],
+            tokens
+          ),
+          stakeByToken: totalsByToken(
+            stakeByStrategy,
+            ["totalUnderlying"],
+            tokens
+          ),
         },
         slashing: {
-          totalSlashEvents: slashData.totalSlashEvents,
-          totalSlashedAmount: slashData.totalSlashedAmount.toFixed(2),
+          totalSlashEvents,
+          slashedByStrategy,
           validatorsSlashed: slashedValidators,
         },
         topValidators: {
-          byStake: topValidatorsByStake,
-          byDelegators: topValidatorsByDelegators,
+          byStake: topValidatorsByStake.map((validator) => ({
+            operatorAddress: validator.operatorAddress,
+            operatorName: validator.operatorName,
+            tokenAddress: stakeToken.tokenAddress,
+            tokenStake: formatTokenAmount(
+              validator.tokenStake,
+              stakeToken.decimals
+            ),
+            delegatorCount: validator.delegatorCount,
+            status: validator.status,
+          })),
+          byDelegators: topValidatorsByDelegators.map(
+            ({ stakeByStrategy: stakes, ...validator }) => ({
+              ...validator,
+              stakeByToken: totalsByToken(stakes, ["underlyingAmount"], tokens),
+            })
+          ),
         },
         commissionDistribution: commissionStats,
+        splits: {
+          defaultSplitBips: await OperatorSplit.getDefaultSplitAt(),
+          validatorsWithPendingIncrease: await Validator.countDocuments({
+            pendingSplitIncrease: true,
+          }),
+        },
       },
     });
   } catch (error) {
@@ -269,48 +587,123 @@ const getValidatorsStats = async (req, res, next) => {
   }
 };
 
-// Get slash history across all validators
+// Get slash events across all validators, one per slashed strategy
 const getSlashHistory = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const {
+      page = 1,
+      limit = 20,
+      operator,
+      avs,
+      strategy,
+      from,
+      to,
+      fromBlock,
+      toBlock,
+      minAmount,
+      source,
+    } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    const operatorFilter = buildAddressFilter(operator, "operator");
+    if (operatorFilter) {
+      filter.operatorAddress = operatorFilter;
+    }
+
+    const avsFilter = buildAddressFilter(avs, "AVS");
+    if (avsFilter) {
+      filter.avsAddress = avsFilter;
+    }
+
+    const strategyFilter = buildAddressFilter(strategy, "strategy");
+    if (strategyFilter) {
+      filter.strategyAddress = strategyFilter;
+    }
+
+    const dateRange = buildDateRange(from, to);
+    if (dateRange) {
+      filter.timestamp = dateRange;
+    }
+
+    const blockRange = buildBlockRange(fromBlock, toBlock);
+    if (blockRange) {
+      filter.blockNumber = blockRange;
+    }
+
+    const amountRange = buildAmountRange(minAmount);
+    if (amountRange) {
+      filter.amountSlashed = amountRange;
+    }
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Get all validators with slash history
-    const validatorsWithSlashes = await Validator.find({
-      "slashHistory.0": { $exists: true },
+    const slashEvents = await SlashEvent.find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await SlashEvent.countDocuments(filter);
+
+    // Get operator information for the events on this page
+    const validators = await Validator.find({
+      operatorAddress: {
+        $in: [...new Set(slashEvents.map((event) => event.operatorAddress))],
+      },
     })
-      .select("operatorAddress operatorName slashHistory status")
+      .select("operatorAddress operatorName status")
       .lean();
+    const validatorMap = new Map(
+      validators.map((validator) => [validator.operatorAddress, validator])
+    );
 
-    // Flatten slash events with validator info
-    const allSlashEvents = [];
-    validatorsWithSlashes.forEach((validator) => {
-      validator.slashHistory.forEach((slash) => {
-        allSlashEvents.push({
-          ...slash,
-          validatorAddress: validator.operatorAddress,
-          validatorName: validator.operatorName,
-          validatorStatus: validator.status,
-        });
-      });
-    });
+    const tokens = await Strategy.getUnderlyingTokens();
+    const data = slashEvents.map((event) => {
+      const validator = validatorMap.get(event.operatorAddress);
 
-    // Sort by timestamp (most recent first)
-    allSlashEvents.sort((a, b) => b.timestamp - a.timestamp);
+      return {
+        ...formatStrategyAmounts(
+          [formatAmounts(event, ["wadSlashed"])],
+          ["amountSlashed"],
+          tokens
+        )[0],
+        validatorName: validator?.operatorName || null,
+        validatorStatus: validator?.status || null,
+      };
+    });
 
-    // Apply pagination
-    const paginatedEvents = allSlashEvents.slice(skip, skip + parseInt(limit));
-    const total = allSlashEvents.length;
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.status(200).json({
       success: true,
-      data: paginatedEvents,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data,
       pagination: {
         current: parseInt(page),
         pages: totalPages,
-        count: paginatedEvents.length,
+        count: data.length,
         total: total,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1,
+      },
+      filters: {
+        operator,
+        avs,
+        strategy,
+        from,
+        to,
+        fromBlock,
+        toBlock,
+        minAmount,
+        source,
       },
     });
   } catch (error) {
@@ -347,33 +740,27 @@ const getValidatorPerformance = async (req, res, next) => {
     const daysSinceRegistration =
       (Date.now() - validator.registrationTimestamp.getTime()) /
       (1000 * 60 * 60 * 24);
-    const totalSlashedAmount = validator.slashHistory.reduce(
-      (sum, slash) => sum + parseFloat(slash.amountStETH || 0),
-      0
+    // Shares slashed per strategy, and the percentage of the operator's
+    // allocation to it the slashes took
+    const tokens = await Strategy.getUnderlyingTokens();
+    const slashedByStrategy = formatStrategyAmounts(
+      await SlashEvent.getStrategyTotals({
+        operatorAddress: address.toLowerCase(),
+      }),
+      ["sharesSlashed"],
+      tokens
     );
-
-    const slashRate =
-      (totalSlashedAmount / parseFloat(validator.totalDelegatedStakeStETH)) *
-      100;
     const uptime = validator.status === "active" ? 99.9 : 95.0; // Mock uptime calculation
 
-    // Get delegation growth over time (simplified)
-    const delegationHistory = await Restaker.find({
-      targetAVSOperatorAddress: address.toLowerCase(),
+    // Delegated stake per token at the operator's last 30 daily snapshots
+    const snapshots = await OperatorSnapshot.find({
+      operatorAddress: address.toLowerCase(),
     })
-      .sort({ delegationTimestamp: 1 })
-      .select("amountRestakedStETH delegationTimestamp")
+      .sort({ snapshotDate: -1 })
+      .limit(30)
+      .select("snapshotDate stakeByStrategy")
       .lean();
 
-    let cumulativeStake = 0;
-    const stakeGrowth = delegationHistory.map((delegation) => {
-      cumulativeStake += parseFloat(delegation.amountRestakedStETH);
-      return {
-        timestamp: delegation.delegationTimestamp,
-        cumulativeStake: cumulativeStake.toFixed(2),
-      };
-    });
-
     const performanceMetrics = {
       validator: {
         operatorAddress: validator.operatorAddress,
@@ -382,20 +769,35 @@ const getValidatorPerformance = async (req, res, next) => {
       },
       metrics: {
         daysSinceRegistration: Math.floor(daysSinceRegistration),
-        totalDelegatedStake: validator.totalDelegatedStakeStETH,
+        stakeByToken: totalsByToken(
+          validator.stakeByStrategy,
+          ["underlyingAmount"],
+          tokens
+        ),
         delegatorCount: validator.delegatorCount,
         commission: validator.commission,
         slashCount: validator.slashHistory.length,
-        totalSlashedAmount: totalSlashedAmount.toFixed(2),
-        slashRate: slashRate.toFixed(4),
+        slashedByStrategy,
         estimatedUptime: uptime,
       },
-      stakeGrowth: stakeGrowth.slice(-30), // Last 30 delegation events
-      recentSlashes: validator.slashHistory.slice(-5), // Last 5 slash events
+      stakeGrowth: snapshots.reverse().map((snapshot) => ({
+        timestamp: snapshot.snapshotDate,
+        stakeByToken: totalsByToken(
+          snapshot.stakeByStrategy,
+          ["underlyingAmount"],
+          tokens
+        ),
+      })),
+      // Last 5 slash events
+      recentSlashes: Validator.formatAmounts(
+        validator,
+        tokens
+      ).slashHistory.slice(-5),
     };
 
     res.status(200).json({
       success: true,
+      dataAsOf: await SyncState.getDataAsOf([...DATASETS, ...HISTORY_DATASETS]),
       data: performanceMetrics,
     });
   } catch (error) {
@@ -403,10 +805,102 @@ const getValidatorPerformance = async (req, res, next) => {
   }
 };
 
+// Get a validator's delegated stake and delegator count over time, per
+// strategy in its underlying token, from its daily snapshots
+const getValidatorStakeHistory = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { interval, from, to } = req.query;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    const range = buildSeriesRange(interval, from, to);
+
+    const validator = await Validator.findOne({
+      operatorAddress: address.toLowerCase(),
+    })
+      .select("operatorAddress operatorName")
+      .lean();
+
+    if (!validator) {
+      return res.status(404).json({
+        success: false,
+        error: "Validator not found",
+      });
+    }
+
+    // Each point shows the snapshot run it closed on. Runs cover every
+    // operator, so one the validator is missing from had no stake then.
+    const closing = closingSnapshots(
+      range,
+      await OperatorSnapshot.getRunDates(range.to)
+    );
+    const snapshots = await OperatorSnapshot.find({
+      operatorAddress: address.toLowerCase(),
+      snapshotDate: { $in: [...new Set(closing.filter(Boolean))] },
+    })
+      .select("snapshotDate stakeByStrategy delegatorCount")
+      .lean();
+    const delegatorCounts = new Map(
+      snapshots.map((snapshot) => [
+        snapshot.snapshotDate.getTime(),
+        snapshot.delegatorCount,
+      ])
+    );
+
+    const series = buildStakeSeries(
+      range,
+      closing,
+      snapshots.flatMap((snapshot) =>
+        snapshot.stakeByStrategy.map((stake) => ({
+          snapshotDate: snapshot.snapshotDate,
+          strategyAddress: stake.strategyAddress,
+          tokenSymbol: stake.tokenSymbol,
+          totalUnderlying: stake.underlyingAmount,
+        }))
+      ),
+      await Strategy.getUnderlyingTokens()
+    );
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(HISTORY_DATASETS),
+      data: {
+        operatorAddress: validator.operatorAddress,
+        operatorName: validator.operatorName,
+        history: series.map((point) => ({
+          timestamp: point.timestamp,
+          snapshotDate: point.snapshotDate,
+          delegatorCount: point.snapshotDate
+            ? delegatorCounts.get(point.snapshotDate.getTime()) || 0
+            : 0,
+          strategies: point.strategies,
+        })),
+      },
+      range: {
+        interval: range.interval,
+        from: range.from,
+        to: range.to,
+        points: range.points,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getValidators,
   getValidatorByAddress,
   getValidatorsStats,
   getSlashHistory,
   getValidatorPerformance,
+  getValidatorStakeHistory,
 };
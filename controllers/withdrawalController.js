@@ -0,0 +1,210 @@
+const Withdrawal = require("../models/Withdrawal");
+const Strategy = require("../models/Strategy");
+const SyncState = require("../models/SyncState");
+const DataFetcher = require("../utils/dataFetcher");
+const { formatStrategyAmounts } = require("../utils/amounts");
+const {
+  badRequest,
+  buildAddressFilter,
+  buildSourceFilter,
+} = require("../utils/queryHelpers");
+
+// Synced datasets these responses are built from
+const DATASETS = ["withdrawalsQueued", "undelegations", "withdrawalsCompleted"];
+
+const WITHDRAWAL_STATUSES = ["queued", "completed", "all"];
+
+// Flag queued withdrawals whose delay has passed, with the shares of each
+// strategy in its token decimals (see Strategy.getUnderlyingTokens)
+const formatWithdrawal = (withdrawal, now, tokens) => ({
+  ...withdrawal,
+  strategies: formatStrategyAmounts(withdrawal.strategies, ["shares"], tokens),
+  completable:
+    withdrawal.status === "queued" &&
+    Boolean(withdrawal.completableAt) &&
+    withdrawal.completableAt <= now,
+});
+
+// Get the withdrawals of a user address, newest first
+const getWithdrawalsByAddress = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { page = 1, limit = 10, status = "all", source } = req.query;
+    const dataFetcher = new DataFetcher();
+
+    // Validate address format
+    if (!dataFetcher.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Ethereum address format",
+      });
+    }
+
+    if (!WITHDRAWAL_STATUSES.includes(status)) {
+      throw badRequest(
+        `Invalid status "${status}". Allowed: ${WITHDRAWAL_STATUSES.join(", ")}`
+      );
+    }
+
+    const filter = { stakerAddress: address.toLowerCase() };
+
+    if (status !== "all") {
+      filter.status = status;
+    }
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const withdrawals = await Withdrawal.find(filter)
+      .sort({ startBlock: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Withdrawal.countDocuments(filter);
+    const pendingTotals = await Withdrawal.getPendingTotals({
+      stakerAddress: address.toLowerCase(),
+    });
+
+    const tokens = await Strategy.getUnderlyingTokens();
+    const now = new Date();
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: {
+        userAddress: address.toLowerCase(),
+        withdrawals: withdrawals.map((withdrawal) =>
+          formatWithdrawal(withdrawal, now, tokens)
+        ),
+        pendingTotals: formatStrategyAmounts(
+          pendingTotals.map((pending) => ({
+            strategyAddress: pending._id,
+            tokenSymbol: pending.tokenSymbol,
+            totalShares: pending.totalShares,
+            withdrawalCount: pending.withdrawalCount,
+          })),
+          ["totalShares"],
+          tokens
+        ),
+      },
+      pagination: {
+        current: parseInt(page),
+        pages: totalPages,
+        count: withdrawals.length,
+        total: total,
+      },
+      filters: {
+        status,
+        source,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get queued withdrawals across the protocol, soonest completable first
+const getPendingWithdrawals = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      operator,
+      strategy,
+      completable,
+      source,
+    } = req.query;
+
+    // Build filter object
+    const filter = { status: "queued" };
+
+    const operatorFilter = buildAddressFilter(operator, "operator");
+    if (operatorFilter) {
+      filter.operatorAddress = operatorFilter;
+    }
+
+    const strategyFilter = buildAddressFilter(strategy, "strategy");
+    if (strategyFilter) {
+      filter["strategies.strategyAddress"] = strategyFilter;
+    }
+
+    const now = new Date();
+    if (completable === "true") {
+      filter.completableAt = { $lte: now };
+    } else if (completable === "false") {
+      filter.completableAt = { $gt: now };
+    }
+
+    const sourceFilter = buildSourceFilter(source);
+    if (sourceFilter) {
+      filter.source = sourceFilter;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const withdrawals = await Withdrawal.find(filter)
+      .sort({ completableAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Withdrawal.countDocuments(filter);
+
+    // Totals cover every strategy of the matching withdrawals, so keep only
+    // the requested one
+    const pendingTotals = (await Withdrawal.getPendingTotals(filter)).filter(
+      (pending) => !strategyFilter || pending._id === strategyFilter
+    );
+
+    const tokens = await Strategy.getUnderlyingTokens();
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      dataAsOf: await SyncState.getDataAsOf(DATASETS),
+      data: withdrawals.map((withdrawal) =>
+        formatWithdrawal(withdrawal, now, tokens)
+      ),
+      totals: formatStrategyAmounts(
+        pendingTotals.map((pending) => ({
+          strategyAddress: pending._id,
+          tokenSymbol: pending.tokenSymbol,
+          totalShares: pending.totalShares,
+          withdrawalCount: pending.withdrawalCount,
+          stakerCount: pending.stakerCount,
+        })),
+        ["totalShares"],
+        tokens
+      ),
+      pagination: {
+        current: parseInt(page),
+        pages: totalPages,
+        count: withdrawals.length,
+        total: total,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1,
+      },
+      filters: {
+        operator,
+        strategy,
+        completable,
+        source,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWithdrawalsByAddress,
+  getPendingWithdrawals,
+};
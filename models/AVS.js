@@ -0,0 +1,246 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+const operatorRegistrationSchema = new mongoose.Schema(
+  {
+    operatorAddress: {
+      type: String,
+      required: [true, "Operator address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["registered", "deregistered"],
+      required: [true, "Registration status is required"],
+    },
+    registeredAt: {
+      type: Date,
+      default: null,
+    },
+    updatedAt: {
+      type: Date,
+      required: [true, "Update time is required"],
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const restakedStrategySchema = new mongoose.Schema(
+  {
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    totalShares: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: "0",
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    // Null while the strategy's rate is unknown
+    totalUnderlying: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+  },
+  { _id: false }
+);
+
+const avsSchema = new mongoose.Schema(
+  {
+    avsAddress: {
+      type: String,
+      required: [true, "AVS address is required"],
+      unique: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+      index: true,
+    },
+    metadata: {
+      metadataURI: {
+        type: String,
+        trim: true,
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Name cannot be more than 100 characters"],
+      },
+      website: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Website URL cannot be more than 200 characters"],
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Description cannot be more than 1000 characters"],
+      },
+      logo: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Logo URL cannot be more than 500 characters"],
+      },
+      twitter: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Twitter URL cannot be more than 200 characters"],
+      },
+      fetchedAt: {
+        type: Date,
+        default: null,
+      },
+      fetchError: {
+        type: String,
+        default: null,
+      },
+    },
+    // Block of the AVSMetadataURIUpdated event the metadata came from
+    metadataBlock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    operators: [operatorRegistrationSchema],
+    operatorCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Securing stake is kept per strategy, since shares of different
+    // strategies are not interchangeable
+    restakedStrategies: [restakedStrategySchema],
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+      index: true,
+    },
+    lastUpdated: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "avs",
+  }
+);
+
+// Indexes for better query performance
+avsSchema.index({ "operators.operatorAddress": 1, "operators.status": 1 });
+avsSchema.index({ operatorCount: -1 });
+avsSchema.index({ lastUpdated: -1 });
+
+// Pre-save middleware to update lastUpdated
+avsSchema.pre("save", function (next) {
+  this.lastUpdated = new Date();
+  next();
+});
+
+// Static method to find by AVS address
+avsSchema.statics.findByAVSAddress = function (address) {
+  return this.findOne({ avsAddress: address.toLowerCase() });
+};
+
+// Static method to find the AVSs an operator is currently registered to
+avsSchema.statics.findByOperator = function (operatorAddress) {
+  return this.find({
+    operators: {
+      $elemMatch: {
+        operatorAddress: operatorAddress.toLowerCase(),
+        status: "registered",
+      },
+    },
+  });
+};
+
+// Instance method to list the currently registered operator addresses
+avsSchema.methods.getRegisteredOperators = function () {
+  return this.operators
+    .filter((operator) => operator.status === "registered")
+    .map((operator) => operator.operatorAddress);
+};
+
+// Static method to find the AVSs an operator was registered to at a time.
+// Registrations keep their latest registration and status change, so an
+// operator that has since deregistered was still registered before
+// updatedAt.
+avsSchema.statics.findByOperatorAsOf = function (operatorAddress, at) {
+  return this.find({
+    operators: {
+      $elemMatch: {
+        operatorAddress: operatorAddress.toLowerCase(),
+        registeredAt: { $lte: at },
+        $or: [{ status: "registered" }, { updatedAt: { $gt: at } }],
+      },
+    },
+  });
+};
+
+// Static method to page through AVSs without their registrations, given a
+// tokenStake expression (see tokenStakeExpression in utils/queryHelpers)
+// totalling the securing stake of one token, which sort and stakeRange may
+// refer to
+avsSchema.statics.listByTokenStake = async function (
+  filter,
+  tokenStake,
+  { stakeRange = null, sort, skip = 0, limit = 10 }
+) {
+  const [result] = await this.aggregate([
+    { $match: filter },
+    { $project: { operators: 0 } },
+    { $addFields: { tokenStake } },
+    ...(stakeRange ? [{ $match: { tokenStake: stakeRange } }] : []),
+    {
+      $facet: {
+        avsList: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    avsList: result.avsList,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+  };
+};
+
+module.exports = mongoose.model("AVS", avsSchema);
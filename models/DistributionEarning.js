@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+// An earner's cumulative earnings in one token as of a distribution root,
+// loaded from that root's distribution snapshot
+const distributionEarningSchema = new mongoose.Schema(
+  {
+    rootIndex: {
+      type: Number,
+      required: [true, "Root index is required"],
+      min: 0,
+    },
+    root: {
+      type: String,
+      required: [true, "Root is required"],
+      lowercase: true,
+    },
+    earnerAddress: {
+      type: String,
+      required: [true, "Earner address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    tokenAddress: {
+      type: String,
+      required: [true, "Token address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    // Token units earned since the first distribution
+    cumulativeAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Cumulative amount is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "distribution_earnings",
+  }
+);
+
+distributionEarningSchema.index(
+  { earnerAddress: 1, tokenAddress: 1, rootIndex: -1 },
+  { unique: true }
+);
+
+// Static method to find an earner's cumulative earnings per token in the
+// latest snapshot loaded for it, or an empty list
+distributionEarningSchema.statics.findLatestForEarner = async function (
+  earnerAddress
+) {
+  const address = earnerAddress.toLowerCase();
+  const latest = await this.findOne({ earnerAddress: address })
+    .sort({ rootIndex: -1 })
+    .select("rootIndex")
+    .lean();
+  if (!latest) {
+    return [];
+  }
+
+  return this.find({
+    earnerAddress: address,
+    rootIndex: latest.rootIndex,
+  }).lean();
+};
+
+module.exports = mongoose.model(
+  "DistributionEarning",
+  distributionEarningSchema
+);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { SOURCES } = require("../config/sources");
+
+// A rewards distribution root posted to the RewardsCoordinator by a
+// DistributionRootSubmitted event. Claims against it open at activatedAt.
+const distributionRootSchema = new mongoose.Schema(
+  {
+    rootIndex: {
+      type: Number,
+      required: [true, "Root index is required"],
+      unique: true,
+      min: 0,
+    },
+    root: {
+      type: String,
+      required: [true, "Root is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid root!`,
+      },
+    },
+    // Rewards earned up to this time are included in the root
+    rewardsCalculationEndTimestamp: {
+      type: Date,
+      required: [true, "Calculation end timestamp is required"],
+    },
+    activatedAt: {
+      type: Date,
+      required: [true, "Activation timestamp is required"],
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "distribution_roots",
+  }
+);
+
+distributionRootSchema.index({ activatedAt: -1 });
+
+// Static method to find the latest root, or the latest one claims can
+// already be made against
+distributionRootSchema.statics.findLatest = function ({
+  activeAt = null,
+} = {}) {
+  return this.findOne(activeAt ? { activatedAt: { $lte: activeAt } } : {})
+    .sort({ rootIndex: -1 })
+    .lean();
+};
+
+module.exports = mongoose.model("DistributionRoot", distributionRootSchema);
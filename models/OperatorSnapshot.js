@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+const strategyStakeSchema = new mongoose.Schema(
+  {
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    shares: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: "0",
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    underlyingAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+  },
+  { _id: false }
+);
+
+// An operator's stake and delegators as stored on one day. Snapshots are
+// append-only: the first one taken each day is kept.
+const operatorSnapshotSchema = new mongoose.Schema(
+  {
+    operatorAddress: {
+      type: String,
+      required: [true, "Operator address is required"],
+      lowercase: true,
+    },
+    // Start of the UTC day the snapshot belongs to
+    snapshotDate: {
+      type: Date,
+      required: [true, "Snapshot date is required"],
+    },
+    // When the snapshot was taken, and the latest block synced by then
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    stakeByStrategy: [strategyStakeSchema],
+    delegatorCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["active", "jailed", "slashed", "inactive", "deregistered"],
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "operator_snapshots",
+  }
+);
+
+operatorSnapshotSchema.index(
+  { operatorAddress: 1, snapshotDate: 1 },
+  { unique: true }
+);
+operatorSnapshotSchema.index({ snapshotDate: -1 });
+operatorSnapshotSchema.index({ timestamp: -1 });
+operatorSnapshotSchema.index({ blockNumber: -1 });
+
+// Static method to find the latest snapshot run at or before asOf, given as
+// { blockNumber } or { timestamp }. Runs cover every document, so a
+// document missing from the run did not exist at the time.
+operatorSnapshotSchema.statics.findRunAsOf = function (asOf) {
+  const field = asOf.blockNumber !== undefined ? "blockNumber" : "timestamp";
+  return this.findOne({ [field]: { $lte: asOf[field] } })
+    .sort({ [field]: -1 })
+    .select("snapshotDate timestamp blockNumber")
+    .lean();
+};
+
+// Static method to list the dates of the snapshot runs up to a time
+operatorSnapshotSchema.statics.getRunDates = function (until) {
+  return this.distinct("snapshotDate", { snapshotDate: { $lte: until } });
+};
+
+module.exports = mongoose.model("OperatorSnapshot", operatorSnapshotSchema);
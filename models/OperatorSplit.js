@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+const { SOURCES } = require("../config/sources");
+const { DEFAULT_OPERATOR_SPLIT_BIPS } = require("../config/contracts");
+
+// One change to the share of rewards an operator keeps, in bips. "avs"
+// splits are set by an operator for one AVS and take effect at activatedAt;
+// "default" splits are set by the RewardsCoordinator owner and apply to
+// every operator and AVS without a split of its own.
+const operatorSplitSchema = new mongoose.Schema(
+  {
+    // Subgraph id of the event (transaction hash and log index)
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+      unique: true,
+      lowercase: true,
+    },
+    splitType: {
+      type: String,
+      enum: ["avs", "default"],
+      required: [true, "Split type is required"],
+    },
+    // Null for default splits
+    operatorAddress: {
+      type: String,
+      lowercase: true,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    avsAddress: {
+      type: String,
+      lowercase: true,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    oldSplitBips: {
+      type: Number,
+      required: [true, "Previous split is required"],
+      min: 0,
+      max: 10000,
+    },
+    newSplitBips: {
+      type: Number,
+      required: [true, "New split is required"],
+      min: 0,
+      max: 10000,
+    },
+    activatedAt: {
+      type: Date,
+      required: [true, "Activation time is required"],
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "operator_splits",
+  }
+);
+
+operatorSplitSchema.index({
+  operatorAddress: 1,
+  avsAddress: 1,
+  activatedAt: 1,
+});
+operatorSplitSchema.index({ splitType: 1, activatedAt: -1 });
+
+// Static method to load an operator's split changes, oldest first
+operatorSplitSchema.statics.getSplitHistory = function (operatorAddress) {
+  return this.find({
+    splitType: "avs",
+    operatorAddress: operatorAddress.toLowerCase(),
+  })
+    .sort({ activatedAt: 1, blockNumber: 1 })
+    .lean();
+};
+
+// Static method to find the default split in effect at a time, falling back
+// to DEFAULT_OPERATOR_SPLIT_BIPS before any change was synced
+operatorSplitSchema.statics.getDefaultSplitAt = async function (
+  at = new Date()
+) {
+  const latest = await this.findOne({
+    splitType: "default",
+    activatedAt: { $lte: at },
+  })
+    .sort({ activatedAt: -1, blockNumber: -1 })
+    .lean();
+  return latest ? latest.newSplitBips : DEFAULT_OPERATOR_SPLIT_BIPS;
+};
+
+module.exports = mongoose.model("OperatorSplit", operatorSplitSchema);
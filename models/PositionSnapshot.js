@@ -0,0 +1,227 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A restaking position as stored on one day. Snapshots are append-only:
+// the first one taken each day is kept.
+const positionSnapshotSchema = new mongoose.Schema(
+  {
+    userAddress: {
+      type: String,
+      required: [true, "User address is required"],
+      lowercase: true,
+    },
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+    },
+    targetAVSOperatorAddress: {
+      type: String,
+      required: [true, "Target AVS operator address is required"],
+      lowercase: true,
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    amountRestaked: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Amount restaked is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    amountUnderlying: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    delegationTimestamp: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ["active", "unstaking", "withdrawn"],
+    },
+    // Start of the UTC day the snapshot belongs to
+    snapshotDate: {
+      type: Date,
+      required: [true, "Snapshot date is required"],
+    },
+    // When the snapshot was taken, and the latest block synced by then
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "position_snapshots",
+  }
+);
+
+positionSnapshotSchema.index(
+  {
+    userAddress: 1,
+    strategyAddress: 1,
+    targetAVSOperatorAddress: 1,
+    snapshotDate: 1,
+  },
+  { unique: true }
+);
+positionSnapshotSchema.index({ userAddress: 1, snapshotDate: -1 });
+positionSnapshotSchema.index({ targetAVSOperatorAddress: 1, snapshotDate: -1 });
+positionSnapshotSchema.index({ snapshotDate: -1 });
+positionSnapshotSchema.index({ timestamp: -1 });
+positionSnapshotSchema.index({ blockNumber: -1 });
+
+// Static method to find the latest snapshot run at or before asOf, given as
+// { blockNumber } or { timestamp }. Runs cover every document, so a
+// document missing from the run did not exist at the time.
+positionSnapshotSchema.statics.findRunAsOf = function (asOf) {
+  const field = asOf.blockNumber !== undefined ? "blockNumber" : "timestamp";
+  return this.findOne({ [field]: { $lte: asOf[field] } })
+    .sort({ [field]: -1 })
+    .select("snapshotDate timestamp blockNumber")
+    .lean();
+};
+
+// Static method to total a wallet's snapshot positions per strategy,
+// optionally only those from one source
+positionSnapshotSchema.statics.getStrategyTotals = function (
+  address,
+  snapshotDate,
+  sourceFilter
+) {
+  return this.aggregate([
+    {
+      $match: {
+        userAddress: address.toLowerCase(),
+        snapshotDate,
+        ...(sourceFilter && { source: sourceFilter }),
+      },
+    },
+    {
+      $group: {
+        _id: "$strategyAddress",
+        tokenSymbol: { $first: "$tokenSymbol" },
+        totalAmount: { $sum: "$amountRestaked" },
+        positionCount: { $sum: 1 },
+        operators: { $addToSet: "$targetAVSOperatorAddress" },
+      },
+    },
+    { $sort: { totalAmount: -1 } },
+  ]);
+};
+
+// Static method to list the dates of the snapshot runs up to a time
+positionSnapshotSchema.statics.getRunDates = function (until) {
+  return this.distinct("snapshotDate", { snapshotDate: { $lte: until } });
+};
+
+// Static method to total the underlying amounts still staked per snapshot
+// run and strategy, for the given runs. A total is null when any of its
+// positions has no known underlying amount.
+positionSnapshotSchema.statics.getStrategyHistory = async function (
+  match,
+  snapshotDates
+) {
+  const totals = await this.aggregate([
+    {
+      $match: {
+        ...match,
+        snapshotDate: { $in: snapshotDates },
+        status: { $ne: "withdrawn" },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          snapshotDate: "$snapshotDate",
+          strategyAddress: "$strategyAddress",
+        },
+        tokenSymbol: { $first: "$tokenSymbol" },
+        totalUnderlying: { $sum: "$amountUnderlying" },
+        unknownCount: {
+          $sum: {
+            $cond: [{ $eq: [{ $type: "$amountUnderlying" }, "decimal"] }, 0, 1],
+          },
+        },
+      },
+    },
+  ]);
+
+  return totals.map((total) => ({
+    snapshotDate: total._id.snapshotDate,
+    strategyAddress: total._id.strategyAddress,
+    tokenSymbol: total.tokenSymbol,
+    totalUnderlying: total.unknownCount > 0 ? null : total.totalUnderlying,
+  }));
+};
+
+// Static method to total stake in underlying units multiplied by the ms it
+// was held between start (null for all time) and end, per group and
+// strategy. Each daily snapshot stands for its position until the next day.
+// Only active positions earn, and positions whose underlying amount is
+// unknown are left out rather than counted in shares.
+positionSnapshotSchema.statics.getStakeTime = function (
+  match,
+  start,
+  end,
+  groupBy = {}
+) {
+  const snapshotDate = { $lt: end };
+  if (start) {
+    snapshotDate.$gt = new Date(start.getTime() - DAY_MS);
+  }
+
+  return this.aggregate([
+    {
+      $match: {
+        ...match,
+        snapshotDate,
+        status: "active",
+        amountUnderlying: { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: { ...groupBy, strategyAddress: "$strategyAddress" },
+        stakeTime: {
+          $sum: {
+            $multiply: [
+              "$amountUnderlying",
+              {
+                $subtract: [
+                  { $min: [end, { $add: ["$snapshotDate", DAY_MS] }] },
+                  { $max: [start, "$snapshotDate"] },
+                ],
+              },
+            ],
+          },
+        },
+        firstStaked: { $min: "$snapshotDate" },
+      },
+    },
+  ]);
+};
+
+module.exports = mongoose.model("PositionSnapshot", positionSnapshotSchema);
@@ -1,11 +1,12 @@
 const mongoose = require("mongoose");
+const { isWeiAmount, toBigInt } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
 
 const restakerSchema = new mongoose.Schema(
   {
     userAddress: {
       type: String,
       required: [true, "User address is required"],
-      unique: true,
       lowercase: true,
       validate: {
         validator: function (v) {
@@ -15,14 +16,50 @@ const restakerSchema = new mongoose.Schema(
       },
       index: true,
     },
-    amountRestakedStETH: {
+    strategyAddress: {
       type: String,
-      required: [true, "Amount restaked is required"],
+      required: [true, "Strategy address is required"],
+      lowercase: true,
       validate: {
         validator: function (v) {
-          return !isNaN(parseFloat(v)) && parseFloat(v) >= 0;
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
         },
-        message: (props) => `${props.value} is not a valid amount!`,
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+      index: true,
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    amountRestaked: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Amount restaked is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    // Shares deposited into the strategy in total, for sources that report
+    // deposits; amountRestaked is then this less the shares of completed
+    // withdrawals. Null for sources that report current shares.
+    amountDeposited: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    // amountRestaked (strategy shares) converted to underlying token units
+    // at the strategy's latest rate, or null while the rate is unknown
+    amountUnderlying: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid wei amount!`,
       },
     },
     targetAVSOperatorAddress: {
@@ -60,6 +97,12 @@ const restakerSchema = new mongoose.Schema(
       enum: ["active", "unstaking", "withdrawn"],
       default: "active",
     },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+      index: true,
+    },
     lastUpdated: {
       type: Date,
       default: Date.now,
@@ -71,21 +114,65 @@ const restakerSchema = new mongoose.Schema(
   }
 );
 
+// One position per (wallet, strategy, operator)
+restakerSchema.index(
+  { userAddress: 1, strategyAddress: 1, targetAVSOperatorAddress: 1 },
+  { unique: true }
+);
+
 // Indexes for better query performance
 restakerSchema.index({ userAddress: 1 });
 restakerSchema.index({ targetAVSOperatorAddress: 1 });
 restakerSchema.index({ status: 1 });
 restakerSchema.index({ lastUpdated: -1 });
 
+// Numeric amount indexes for range filters and sorting on list endpoints
+restakerSchema.index({ amountRestaked: -1 });
+restakerSchema.index({ delegationTimestamp: -1 });
+restakerSchema.index({ status: 1, amountRestaked: -1 });
+restakerSchema.index({ targetAVSOperatorAddress: 1, amountRestaked: -1 });
+restakerSchema.index({ targetAVSOperatorAddress: 1, delegationTimestamp: -1 });
+
 // Pre-save middleware to update lastUpdated
 restakerSchema.pre("save", function (next) {
   this.lastUpdated = new Date();
   next();
 });
 
-// Static method to find by user address
+// Static method to find all positions of a user address
 restakerSchema.statics.findByUserAddress = function (address) {
-  return this.findOne({ userAddress: address.toLowerCase() });
+  return this.find({ userAddress: address.toLowerCase() });
+};
+
+// Static method to count distinct wallets delegating to an operator
+restakerSchema.statics.countDelegators = async function (operatorAddress) {
+  const wallets = await this.distinct("userAddress", {
+    targetAVSOperatorAddress: operatorAddress.toLowerCase(),
+  });
+  return wallets.length;
+};
+
+// Static method to total a user's positions per strategy, optionally only
+// those from one source
+restakerSchema.statics.getStrategyTotals = function (address, sourceFilter) {
+  return this.aggregate([
+    {
+      $match: {
+        userAddress: address.toLowerCase(),
+        ...(sourceFilter && { source: sourceFilter }),
+      },
+    },
+    {
+      $group: {
+        _id: "$strategyAddress",
+        tokenSymbol: { $first: "$tokenSymbol" },
+        totalAmount: { $sum: "$amountRestaked" },
+        positionCount: { $sum: 1 },
+        operators: { $addToSet: "$targetAVSOperatorAddress" },
+      },
+    },
+    { $sort: { totalAmount: -1 } },
+  ]);
 };
 
 // Static method to find by operator
@@ -93,11 +180,56 @@ restakerSchema.statics.findByOperator = function (operatorAddress) {
   return this.find({ targetAVSOperatorAddress: operatorAddress.toLowerCase() });
 };
 
-// Instance method to calculate restaked amount in wei
+// Static method to summarise all positions of a wallet, or null if none.
+// Stake is totalled per strategy, as shares of different strategies
+// cannot be added up, with underlying amounts null while a rate is
+// unknown. A wallet delegates to one operator at a time, so its primary
+// operator is the one it last delegated a position it still holds to.
+restakerSchema.statics.getWalletSummary = async function (address) {
+  const positions = await this.find({
+    userAddress: address.toLowerCase(),
+  }).lean();
+
+  if (positions.length === 0) {
+    return null;
+  }
+
+  const stakeByStrategy = new Map();
+  positions.forEach((position) => {
+    const stake = stakeByStrategy.get(position.strategyAddress) || {
+      strategyAddress: position.strategyAddress,
+      tokenSymbol: position.tokenSymbol,
+      shares: 0n,
+      underlyingAmount: 0n,
+    };
+    stake.shares += toBigInt(position.amountRestaked);
+    stake.underlyingAmount =
+      stake.underlyingAmount === null || !position.amountUnderlying
+        ? null
+        : stake.underlyingAmount + toBigInt(position.amountUnderlying);
+    stakeByStrategy.set(position.strategyAddress, stake);
+  });
+
+  const held = positions.filter((position) => position.status !== "withdrawn");
+  const latest = (held.length > 0 ? held : positions).reduce((last, position) =>
+    position.delegationTimestamp > last.delegationTimestamp ? position : last
+  );
+  const statuses = positions.map((position) => position.status);
+
+  return {
+    stakeByStrategy: [...stakeByStrategy.values()],
+    positionCount: positions.length,
+    primaryOperator: latest.targetAVSOperatorAddress,
+    status: statuses.includes("active") ? "active" : statuses[0],
+    delegationTimestamp: positions
+      .map((position) => position.delegationTimestamp)
+      .sort((a, b) => a - b)[0],
+  };
+};
+
+// Instance method to get restaked amount in wei
 restakerSchema.methods.getAmountInWei = function () {
-  const { Web3 } = require("web3");
-  const web3 = new Web3();
-  return web3.utils.toWei(this.amountRestakedStETH, "ether");
+  return this.amountRestaked.toString();
 };
 
 module.exports = mongoose.model("Restaker", restakerSchema);
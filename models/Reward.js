@@ -1,5 +1,45 @@
 const mongoose = require("mongoose");
+const { isWeiAmount, toBigInt, toDecimal128 } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+const { STETH_TOKEN } = require("../config/tokens");
 
+// Total paid out in one token, in that token's units
+const rewardTokenSchema = new mongoose.Schema(
+  {
+    tokenAddress: {
+      type: String,
+      required: [true, "Token address is required"],
+      lowercase: true,
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    decimals: {
+      type: Number,
+      min: 0,
+      max: 36,
+      default: 18,
+    },
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Reward amount is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    eventCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Rewards from one operator, summarized from the reward_events ledger
 const rewardBreakdownSchema = new mongoose.Schema(
   {
     operatorAddress: {
@@ -13,39 +53,29 @@ const rewardBreakdownSchema = new mongoose.Schema(
         message: (props) => `${props.value} is not a valid Ethereum address!`,
       },
     },
+    // stETH payouts only; tokens has every token
     amountStETH: {
-      type: String,
+      type: mongoose.Schema.Types.Decimal128,
       required: [true, "Reward amount is required"],
       validate: {
-        validator: function (v) {
-          return !isNaN(parseFloat(v)) && parseFloat(v) >= 0;
-        },
-        message: (props) => `${props.value} is not a valid amount!`,
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
       },
     },
-    timestamps: [
-      {
-        type: Number,
-        min: 0,
-      },
-    ],
-    transactionHashes: [
-      {
-        type: String,
-        validate: {
-          validator: function (v) {
-            return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
-          },
-          message: (props) => `${props.value} is not a valid transaction hash!`,
-        },
-      },
-    ],
-    blockNumbers: [
-      {
-        type: Number,
-        min: 0,
-      },
-    ],
+    tokens: [rewardTokenSchema],
+    eventCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    firstRewardTimestamp: {
+      type: Date,
+      default: null,
+    },
+    lastRewardTimestamp: {
+      type: Date,
+      default: null,
+    },
     rewardType: {
       type: String,
       enum: ["delegation", "validation", "slashing_protection", "other"],
@@ -55,6 +85,7 @@ const rewardBreakdownSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// A wallet's rewards, derived from the reward_events ledger
 const rewardSchema = new mongoose.Schema(
   {
     walletAddress: {
@@ -70,17 +101,18 @@ const rewardSchema = new mongoose.Schema(
       },
       index: true,
     },
+    // stETH payouts only, as are the average and frequency below;
+    // tokenTotals has every token
     totalRewardsReceivedStETH: {
-      type: String,
+      type: mongoose.Schema.Types.Decimal128,
       required: [true, "Total rewards is required"],
       default: "0",
       validate: {
-        validator: function (v) {
-          return !isNaN(parseFloat(v)) && parseFloat(v) >= 0;
-        },
-        message: (props) => `${props.value} is not a valid amount!`,
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
       },
     },
+    tokenTotals: [rewardTokenSchema],
     rewardsBreakdown: [rewardBreakdownSchema],
     firstRewardTimestamp: {
       type: Date,
@@ -96,23 +128,29 @@ const rewardSchema = new mongoose.Schema(
       default: 0,
     },
     averageRewardAmount: {
-      type: String,
+      type: mongoose.Schema.Types.Decimal128,
       default: "0",
     },
     rewardFrequency: {
       dailyAverage: {
-        type: String,
+        type: mongoose.Schema.Types.Decimal128,
         default: "0",
       },
       weeklyAverage: {
-        type: String,
+        type: mongoose.Schema.Types.Decimal128,
         default: "0",
       },
       monthlyAverage: {
-        type: String,
+        type: mongoose.Schema.Types.Decimal128,
         default: "0",
       },
     },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+      index: true,
+    },
     lastUpdated: {
       type: Date,
       default: Date.now,
@@ -129,58 +167,133 @@ rewardSchema.index({ walletAddress: 1 });
 rewardSchema.index({ totalRewardsReceivedStETH: -1 });
 rewardSchema.index({ lastRewardTimestamp: -1 });
 rewardSchema.index({ lastUpdated: -1 });
-rewardSchema.index({ "rewardsBreakdown.operatorAddress": 1 });
+rewardSchema.index({
+  "rewardsBreakdown.operatorAddress": 1,
+  totalRewardsReceivedStETH: -1,
+});
+rewardSchema.index({ totalRewardsReceivedStETH: -1, lastRewardTimestamp: 1 });
 
-// Pre-save middleware to update calculated fields
-rewardSchema.pre("save", function (next) {
-  this.lastUpdated = new Date();
+// Total RewardEvent.summarizeEarners rows per token, largest payout count
+// first
+const totalTokens = (summaries) => {
+  const tokens = new Map();
+  summaries.forEach((summary) => {
+    const tokenAddress = summary._id.tokenAddress;
+    const token = tokens.get(tokenAddress) || {
+      tokenAddress,
+      tokenSymbol: summary.tokenSymbol,
+      decimals: summary.tokenDecimals,
+      amount: 0n,
+      eventCount: 0,
+    };
+    token.amount += toBigInt(summary.amount);
+    token.eventCount += summary.eventCount;
+    tokens.set(tokenAddress, token);
+  });
 
-  // Calculate total reward events
-  this.totalRewardEvents = this.rewardsBreakdown.reduce((total, breakdown) => {
-    return total + (breakdown.timestamps ? breakdown.timestamps.length : 0);
-  }, 0);
+  return [...tokens.values()]
+    .sort(
+      (a, b) =>
+        b.eventCount - a.eventCount ||
+        a.tokenAddress.localeCompare(b.tokenAddress)
+    )
+    .map((token) => ({ ...token, amount: toDecimal128(token.amount) }));
+};
 
-  // Calculate average reward amount
-  if (this.totalRewardEvents > 0) {
-    const avgAmount =
-      parseFloat(this.totalRewardsReceivedStETH) / this.totalRewardEvents;
-    this.averageRewardAmount = avgAmount.toString();
-  }
+// stETH paid out in a set of summaries
+const sumStETH = (summaries) =>
+  summaries
+    .filter((summary) => summary._id.tokenAddress === STETH_TOKEN)
+    .reduce((sum, summary) => sum + toBigInt(summary.amount), 0n);
 
-  // Update first and last reward timestamps
-  const allTimestamps = this.rewardsBreakdown.reduce((acc, breakdown) => {
-    return acc.concat(breakdown.timestamps || []);
-  }, []);
+// Static method to build a wallet's reward document from its
+// RewardEvent.summarizeEarners rows, one per operator and token
+rewardSchema.statics.buildFromSummaries = function (
+  walletAddress,
+  summaries,
+  now = new Date()
+) {
+  const byOperator = new Map();
+  summaries.forEach((summary) => {
+    const operatorAddress = summary._id.operatorAddress;
+    if (!byOperator.has(operatorAddress)) {
+      byOperator.set(operatorAddress, []);
+    }
+    byOperator.get(operatorAddress).push(summary);
+  });
 
-  if (allTimestamps.length > 0) {
-    const sortedTimestamps = allTimestamps.sort((a, b) => a - b);
-    this.firstRewardTimestamp = new Date(sortedTimestamps[0] * 1000);
-    this.lastRewardTimestamp = new Date(
-      sortedTimestamps[sortedTimestamps.length - 1] * 1000
-    );
+  const rewardsBreakdown = [...byOperator]
+    .map(([operatorAddress, operatorSummaries]) => {
+      const latest = operatorSummaries.reduce((a, b) =>
+        b.lastRewardTimestamp > a.lastRewardTimestamp ? b : a
+      );
+      return {
+        operatorAddress,
+        amountStETH: sumStETH(operatorSummaries),
+        tokens: totalTokens(operatorSummaries),
+        eventCount: operatorSummaries.reduce(
+          (sum, summary) => sum + summary.eventCount,
+          0
+        ),
+        firstRewardTimestamp: new Date(
+          Math.min(
+            ...operatorSummaries.map((summary) => summary.firstRewardTimestamp)
+          )
+        ),
+        lastRewardTimestamp: latest.lastRewardTimestamp,
+        rewardType: latest.rewardType,
+      };
+    })
+    .sort((a, b) => (b.amountStETH > a.amountStETH ? 1 : -1));
 
-    // Calculate reward frequency
-    const daysSinceFirst =
-      (Date.now() - this.firstRewardTimestamp.getTime()) /
-      (1000 * 60 * 60 * 24);
-    if (daysSinceFirst > 0) {
-      const totalRewards = parseFloat(this.totalRewardsReceivedStETH);
-      this.rewardFrequency.dailyAverage = (
-        totalRewards / daysSinceFirst
-      ).toString();
-      this.rewardFrequency.weeklyAverage = (
-        totalRewards /
-        (daysSinceFirst / 7)
-      ).toString();
-      this.rewardFrequency.monthlyAverage = (
-        totalRewards /
-        (daysSinceFirst / 30)
-      ).toString();
-    }
-  }
+  const total = sumStETH(summaries);
+  const stETHEvents = summaries
+    .filter((summary) => summary._id.tokenAddress === STETH_TOKEN)
+    .reduce((sum, summary) => sum + summary.eventCount, 0);
+  const totalRewardEvents = rewardsBreakdown.reduce(
+    (sum, breakdown) => sum + breakdown.eventCount,
+    0
+  );
+  const firstRewardTimestamp = new Date(
+    Math.min(...summaries.map((summary) => summary.firstRewardTimestamp))
+  );
+  const lastRewardTimestamp = new Date(
+    Math.max(...summaries.map((summary) => summary.lastRewardTimestamp))
+  );
+  const latest = summaries.find(
+    (summary) =>
+      summary.lastRewardTimestamp.getTime() === lastRewardTimestamp.getTime()
+  );
 
-  next();
-});
+  // Averages over the time since the first reward
+  const msSinceFirst = BigInt(
+    Math.max(now.getTime() - firstRewardTimestamp.getTime(), 1)
+  );
+  const dailyAverage = (total * 86400000n) / msSinceFirst;
+
+  return {
+    walletAddress: walletAddress.toLowerCase(),
+    totalRewardsReceivedStETH: toDecimal128(total),
+    tokenTotals: totalTokens(summaries),
+    rewardsBreakdown: rewardsBreakdown.map((breakdown) => ({
+      ...breakdown,
+      amountStETH: toDecimal128(breakdown.amountStETH),
+    })),
+    firstRewardTimestamp,
+    lastRewardTimestamp,
+    totalRewardEvents,
+    averageRewardAmount: toDecimal128(
+      stETHEvents > 0 ? total / BigInt(stETHEvents) : 0n
+    ),
+    rewardFrequency: {
+      dailyAverage: toDecimal128(dailyAverage),
+      weeklyAverage: toDecimal128(dailyAverage * 7n),
+      monthlyAverage: toDecimal128(dailyAverage * 30n),
+    },
+    source: latest.source,
+    lastUpdated: now,
+  };
+};
 
 // Static method to find by wallet address
 rewardSchema.statics.findByWalletAddress = function (address) {
@@ -199,48 +312,6 @@ rewardSchema.statics.findByOperator = function (operatorAddress) {
   });
 };
 
-// Instance method to add reward
-rewardSchema.methods.addReward = function (
-  operatorAddress,
-  amount,
-  timestamp,
-  transactionHash,
-  blockNumber
-) {
-  const existingBreakdown = this.rewardsBreakdown.find(
-    (breakdown) => breakdown.operatorAddress === operatorAddress.toLowerCase()
-  );
-
-  if (existingBreakdown) {
-    // Update existing breakdown
-    const currentAmount = parseFloat(existingBreakdown.amountStETH);
-    existingBreakdown.amountStETH = (
-      currentAmount + parseFloat(amount)
-    ).toString();
-    existingBreakdown.timestamps.push(timestamp);
-    if (transactionHash)
-      existingBreakdown.transactionHashes.push(transactionHash);
-    if (blockNumber) existingBreakdown.blockNumbers.push(blockNumber);
-  } else {
-    // Create new breakdown
-    this.rewardsBreakdown.push({
-      operatorAddress: operatorAddress.toLowerCase(),
-      amountStETH: amount.toString(),
-      timestamps: [timestamp],
-      transactionHashes: transactionHash ? [transactionHash] : [],
-      blockNumbers: blockNumber ? [blockNumber] : [],
-    });
-  }
-
-  // Update total rewards
-  const currentTotal = parseFloat(this.totalRewardsReceivedStETH);
-  this.totalRewardsReceivedStETH = (
-    currentTotal + parseFloat(amount)
-  ).toString();
-
-  return this.save();
-};
-
 // Instance method to get rewards from specific operator
 rewardSchema.methods.getRewardsFromOperator = function (operatorAddress) {
   return this.rewardsBreakdown.find(
@@ -248,11 +319,9 @@ rewardSchema.methods.getRewardsFromOperator = function (operatorAddress) {
   );
 };
 
-// Instance method to calculate total rewards in wei
+// Instance method to get total rewards in wei
 rewardSchema.methods.getTotalRewardsInWei = function () {
-  const { Web3 } = require("web3");
-  const web3 = new Web3();
-  return web3.utils.toWei(this.totalRewardsReceivedStETH, "ether");
+  return this.totalRewardsReceivedStETH.toString();
 };
 
 // Virtual for active operators count
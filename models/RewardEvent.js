@@ -0,0 +1,312 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+// One document per reward payout to an earner
+const rewardEventSchema = new mongoose.Schema(
+  {
+    // Transaction hash and log index of the payout, or a key derived from
+    // its contents when the source has no log (see DataFetcher)
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+      unique: true,
+      lowercase: true,
+    },
+    earnerAddress: {
+      type: String,
+      required: [true, "Earner address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    operatorAddress: {
+      type: String,
+      required: [true, "Operator address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    avsAddress: {
+      type: String,
+      lowercase: true,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    // Token the payout was made in; amounts in different tokens are never
+    // added together
+    tokenAddress: {
+      type: String,
+      required: [true, "Token address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    tokenDecimals: {
+      type: Number,
+      required: [true, "Token decimals are required"],
+      min: 0,
+      max: 36,
+    },
+    // Token units paid out
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Reward amount is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    rewardType: {
+      type: String,
+      enum: ["delegation", "validation", "slashing_protection", "other"],
+      default: "delegation",
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    logIndex: {
+      type: Number,
+      min: 0,
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "reward_events",
+  }
+);
+
+// Indexes for per-wallet, per-operator and per-AVS history
+rewardEventSchema.index({ earnerAddress: 1, timestamp: -1 });
+rewardEventSchema.index({ operatorAddress: 1, timestamp: -1 });
+rewardEventSchema.index({ avsAddress: 1, timestamp: -1 });
+rewardEventSchema.index({ timestamp: -1 });
+rewardEventSchema.index({ tokenAddress: 1, timestamp: -1 });
+
+// Static method to total the payouts of each earner per operator and token
+rewardEventSchema.statics.summarizeEarners = function (earnerAddresses) {
+  return this.aggregate([
+    { $match: { earnerAddress: { $in: earnerAddresses } } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: {
+          earnerAddress: "$earnerAddress",
+          operatorAddress: "$operatorAddress",
+          tokenAddress: "$tokenAddress",
+        },
+        tokenSymbol: { $last: "$tokenSymbol" },
+        tokenDecimals: { $last: "$tokenDecimals" },
+        amount: { $sum: "$amount" },
+        eventCount: { $sum: 1 },
+        firstRewardTimestamp: { $first: "$timestamp" },
+        lastRewardTimestamp: { $last: "$timestamp" },
+        rewardType: { $last: "$rewardType" },
+        source: { $last: "$source" },
+      },
+    },
+  ]);
+};
+
+// Static method to total payouts per operator and time bucket, given a
+// bucket expression over timestamp (see utils/timeSeries)
+rewardEventSchema.statics.getRewardFlows = function (match, bucket, until) {
+  return this.aggregate([
+    { $match: { ...match, timestamp: { $lte: until } } },
+    {
+      $group: {
+        _id: { operatorAddress: "$operatorAddress", bucket },
+        amount: { $sum: "$amount" },
+        eventCount: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
+// Static method to total payouts matching a filter per token and UTC day,
+// for valuing them at each day's price
+rewardEventSchema.statics.getDailyTotals = function (match) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          tokenAddress: "$tokenAddress",
+          day: {
+            $subtract: [
+              "$timestamp",
+              { $mod: [{ $toLong: "$timestamp" }, 86400000] },
+            ],
+          },
+        },
+        tokenDecimals: { $last: "$tokenDecimals" },
+        amount: { $sum: "$amount" },
+        eventCount: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
+// Static method to total payouts matching a filter per group
+rewardEventSchema.statics.sumRewards = function (match, groupBy) {
+  return this.aggregate([
+    { $match: match },
+    { $group: { _id: groupBy, rewards: { $sum: "$amount" } } },
+  ]);
+};
+
+// Static method to rank earners by their total payouts matching a filter,
+// optionally within a { $gte, $lte } range of that total, one page at a time
+rewardEventSchema.statics.rankEarners = async function (
+  match,
+  { skip = 0, limit = 10, rewardsRange = null } = {}
+) {
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$earnerAddress",
+        rewards: { $sum: "$amount" },
+        eventCount: { $sum: 1 },
+        lastRewardTimestamp: { $max: "$timestamp" },
+        operators: { $addToSet: "$operatorAddress" },
+      },
+    },
+    ...(rewardsRange ? [{ $match: { rewards: rewardsRange } }] : []),
+    {
+      $facet: {
+        earners: [
+          { $sort: { rewards: -1, _id: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    earners: result.earners,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+  };
+};
+
+// Static method to find where an earner ranks among all earners by their
+// total payouts matching a filter, or null if it has none
+rewardEventSchema.statics.getEarnerRank = async function (
+  match,
+  earnerAddress
+) {
+  const [earner] = await this.aggregate([
+    { $match: { ...match, earnerAddress: earnerAddress.toLowerCase() } },
+    { $group: { _id: "$earnerAddress", rewards: { $sum: "$amount" } } },
+  ]);
+  if (!earner) {
+    return null;
+  }
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: "$earnerAddress", rewards: { $sum: "$amount" } } },
+    {
+      $facet: {
+        ahead: [
+          { $match: { rewards: { $gt: earner.rewards } } },
+          { $count: "count" },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const ahead = result.ahead.length > 0 ? result.ahead[0].count : 0;
+  return {
+    rewards: earner.rewards,
+    rank: ahead + 1,
+    totalEarners: result.total[0].count,
+  };
+};
+
+// Static method to total payouts per token, with how many earners received
+// each
+rewardEventSchema.statics.getTokenTotals = function (match = {}) {
+  return this.aggregate([
+    { $match: match },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: "$tokenAddress",
+        tokenSymbol: { $last: "$tokenSymbol" },
+        tokenDecimals: { $last: "$tokenDecimals" },
+        amount: { $sum: "$amount" },
+        eventCount: { $sum: 1 },
+        earners: { $addToSet: "$earnerAddress" },
+        lastRewardTimestamp: { $last: "$timestamp" },
+      },
+    },
+    {
+      $project: {
+        tokenSymbol: 1,
+        tokenDecimals: 1,
+        amount: 1,
+        eventCount: 1,
+        earnerCount: { $size: "$earners" },
+        lastRewardTimestamp: 1,
+      },
+    },
+    { $sort: { eventCount: -1, _id: 1 } },
+  ]);
+};
+
+// Static method to find a token's symbol and decimals from its latest
+// payout, or null if nothing was paid in it
+rewardEventSchema.statics.findToken = function (tokenAddress) {
+  return this.findOne({ tokenAddress: tokenAddress.toLowerCase() })
+    .sort({ timestamp: -1 })
+    .select("tokenAddress tokenSymbol tokenDecimals")
+    .lean();
+};
+
+module.exports = mongoose.model("RewardEvent", rewardEventSchema);
@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+// One RewardsClaimed event: tokens an earner's claimer sent to a recipient
+// against a distribution root
+const rewardsClaimSchema = new mongoose.Schema(
+  {
+    // Subgraph id of the event (transaction hash and log index)
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+      unique: true,
+      lowercase: true,
+    },
+    root: {
+      type: String,
+      required: [true, "Root is required"],
+      lowercase: true,
+    },
+    earnerAddress: {
+      type: String,
+      required: [true, "Earner address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    claimerAddress: {
+      type: String,
+      required: [true, "Claimer address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    recipientAddress: {
+      type: String,
+      required: [true, "Recipient address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    tokenAddress: {
+      type: String,
+      required: [true, "Token address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    // Null when the token could not be looked up; amounts are then only
+    // known in raw units
+    tokenDecimals: {
+      type: Number,
+      min: 0,
+      max: 36,
+      default: null,
+    },
+    // Token units claimed, on top of everything claimed before
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Claimed amount is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "rewards_claims",
+  }
+);
+
+rewardsClaimSchema.index({ earnerAddress: 1, timestamp: -1 });
+rewardsClaimSchema.index({ earnerAddress: 1, tokenAddress: 1 });
+
+// Static method to total an earner's claims per token, matching the
+// RewardsCoordinator's cumulativeClaimed
+rewardsClaimSchema.statics.getClaimedTotals = function (earnerAddress) {
+  return this.aggregate([
+    { $match: { earnerAddress: earnerAddress.toLowerCase() } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: "$tokenAddress",
+        tokenSymbol: { $last: "$tokenSymbol" },
+        tokenDecimals: { $last: "$tokenDecimals" },
+        amount: { $sum: "$amount" },
+        claimCount: { $sum: 1 },
+        lastClaimTimestamp: { $last: "$timestamp" },
+      },
+    },
+  ]);
+};
+
+// Static method to list the recipients an earner's claims were sent to
+rewardsClaimSchema.statics.getRecipients = function (earnerAddress) {
+  return this.aggregate([
+    { $match: { earnerAddress: earnerAddress.toLowerCase() } },
+    {
+      $group: {
+        _id: "$recipientAddress",
+        claimCount: { $sum: 1 },
+        lastClaimTimestamp: { $max: "$timestamp" },
+      },
+    },
+    { $sort: { lastClaimTimestamp: -1 } },
+  ]);
+};
+
+module.exports = mongoose.model("RewardsClaim", rewardsClaimSchema);
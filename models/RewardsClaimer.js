@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const { SOURCES } = require("../config/sources");
+
+// The claimer an earner has authorized to claim its rewards, from its
+// latest ClaimerForSet event
+const rewardsClaimerSchema = new mongoose.Schema(
+  {
+    earnerAddress: {
+      type: String,
+      required: [true, "Earner address is required"],
+      unique: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    // The zero address when the earner claims for itself
+    claimerAddress: {
+      type: String,
+      required: [true, "Claimer address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    previousClaimerAddress: {
+      type: String,
+      lowercase: true,
+      default: null,
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "rewards_claimers",
+  }
+);
+
+module.exports = mongoose.model("RewardsClaimer", rewardsClaimerSchema);
@@ -0,0 +1,217 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+const strategyMultiplierSchema = new mongoose.Schema(
+  {
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+    },
+    // Weight of one share of the strategy, 1e18 being 1x
+    multiplier: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Multiplier is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid multiplier!`,
+      },
+    },
+  },
+  { _id: false }
+);
+
+const operatorRewardSchema = new mongoose.Schema(
+  {
+    operatorAddress: {
+      type: String,
+      required: [true, "Operator address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Operator reward amount is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+  },
+  { _id: false }
+);
+
+// One rewards submission an AVS funded on the RewardsCoordinator: an amount
+// of a token paid out evenly over a duration to the stake in its strategies.
+// Operator-directed submissions name the amount each operator receives.
+const rewardsSubmissionSchema = new mongoose.Schema(
+  {
+    submissionHash: {
+      type: String,
+      required: [true, "Submission hash is required"],
+      unique: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid submission hash!`,
+      },
+    },
+    submissionType: {
+      type: String,
+      enum: ["avs", "operator_directed"],
+      required: [true, "Submission type is required"],
+    },
+    avsAddress: {
+      type: String,
+      required: [true, "AVS address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    // Account that created the submission; the AVS itself unless it was
+    // operator-directed through another caller
+    submitterAddress: {
+      type: String,
+      required: [true, "Submitter address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    submissionNonce: {
+      type: Number,
+      min: 0,
+    },
+    tokenAddress: {
+      type: String,
+      required: [true, "Token address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    // Null when the token could not be looked up; amounts are then only
+    // known in raw units
+    tokenDecimals: {
+      type: Number,
+      min: 0,
+      max: 36,
+      default: null,
+    },
+    // Token units paid out over the whole duration; for operator-directed
+    // submissions, the sum of the operator rewards
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Submission amount is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    strategies: [strategyMultiplierSchema],
+    operatorRewards: [operatorRewardSchema],
+    startTimestamp: {
+      type: Date,
+      required: [true, "Start timestamp is required"],
+    },
+    // Seconds the amount is paid out over
+    duration: {
+      type: Number,
+      required: [true, "Duration is required"],
+      min: 1,
+    },
+    endTimestamp: {
+      type: Date,
+      required: [true, "End timestamp is required"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      min: 0,
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "rewards_submissions",
+  }
+);
+
+rewardsSubmissionSchema.index({ avsAddress: 1, startTimestamp: -1 });
+rewardsSubmissionSchema.index({ avsAddress: 1, endTimestamp: 1 });
+rewardsSubmissionSchema.index({ "strategies.strategyAddress": 1 });
+
+// Static method to build the filter for submissions that have not started
+// yet ("upcoming"), are paying out ("active") or have ended at a time
+rewardsSubmissionSchema.statics.statusFilter = function (
+  status,
+  at = new Date()
+) {
+  switch (status) {
+    case "upcoming":
+      return { startTimestamp: { $gt: at } };
+    case "active":
+      return { startTimestamp: { $lte: at }, endTimestamp: { $gt: at } };
+    case "ended":
+      return { endTimestamp: { $lte: at } };
+    default:
+      return {};
+  }
+};
+
+// Static method to find the submissions an AVS is paying out at a time
+rewardsSubmissionSchema.statics.findActive = function (
+  avsAddress,
+  at = new Date()
+) {
+  return this.find({
+    avsAddress: avsAddress.toLowerCase(),
+    ...this.statusFilter("active", at),
+  }).lean();
+};
+
+module.exports = mongoose.model("RewardsSubmission", rewardsSubmissionSchema);
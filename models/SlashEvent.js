@@ -0,0 +1,163 @@
+const mongoose = require("mongoose");
+const {
+  isWeiAmount,
+  compoundSlashes,
+  percentOf,
+  RATE_UNIT,
+} = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+// One document per strategy slashed by an OperatorSlashed event
+const slashEventSchema = new mongoose.Schema(
+  {
+    // Subgraph id of the event (transaction hash and log index)
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+    },
+    operatorAddress: {
+      type: String,
+      required: [true, "Operator address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    avsAddress: {
+      type: String,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    operatorSetId: {
+      type: Number,
+      min: 0,
+    },
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    // Share of the operator's allocation slashed, where 1e18 is 100%
+    wadSlashed: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Slashed wad is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wad amount!`,
+      },
+    },
+    // Shares slashed, or null when the operator's shares could not be read
+    amountSlashed: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    blockNumber: {
+      type: Number,
+      required: [true, "Block number is required"],
+      min: 0,
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "slash_events",
+  }
+);
+
+// One document per (event, strategy)
+slashEventSchema.index({ eventId: 1, strategyAddress: 1 }, { unique: true });
+
+// Indexes for the filters and newest-first pagination on /slashes
+slashEventSchema.index({ timestamp: -1 });
+slashEventSchema.index({ blockNumber: -1 });
+slashEventSchema.index({ operatorAddress: 1, timestamp: -1 });
+slashEventSchema.index({ avsAddress: 1, timestamp: -1 });
+slashEventSchema.index({ strategyAddress: 1, timestamp: -1 });
+slashEventSchema.index({ amountSlashed: -1 });
+
+// Static method to find an operator's slash events, newest first
+slashEventSchema.statics.findByOperator = function (operatorAddress) {
+  return this.find({ operatorAddress: operatorAddress.toLowerCase() }).sort({
+    timestamp: -1,
+  });
+};
+
+// Static method to total slashes per strategy: how many events slashed it,
+// the shares they took (null when any amount is unknown) and, for one
+// operator's events, the percentage of its allocation they slashed in all
+slashEventSchema.statics.getStrategyTotals = async function (match = {}) {
+  const totals = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$strategyAddress",
+        tokenSymbol: { $first: "$tokenSymbol" },
+        slashCount: { $sum: 1 },
+        sharesSlashed: { $sum: "$amountSlashed" },
+        unknownCount: {
+          $sum: {
+            $cond: [{ $eq: [{ $type: "$amountSlashed" }, "decimal"] }, 0, 1],
+          },
+        },
+        wads: { $push: "$wadSlashed" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return totals.map((total) => ({
+    strategyAddress: total._id,
+    tokenSymbol: total.tokenSymbol,
+    slashCount: total.slashCount,
+    sharesSlashed: total.unknownCount > 0 ? null : total.sharesSlashed,
+    slashRate: percentOf(compoundSlashes(total.wads), RATE_UNIT, 4),
+  }));
+};
+
+module.exports = mongoose.model("SlashEvent", slashEventSchema);
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+const { STRATEGIES } = require("../config/strategies");
+const { ETH_ADDRESS } = require("../config/tokens");
+
+// Catalog of EigenLayer strategies with their latest exchange rate
+const strategySchema = new mongoose.Schema(
+  {
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      unique: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    // Null for native beacon chain ETH
+    underlyingToken: {
+      type: String,
+      lowercase: true,
+      default: null,
+    },
+    symbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    decimals: {
+      type: Number,
+      min: 0,
+      max: 36,
+      default: 18,
+    },
+    // Underlying token units worth 1e18 shares at rateBlock, or null when
+    // the rate has never been read
+    sharesToUnderlying: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid rate!`,
+      },
+    },
+    rateBlock: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    rateTimestamp: {
+      type: Date,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "strategies",
+  }
+);
+
+// Static method to map strategy addresses to their latest rate
+strategySchema.statics.getRateMap = async function () {
+  const strategies = await this.find({ sharesToUnderlying: { $ne: null } })
+    .select("strategyAddress sharesToUnderlying")
+    .lean();
+  return new Map(
+    strategies.map((strategy) => [
+      strategy.strategyAddress,
+      strategy.sharesToUnderlying,
+    ])
+  );
+};
+
+// Static method to map strategy addresses to the token their underlying
+// amounts are in, as { tokenAddress, decimals }. Native ETH is ETH_ADDRESS,
+// and catalog entries cover strategies that were never synced.
+strategySchema.statics.getUnderlyingTokens = async function () {
+  const strategies = await this.find({})
+    .select("strategyAddress underlyingToken decimals")
+    .lean();
+
+  const tokens = new Map();
+  [
+    ...Object.entries(STRATEGIES).map(([strategyAddress, strategy]) => ({
+      strategyAddress,
+      ...strategy,
+    })),
+    ...strategies,
+  ].forEach((strategy) =>
+    tokens.set(strategy.strategyAddress, {
+      tokenAddress: strategy.underlyingToken || ETH_ADDRESS,
+      decimals: strategy.decimals,
+    })
+  );
+  return tokens;
+};
+
+module.exports = mongoose.model("Strategy", strategySchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+// A strategy's sharesToUnderlying rate as read at one block
+const strategyRateSchema = new mongoose.Schema(
+  {
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+    },
+    blockNumber: {
+      type: Number,
+      required: [true, "Block number is required"],
+      min: 0,
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    // Underlying token units worth 1e18 shares
+    sharesToUnderlying: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Rate is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid rate!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "strategy_rates",
+  }
+);
+
+strategyRateSchema.index(
+  { strategyAddress: 1, blockNumber: -1 },
+  { unique: true }
+);
+strategyRateSchema.index({ strategyAddress: 1, timestamp: -1 });
+
+// Static method to find the latest rate read at or before a block
+strategyRateSchema.statics.findRateAt = function (
+  strategyAddress,
+  blockNumber
+) {
+  return this.findOne({
+    strategyAddress: strategyAddress.toLowerCase(),
+    blockNumber: { $lte: blockNumber },
+  }).sort({ blockNumber: -1 });
+};
+
+// Static method to load the rates read up to a time, oldest first, as a
+// Map of strategy address to its history
+strategyRateSchema.statics.getRateHistory = async function (
+  strategyAddresses,
+  until
+) {
+  const rates = await this.find({
+    strategyAddress: { $in: strategyAddresses },
+    timestamp: { $lte: until },
+  })
+    .sort({ timestamp: 1 })
+    .select("strategyAddress timestamp sharesToUnderlying")
+    .lean();
+
+  const history = new Map();
+  rates.forEach((rate) => {
+    if (!history.has(rate.strategyAddress)) {
+      history.set(rate.strategyAddress, []);
+    }
+    history.get(rate.strategyAddress).push(rate);
+  });
+  return history;
+};
+
+module.exports = mongoose.model("StrategyRate", strategyRateSchema);
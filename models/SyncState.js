@@ -0,0 +1,167 @@
+const mongoose = require("mongoose");
+const { SOURCES } = require("../config/sources");
+
+// Number of recent sync errors kept per dataset
+const MAX_RECENT_ERRORS = 10;
+
+const syncErrorSchema = new mongoose.Schema(
+  {
+    message: {
+      type: String,
+      required: [true, "Error message is required"],
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const syncStateSchema = new mongoose.Schema(
+  {
+    dataset: {
+      type: String,
+      required: [true, "Dataset is required"],
+      unique: true,
+      trim: true,
+    },
+    cursor: {
+      type: String,
+      default: "",
+    },
+    lastBlock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    targetBlock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["idle", "running", "completed", "failed"],
+      default: "idle",
+    },
+    source: {
+      type: String,
+      enum: [...SOURCES, null],
+      default: null,
+    },
+    recordsProcessed: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastSuccessAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    consecutiveFailures: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    recentErrors: [syncErrorSchema],
+  },
+  {
+    timestamps: true,
+    collection: "sync_state",
+  }
+);
+
+// Static method to load a dataset's checkpoint, creating it if missing
+syncStateSchema.statics.findOrCreate = function (dataset) {
+  return this.findOneAndUpdate(
+    { dataset },
+    { $setOnInsert: { dataset } },
+    { upsert: true, new: true }
+  );
+};
+
+// Instance method to rewind the checkpoint to the start of the dataset
+syncStateSchema.methods.reset = function () {
+  this.cursor = "";
+  this.lastBlock = 0;
+  this.targetBlock = 0;
+  this.recordsProcessed = 0;
+  this.status = "idle";
+  this.completedAt = null;
+  this.lastError = null;
+  return this.save();
+};
+
+// Instance method to persist progress after a page has been stored
+syncStateSchema.methods.checkpoint = function (cursor, count) {
+  this.cursor = cursor;
+  this.recordsProcessed += count;
+  return this.save();
+};
+
+// Instance method to record a successful run up to lastBlock
+syncStateSchema.methods.recordSuccess = function (
+  lastBlock,
+  count = 0,
+  source = "subgraph"
+) {
+  const now = new Date();
+  this.source = source;
+  this.lastBlock = Math.max(this.lastBlock, lastBlock);
+  this.recordsProcessed += count;
+  this.lastRunAt = now;
+  this.lastSuccessAt = now;
+  this.lastError = null;
+  this.consecutiveFailures = 0;
+  return this.save();
+};
+
+// Instance method to record a failed run, keeping the latest errors
+syncStateSchema.methods.recordFailure = function (error) {
+  this.lastRunAt = new Date();
+  this.lastError = error.message;
+  this.consecutiveFailures += 1;
+  this.recentErrors.push({ message: error.message });
+  if (this.recentErrors.length > MAX_RECENT_ERRORS) {
+    this.recentErrors.splice(0, this.recentErrors.length - MAX_RECENT_ERRORS);
+  }
+  return this.save();
+};
+
+// Static method to get when the given datasets were last refreshed, which is
+// the oldest successful sync among them, or null if one never synced
+syncStateSchema.statics.getDataAsOf = async function (datasets) {
+  const states = await this.find({ dataset: { $in: datasets } })
+    .select("lastSuccessAt")
+    .lean();
+
+  if (
+    states.length < datasets.length ||
+    states.some((state) => !state.lastSuccessAt)
+  ) {
+    return null;
+  }
+
+  return new Date(
+    Math.min(...states.map((state) => state.lastSuccessAt.getTime()))
+  );
+};
+
+module.exports = mongoose.model("SyncState", syncStateSchema);
@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { PRICE_UNIT } = require("../utils/valuation");
+const { SOURCES } = require("../config/sources");
+const { CURRENCIES } = require("../config/prices");
+const { ETH_ADDRESS } = require("../config/tokens");
+
+// A token's price in one currency on one UTC day
+const tokenPriceSchema = new mongoose.Schema(
+  {
+    // ETH_ADDRESS for native ETH
+    tokenAddress: {
+      type: String,
+      required: [true, "Token address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      required: [true, "Currency is required"],
+    },
+    // Start of the UTC day
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    // Currency units worth one whole token, scaled by 1e18
+    price: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Price is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid price!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "token_prices",
+  }
+);
+
+tokenPriceSchema.index(
+  { tokenAddress: 1, currency: 1, date: -1 },
+  { unique: true }
+);
+
+// ETH is always worth one ETH, whether or not it was ever stored
+const isIdentity = (tokenAddress, currency) =>
+  tokenAddress === ETH_ADDRESS && currency === "eth";
+
+// Static method to find the latest price of each token at or before a
+// time, as a Map of token address to { date, price }
+tokenPriceSchema.statics.getPricesAt = async function (
+  tokenAddresses,
+  currency,
+  at
+) {
+  const latest = await this.aggregate([
+    {
+      $match: {
+        tokenAddress: { $in: tokenAddresses },
+        currency,
+        date: { $lte: at },
+      },
+    },
+    { $sort: { date: -1 } },
+    {
+      $group: {
+        _id: "$tokenAddress",
+        date: { $first: "$date" },
+        price: { $first: "$price" },
+      },
+    },
+  ]);
+
+  const prices = new Map(
+    latest.map((entry) => [entry._id, { date: entry.date, price: entry.price }])
+  );
+  if (tokenAddresses.some((address) => isIdentity(address, currency))) {
+    prices.set(ETH_ADDRESS, { date: at, price: PRICE_UNIT });
+  }
+  return prices;
+};
+
+// Static method to load the daily prices of tokens up to a time, oldest
+// first, as a Map of token address to its history
+tokenPriceSchema.statics.getPriceHistory = async function (
+  tokenAddresses,
+  currency,
+  until
+) {
+  const prices = await this.find({
+    tokenAddress: { $in: tokenAddresses },
+    currency,
+    date: { $lte: until },
+  })
+    .sort({ date: 1 })
+    .select("tokenAddress date price")
+    .lean();
+
+  const history = new Map();
+  prices.forEach((price) => {
+    if (!history.has(price.tokenAddress)) {
+      history.set(price.tokenAddress, []);
+    }
+    history.get(price.tokenAddress).push(price);
+  });
+  if (tokenAddresses.some((address) => isIdentity(address, currency))) {
+    history.set(ETH_ADDRESS, [{ date: new Date(0), price: PRICE_UNIT }]);
+  }
+  return history;
+};
+
+// Static method to find the latest day a token has a price in a currency
+tokenPriceSchema.statics.findLatestDate = async function (
+  tokenAddress,
+  currency
+) {
+  const latest = await this.findOne({ tokenAddress, currency })
+    .sort({ date: -1 })
+    .select("date")
+    .lean();
+  return latest ? latest.date : null;
+};
+
+module.exports = mongoose.model("TokenPrice", tokenPriceSchema);
@@ -1,22 +1,62 @@
 const mongoose = require("mongoose");
+const {
+  isWeiAmount,
+  formatAmounts,
+  formatStrategyAmounts,
+  totalsByToken,
+} = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
 
+// Amount one slash took from one strategy
+const slashedStrategySchema = new mongoose.Schema(
+  {
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    // Share of the operator's allocation slashed, where 1e18 is 100%
+    wadSlashed: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Slashed wad is required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wad amount!`,
+      },
+    },
+    // Shares slashed, or null when the operator's shares could not be read
+    amountSlashed: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+  },
+  { _id: false }
+);
+
+// One slashing of the operator, keyed by the event id of its SlashEvent
+// documents. Amounts stay per strategy, as shares of different strategies
+// cannot be added up.
 const slashEventSchema = new mongoose.Schema(
   {
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+    },
     timestamp: {
       type: Number,
       required: [true, "Timestamp is required"],
       min: 0,
     },
-    amountStETH: {
-      type: String,
-      required: [true, "Slashed amount is required"],
-      validate: {
-        validator: function (v) {
-          return !isNaN(parseFloat(v)) && parseFloat(v) >= 0;
-        },
-        message: (props) => `${props.value} is not a valid amount!`,
-      },
-    },
+    strategies: [slashedStrategySchema],
     reason: {
       type: String,
       trim: true,
@@ -35,6 +75,44 @@ const slashEventSchema = new mongoose.Schema(
       type: Number,
       min: 0,
     },
+    source: {
+      type: String,
+      enum: SOURCES,
+    },
+  },
+  { _id: false }
+);
+
+// Shares delegated to the operator in one strategy
+const strategyStakeSchema = new mongoose.Schema(
+  {
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    shares: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: "0",
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+    // Null while the strategy's rate is unknown
+    underlyingAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isWeiAmount(v),
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
   },
   { _id: false }
 );
@@ -59,17 +137,9 @@ const validatorSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Operator name cannot be more than 100 characters"],
     },
-    totalDelegatedStakeStETH: {
-      type: String,
-      required: [true, "Total delegated stake is required"],
-      default: "0",
-      validate: {
-        validator: function (v) {
-          return !isNaN(parseFloat(v)) && parseFloat(v) >= 0;
-        },
-        message: (props) => `${props.value} is not a valid amount!`,
-      },
-    },
+    // Delegated stake, per strategy only: shares of different strategies
+    // are not worth the same, and their tokens cannot be added up
+    stakeByStrategy: [strategyStakeSchema],
     slashHistory: [slashEventSchema],
     status: {
       type: String,
@@ -77,6 +147,12 @@ const validatorSchema = new mongoose.Schema(
       default: "active",
       index: true,
     },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+      index: true,
+    },
     registrationTimestamp: {
       type: Date,
       default: Date.now,
@@ -91,18 +167,34 @@ const validatorSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Highest split the operator keeps across its AVSs, as a percentage,
+    // derived from its split history (see utils/splits)
     commission: {
       type: Number,
       min: 0,
       max: 100,
       default: 0,
     },
+    // Whether a split increase has been set but not activated yet
+    pendingSplitIncrease: {
+      type: Boolean,
+      default: false,
+    },
     delegatorCount: {
       type: Number,
       min: 0,
       default: 0,
     },
     metadata: {
+      metadataURI: {
+        type: String,
+        trim: true,
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Name cannot be more than 100 characters"],
+      },
       website: {
         type: String,
         trim: true,
@@ -118,6 +210,19 @@ const validatorSchema = new mongoose.Schema(
         trim: true,
         maxlength: [500, "Logo URL cannot be more than 500 characters"],
       },
+      twitter: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Twitter URL cannot be more than 200 characters"],
+      },
+      fetchedAt: {
+        type: Date,
+        default: null,
+      },
+      fetchError: {
+        type: String,
+        default: null,
+      },
     },
     lastUpdated: {
       type: Date,
@@ -133,7 +238,6 @@ const validatorSchema = new mongoose.Schema(
 // Indexes for better query performance
 validatorSchema.index({ operatorAddress: 1 });
 validatorSchema.index({ status: 1 });
-validatorSchema.index({ totalDelegatedStakeStETH: -1 });
 validatorSchema.index({ lastUpdated: -1 });
 validatorSchema.index({ delegatorCount: -1 });
 
@@ -158,6 +262,83 @@ validatorSchema.statics.findByStatus = function (status) {
   return this.find({ status });
 };
 
+// Static method to list validators matching a filter one page at a time,
+// with their stake in one token as tokenStake, given an expression for it
+// (see utils/queryHelpers), to sort on and optionally keep within a range
+validatorSchema.statics.listByTokenStake = async function (
+  filter,
+  tokenStake,
+  { stakeRange = null, sort, skip = 0, limit = 10 }
+) {
+  const [result] = await this.aggregate([
+    { $match: filter },
+    { $addFields: { tokenStake } },
+    ...(stakeRange ? [{ $match: { tokenStake: stakeRange } }] : []),
+    {
+      $facet: {
+        validators: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    validators: result.validators,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+  };
+};
+
+// Static method to total the stake delegated to all validators per
+// strategy, in shares, with how many validators hold each
+validatorSchema.statics.getStrategyTotals = function () {
+  return this.aggregate([
+    { $unwind: "$stakeByStrategy" },
+    {
+      $group: {
+        _id: "$stakeByStrategy.strategyAddress",
+        tokenSymbol: { $first: "$stakeByStrategy.tokenSymbol" },
+        totalShares: { $sum: "$stakeByStrategy.shares" },
+        validatorCount: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+};
+
+// Static method to format the amounts of a plain (lean) validator: slashed
+// wads as fractions, shares and underlying amounts in each strategy's token
+// decimals, and the underlying stake totalled per token, given
+// Strategy.getUnderlyingTokens
+validatorSchema.statics.formatAmounts = function (validator, tokens) {
+  return {
+    ...validator,
+    ...(validator.stakeByStrategy && {
+      stakeByStrategy: formatStrategyAmounts(
+        validator.stakeByStrategy,
+        ["shares", "underlyingAmount"],
+        tokens
+      ),
+      stakeByToken: totalsByToken(
+        validator.stakeByStrategy,
+        ["underlyingAmount"],
+        tokens
+      ),
+    }),
+    ...(validator.slashHistory && {
+      slashHistory: validator.slashHistory.map((slash) => ({
+        ...slash,
+        strategies: formatStrategyAmounts(
+          slash.strategies.map((strategy) =>
+            formatAmounts(strategy, ["wadSlashed"])
+          ),
+          ["amountSlashed"],
+          tokens
+        ),
+      })),
+    }),
+  };
+};
+
 // Instance method to add slash event
 validatorSchema.methods.addSlashEvent = function (slashData) {
   this.slashHistory.push(slashData);
@@ -167,22 +348,6 @@ validatorSchema.methods.addSlashEvent = function (slashData) {
   return this.save();
 };
 
-// Instance method to get total slashed amount
-validatorSchema.methods.getTotalSlashedAmount = function () {
-  return this.slashHistory
-    .reduce((total, slash) => {
-      return total + parseFloat(slash.amountStETH || 0);
-    }, 0)
-    .toString();
-};
-
-// Instance method to calculate stake in wei
-validatorSchema.methods.getStakeInWei = function () {
-  const { Web3 } = require("web3");
-  const web3 = new Web3();
-  return web3.utils.toWei(this.totalDelegatedStakeStETH, "ether");
-};
-
 // Virtual for slash count
 validatorSchema.virtual("slashCount").get(function () {
   return this.slashHistory.length;
@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+const { isWeiAmount } = require("../utils/amounts");
+const { SOURCES } = require("../config/sources");
+
+const withdrawnStrategySchema = new mongoose.Schema(
+  {
+    strategyAddress: {
+      type: String,
+      required: [true, "Strategy address is required"],
+      lowercase: true,
+    },
+    tokenSymbol: {
+      type: String,
+      trim: true,
+      default: "UNKNOWN",
+    },
+    shares: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Shares are required"],
+      validate: {
+        validator: isWeiAmount,
+        message: (props) => `${props.value} is not a valid wei amount!`,
+      },
+    },
+  },
+  { _id: false }
+);
+
+// A withdrawal queued in the DelegationManager, keyed by its withdrawal root
+const withdrawalSchema = new mongoose.Schema(
+  {
+    withdrawalRoot: {
+      type: String,
+      required: [true, "Withdrawal root is required"],
+      unique: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid withdrawal root!`,
+      },
+    },
+    stakerAddress: {
+      type: String,
+      required: [true, "Staker address is required"],
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    // Operator the shares were delegated to when the withdrawal was queued
+    operatorAddress: {
+      type: String,
+      lowercase: true,
+    },
+    withdrawerAddress: {
+      type: String,
+      lowercase: true,
+    },
+    nonce: {
+      type: Number,
+      min: 0,
+    },
+    strategies: [withdrawnStrategySchema],
+    // Queued by undelegating from the operator rather than by the staker
+    undelegation: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "completed"],
+      default: "queued",
+    },
+    startBlock: {
+      type: Number,
+      required: [true, "Start block is required"],
+      min: 0,
+    },
+    startTimestamp: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    completableBlock: {
+      type: Number,
+      min: 0,
+    },
+    // Estimated from the withdrawal delay in blocks
+    completableAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    completedBlock: {
+      type: Number,
+      default: null,
+    },
+    completionTransactionHash: {
+      type: String,
+      default: null,
+    },
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid transaction hash!`,
+      },
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      required: [true, "Data source is required"],
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "withdrawals",
+  }
+);
+
+// Indexes for better query performance
+withdrawalSchema.index({ stakerAddress: 1, startBlock: -1 });
+withdrawalSchema.index({ stakerAddress: 1, transactionHash: 1 });
+withdrawalSchema.index({ status: 1, completableAt: 1 });
+withdrawalSchema.index({ operatorAddress: 1, status: 1 });
+withdrawalSchema.index({ "strategies.strategyAddress": 1, status: 1 });
+
+// Static method to find a staker's withdrawals, newest first
+withdrawalSchema.statics.findByStaker = function (stakerAddress) {
+  return this.find({ stakerAddress: stakerAddress.toLowerCase() }).sort({
+    startBlock: -1,
+  });
+};
+
+// Static method to total pending shares per strategy, narrowed by an
+// optional filter
+withdrawalSchema.statics.getPendingTotals = function (match = {}) {
+  return this.aggregate([
+    { $match: { ...match, status: "queued" } },
+    { $unwind: "$strategies" },
+    {
+      $group: {
+        _id: "$strategies.strategyAddress",
+        tokenSymbol: { $first: "$strategies.tokenSymbol" },
+        totalShares: { $sum: "$strategies.shares" },
+        withdrawalCount: { $sum: 1 },
+        stakers: { $addToSet: "$stakerAddress" },
+      },
+    },
+    {
+      $project: {
+        tokenSymbol: 1,
+        totalShares: 1,
+        withdrawalCount: 1,
+        stakerCount: { $size: "$stakers" },
+      },
+    },
+    { $sort: { totalShares: -1 } },
+  ]);
+};
+
+module.exports = mongoose.model("Withdrawal", withdrawalSchema);
@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAVSList,
+  getAVSByAddress,
+  getAVSOperators,
+  getAVSRewardsSubmissions,
+} = require("../controllers/avsController");
+
+// @route   GET /api/avs
+// @desc    Get all AVSs with pagination and filtering, by the stake securing them in ?token= (default stETH)
+// @access  Public
+// @params  ?page=1&limit=10&minStake=100&maxStake=10000&token=0x...&source=subgraph&search=0x...&sortBy=stake&sortOrder=desc
+router.get("/", getAVSList);
+
+// @route   GET /api/avs/:address/operators
+// @desc    Get the operators registered to an AVS, largest stake in ?token= (default stETH) first
+// @access  Public
+// @params  ?page=1&limit=10&status=registered&token=0x...
+router.get("/:address/operators", getAVSOperators);
+
+// @route   GET /api/avs/:address/rewards-submissions
+// @desc    Get the rewards submissions an AVS funded, with the daily rewards its active submissions offer per share of each strategy
+// @access  Public
+// @params  ?page=1&limit=10&status=active&type=operator_directed&token=0x...
+router.get("/:address/rewards-submissions", getAVSRewardsSubmissions);
+
+// @route   GET /api/avs/:address
+// @desc    Get AVS by address, with its restaked strategies and securing stake
+// @access  Public
+router.get("/:address", getAVSByAddress);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getLiveness,
+  getReadiness,
+} = require("../controllers/healthController");
+
+// @route   GET /health
+// @desc    Basic health check (same as /health/live)
+// @access  Public
+router.get("/", getLiveness);
+
+// @route   GET /health/live
+// @desc    Liveness probe: the process is up
+// @access  Public
+router.get("/live", getLiveness);
+
+// @route   GET /health/ready
+// @desc    Readiness probe: database connection, sync age and upstreams
+// @access  Public
+router.get("/ready", getReadiness);
+
+module.exports = router;
@@ -6,27 +6,45 @@ const {
   getRestakersByOperator,
   getRestakersStats,
 } = require("../controllers/restakerController");
+const {
+  getWithdrawalsByAddress,
+  getPendingWithdrawals,
+} = require("../controllers/withdrawalController");
 
 // @route   GET /api/restakers
-// @desc    Get all restakers with filtering and pagination
+// @desc    Get all restakers with filtering and pagination, each position valued in ?currency= when given
 // @access  Public
-// @params  ?page=1&limit=10&status=active&operator=0x...&minAmount=10&maxAmount=1000&search=0x...&sortBy=amount&sortOrder=desc
+// @params  ?page=1&limit=10&status=active&operator=0x...&strategy=0x...&minAmount=10&maxAmount=1000&source=subgraph&search=0x...&sortBy=amount&sortOrder=desc&currency=usd|eur|eth
 router.get("/", getRestakers);
 
 // @route   GET /api/restakers/stats
-// @desc    Get restakers statistics and overview
+// @desc    Get restakers statistics and overview, with the top operators by stake in ?token= (default stETH)
 // @access  Public
+// @params  ?token=0x...
 router.get("/stats", getRestakersStats);
 
+// @route   GET /api/restakers/withdrawals/pending
+// @desc    Get queued withdrawals across the protocol, soonest completable first
+// @access  Public
+// @params  ?page=1&limit=20&operator=0x...&strategy=0x...&completable=true&source=subgraph
+router.get("/withdrawals/pending", getPendingWithdrawals);
+
 // @route   GET /api/restakers/operator/:operatorAddress
-// @desc    Get all restakers for a specific operator
+// @desc    Get all restakers for a specific operator, each position valued in ?currency= when given
 // @access  Public
-// @params  ?page=1&limit=10
+// @params  ?page=1&limit=10&minAmount=10&maxAmount=1000&source=subgraph&sortBy=amount&sortOrder=desc&currency=usd|eur|eth
 router.get("/operator/:operatorAddress", getRestakersByOperator);
 
 // @route   GET /api/restakers/:address
-// @desc    Get restaker by user address
+// @desc    Get every position of a user address with per-strategy totals, valued in ?currency= when given
 // @access  Public
+// @params  ?source=subgraph&period=30d&from=2024-01-01&to=2024-06-30&currency=usd|eur|eth&asOf=19000000 (block) or asOf=2024-06-01 (date)
 router.get("/:address", getRestakerByAddress);
 
+// @route   GET /api/restakers/:address/withdrawals
+// @desc    Get the queued and completed withdrawals of a user address
+// @access  Public
+// @params  ?page=1&limit=10&status=queued&source=subgraph
+router.get("/:address/withdrawals", getWithdrawalsByAddress);
+
 module.exports = router;
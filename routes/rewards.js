@@ -3,30 +3,52 @@ const router = express.Router();
 const {
   getRewardsByAddress,
   getTopEarners,
+  getEarnerRank,
   getRewardsStats,
   getRewardsByOperator,
+  getRewardHistory,
+  getRewardClaims,
 } = require("../controllers/rewardController");
 
 // @route   GET /api/rewards/stats
-// @desc    Get rewards statistics and overview
+// @desc    Get rewards statistics and overview, with totals per reward token and wallets bucketed by stETH yield over a window
 // @access  Public
+// @params  ?period=30d&from=2024-01-01&to=2024-06-30
 router.get("/stats", getRewardsStats);
 
 // @route   GET /api/rewards/top-earners
-// @desc    Get top reward earners with filtering
+// @desc    Get top reward earners by the rewards earned in one token (stETH by default) in a window, with each wallet's annualized yield over it
 // @access  Public
-// @params  ?page=1&limit=10&minRewards=1&period=30d
+// @params  ?page=1&limit=10&minRewards=1&maxRewards=100&token=0x...&period=30d&from=2024-01-01&to=2024-06-30&operator=0x...&avs=0x...&source=rated
 router.get("/top-earners", getTopEarners);
 
 // @route   GET /api/rewards/operator/:operatorAddress
 // @desc    Get rewards distributed by a specific operator
 // @access  Public
-// @params  ?page=1&limit=10
+// @params  ?page=1&limit=10&minRewards=1&maxRewards=100&source=rated
 router.get("/operator/:operatorAddress", getRewardsByOperator);
 
+// @route   GET /api/rewards/:address/rank
+// @desc    Get a wallet's rank and percentile among earners of one token (stETH by default) in a window
+// @access  Public
+// @params  ?token=0x...&period=30d&from=2024-01-01&to=2024-06-30&operator=0x...&avs=0x...&source=rated
+router.get("/:address/rank", getEarnerRank);
+
+// @route   GET /api/rewards/:address/history
+// @desc    Get the rewards of a wallet address in one token (stETH by default) over time per operator
+// @access  Public
+// @params  ?token=0x...&interval=1d&from=2024-01-01&to=2024-06-30&source=rated
+router.get("/:address/history", getRewardHistory);
+
+// @route   GET /api/rewards/:address/claims
+// @desc    Get a wallet's claimed and unclaimed RewardsCoordinator rewards per token, with its claimer and recipients
+// @access  Public
+router.get("/:address/claims", getRewardClaims);
+
 // @route   GET /api/rewards/:address
-// @desc    Get reward information for a specific wallet address
+// @desc    Get reward information for a wallet address with totals per token, valued in ?currency= at each payout's daily price, and its stETH APR/APY over a window (30d by default)
 // @access  Public
+// @params  ?source=rated&currency=usd|eur|eth&period=30d or from=2024-01-01&to=2024-06-30
 router.get("/:address", getRewardsByAddress);
 
 module.exports = router;
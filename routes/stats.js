@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTVLHistory,
+  getYieldLeaderboard,
+} = require("../controllers/statsController");
+
+// @route   GET /api/stats/tvl
+// @desc    Get value locked over time per strategy, in each underlying token
+// @access  Public
+// @params  ?interval=1d&from=2024-01-01&to=2024-06-30&source=subgraph
+router.get("/tvl", getTVLHistory);
+
+// @route   GET /api/stats/yield
+// @desc    Get wallets, operators or strategies ranked by APR over a window
+// @access  Public
+// @params  ?type=wallet|operator|strategy&page=1&limit=10&period=30d&from=2024-01-01&to=2024-06-30&minStake=1
+router.get("/yield", getYieldLeaderboard);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getStrategies,
+  getStrategyRates,
+} = require("../controllers/strategyController");
+
+// @route   GET /api/strategies
+// @desc    Get the strategy catalog with latest rates and restaked totals
+// @access  Public
+router.get("/", getStrategies);
+
+// @route   GET /api/strategies/:address/rates
+// @desc    Get the sharesToUnderlying rates recorded for a strategy
+// @access  Public
+// @params  ?page=1&limit=50&fromBlock=19000000&toBlock=20000000
+router.get("/:address/rates", getStrategyRates);
+
+module.exports = router;
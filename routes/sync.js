@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const { getSyncStatus } = require("../controllers/syncController");
+
+// @route   GET /api/sync/status
+// @desc    Get last synced block, time, source, errors and lag per dataset
+// @access  Public
+router.get("/status", getSyncStatus);
+
+module.exports = router;
@@ -6,33 +6,42 @@ const {
   getValidatorsStats,
   getSlashHistory,
   getValidatorPerformance,
+  getValidatorStakeHistory,
 } = require("../controllers/validatorController");
 
 // @route   GET /api/validators
-// @desc    Get all validators with filtering and pagination
+// @desc    Get all validators with filtering and pagination, each one's stake valued in ?currency= when given. Stake is sorted and filtered by the underlying amount of ?token= (default stETH).
 // @access  Public
-// @params  ?page=1&limit=10&status=active&minStake=100&maxStake=10000&hasSlashHistory=true&search=0x...&sortBy=totalDelegatedStakeStETH&sortOrder=desc
+// @params  ?page=1&limit=10&status=active&token=0x...&minStake=100&maxStake=10000&hasSlashHistory=true&source=subgraph&search=0x...&sortBy=stake&sortOrder=desc&currency=usd|eur|eth
 router.get("/", getValidators);
 
 // @route   GET /api/validators/stats
-// @desc    Get validators statistics and overview
+// @desc    Get validators statistics and overview, with stake per strategy and token and the top validators by stake in ?token= (default stETH)
 // @access  Public
+// @params  ?token=0x...
 router.get("/stats", getValidatorsStats);
 
 // @route   GET /api/validators/slashes
-// @desc    Get slash history across all validators
+// @desc    Get slash events across all validators, newest first
 // @access  Public
-// @params  ?page=1&limit=20
+// @params  ?page=1&limit=20&operator=0x...&avs=0x...&strategy=0x...&from=2024-01-01&to=2024-12-31&fromBlock=19000000&toBlock=20000000&minAmount=1.5&source=subgraph
 router.get("/slashes", getSlashHistory);
 
+// @route   GET /api/validators/:address/stake-history
+// @desc    Get a validator's delegated stake over time per strategy
+// @access  Public
+// @params  ?interval=1d&from=2024-01-01&to=2024-06-30
+router.get("/:address/stake-history", getValidatorStakeHistory);
+
 // @route   GET /api/validators/:address/performance
-// @desc    Get detailed performance metrics for a validator
+// @desc    Get detailed performance metrics for a validator, with its delegated stake per token at its last 30 daily snapshots
 // @access  Public
 router.get("/:address/performance", getValidatorPerformance);
 
 // @route   GET /api/validators/:address
-// @desc    Get validator by operator address
+// @desc    Get validator by operator address, with its metadata profile, AVSs, current and upcoming reward splits, and its stake valued in ?currency= when given
 // @access  Public
+// @params  ?period=30d&from=2024-01-01&to=2024-06-30&currency=usd|eur|eth&asOf=19000000 (block) or asOf=2024-06-01 (date)
 router.get("/:address", getValidatorByAddress);
 
 module.exports = router;
@@ -3,150 +3,1829 @@ const DataFetcher = require("../utils/dataFetcher");
 const Restaker = require("../models/Restaker");
 const Validator = require("../models/Validator");
 const Reward = require("../models/Reward");
+const RewardEvent = require("../models/RewardEvent");
+const SyncState = require("../models/SyncState");
+const AVS = require("../models/AVS");
+const SlashEvent = require("../models/SlashEvent");
+const Withdrawal = require("../models/Withdrawal");
+const Strategy = require("../models/Strategy");
+const StrategyRate = require("../models/StrategyRate");
+const OperatorSnapshot = require("../models/OperatorSnapshot");
+const PositionSnapshot = require("../models/PositionSnapshot");
+const TokenPrice = require("../models/TokenPrice");
+const DistributionRoot = require("../models/DistributionRoot");
+const DistributionEarning = require("../models/DistributionEarning");
+const RewardsClaim = require("../models/RewardsClaim");
+const RewardsClaimer = require("../models/RewardsClaimer");
+const RewardsSubmission = require("../models/RewardsSubmission");
+const OperatorSplit = require("../models/OperatorSplit");
+const { STRATEGIES, getStrategySymbol } = require("../config/strategies");
+const { ETH_ADDRESS, REWARD_TOKENS } = require("../config/tokens");
+const { CURRENCIES } = require("../config/prices");
+const { createPriceProvider } = require("../utils/priceProviders");
+const { startOfDay } = require("../utils/valuation");
+const { resolveSplits, commissionOf } = require("../utils/splits");
+const {
+  toBigInt,
+  formatUnits,
+  sharesToUnderlying,
+} = require("../utils/amounts");
+const {
+  isMockDataEnabled,
+  assertWritableSource,
+} = require("../config/sources");
+const { SUBGRAPH_DATASETS } = require("../config/sync");
 require("dotenv").config();
 
+// Rated can report a payout after later ones, so each rewards run re-reads
+// this far back from the previous run; the ledger skips events it has
+const REWARDS_OVERLAP_MS = 24 * 60 * 60 * 1000;
+
 class DatabasePopulator {
   constructor() {
     this.dataFetcher = new DataFetcher();
-    this.useMockData =
-      process.env.USE_MOCK_DATA === "true" ||
-      !process.env.EIGENLAYER_SUBGRAPH_URL;
+    this.useMockData = isMockDataEnabled();
+    this.pageSize = parseInt(process.env.BACKFILL_PAGE_SIZE) || 1000;
+    this.onchainFallback = process.env.ONCHAIN_FALLBACK === "true";
+    this.maxSubgraphLag = parseInt(process.env.SUBGRAPH_MAX_LAG_BLOCKS) || 100;
+    // Slashed share amounts and strategy rates are read from the chain only
+    // when a provider is configured
+    this.hasChainProvider = Boolean(process.env.WEB3_PROVIDER_URL);
+  }
+
+  async populateRestakers() {
+    console.log("🔄 Fetching restaking data...");
+
+    try {
+      // Replace the legacy one-document-per-wallet unique index
+      await Restaker.syncIndexes();
+
+      if (!this.useMockData) {
+        await this.syncDataset("restakers");
+        return;
+      }
+
+      console.log(
+        "⚠️  Using mock data for restakers (real API not configured)"
+      );
+      const restakingData = this.dataFetcher.generateMockRestakingData();
+
+      console.log(
+        `📊 Processing ${restakingData.length} restaking positions...`
+      );
+      await this.saveRestakers(restakingData);
+      await this.recordSync("restakers", "mock", restakingData.length);
+
+      console.log(
+        `✅ Successfully processed ${restakingData.length} restaking positions`
+      );
+    } catch (error) {
+      console.error("❌ Error fetching restaking data:", error.message);
+      throw error;
+    }
+  }
+
+  async populateValidators() {
+    console.log("🔄 Fetching validator data...");
+
+    try {
+      if (!this.useMockData) {
+        await this.syncDataset("validators");
+        return;
+      }
+
+      console.log(
+        "⚠️  Using mock data for validators (real API not configured)"
+      );
+      const validatorData = this.dataFetcher.generateMockValidatorData();
+
+      console.log(`📊 Processing ${validatorData.length} validator records...`);
+      await this.saveValidators(validatorData);
+      await this.recordSync("validators", "mock", validatorData.length);
+
+      console.log(
+        `✅ Successfully processed ${validatorData.length} validators`
+      );
+    } catch (error) {
+      console.error("❌ Error fetching validator data:", error.message);
+      throw error;
+    }
+  }
+
+  // Record a sync run that did not go through the subgraph
+  async recordSync(dataset, source, count = 0) {
+    const state = await SyncState.findOrCreate(dataset);
+    await state.recordSuccess(state.lastBlock, count, source);
+  }
+
+  async populateAVS() {
+    console.log("🔄 Fetching AVS data...");
+
+    try {
+      if (!this.useMockData) {
+        await this.syncDataset("avs");
+        await this.syncDataset("avsMetadata");
+        return;
+      }
+
+      console.log("⚠️  Using mock data for AVSs (real API not configured)");
+      const { avs, registrations } = this.dataFetcher.generateMockAVSData();
+
+      for (const record of avs) {
+        assertWritableSource(record.source);
+        await AVS.findOneAndUpdate({ avsAddress: record.avsAddress }, record, {
+          upsert: true,
+          new: true,
+        });
+      }
+      await this.saveAVSRegistrations(registrations);
+      await this.recordSync("avs", "mock", registrations.length);
+      await this.recordSync("avsMetadata", "mock", avs.length);
+
+      console.log(
+        `✅ Successfully processed ${avs.length} AVSs and ${registrations.length} registrations`
+      );
+    } catch (error) {
+      console.error("❌ Error fetching AVS data:", error.message);
+      throw error;
+    }
+  }
+
+  async populateWithdrawals() {
+    console.log("🔄 Fetching withdrawal data...");
+
+    try {
+      if (!this.useMockData) {
+        await this.syncDataset("withdrawalsQueued");
+        await this.syncDataset("undelegations");
+        await this.syncDataset("withdrawalsCompleted");
+        return;
+      }
+
+      console.log(
+        "⚠️  Using mock data for withdrawals (real API not configured)"
+      );
+      const { queued, undelegations, completed } =
+        this.dataFetcher.generateMockWithdrawalData();
+
+      await this.saveQueuedWithdrawals(queued);
+      await this.saveUndelegations(undelegations);
+      await this.saveCompletedWithdrawals(completed);
+      await this.recordSync("withdrawalsQueued", "mock", queued.length);
+      await this.recordSync("undelegations", "mock", undelegations.length);
+      await this.recordSync("withdrawalsCompleted", "mock", completed.length);
+
+      console.log(
+        `✅ Successfully processed ${queued.length} withdrawals (${completed.length} completed)`
+      );
+    } catch (error) {
+      console.error("❌ Error fetching withdrawal data:", error.message);
+      throw error;
+    }
   }
 
-  async populateRestakers() {
-    console.log("🔄 Fetching restaking data...");
+  // Refresh the strategy catalog and each strategy's sharesToUnderlying rate
+  // at the chain head. Underlying amounts follow in updateStatistics.
+  async populateStrategies() {
+    console.log("🔄 Fetching strategy rates...");
+
+    try {
+      if (this.useMockData) {
+        console.log(
+          "⚠️  Using mock data for strategies (real API not configured)"
+        );
+        const { strategies, rates } =
+          this.dataFetcher.generateMockStrategyData();
+
+        await this.saveStrategies(strategies);
+        await this.saveStrategyRates(rates);
+        await this.recordSync("strategies", "mock", rates.length);
+
+        console.log(
+          `✅ Successfully processed ${strategies.length} strategies`
+        );
+        return;
+      }
+
+      if (!this.hasChainProvider) {
+        console.warn("⚠️  WEB3_PROVIDER_URL not set, skipping strategy rates");
+        return;
+      }
+
+      const strategyAddresses = new Set([
+        ...Object.keys(STRATEGIES),
+        ...(await Restaker.distinct("strategyAddress")),
+      ]);
+      const head = await this.dataFetcher.fetchChainHead();
+      const timestamp = await this.dataFetcher.fetchBlockTimestamp(head);
+      const strategies = [];
+      const rates = [];
+
+      for (const strategyAddress of strategyAddresses) {
+        try {
+          const { sharesToUnderlying: rate, ...details } =
+            await this.dataFetcher.fetchOnchainStrategy(strategyAddress, head);
+
+          strategies.push({ strategyAddress, ...details, source: "onchain" });
+          rates.push({
+            strategyAddress,
+            blockNumber: head,
+            timestamp,
+            sharesToUnderlying: rate,
+            source: "onchain",
+          });
+        } catch (error) {
+          console.error(
+            `Error reading strategy ${strategyAddress}:`,
+            error.message
+          );
+        }
+      }
+
+      await this.saveStrategies(strategies);
+      await this.saveStrategyRates(rates);
+      const state = await SyncState.findOrCreate("strategies");
+      await state.recordSuccess(head, rates.length, "onchain");
+
+      console.log(
+        `✅ Read rates of ${rates.length} strategies at block ${head}`
+      );
+    } catch (error) {
+      console.error("❌ Error fetching strategy rates:", error.message);
+      throw error;
+    }
+  }
+
+  // Append today's snapshot of every operator and position. Mock mode
+  // stores the generated history instead.
+  async populateSnapshots() {
+    console.log("🔄 Taking snapshots...");
+
+    try {
+      if (this.useMockData) {
+        console.log(
+          "⚠️  Using mock data for snapshots (real API not configured)"
+        );
+        const { operators, positions } =
+          this.dataFetcher.generateMockSnapshotData();
+
+        await this.saveSnapshots(OperatorSnapshot, operators, [
+          "operatorAddress",
+        ]);
+        await this.saveSnapshots(PositionSnapshot, positions, [
+          "userAddress",
+          "strategyAddress",
+          "targetAVSOperatorAddress",
+        ]);
+        await this.recordSync("snapshots", "mock", positions.length);
+
+        console.log(
+          `✅ Stored ${operators.length} operator and ${positions.length} position snapshots`
+        );
+        return;
+      }
+
+      // Snapshots belong to the UTC day, and reflect the blocks synced so far
+      const now = new Date();
+      const states = await SyncState.find({}, "lastBlock").lean();
+      const snapshot = {
+        snapshotDate: new Date(
+          Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+        ),
+        timestamp: now,
+        blockNumber: Math.max(
+          0,
+          ...states.map((state) => state.lastBlock || 0)
+        ),
+      };
+
+      const validators = await Validator.find({})
+        .select("operatorAddress stakeByStrategy delegatorCount status source")
+        .lean();
+      const positions = await Restaker.find({})
+        .select(
+          "userAddress strategyAddress targetAVSOperatorAddress tokenSymbol amountRestaked amountUnderlying delegationTimestamp status source"
+        )
+        .lean();
+
+      await this.saveSnapshots(
+        OperatorSnapshot,
+        validators.map(({ _id, ...validator }) => ({
+          ...validator,
+          ...snapshot,
+        })),
+        ["operatorAddress"]
+      );
+      await this.saveSnapshots(
+        PositionSnapshot,
+        positions.map(({ _id, ...position }) => ({ ...position, ...snapshot })),
+        ["userAddress", "strategyAddress", "targetAVSOperatorAddress"]
+      );
+      const state = await SyncState.findOrCreate("snapshots");
+      await state.recordSuccess(snapshot.blockNumber, positions.length);
+
+      console.log(
+        `✅ Snapshot of ${validators.length} operators and ${
+          positions.length
+        } positions for ${snapshot.snapshotDate.toISOString().slice(0, 10)}`
+      );
+    } catch (error) {
+      console.error("❌ Error taking snapshots:", error.message);
+      throw error;
+    }
+  }
+
+  // Fill in daily prices of every token held or paid out, in every
+  // currency, from the day after the latest stored price (or the first
+  // delegation) up to today
+  async populatePrices() {
+    console.log("🔄 Fetching token prices...");
+
+    try {
+      if (this.useMockData) {
+        console.log("⚠️  Using mock data for prices (real API not configured)");
+        const prices = this.dataFetcher.generateMockPriceData();
+
+        await this.savePrices(prices);
+        await this.recordSync("prices", "mock", prices.length);
+
+        console.log(`✅ Successfully processed ${prices.length} prices`);
+        return;
+      }
+
+      const provider = createPriceProvider();
+      const strategies = await Strategy.find({}, "underlyingToken").lean();
+      const tokenAddresses = [
+        ...new Set([
+          ETH_ADDRESS,
+          ...[...Object.values(STRATEGIES), ...strategies]
+            .map((strategy) => strategy.underlyingToken)
+            .filter(Boolean),
+          ...Object.keys(REWARD_TOKENS),
+          ...(await RewardEvent.distinct("tokenAddress")),
+        ]),
+      ];
+
+      const [firstPosition] = await Restaker.find({})
+        .sort({ delegationTimestamp: 1 })
+        .limit(1)
+        .select("delegationTimestamp")
+        .lean();
+      const today = startOfDay(new Date());
+      const firstDay = startOfDay(
+        firstPosition ? firstPosition.delegationTimestamp : today
+      );
+
+      let count = 0;
+      for (const tokenAddress of tokenAddresses) {
+        for (const currency of CURRENCIES) {
+          // ETH is always worth one ETH
+          if (tokenAddress === ETH_ADDRESS && currency === "eth") {
+            continue;
+          }
+
+          const latest = await TokenPrice.findLatestDate(
+            tokenAddress,
+            currency
+          );
+          const from = latest
+            ? new Date(latest.getTime() + 24 * 60 * 60 * 1000)
+            : firstDay;
+          if (from > today) {
+            continue;
+          }
+
+          try {
+            const prices = await this.dataFetcher.retryOperation(() =>
+              provider.fetchDailyPrices(tokenAddress, currency, from, today)
+            );
+            await this.savePrices(
+              prices.map((price) => ({
+                ...price,
+                tokenAddress,
+                currency,
+                source: provider.source,
+              }))
+            );
+            count += prices.length;
+          } catch (error) {
+            console.error(
+              `Error fetching ${currency} prices of ${tokenAddress}:`,
+              error.message
+            );
+          }
+        }
+      }
+
+      await this.recordSync("prices", provider.source, count);
+
+      console.log(
+        `✅ Stored ${count} prices of ${tokenAddresses.length} tokens from ${provider.source}`
+      );
+    } catch (error) {
+      console.error("❌ Error fetching token prices:", error.message);
+      throw error;
+    }
+  }
+
+  // A day's price is stored once; later fetches of the same day are ignored
+  async savePrices(prices) {
+    prices.forEach((record) => assertWritableSource(record.source));
+
+    for (const price of prices) {
+      try {
+        await TokenPrice.updateOne(
+          {
+            tokenAddress: price.tokenAddress,
+            currency: price.currency,
+            date: price.date,
+          },
+          { $setOnInsert: price },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving ${price.currency} price of ${price.tokenAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async populateSlashings() {
+    console.log("🔄 Fetching slashing data...");
+
+    try {
+      if (!this.useMockData) {
+        await this.syncDataset("slashings");
+        return;
+      }
+
+      console.log(
+        "⚠️  Using mock data for slashings (real API not configured)"
+      );
+      const slashings = this.dataFetcher.generateMockSlashingData();
+
+      await this.saveSlashings(slashings);
+      await this.recordSync("slashings", "mock", slashings.length);
+
+      console.log(`✅ Successfully processed ${slashings.length} slash events`);
+    } catch (error) {
+      console.error("❌ Error fetching slashing data:", error.message);
+      throw error;
+    }
+  }
+
+  async saveRestakers(restakingData) {
+    restakingData.forEach((record) => assertWritableSource(record.source));
+
+    const walletPositions = new Map();
+
+    for (const restakerData of restakingData) {
+      if (!walletPositions.has(restakerData.userAddress)) {
+        walletPositions.set(restakerData.userAddress, []);
+      }
+      walletPositions.get(restakerData.userAddress).push({
+        strategyAddress: restakerData.strategyAddress,
+        targetAVSOperatorAddress: restakerData.targetAVSOperatorAddress,
+      });
+
+      try {
+        // Sources that report current shares replace deposited totals
+        await Restaker.findOneAndUpdate(
+          {
+            userAddress: restakerData.userAddress,
+            strategyAddress: restakerData.strategyAddress,
+            targetAVSOperatorAddress: restakerData.targetAVSOperatorAddress,
+          },
+          { amountDeposited: null, ...restakerData },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving position ${restakerData.userAddress}/${restakerData.strategyAddress}:`,
+          error.message
+        );
+      }
+    }
+
+    // Each wallet arrives with its full set of positions, so anything else
+    // stored for it is stale: moved when the wallet still holds the
+    // strategy under another operator, and otherwise withdrawn, which is
+    // kept as such
+    for (const [userAddress, positions] of walletPositions) {
+      const held = positions.map((position) => position.strategyAddress);
+      await Restaker.deleteMany({
+        userAddress,
+        strategyAddress: { $in: held },
+        $nor: positions,
+      });
+      await this.markWithdrawn({
+        userAddress,
+        strategyAddress: { $nin: held },
+      });
+    }
+
+    await this.updateWithdrawalStatuses([...walletPositions.keys()]);
+  }
+
+  // Zero out the shares of positions that no longer hold any. Their status
+  // becomes "withdrawn" (or "unstaking" while a withdrawal is still queued)
+  // in updateWithdrawalStatuses.
+  async markWithdrawn(filter) {
+    await Restaker.updateMany(filter, {
+      $set: {
+        amountDeposited: null,
+        amountRestaked: "0",
+        amountUnderlying: "0",
+      },
+    });
+  }
+
+  async saveValidators(validatorData) {
+    validatorData.forEach((record) => assertWritableSource(record.source));
+
+    for (const validator of validatorData) {
+      try {
+        // Calculate delegator count from distinct restaker wallets
+        validator.delegatorCount = await Restaker.countDelegators(
+          validator.operatorAddress
+        );
+        await this.resolveMetadata(validator);
+
+        await Validator.findOneAndUpdate(
+          { operatorAddress: validator.operatorAddress },
+          validator,
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving validator ${validator.operatorAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Metadata to store for a URI: the stored profile while the URI is
+  // unchanged and was fetched fine, otherwise a fresh fetch. Changed URIs
+  // come from OperatorMetadataURIUpdated / AVSMetadataURIUpdated.
+  async fetchMetadataIfChanged(storedMetadata, metadataURI, label) {
+    if (
+      storedMetadata?.metadataURI === metadataURI &&
+      storedMetadata.fetchedAt &&
+      !storedMetadata.fetchError
+    ) {
+      return storedMetadata;
+    }
+
+    if (!metadataURI) {
+      return { metadataURI };
+    }
+
+    const { metadata, error } = await this.dataFetcher.fetchMetadata(
+      metadataURI
+    );
+    if (error) {
+      console.error(`Error fetching metadata for ${label}:`, error);
+    }
+
+    return {
+      metadataURI,
+      ...metadata,
+      fetchedAt: new Date(),
+      fetchError: error,
+    };
+  }
+
+  // Resolve an operator's metadata profile, naming the operator after it
+  async resolveMetadata(validator) {
+    const metadataURI = validator.metadata?.metadataURI;
+    if (metadataURI === undefined || validator.source === "mock") {
+      return;
+    }
+
+    const stored = await Validator.findOne(
+      { operatorAddress: validator.operatorAddress },
+      "operatorName metadata"
+    ).lean();
+
+    validator.metadata = await this.fetchMetadataIfChanged(
+      stored?.metadata,
+      metadataURI,
+      validator.operatorAddress
+    );
+
+    const operatorName = validator.metadata.name || stored?.operatorName;
+    if (operatorName) {
+      validator.operatorName = operatorName;
+    }
+  }
+
+  async saveAVSRegistrations(registrations) {
+    registrations.forEach((record) => assertWritableSource(record.source));
+
+    for (const registration of registrations) {
+      const { avsAddress, operatorAddress, status, blockNumber } = registration;
+      const updatedAt = new Date(registration.timestamp * 1000);
+      const registeredAt = status === "registered" ? updatedAt : null;
+
+      try {
+        await AVS.updateOne(
+          { avsAddress },
+          { $setOnInsert: { source: registration.source } },
+          { upsert: true }
+        );
+
+        // Pages arrive in id order rather than block order, so only an
+        // event at least as recent as the stored one may change it
+        const update = {
+          "operators.$.status": status,
+          "operators.$.updatedAt": updatedAt,
+          "operators.$.transactionHash": registration.transactionHash,
+          "operators.$.blockNumber": blockNumber,
+        };
+        if (registeredAt) {
+          update["operators.$.registeredAt"] = registeredAt;
+        }
+
+        const { matchedCount } = await AVS.updateOne(
+          {
+            avsAddress,
+            operators: {
+              $elemMatch: {
+                operatorAddress,
+                blockNumber: { $lte: blockNumber },
+              },
+            },
+          },
+          { $set: update }
+        );
+
+        if (matchedCount === 0) {
+          await AVS.updateOne(
+            {
+              avsAddress,
+              "operators.operatorAddress": { $ne: operatorAddress },
+            },
+            {
+              $push: {
+                operators: {
+                  operatorAddress,
+                  status,
+                  registeredAt,
+                  updatedAt,
+                  transactionHash: registration.transactionHash,
+                  blockNumber,
+                },
+              },
+            }
+          );
+        }
+      } catch (error) {
+        console.error(
+          `Error saving AVS registration ${avsAddress}/${operatorAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async saveAVSMetadata(updates) {
+    updates.forEach((record) => assertWritableSource(record.source));
+
+    // Only the latest update per AVS in the batch matters
+    const latest = new Map();
+    updates.forEach((update) => {
+      const current = latest.get(update.avsAddress);
+      if (!current || update.blockNumber >= current.blockNumber) {
+        latest.set(update.avsAddress, update);
+      }
+    });
+
+    for (const update of latest.values()) {
+      try {
+        const stored = await AVS.findOne(
+          { avsAddress: update.avsAddress },
+          "metadata metadataBlock"
+        ).lean();
+        if (stored && stored.metadataBlock > update.blockNumber) {
+          continue;
+        }
+
+        const metadata = await this.fetchMetadataIfChanged(
+          stored?.metadata,
+          update.metadataURI,
+          update.avsAddress
+        );
+
+        await AVS.updateOne(
+          { avsAddress: update.avsAddress },
+          {
+            $set: { metadata, metadataBlock: update.blockNumber },
+            $setOnInsert: { source: update.source },
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving AVS metadata ${update.avsAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Recompute each AVS's securing stake from the delegations of its
+  // registered operators, and the AVS list kept on every operator
+  async updateAVSStats() {
+    const avsList = await AVS.find({}, "avsAddress operators").lean();
+    const operatorAVSs = new Map();
+    const rates = await Strategy.getRateMap();
+
+    for (const avs of avsList) {
+      const registered = avs.operators
+        .filter((operator) => operator.status === "registered")
+        .map((operator) => operator.operatorAddress);
+
+      registered.forEach((operatorAddress) => {
+        operatorAVSs.set(operatorAddress, [
+          ...(operatorAVSs.get(operatorAddress) || []),
+          avs.avsAddress,
+        ]);
+      });
+
+      const strategies = await Restaker.aggregate([
+        { $match: { targetAVSOperatorAddress: { $in: registered } } },
+        {
+          $group: {
+            _id: "$strategyAddress",
+            tokenSymbol: { $first: "$tokenSymbol" },
+            totalShares: { $sum: "$amountRestaked" },
+          },
+        },
+        { $sort: { totalShares: -1 } },
+      ]);
+
+      await AVS.updateOne(
+        { _id: avs._id },
+        {
+          $set: {
+            operatorCount: registered.length,
+            restakedStrategies: strategies.map((strategy) => ({
+              strategyAddress: strategy._id,
+              tokenSymbol: strategy.tokenSymbol,
+              totalShares: strategy.totalShares,
+              totalUnderlying: rates.has(strategy._id)
+                ? sharesToUnderlying(
+                    strategy.totalShares,
+                    rates.get(strategy._id)
+                  ).toString()
+                : null,
+            })),
+            lastUpdated: new Date(),
+          },
+        }
+      );
+    }
+
+    const validators = await Validator.find(
+      {},
+      "operatorAddress avsServices"
+    ).lean();
+
+    for (const validator of validators) {
+      const avsServices = (
+        operatorAVSs.get(validator.operatorAddress) || []
+      ).sort();
+      if (avsServices.join() !== [...validator.avsServices].sort().join()) {
+        await Validator.updateOne(
+          { _id: validator._id },
+          { $set: { avsServices } }
+        );
+      }
+    }
+  }
+
+  // Derive each operator's commission from the splits it keeps of its AVSs'
+  // rewards, and flag split increases that have not activated yet. Run
+  // after updateAVSStats, which lists the AVSs of every operator.
+  async updateCommissions() {
+    const now = new Date();
+    const defaultBips = await OperatorSplit.getDefaultSplitAt(now);
+    const validators = await Validator.find(
+      {},
+      "operatorAddress avsServices commission pendingSplitIncrease"
+    ).lean();
+
+    for (const validator of validators) {
+      const splits = resolveSplits(
+        await OperatorSplit.getSplitHistory(validator.operatorAddress),
+        validator.avsServices,
+        defaultBips,
+        now
+      );
+      const commission = commissionOf(splits, defaultBips);
+      const pendingSplitIncrease = splits.some(
+        (split) => split.upcoming && split.upcoming.isIncrease
+      );
+
+      if (
+        validator.commission !== commission ||
+        validator.pendingSplitIncrease !== pendingSplitIncrease
+      ) {
+        await Validator.updateOne(
+          { _id: validator._id },
+          { $set: { commission, pendingSplitIncrease } }
+        );
+      }
+    }
+  }
+
+  async saveStrategies(strategies) {
+    strategies.forEach((record) => assertWritableSource(record.source));
+
+    for (const strategy of strategies) {
+      try {
+        await Strategy.updateOne(
+          { strategyAddress: strategy.strategyAddress },
+          { $set: strategy },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving strategy ${strategy.strategyAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Store rates that differ from the one in force at their block, and move
+  // each strategy's latest rate forward
+  async saveStrategyRates(rates) {
+    rates.forEach((record) => assertWritableSource(record.source));
+
+    const latest = new Map();
+    for (const rate of rates) {
+      try {
+        const previous = await StrategyRate.findRateAt(
+          rate.strategyAddress,
+          rate.blockNumber
+        ).lean();
+        if (
+          previous?.sharesToUnderlying.toString() !== rate.sharesToUnderlying
+        ) {
+          await StrategyRate.updateOne(
+            {
+              strategyAddress: rate.strategyAddress,
+              blockNumber: rate.blockNumber,
+            },
+            { $set: rate },
+            { upsert: true }
+          );
+        }
+      } catch (error) {
+        console.error(
+          `Error saving rate of ${rate.strategyAddress}:`,
+          error.message
+        );
+      }
+
+      const current = latest.get(rate.strategyAddress);
+      if (!current || rate.blockNumber > current.blockNumber) {
+        latest.set(rate.strategyAddress, rate);
+      }
+    }
+
+    for (const rate of latest.values()) {
+      await Strategy.updateOne(
+        {
+          strategyAddress: rate.strategyAddress,
+          $or: [{ rateBlock: null }, { rateBlock: { $lte: rate.blockNumber } }],
+        },
+        {
+          $set: {
+            sharesToUnderlying: rate.sharesToUnderlying,
+            rateBlock: rate.blockNumber,
+            rateTimestamp: rate.timestamp,
+          },
+        }
+      );
+    }
+  }
+
+  // Convert stored shares to underlying token amounts at each strategy's
+  // latest rate, for every position and for each operator's stake per
+  // strategy. Strategies without a rate convert to null.
+  async updateUnderlyingAmounts() {
+    const rates = await Strategy.getRateMap();
+    const toUnderlying = (strategyAddress, shares) =>
+      rates.has(strategyAddress)
+        ? sharesToUnderlying(shares, rates.get(strategyAddress)).toString()
+        : null;
+
+    const positions = await Restaker.find({})
+      .select("strategyAddress amountRestaked amountUnderlying")
+      .lean();
+
+    for (const position of positions) {
+      const amountUnderlying = toUnderlying(
+        position.strategyAddress,
+        position.amountRestaked
+      );
+      if (
+        amountUnderlying !== (position.amountUnderlying?.toString() ?? null)
+      ) {
+        await Restaker.updateOne(
+          { _id: position._id },
+          { $set: { amountUnderlying } }
+        );
+      }
+    }
+
+    const operatorStakes = await Restaker.aggregate([
+      {
+        $group: {
+          _id: {
+            operatorAddress: "$targetAVSOperatorAddress",
+            strategyAddress: "$strategyAddress",
+          },
+          tokenSymbol: { $first: "$tokenSymbol" },
+          shares: { $sum: "$amountRestaked" },
+        },
+      },
+      { $sort: { shares: -1 } },
+    ]);
+
+    const stakeByOperator = new Map();
+    operatorStakes.forEach(({ _id, tokenSymbol, shares }) => {
+      stakeByOperator.set(_id.operatorAddress, [
+        ...(stakeByOperator.get(_id.operatorAddress) || []),
+        {
+          strategyAddress: _id.strategyAddress,
+          tokenSymbol,
+          shares: shares.toString(),
+          underlyingAmount: toUnderlying(_id.strategyAddress, shares),
+        },
+      ]);
+    });
+
+    const validators = await Validator.find({}, "operatorAddress").lean();
+    for (const validator of validators) {
+      await Validator.updateOne(
+        { _id: validator._id },
+        {
+          $set: {
+            stakeByStrategy:
+              stakeByOperator.get(validator.operatorAddress) || [],
+          },
+        }
+      );
+    }
+  }
+
+  // Snapshots are append-only: one already stored for the same document
+  // and day is left as it is
+  async saveSnapshots(Model, snapshots, keyFields) {
+    snapshots.forEach((record) => assertWritableSource(record.source));
+
+    for (const snapshot of snapshots) {
+      const key = { snapshotDate: snapshot.snapshotDate };
+      keyFields.forEach((field) => {
+        key[field] = snapshot[field];
+      });
+
+      try {
+        await Model.updateOne(
+          key,
+          { $setOnInsert: snapshot },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving ${Model.modelName} for ${keyFields
+            .map((field) => snapshot[field])
+            .join("/")}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async saveQueuedWithdrawals(withdrawals) {
+    withdrawals.forEach((record) => assertWritableSource(record.source));
+
+    for (const withdrawal of withdrawals) {
+      try {
+        // A completion synced first has already set the status
+        await Withdrawal.updateOne(
+          { withdrawalRoot: withdrawal.withdrawalRoot },
+          { $set: withdrawal, $setOnInsert: { status: "queued" } },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving withdrawal ${withdrawal.withdrawalRoot}:`,
+          error.message
+        );
+      }
+    }
+
+    await this.updateWithdrawalStatuses(
+      withdrawals.map((withdrawal) => withdrawal.stakerAddress)
+    );
+  }
+
+  // Undelegating queues the withdrawals in the same transaction, and the
+  // queued dataset is synced before this one
+  async saveUndelegations(undelegations) {
+    undelegations.forEach((record) => assertWritableSource(record.source));
+
+    for (const { stakerAddress, transactionHash } of undelegations) {
+      try {
+        await Withdrawal.updateMany(
+          { stakerAddress, transactionHash },
+          { $set: { undelegation: true } }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving undelegation of ${stakerAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async saveCompletedWithdrawals(completions) {
+    completions.forEach((record) => assertWritableSource(record.source));
+
+    for (const completion of completions) {
+      try {
+        await Withdrawal.updateOne(
+          { withdrawalRoot: completion.withdrawalRoot },
+          {
+            $set: {
+              status: "completed",
+              completedAt: new Date(completion.timestamp * 1000),
+              completedBlock: completion.blockNumber,
+              completionTransactionHash: completion.transactionHash,
+            },
+            $setOnInsert: { source: completion.source },
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving completion of ${completion.withdrawalRoot}:`,
+          error.message
+        );
+      }
+    }
+
+    const stakerAddresses = await Withdrawal.distinct("stakerAddress", {
+      withdrawalRoot: {
+        $in: completions.map((completion) => completion.withdrawalRoot),
+      },
+    });
+    await this.updateWithdrawalStatuses(stakerAddresses);
+  }
+
+  // Derive each position's shares and status from the wallet's
+  // withdrawals. Positions synced from deposits hold what was deposited less
+  // the shares completed withdrawals took out; queued shares stay in them
+  // while they are unstaking, and a position left without shares has been
+  // withdrawn in full.
+  async updateWithdrawalStatuses(stakerAddresses) {
+    for (const userAddress of new Set(stakerAddresses)) {
+      try {
+        const withdrawals = await Withdrawal.find({
+          stakerAddress: userAddress,
+        })
+          .select("status strategies")
+          .lean();
+
+        const pending = new Set();
+        const withdrawn = new Map();
+        withdrawals.forEach((withdrawal) => {
+          withdrawal.strategies.forEach(({ strategyAddress, shares }) => {
+            if (withdrawal.status === "queued") {
+              pending.add(strategyAddress);
+              return;
+            }
+            withdrawn.set(
+              strategyAddress,
+              (withdrawn.get(strategyAddress) || 0n) + toBigInt(shares)
+            );
+          });
+        });
+
+        const positions = await Restaker.find({ userAddress })
+          .select("strategyAddress amountDeposited amountRestaked status")
+          .lean();
+
+        for (const position of positions) {
+          const remaining = position.amountDeposited
+            ? toBigInt(position.amountDeposited) -
+              (withdrawn.get(position.strategyAddress) || 0n)
+            : toBigInt(position.amountRestaked);
+          const shares = remaining > 0n ? remaining : 0n;
+          const status = pending.has(position.strategyAddress)
+            ? "unstaking"
+            : shares === 0n
+            ? "withdrawn"
+            : "active";
+
+          if (
+            status !== position.status ||
+            shares !== toBigInt(position.amountRestaked)
+          ) {
+            await Restaker.updateOne(
+              { _id: position._id },
+              { $set: { status, amountRestaked: shares.toString() } }
+            );
+          }
+        }
+      } catch (error) {
+        console.error(
+          `Error updating withdrawal status of ${userAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Shares each strategy lost in a slash: the operator's shares just before
+  // the event times the wad. Amounts the event already carries are kept;
+  // the rest are null when the chain cannot be read.
+  async resolveSlashedAmounts(slash) {
+    const missing = slash.strategies
+      .filter((strategy) => strategy.amountSlashed === undefined)
+      .map((strategy) => strategy.strategyAddress);
+    let sharesBefore = null;
+
+    if (missing.length > 0 && this.hasChainProvider) {
+      try {
+        ({ byStrategy: sharesBefore } =
+          await this.dataFetcher.fetchOnchainOperatorShares(
+            slash.operatorAddress,
+            missing,
+            Math.max(slash.blockNumber - 1, 0)
+          ));
+      } catch (error) {
+        console.error(
+          `Error reading slashed shares for ${slash.eventId}:`,
+          error.message
+        );
+      }
+    }
+
+    return slash.strategies.map((strategy) => {
+      if (strategy.amountSlashed !== undefined) {
+        return strategy;
+      }
+      if (!sharesBefore) {
+        return { ...strategy, amountSlashed: null };
+      }
+
+      const shares = toBigInt(sharesBefore[strategy.strategyAddress] || "0");
+      return {
+        ...strategy,
+        amountSlashed: (
+          (shares * toBigInt(strategy.wadSlashed)) /
+          10n ** 18n
+        ).toString(),
+      };
+    });
+  }
+
+  // Store one slash_events document per slashed strategy, and keep the
+  // operator's embedded slash summary and status in step
+  async saveSlashings(slashings) {
+    slashings.forEach((record) => assertWritableSource(record.source));
+
+    for (const slash of slashings) {
+      const { operatorAddress, timestamp } = slash;
+
+      try {
+        const slashed = await this.resolveSlashedAmounts(slash);
+
+        for (const strategy of slashed) {
+          await SlashEvent.findOneAndUpdate(
+            {
+              eventId: slash.eventId,
+              strategyAddress: strategy.strategyAddress,
+            },
+            {
+              ...strategy,
+              eventId: slash.eventId,
+              operatorAddress,
+              avsAddress: slash.avsAddress,
+              operatorSetId: slash.operatorSetId,
+              description: slash.description,
+              timestamp: new Date(timestamp * 1000),
+              blockNumber: slash.blockNumber,
+              transactionHash: slash.transactionHash,
+              source: slash.source,
+            },
+            { upsert: true, new: true }
+          );
+        }
+
+        // Skip events already recorded by an earlier run; one transaction
+        // can slash the operator several times, so events are keyed by id
+        await Validator.updateOne(
+          {
+            operatorAddress,
+            "slashHistory.eventId": { $ne: slash.eventId },
+          },
+          {
+            $push: {
+              slashHistory: {
+                eventId: slash.eventId,
+                timestamp,
+                strategies: slashed.map((strategy) => ({
+                  strategyAddress: strategy.strategyAddress,
+                  tokenSymbol: strategy.tokenSymbol,
+                  wadSlashed: strategy.wadSlashed,
+                  amountSlashed: strategy.amountSlashed,
+                })),
+                reason: slash.description,
+                transactionHash: slash.transactionHash,
+                blockNumber: slash.blockNumber,
+                source: slash.source,
+              },
+            },
+          }
+        );
+        await Validator.updateOne(
+          { operatorAddress, status: "active" },
+          { $set: { status: "slashed" } }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving slashing for ${operatorAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Subgraph datasets that are synced page by page
+  getSyncDatasets() {
+    return {
+      restakers: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchRestakingData(first, lastId, options),
+        save: (records) => this.saveRestakers(records),
+      },
+      // Queued withdrawals are synced before the undelegations that flag them
+      withdrawalsQueued: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchWithdrawalQueuedData(first, lastId, options),
+        save: (records) => this.saveQueuedWithdrawals(records),
+      },
+      undelegations: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchUndelegationData(first, lastId, options),
+        save: (records) => this.saveUndelegations(records),
+      },
+      withdrawalsCompleted: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchWithdrawalCompletedData(first, lastId, options),
+        save: (records) => this.saveCompletedWithdrawals(records),
+      },
+      validators: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchValidatorData(first, lastId, options),
+        save: (records) => this.saveValidators(records),
+      },
+      slashings: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchSlashingData(first, lastId, options),
+        save: (records) => this.saveSlashings(records),
+      },
+      avs: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchAVSRegistrationData(first, lastId, options),
+        save: (records) => this.saveAVSRegistrations(records),
+      },
+      avsMetadata: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchAVSMetadataData(first, lastId, options),
+        save: (records) => this.saveAVSMetadata(records),
+      },
+      distributionRoots: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchDistributionRootData(first, lastId, options),
+        save: (records) => this.saveDistributionRoots(records),
+      },
+      rewardsClaims: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchRewardsClaimData(first, lastId, options),
+        save: (records) => this.saveRewardsClaims(records),
+      },
+      claimers: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchClaimerData(first, lastId, options),
+        save: (records) => this.saveClaimers(records),
+      },
+      avsRewardsSubmissions: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchAVSRewardsSubmissionData(
+            first,
+            lastId,
+            options
+          ),
+        save: (records) => this.saveRewardsSubmissions(records),
+      },
+      operatorDirectedRewardsSubmissions: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchOperatorDirectedRewardsSubmissionData(
+            first,
+            lastId,
+            options
+          ),
+        save: (records) => this.saveRewardsSubmissions(records),
+      },
+      operatorSplits: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchOperatorSplitData(first, lastId, options),
+        save: (records) => this.saveOperatorSplits(records),
+      },
+      defaultSplits: {
+        fetch: (first, lastId, options) =>
+          this.dataFetcher.fetchDefaultSplitData(first, lastId, options),
+        save: (records) => this.saveOperatorSplits(records),
+      },
+    };
+  }
+
+  // Walk a whole subgraph dataset with id cursors, pinned to the block the
+  // backfill started at. The cursor is checkpointed in sync_state after every
+  // stored page, so a crashed run resumes where it stopped; pass reset to
+  // start again from the beginning.
+  async backfill(dataset, { reset = false } = {}) {
+    const config = this.getSyncDatasets()[dataset];
+    if (!config) {
+      throw new Error(`Unknown sync dataset: ${dataset}`);
+    }
+
+    const state = await SyncState.findOrCreate(dataset);
+    if (reset) {
+      await state.reset();
+    }
+
+    try {
+      if (!state.targetBlock) {
+        state.targetBlock = await this.dataFetcher.fetchSubgraphHead();
+      }
+      state.status = "running";
+      state.startedAt = new Date();
+      await state.save();
+
+      console.log(
+        `🔄 Backfilling ${dataset} at block ${state.targetBlock} from ${
+          state.cursor ? `cursor ${state.cursor}` : "the beginning"
+        }...`
+      );
+
+      let hasMore = true;
+
+      while (hasMore) {
+        const page = await config.fetch(this.pageSize, state.cursor, {
+          atBlock: state.targetBlock,
+        });
+
+        if (page.records.length > 0) {
+          await config.save(page.records);
+        }
+
+        await state.checkpoint(page.lastId, page.records.length);
+        hasMore = page.hasMore;
+
+        console.log(
+          `   - ${dataset}: ${state.recordsProcessed} records stored, cursor ${state.cursor}`
+        );
+      }
+
+      // The backfill is done with its checkpoint; later runs pick up from
+      // lastBlock through syncDataset
+      const targetBlock = state.targetBlock;
+      state.status = "completed";
+      state.completedAt = new Date();
+      state.cursor = "";
+      state.targetBlock = 0;
+      await state.recordSuccess(targetBlock);
+
+      console.log(
+        `✅ Backfill of ${dataset} completed (${state.recordsProcessed} records)`
+      );
+    } catch (error) {
+      state.status = "failed";
+      await state.recordFailure(error);
+      throw error;
+    }
+  }
+
+  // Pull only the entities changed since the last synced block. Datasets
+  // that have never completed a backfill are backfilled first.
+  async syncDataset(dataset) {
+    const config = this.getSyncDatasets()[dataset];
+    const state = await SyncState.findOrCreate(dataset);
+
+    if (!state.completedAt) {
+      await this.backfill(dataset);
+      return;
+    }
+
+    try {
+      const head = await this.dataFetcher.fetchSubgraphHead();
+      let lastId = "";
+      let count = 0;
+      let hasMore = head > state.lastBlock;
+
+      while (hasMore) {
+        const page = await config.fetch(this.pageSize, lastId, {
+          fromBlock: state.lastBlock,
+          atBlock: head,
+        });
+
+        if (page.records.length > 0) {
+          await config.save(page.records);
+        }
+
+        count += page.records.length;
+        lastId = page.lastId;
+        hasMore = page.hasMore;
+      }
+
+      await state.recordSuccess(head, count);
+      console.log(
+        `✅ ${dataset}: ${count} changed records synced up to block ${head}`
+      );
+    } catch (error) {
+      await state.recordFailure(error);
+      throw error;
+    }
+  }
+
+  async syncDeltas() {
+    console.log(`🔄 Incremental sync started at ${new Date().toISOString()}`);
+
+    const failedDatasets = [];
+    for (const dataset of SUBGRAPH_DATASETS) {
+      try {
+        await this.syncDataset(dataset);
+      } catch (error) {
+        failedDatasets.push(dataset);
+        console.error(`❌ Error syncing ${dataset}:`, error.message);
+      }
+    }
+
+    try {
+      await this.populateStrategies();
+    } catch (error) {
+      console.error("❌ Error syncing strategy rates:", error.message);
+    }
+
+    // Fall back to the contracts for the wallets and operators we know of
+    if (this.onchainFallback && (await this.isSubgraphBehind(failedDatasets))) {
+      try {
+        await this.reconcile({ apply: true });
+      } catch (error) {
+        console.error("❌ Error reading from chain:", error.message);
+      }
+    }
+
+    // Rewards are not in the subgraph; they are read from Rated since the
+    // rewards checkpoint
+    try {
+      await this.populateRewards();
+    } catch (error) {
+      console.error("❌ Error syncing rewards:", error.message);
+    }
+
+    await this.updateStatistics();
+
+    try {
+      await this.populateSnapshots();
+    } catch (error) {
+      console.error("❌ Error taking snapshots:", error.message);
+    }
+
+    try {
+      await this.populatePrices();
+    } catch (error) {
+      console.error("❌ Error fetching token prices:", error.message);
+    }
+
+    try {
+      await this.loadDistributionSnapshot();
+    } catch (error) {
+      console.error("❌ Error loading distribution snapshot:", error.message);
+    }
+  }
+
+  // Whether the subgraph failed this round or has fallen too far behind
+  // the chain to be trusted on its own
+  async isSubgraphBehind(failedDatasets) {
+    if (failedDatasets.length > 0) {
+      return true;
+    }
+
+    try {
+      const [chainHead, subgraphHead] = await Promise.all([
+        this.dataFetcher.fetchChainHead(1),
+        this.dataFetcher.fetchSubgraphHead(1),
+      ]);
+      return chainHead - subgraphHead > this.maxSubgraphLag;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  // Differences between the stored and on-chain positions of one wallet.
+  // A wallet that moved to another operator shows up as a stale position
+  // under the old operator and a missing one under the new.
+  diffPositions(userAddress, stored, onchain) {
+    const key = (position) =>
+      `${position.strategyAddress}:${position.targetAVSOperatorAddress}`;
+    const storedByKey = new Map(
+      stored.map((position) => [key(position), position])
+    );
+    const diffs = [];
+
+    for (const position of onchain) {
+      const match = storedByKey.get(key(position));
+      storedByKey.delete(key(position));
+
+      if (
+        !match ||
+        toBigInt(match.amountRestaked) !== BigInt(position.amountRestaked)
+      ) {
+        diffs.push({
+          userAddress,
+          strategyAddress: position.strategyAddress,
+          operatorAddress: position.targetAVSOperatorAddress,
+          issue: match ? "amount" : "missing",
+          stored: match ? toBigInt(match.amountRestaked).toString() : null,
+          onchain: position.amountRestaked,
+        });
+      }
+    }
+
+    // Positions already zeroed out as withdrawn match the chain
+    for (const position of storedByKey.values()) {
+      if (toBigInt(position.amountRestaked) === 0n) {
+        continue;
+      }
+      diffs.push({
+        userAddress,
+        strategyAddress: position.strategyAddress,
+        operatorAddress: position.targetAVSOperatorAddress,
+        issue: "stale",
+        stored: toBigInt(position.amountRestaked).toString(),
+        onchain: "0",
+      });
+    }
 
-    try {
-      let restakingData;
+    return diffs;
+  }
 
-      if (this.useMockData) {
-        console.log(
-          "⚠️  Using mock data for restakers (real API not configured)"
-        );
-        restakingData = this.dataFetcher.generateMockRestakingData(20);
-      } else {
-        restakingData = await this.dataFetcher.fetchRestakingData(100, 0);
-      }
+  // Differences between an operator's stored stake per strategy and the
+  // shares delegated to it on-chain, keyed by strategy address
+  diffOperatorStake(operatorAddress, stored, onchain) {
+    const storedByStrategy = new Map(
+      stored.map((stake) => [stake.strategyAddress, toBigInt(stake.shares)])
+    );
+    const diffs = [];
 
-      console.log(`📊 Processing ${restakingData.length} restaking records...`);
+    for (const [strategyAddress, shares] of Object.entries(onchain)) {
+      const match = storedByStrategy.get(strategyAddress);
+      storedByStrategy.delete(strategyAddress);
 
-      for (const restakerData of restakingData) {
-        try {
-          await Restaker.findOneAndUpdate(
-            { userAddress: restakerData.userAddress },
-            restakerData,
-            { upsert: true, new: true }
-          );
-        } catch (error) {
-          console.error(
-            `Error saving restaker ${restakerData.userAddress}:`,
-            error.message
-          );
-        }
+      if (match === undefined || match !== BigInt(shares)) {
+        diffs.push({
+          operatorAddress,
+          strategyAddress,
+          issue: match === undefined ? "missing" : "amount",
+          stored: match === undefined ? null : match.toString(),
+          onchain: shares,
+        });
       }
+    }
 
-      console.log(
-        `✅ Successfully processed ${restakingData.length} restakers`
-      );
-    } catch (error) {
-      console.error("❌ Error fetching restaking data:", error.message);
-      throw error;
+    for (const [strategyAddress, shares] of storedByStrategy) {
+      if (shares > 0n) {
+        diffs.push({
+          operatorAddress,
+          strategyAddress,
+          issue: "stale",
+          stored: shares.toString(),
+          onchain: "0",
+        });
+      }
     }
+
+    return diffs;
   }
 
-  async populateValidators() {
-    console.log("🔄 Fetching validator data...");
+  // Compare every stored wallet and operator with the DelegationManager and
+  // StrategyManager at the current chain head, operators strategy by
+  // strategy. With apply, the on-chain values replace what is stored.
+  // Returns the mismatches found.
+  async reconcile({ apply = false } = {}) {
+    if (this.useMockData) {
+      throw new Error("Reconciliation reads the chain, disable USE_MOCK_DATA");
+    }
 
-    try {
-      let validatorData;
+    const blockNumber = await this.dataFetcher.fetchChainHead();
+    const mismatches = { positions: [], operators: [] };
 
-      if (this.useMockData) {
-        console.log(
-          "⚠️  Using mock data for validators (real API not configured)"
-        );
-        validatorData = this.dataFetcher.generateMockValidatorData(10);
-      } else {
-        validatorData = await this.dataFetcher.fetchValidatorData(100, 0);
+    console.log(`🔄 Reconciling against the chain at block ${blockNumber}...`);
+
+    const wallets = await Restaker.distinct("userAddress");
+    for (const userAddress of wallets) {
+      const stored = await Restaker.find({ userAddress }).lean();
+      const onchain = await this.dataFetcher.fetchOnchainPositions(
+        userAddress,
+        blockNumber
+      );
+      const diffs = this.diffPositions(userAddress, stored, onchain);
+      if (diffs.length === 0) {
+        continue;
       }
 
-      console.log(`📊 Processing ${validatorData.length} validator records...`);
+      mismatches.positions.push(...diffs);
+      if (apply) {
+        if (onchain.length > 0) {
+          await this.saveRestakers(onchain);
+        } else {
+          // Nothing left on-chain: the wallet withdrew everything
+          await this.markWithdrawn({ userAddress });
+          await this.updateWithdrawalStatuses([userAddress]);
+        }
+      }
+    }
 
-      for (const validator of validatorData) {
-        try {
-          // Calculate delegator count from restakers
-          const delegatorCount = await Restaker.countDocuments({
-            targetAVSOperatorAddress: validator.operatorAddress,
-          });
+    const strategyAddresses = [
+      ...new Set([
+        ...Object.keys(STRATEGIES),
+        ...(await Restaker.distinct("strategyAddress")),
+      ]),
+    ];
+    const validators = await Validator.find(
+      {},
+      "operatorAddress stakeByStrategy"
+    ).lean();
+    const rates = await Strategy.getRateMap();
 
-          validator.delegatorCount = delegatorCount;
+    for (const { operatorAddress, stakeByStrategy } of validators) {
+      const { byStrategy } = await this.dataFetcher.fetchOnchainOperatorShares(
+        operatorAddress,
+        strategyAddresses,
+        blockNumber
+      );
+      const diffs = this.diffOperatorStake(
+        operatorAddress,
+        stakeByStrategy,
+        byStrategy
+      );
+      if (diffs.length === 0) {
+        continue;
+      }
 
-          await Validator.findOneAndUpdate(
-            { operatorAddress: validator.operatorAddress },
-            validator,
-            { upsert: true, new: true }
-          );
-        } catch (error) {
-          console.error(
-            `Error saving validator ${validator.operatorAddress}:`,
-            error.message
-          );
-        }
+      mismatches.operators.push(...diffs);
+      if (apply) {
+        await Validator.updateOne(
+          { operatorAddress },
+          {
+            $set: {
+              stakeByStrategy: Object.entries(byStrategy).map(
+                ([strategyAddress, shares]) => ({
+                  strategyAddress,
+                  tokenSymbol: getStrategySymbol(strategyAddress),
+                  shares,
+                  underlyingAmount: rates.has(strategyAddress)
+                    ? sharesToUnderlying(
+                        shares,
+                        rates.get(strategyAddress)
+                      ).toString()
+                    : null,
+                })
+              ),
+              source: "onchain",
+            },
+          }
+        );
       }
+    }
+
+    console.log(
+      `✅ Reconciled ${wallets.length} wallets and ${
+        validators.length
+      } operators: ${mismatches.positions.length} position and ${
+        mismatches.operators.length
+      } operator strategy mismatches${apply ? " corrected" : ""}`
+    );
+    return mismatches;
+  }
 
+  // Long-running mode: sync deltas every DATA_FETCH_INTERVAL_MS
+  async watch() {
+    if (this.useMockData) {
       console.log(
-        `✅ Successfully processed ${validatorData.length} validators`
+        "⚠️  Incremental sync needs the subgraph, disable USE_MOCK_DATA to watch"
       );
-    } catch (error) {
-      console.error("❌ Error fetching validator data:", error.message);
-      throw error;
+      return;
+    }
+
+    const interval =
+      parseInt(process.env.DATA_FETCH_INTERVAL_MS) || 60 * 60 * 1000;
+    console.log(`👀 Syncing every ${interval / 1000} seconds...`);
+
+    for (;;) {
+      await this.syncDeltas();
+      await this.dataFetcher.delay(interval);
     }
   }
 
-  async populateRewards() {
+  // Append new payouts to the reward ledger. The rewards checkpoint in
+  // sync_state holds when the last complete run started; wallets already in
+  // the ledger are only asked for payouts since then, and wallets not yet in
+  // it for their whole history. Pass reset to re-read every wallet in full.
+  async populateRewards({ reset = false } = {}) {
     console.log("🔄 Fetching rewards data...");
 
+    const state = await SyncState.findOrCreate("rewards");
     try {
+      if (reset) {
+        await state.reset();
+      }
+      const startedAt = new Date();
+      const since = state.cursor
+        ? new Date(new Date(state.cursor).getTime() - REWARDS_OVERLAP_MS)
+        : null;
+
       // Get all unique wallet addresses from restakers
       const restakers = await Restaker.find({}, "userAddress").lean();
       const walletAddresses = [...new Set(restakers.map((r) => r.userAddress))];
+      const inLedger = new Set(
+        since
+          ? await RewardEvent.distinct("earnerAddress", {
+              earnerAddress: { $in: walletAddresses },
+            })
+          : []
+      );
 
       console.log(
-        `📊 Processing rewards for ${walletAddresses.length} wallet addresses...`
+        `📊 Processing rewards for ${walletAddresses.length} wallet addresses${
+          since ? ` since ${since.toISOString()}` : ""
+        }...`
       );
 
-      let processedCount = 0;
+      const changedWallets = [];
+      let failedCount = 0;
+      let skippedCount = 0;
       for (const walletAddress of walletAddresses) {
+        const walletSince = inLedger.has(walletAddress) ? since : null;
         try {
-          let rewardData;
+          let events;
 
           if (this.useMockData) {
-            rewardData =
-              this.dataFetcher.generateMockRewardsData(walletAddress);
+            events = this.dataFetcher
+              .generateMockRewardEvents(walletAddress)
+              .filter(
+                (event) => !walletSince || event.timestamp >= walletSince
+              );
           } else {
             // Try to fetch from Rated API first
-            rewardData = await this.dataFetcher.fetchRewardsFromRated(
-              walletAddress
+            events = await this.dataFetcher.fetchRewardsFromRated(
+              walletAddress,
+              walletSince
             );
 
-            // If Rated API fails, generate mock data
-            if (!rewardData) {
-              rewardData =
-                this.dataFetcher.generateMockRewardsData(walletAddress);
+            // Wallets Rated has nothing for are left without rewards
+            // rather than filled in with mock data. Rated answered for
+            // wallets already in the ledger before, so for those it failed.
+            if (!events) {
+              if (walletSince) {
+                failedCount++;
+              } else {
+                skippedCount++;
+              }
+              continue;
             }
           }
 
-          if (
-            rewardData &&
-            parseFloat(rewardData.totalRewardsReceivedStETH) > 0
-          ) {
-            await Reward.findOneAndUpdate(
-              { walletAddress: rewardData.walletAddress },
-              rewardData,
-              { upsert: true, new: true }
-            );
-            processedCount++;
+          events = await this.resolveRewardTokens(events);
+          if (events.length > 0) {
+            await this.saveRewardEvents(events);
+            changedWallets.push(walletAddress);
           }
         } catch (error) {
+          failedCount++;
           console.error(
             `Error processing rewards for ${walletAddress}:`,
             error.message
@@ -154,15 +1833,449 @@ class DatabasePopulator {
         }
       }
 
+      // Averages run up to now, so every wallet is rebuilt, not only those
+      // with new payouts
+      await this.rebuildRewards(walletAddresses);
+
+      // A run that missed wallets keeps the old checkpoint, so the next run
+      // reads their payouts again
+      if (failedCount === 0) {
+        state.cursor = startedAt.toISOString();
+      }
+      await state.recordSuccess(
+        state.lastBlock,
+        changedWallets.length,
+        this.useMockData ? "mock" : "rated"
+      );
+
       console.log(
-        `✅ Successfully processed rewards for ${processedCount} addresses`
+        `✅ Successfully processed rewards for ${changedWallets.length} addresses`
       );
+      if (skippedCount > 0) {
+        console.log(`⚠️  No Rated rewards found for ${skippedCount} addresses`);
+      }
+      if (failedCount > 0) {
+        console.log(
+          `⚠️  Rewards of ${failedCount} addresses failed; checkpoint kept`
+        );
+      }
     } catch (error) {
+      await state.recordFailure(error);
       console.error("❌ Error fetching rewards data:", error.message);
       throw error;
     }
   }
 
+  // Fill in the symbol and decimals of tokens the source did not describe,
+  // read once per token from chain when a provider is configured. Records
+  // in tokens that could not be read keep null decimals.
+  async describeRewardTokens(records) {
+    const unresolved = [
+      ...new Set(
+        records
+          .filter((record) => record.tokenDecimals === null)
+          .map((record) => record.tokenAddress)
+      ),
+    ];
+    if (unresolved.length === 0) {
+      return records;
+    }
+
+    const tokens = new Map();
+    for (const tokenAddress of this.hasChainProvider ? unresolved : []) {
+      try {
+        tokens.set(
+          tokenAddress,
+          await this.dataFetcher.fetchOnchainToken(tokenAddress)
+        );
+      } catch (error) {
+        console.error(`Error reading token ${tokenAddress}:`, error.message);
+      }
+    }
+
+    return records.map((record) => {
+      const token = tokens.get(record.tokenAddress);
+      if (record.tokenDecimals !== null || !token) {
+        return record;
+      }
+
+      return {
+        ...record,
+        tokenSymbol:
+          record.tokenSymbol === "UNKNOWN" ? token.symbol : record.tokenSymbol,
+        tokenDecimals: token.decimals,
+      };
+    });
+  }
+
+  // Reward events in tokens with unknown decimals are dropped rather than
+  // stored with guessed decimals
+  async resolveRewardTokens(events) {
+    const resolved = (await this.describeRewardTokens(events)).filter(
+      (event) => event.tokenDecimals !== null
+    );
+
+    if (resolved.length < events.length) {
+      console.warn(
+        `⚠️  Skipped ${
+          events.length - resolved.length
+        } reward events in tokens with unknown decimals`
+      );
+    }
+    return resolved;
+  }
+
+  // Reward events are append-only: a payout already in the ledger is left
+  // as it is, so re-ingesting the same data does not count it twice
+  async saveRewardEvents(events) {
+    events.forEach((record) => assertWritableSource(record.source));
+
+    for (const event of events) {
+      try {
+        await RewardEvent.updateOne(
+          { eventId: event.eventId },
+          { $setOnInsert: event },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving reward event ${event.eventId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Rebuild the Reward aggregates of these wallets from the ledger
+  async rebuildRewards(walletAddresses) {
+    const summaries = await RewardEvent.summarizeEarners(walletAddresses);
+
+    const byWallet = new Map();
+    summaries.forEach((summary) => {
+      const walletAddress = summary._id.earnerAddress;
+      if (!byWallet.has(walletAddress)) {
+        byWallet.set(walletAddress, []);
+      }
+      byWallet.get(walletAddress).push(summary);
+    });
+
+    for (const [walletAddress, walletSummaries] of byWallet) {
+      const reward = Reward.buildFromSummaries(walletAddress, walletSummaries);
+      if (reward.tokenTotals.every((token) => toBigInt(token.amount) === 0n)) {
+        continue;
+      }
+
+      try {
+        await Reward.findOneAndUpdate({ walletAddress }, reward, {
+          upsert: true,
+          new: true,
+        });
+      } catch (error) {
+        console.error(
+          `Error updating rewards for ${walletAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Sync RewardsCoordinator distribution roots, claims and claimer
+  // settings, then load the distribution snapshot if one is configured
+  async populateRewardsClaims() {
+    console.log("🔄 Fetching rewards claims...");
+
+    try {
+      if (!this.useMockData) {
+        await this.syncDataset("distributionRoots");
+        await this.syncDataset("rewardsClaims");
+        await this.syncDataset("claimers");
+        await this.loadDistributionSnapshot();
+        return;
+      }
+
+      console.log(
+        "⚠️  Using mock data for rewards claims (real API not configured)"
+      );
+      const { roots, claims, claimers, earnings } =
+        this.dataFetcher.generateMockRewardsDistributionData();
+
+      await this.saveDistributionRoots(roots);
+      await this.saveRewardsClaims(claims);
+      await this.saveClaimers(claimers);
+      await this.saveDistributionEarnings(earnings);
+      await this.recordSync("distributionRoots", "mock", roots.length);
+      await this.recordSync("rewardsClaims", "mock", claims.length);
+      await this.recordSync("claimers", "mock", claimers.length);
+      await this.recordSync("distributionSnapshot", "mock", earnings.length);
+
+      console.log(
+        `✅ Successfully processed ${roots.length} distribution roots and ${claims.length} claims`
+      );
+    } catch (error) {
+      console.error("❌ Error fetching rewards claims:", error.message);
+      throw error;
+    }
+  }
+
+  async saveDistributionRoots(roots) {
+    roots.forEach((record) => assertWritableSource(record.source));
+
+    for (const root of roots) {
+      try {
+        await DistributionRoot.findOneAndUpdate(
+          { rootIndex: root.rootIndex },
+          root,
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving distribution root ${root.rootIndex}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Claims are append-only, like the reward ledger. Claims in tokens that
+  // cannot be described are still stored, in raw units, since dropping
+  // them would understate what was claimed.
+  async saveRewardsClaims(claims) {
+    claims.forEach((record) => assertWritableSource(record.source));
+
+    for (const claim of await this.describeRewardTokens(claims)) {
+      try {
+        await RewardsClaim.updateOne(
+          { eventId: claim.eventId },
+          { $setOnInsert: claim },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(`Error saving claim ${claim.eventId}:`, error.message);
+      }
+    }
+  }
+
+  // Keep each earner's latest claimer, whatever order events arrive in
+  async saveClaimers(claimers) {
+    claimers.forEach((record) => assertWritableSource(record.source));
+
+    for (const claimer of claimers) {
+      try {
+        const current = await RewardsClaimer.findOne({
+          earnerAddress: claimer.earnerAddress,
+        }).lean();
+        if (current && current.blockNumber > claimer.blockNumber) {
+          continue;
+        }
+
+        await RewardsClaimer.findOneAndUpdate(
+          { earnerAddress: claimer.earnerAddress },
+          claimer,
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving claimer of ${claimer.earnerAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async saveDistributionEarnings(earnings) {
+    earnings.forEach((record) => assertWritableSource(record.source));
+
+    for (const earning of earnings) {
+      try {
+        await DistributionEarning.findOneAndUpdate(
+          {
+            earnerAddress: earning.earnerAddress,
+            tokenAddress: earning.tokenAddress,
+            rootIndex: earning.rootIndex,
+          },
+          earning,
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving earnings of ${earning.earnerAddress}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Load the cumulative earnings of a distribution snapshot, from a local
+  // path or URL (DISTRIBUTION_SNAPSHOT by default). A snapshot whose root
+  // disagrees with the synced root at its index is refused, and one that
+  // is already loaded is skipped.
+  async loadDistributionSnapshot(location = process.env.DISTRIBUTION_SNAPSHOT) {
+    if (!location) {
+      console.warn(
+        "⚠️  DISTRIBUTION_SNAPSHOT not set, skipping unclaimed rewards"
+      );
+      return;
+    }
+
+    const snapshot = await this.dataFetcher.fetchDistributionSnapshot(location);
+
+    const root = await DistributionRoot.findOne({
+      rootIndex: snapshot.rootIndex,
+    }).lean();
+    if (root && root.root !== snapshot.root) {
+      throw new Error(
+        `Distribution snapshot root ${snapshot.root} does not match root #${snapshot.rootIndex} (${root.root})`
+      );
+    }
+    if (!root) {
+      console.warn(
+        `⚠️  Root #${snapshot.rootIndex} has not been synced yet; loading its snapshot unchecked`
+      );
+    }
+
+    // Finding the snapshot already loaded still counts as a refresh
+    if (await DistributionEarning.exists({ rootIndex: snapshot.rootIndex })) {
+      await this.recordSync("distributionSnapshot", "file", 0);
+      console.log(
+        `✅ Distribution snapshot of root #${snapshot.rootIndex} already loaded`
+      );
+      return;
+    }
+
+    await this.saveDistributionEarnings(
+      snapshot.earnings.map((earning) => ({
+        ...earning,
+        rootIndex: snapshot.rootIndex,
+        root: snapshot.root,
+        source: "file",
+      }))
+    );
+    await this.recordSync(
+      "distributionSnapshot",
+      "file",
+      snapshot.earnings.length
+    );
+
+    console.log(
+      `✅ Loaded ${snapshot.earnings.length} cumulative earnings of root #${snapshot.rootIndex}`
+    );
+  }
+
+  async populateRewardsSubmissions() {
+    console.log("🔄 Fetching rewards submissions...");
+
+    try {
+      if (!this.useMockData) {
+        await this.syncDataset("avsRewardsSubmissions");
+        await this.syncDataset("operatorDirectedRewardsSubmissions");
+        return;
+      }
+
+      console.log(
+        "⚠️  Using mock data for rewards submissions (real API not configured)"
+      );
+      const submissions = this.dataFetcher.generateMockRewardsSubmissionData();
+
+      await this.saveRewardsSubmissions(submissions);
+      await this.recordSync(
+        "avsRewardsSubmissions",
+        "mock",
+        submissions.filter((submission) => submission.submissionType === "avs")
+          .length
+      );
+      await this.recordSync(
+        "operatorDirectedRewardsSubmissions",
+        "mock",
+        submissions.filter(
+          (submission) => submission.submissionType === "operator_directed"
+        ).length
+      );
+
+      console.log(
+        `✅ Successfully processed ${submissions.length} rewards submissions`
+      );
+    } catch (error) {
+      console.error("❌ Error fetching rewards submissions:", error.message);
+      throw error;
+    }
+  }
+
+  // Submissions cannot be changed once created. Like claims, those in
+  // tokens that cannot be described are kept in raw units.
+  async saveRewardsSubmissions(submissions) {
+    submissions.forEach((record) => assertWritableSource(record.source));
+
+    for (const submission of await this.describeRewardTokens(submissions)) {
+      try {
+        await RewardsSubmission.updateOne(
+          { submissionHash: submission.submissionHash },
+          { $setOnInsert: submission },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving rewards submission ${submission.submissionHash}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async populateOperatorSplits() {
+    console.log("🔄 Fetching operator splits...");
+
+    try {
+      if (!this.useMockData) {
+        await this.syncDataset("operatorSplits");
+        await this.syncDataset("defaultSplits");
+        return;
+      }
+
+      console.log(
+        "⚠️  Using mock data for operator splits (real API not configured)"
+      );
+      const splits = this.dataFetcher.generateMockOperatorSplitData();
+
+      await this.saveOperatorSplits(splits);
+      await this.recordSync(
+        "operatorSplits",
+        "mock",
+        splits.filter((split) => split.splitType === "avs").length
+      );
+      await this.recordSync(
+        "defaultSplits",
+        "mock",
+        splits.filter((split) => split.splitType === "default").length
+      );
+
+      console.log(`✅ Successfully processed ${splits.length} split changes`);
+    } catch (error) {
+      console.error("❌ Error fetching operator splits:", error.message);
+      throw error;
+    }
+  }
+
+  // Split changes are kept as history; the current splits are resolved
+  // from them when needed
+  async saveOperatorSplits(splits) {
+    splits.forEach((record) => assertWritableSource(record.source));
+
+    for (const split of splits) {
+      try {
+        await OperatorSplit.updateOne(
+          { eventId: split.eventId },
+          { $setOnInsert: split },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error(
+          `Error saving split change ${split.eventId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
   async updateStatistics() {
     console.log("🔄 Updating database statistics...");
 
@@ -171,9 +2284,9 @@ class DatabasePopulator {
       const validators = await Validator.find({});
 
       for (const validator of validators) {
-        const delegatorCount = await Restaker.countDocuments({
-          targetAVSOperatorAddress: validator.operatorAddress,
-        });
+        const delegatorCount = await Restaker.countDelegators(
+          validator.operatorAddress
+        );
 
         if (validator.delegatorCount !== delegatorCount) {
           validator.delegatorCount = delegatorCount;
@@ -181,10 +2294,21 @@ class DatabasePopulator {
         }
       }
 
+      // Update underlying amounts from the latest strategy rates
+      await this.updateUnderlyingAmounts();
+
+      // Update AVS securing stake and operator AVS lists
+      await this.updateAVSStats();
+
+      // Update operator commissions from their splits
+      await this.updateCommissions();
+
       // Log summary statistics
-      const totalRestakers = await Restaker.countDocuments({});
+      const totalRestakers = (await Restaker.distinct("userAddress")).length;
+      const totalPositions = await Restaker.countDocuments({});
       const totalValidators = await Validator.countDocuments({});
       const totalRewards = await Reward.countDocuments({});
+      const totalAVS = await AVS.countDocuments({});
       const activeValidators = await Validator.countDocuments({
         status: "active",
       });
@@ -194,24 +2318,26 @@ class DatabasePopulator {
 
       console.log("📈 Database Statistics:");
       console.log(`   - Total Restakers: ${totalRestakers}`);
+      console.log(`   - Restaking Positions: ${totalPositions}`);
       console.log(`   - Total Validators: ${totalValidators}`);
       console.log(`   - Active Validators: ${activeValidators}`);
       console.log(`   - Slashed Validators: ${slashedValidators}`);
       console.log(`   - Reward Records: ${totalRewards}`);
+      console.log(`   - AVSs: ${totalAVS}`);
 
       // Calculate total value locked
       const totalStakeResult = await Restaker.aggregate([
         {
           $group: {
             _id: null,
-            totalStake: { $sum: { $toDouble: "$amountRestakedStETH" } },
+            totalStake: { $sum: "$amountRestaked" },
           },
         },
       ]);
 
       const totalStake =
         totalStakeResult.length > 0 ? totalStakeResult[0].totalStake : 0;
-      console.log(`   - Total Value Locked: ${totalStake.toFixed(2)} stETH`);
+      console.log(`   - Total Value Locked: ${formatUnits(totalStake)} ETH`);
 
       console.log("✅ Statistics updated successfully");
     } catch (error) {
@@ -230,11 +2356,20 @@ class DatabasePopulator {
 
       // Populate all data types
       await this.populateRestakers();
+      await this.populateStrategies();
+      await this.populateWithdrawals();
       await this.populateValidators();
+      await this.populateSlashings();
+      await this.populateAVS();
       await this.populateRewards();
+      await this.populateRewardsClaims();
+      await this.populateRewardsSubmissions();
+      await this.populateOperatorSplits();
 
       // Update statistics
       await this.updateStatistics();
+      await this.populateSnapshots();
+      await this.populatePrices();
 
       const endTime = Date.now();
       const duration = (endTime - startTime) / 1000;
@@ -262,18 +2397,82 @@ async function main() {
         await connectDB();
         await populator.populateRestakers();
         break;
+      case "strategies":
+        await connectDB();
+        await populator.populateStrategies();
+        await populator.updateUnderlyingAmounts();
+        break;
+      case "snapshots":
+        await connectDB();
+        await populator.populateSnapshots();
+        break;
+      case "prices":
+        await connectDB();
+        await populator.populatePrices();
+        break;
+      case "withdrawals":
+        await connectDB();
+        await populator.populateWithdrawals();
+        break;
       case "validators":
         await connectDB();
         await populator.populateValidators();
         break;
+      case "avs":
+        await connectDB();
+        await populator.populateAVS();
+        break;
       case "rewards":
         await connectDB();
-        await populator.populateRewards();
+        await populator.populateRewards({ reset: args.includes("--reset") });
+        break;
+      case "claims":
+        await connectDB();
+        await populator.populateRewardsClaims();
+        break;
+      case "rewards-submissions":
+        await connectDB();
+        await populator.populateRewardsSubmissions();
+        break;
+      case "splits":
+        await connectDB();
+        await populator.populateOperatorSplits();
+        await populator.updateCommissions();
+        break;
+      case "distribution-snapshot":
+        await connectDB();
+        await populator.loadDistributionSnapshot(args[1]);
         break;
       case "stats":
         await connectDB();
         await populator.updateStatistics();
         break;
+      case "backfill": {
+        const dataset = args.slice(1).find((arg) => !arg.startsWith("--"));
+        const datasets = dataset
+          ? [dataset]
+          : Object.keys(populator.getSyncDatasets());
+
+        await connectDB();
+        for (const name of datasets) {
+          await populator.backfill(name, { reset: args.includes("--reset") });
+        }
+        break;
+      }
+      case "reconcile": {
+        await connectDB();
+        const mismatches = await populator.reconcile({
+          apply: args.includes("--apply"),
+        });
+        [...mismatches.positions, ...mismatches.operators].forEach((mismatch) =>
+          console.log("   -", JSON.stringify(mismatch))
+        );
+        break;
+      }
+      case "watch":
+        await connectDB();
+        await populator.watch();
+        break;
       case "all":
       default:
         await populator.runFullUpdate();
@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const connectDB = require("../config/database");
+const { parseUnits, toDecimal128 } = require("../utils/amounts");
+const { STETH_STRATEGY, getStrategySymbol } = require("../config/strategies");
+require("dotenv").config();
+
+// One-off migration of decimal-string amounts to Decimal128 wei integers,
+// dropping stored totals that added up shares of different strategies.
+// Documents that are already migrated are left untouched, so it is safe to
+// run more than once.
+class AmountMigrator {
+  constructor() {
+    this.stats = { restakers: 0, validators: 0, rewards: 0, avs: 0 };
+  }
+
+  // Convert a legacy decimal string ("12.5" or "1.2e-7") to Decimal128 wei
+  convert(value) {
+    if (typeof value !== "string") {
+      return value;
+    }
+
+    const decimal = /e/i.test(value) ? Number(value).toFixed(18) : value;
+    return toDecimal128(parseUnits(decimal));
+  }
+
+  async migrateRestakers() {
+    const collection = mongoose.connection.collection("restakers");
+    const cursor = collection.find({
+      $or: [
+        { amountRestakedStETH: { $exists: true } },
+        { amountRestaked: { $type: "string" } },
+      ],
+    });
+
+    for await (const doc of cursor) {
+      const update = { $set: {}, $unset: {} };
+
+      if (doc.amountRestakedStETH !== undefined) {
+        // Legacy one-document-per-wallet restakers only ever tracked stETH
+        update.$set.amountRestaked = this.convert(doc.amountRestakedStETH);
+        update.$unset.amountRestakedStETH = "";
+        if (!doc.strategyAddress) {
+          update.$set.strategyAddress = STETH_STRATEGY;
+          update.$set.tokenSymbol = getStrategySymbol(STETH_STRATEGY);
+        }
+      } else {
+        update.$set.amountRestaked = this.convert(doc.amountRestaked);
+      }
+
+      if (Object.keys(update.$unset).length === 0) {
+        delete update.$unset;
+      }
+
+      await collection.updateOne({ _id: doc._id }, update);
+      this.stats.restakers++;
+    }
+  }
+
+  async migrateValidators() {
+    const collection = mongoose.connection.collection("validators");
+    const cursor = collection.find({
+      $or: [
+        { totalDelegatedStakeStETH: { $exists: true } },
+        { "slashHistory.amountStETH": { $type: "string" } },
+      ],
+    });
+
+    // Delegated stake is kept per strategy in stakeByStrategy, which the
+    // sync rebuilds
+    for await (const doc of cursor) {
+      await collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            slashHistory: (doc.slashHistory || []).map((slash) => ({
+              ...slash,
+              amountStETH: this.convert(slash.amountStETH),
+            })),
+          },
+          $unset: { totalDelegatedStakeStETH: "" },
+        }
+      );
+      this.stats.validators++;
+    }
+  }
+
+  async migrateRewards() {
+    const collection = mongoose.connection.collection("rewards");
+    const cursor = collection.find({
+      $or: [
+        { totalRewardsReceivedStETH: { $type: "string" } },
+        { averageRewardAmount: { $type: "string" } },
+        { "rewardsBreakdown.amountStETH": { $type: "string" } },
+      ],
+    });
+
+    for await (const doc of cursor) {
+      const frequency = doc.rewardFrequency || {};
+
+      await collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            totalRewardsReceivedStETH: this.convert(
+              doc.totalRewardsReceivedStETH
+            ),
+            averageRewardAmount: this.convert(doc.averageRewardAmount || "0"),
+            rewardFrequency: {
+              dailyAverage: this.convert(frequency.dailyAverage || "0"),
+              weeklyAverage: this.convert(frequency.weeklyAverage || "0"),
+              monthlyAverage: this.convert(frequency.monthlyAverage || "0"),
+            },
+            rewardsBreakdown: (doc.rewardsBreakdown || []).map((breakdown) => ({
+              ...breakdown,
+              amountStETH: this.convert(breakdown.amountStETH),
+            })),
+          },
+        }
+      );
+      this.stats.rewards++;
+    }
+  }
+
+  // Securing stake is kept per strategy in restakedStrategies, which the
+  // sync rebuilds
+  async migrateAVS() {
+    const result = await mongoose.connection
+      .collection("avs")
+      .updateMany(
+        { totalSecuringStake: { $exists: true } },
+        { $unset: { totalSecuringStake: "" } }
+      );
+    this.stats.avs = result.modifiedCount;
+  }
+
+  async run() {
+    console.log("🔄 Migrating amounts to wei...");
+
+    await connectDB();
+    await this.migrateRestakers();
+    await this.migrateValidators();
+    await this.migrateRewards();
+    await this.migrateAVS();
+
+    console.log("✅ Amount migration completed:");
+    console.log(`   - Restakers: ${this.stats.restakers}`);
+    console.log(`   - Validators: ${this.stats.validators}`);
+    console.log(`   - Rewards: ${this.stats.rewards}`);
+    console.log(`   - AVSs: ${this.stats.avs}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  new AmountMigrator()
+    .run()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AmountMigrator;
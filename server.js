@@ -6,13 +6,20 @@ const connectDB = require("./config/database");
 const restakerRoutes = require("./routes/restakers");
 const validatorRoutes = require("./routes/validators");
 const rewardRoutes = require("./routes/rewards");
+const syncRoutes = require("./routes/sync");
+const avsRoutes = require("./routes/avs");
+const strategyRoutes = require("./routes/strategies");
+const statsRoutes = require("./routes/stats");
+const healthRoutes = require("./routes/health");
 const errorHandler = require("./middleware/errorHandler");
+const { rawAmountReplacer } = require("./utils/amounts");
 require("dotenv").config();
 
 const app = express();
 
-// Connect to Database
-connectDB();
+// Connect to Database, retrying in the background until it is reachable.
+// Until then /health/ready reports the API as unavailable.
+connectDB({ maxRetries: Infinity });
 
 // Security Middleware
 app.use(helmet());
@@ -28,24 +35,25 @@ const limiter = rateLimit({
 });
 app.use("/api/", limiter);
 
+// Controllers format amounts in their tokens' decimals; this only keeps
+// BigInt and Decimal128 values that reach the response serializable
+app.set("json replacer", rawAmountReplacer);
+
 // Body Parser Middleware
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: false }));
 
-// Health Check Endpoint
-app.get("/health", (req, res) => {
-  res.status(200).json({
-    status: "OK",
-    timestamp: new Date().toISOString(),
-    service: "EigenLayer Restaking API",
-    version: "1.0.0",
-  });
-});
+// Health Check Endpoints
+app.use("/health", healthRoutes);
 
 // API Routes
 app.use("/api/restakers", restakerRoutes);
 app.use("/api/validators", validatorRoutes);
 app.use("/api/rewards", rewardRoutes);
+app.use("/api/avs", avsRoutes);
+app.use("/api/strategies", strategyRoutes);
+app.use("/api/stats", statsRoutes);
+app.use("/api/sync", syncRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -54,9 +62,16 @@ app.get("/", (req, res) => {
     version: "1.0.0",
     endpoints: {
       health: "/health",
+      liveness: "/health/live",
+      readiness: "/health/ready",
       restakers: "/api/restakers",
       validators: "/api/validators",
       rewards: "/api/rewards/:address",
+      avs: "/api/avs",
+      strategies: "/api/strategies",
+      tvl: "/api/stats/tvl",
+      yield: "/api/stats/yield",
+      syncStatus: "/api/sync/status",
     },
     documentation: "See README.md for detailed API documentation",
   });
@@ -78,5 +93,8 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(` EigenLayer Restaking API Server running on port ${PORT}`);
   console.log(` Health check available at http://localhost:${PORT}/health`);
+  console.log(
+    ` Readiness check available at http://localhost:${PORT}/health/ready`
+  );
   console.log(` API endpoints available at http://localhost:${PORT}/api`);
 });
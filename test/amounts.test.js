@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { rawAmountReplacer, toBigInt } = require("../utils/amounts");
+const AmountMigrator = require("../scripts/migrateAmounts");
+const { STETH_STRATEGY } = require("../config/strategies");
+
+const decimal = (value) => mongoose.Types.Decimal128.fromString(value);
+
+// A collection double: find yields the given documents, writes are recorded
+const fakeCollection = (docs) => {
+  const writes = [];
+  return {
+    writes,
+    find: () => docs,
+    updateOne: async (filter, update) => writes.push({ filter, update }),
+    updateMany: async (filter, update) => {
+      writes.push({ filter, update });
+      return { modifiedCount: docs.length };
+    },
+  };
+};
+
+test("rawAmountReplacer writes BigInt and Decimal128 as raw integers", () => {
+  const json = JSON.stringify(
+    {
+      shares: 12345678901234567890n,
+      amount: decimal("1000000000000000000"),
+      scaled: decimal("1.5E+3"),
+      label: "stETH",
+      count: 3,
+      missing: null,
+    },
+    rawAmountReplacer
+  );
+
+  assert.deepEqual(JSON.parse(json), {
+    shares: "12345678901234567890",
+    amount: "1000000000000000000",
+    scaled: "1500",
+    label: "stETH",
+    count: 3,
+    missing: null,
+  });
+});
+
+test("convert turns legacy decimal strings into wei", () => {
+  const migrator = new AmountMigrator();
+
+  assert.equal(toBigInt(migrator.convert("12.5")), 12500000000000000000n);
+  assert.equal(toBigInt(migrator.convert("1.2e-7")), 120000000000n);
+  assert.equal(toBigInt(migrator.convert("0")), 0n);
+});
+
+test("convert leaves migrated amounts untouched", () => {
+  const migrator = new AmountMigrator();
+  const migrated = decimal("5000");
+
+  assert.equal(migrator.convert(migrated), migrated);
+  assert.equal(migrator.convert(null), null);
+});
+
+test("migrateRestakers moves legacy stETH amounts to the stETH strategy", async (t) => {
+  const restakers = fakeCollection([
+    { _id: 1, amountRestakedStETH: "2.5" },
+    { _id: 2, amountRestaked: "0.1", strategyAddress: STETH_STRATEGY },
+  ]);
+  t.mock.method(mongoose.connection, "collection", () => restakers);
+
+  const migrator = new AmountMigrator();
+  await migrator.migrateRestakers();
+
+  assert.equal(migrator.stats.restakers, 2);
+  const [legacy, current] = restakers.writes;
+  assert.equal(
+    toBigInt(legacy.update.$set.amountRestaked),
+    2500000000000000000n
+  );
+  assert.equal(legacy.update.$set.strategyAddress, STETH_STRATEGY);
+  assert.deepEqual(legacy.update.$unset, { amountRestakedStETH: "" });
+  assert.equal(
+    toBigInt(current.update.$set.amountRestaked),
+    100000000000000000n
+  );
+  assert.equal(current.update.$unset, undefined);
+});
+
+test("migrateAVS drops the mixed-share securing stake total", async (t) => {
+  const avs = fakeCollection([{ _id: 1, totalSecuringStake: "10" }]);
+  t.mock.method(mongoose.connection, "collection", () => avs);
+
+  const migrator = new AmountMigrator();
+  await migrator.migrateAVS();
+
+  assert.equal(migrator.stats.avs, 1);
+  assert.deepEqual(avs.writes[0].update, {
+    $unset: { totalSecuringStake: "" },
+  });
+});
@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns").promises;
+const axios = require("axios");
+const DataFetcher = require("../utils/dataFetcher");
+
+const resolvesTo = (t, address) =>
+  t.mock.method(dns, "lookup", async () => [{ address, family: 4 }]);
+
+test("isPrivateHost flags loopback, private and link-local hosts", () => {
+  const fetcher = new DataFetcher();
+
+  [
+    "localhost",
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.1.1",
+    "169.254.169.254",
+    "0.0.0.0",
+    "[::1]",
+    "::",
+    "fd12:3456::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+  ].forEach((host) => assert.equal(fetcher.isPrivateHost(host), true, host));
+
+  ["example.com", "8.8.8.8", "172.32.0.1", "2606:4700::1111"].forEach((host) =>
+    assert.equal(fetcher.isPrivateHost(host), false, host)
+  );
+});
+
+test("assertPublicHost refuses names that resolve to private addresses", async (t) => {
+  const fetcher = new DataFetcher();
+  fetcher.allowPrivateMetadataHosts = false;
+
+  resolvesTo(t, "10.0.0.5");
+  await assert.rejects(
+    fetcher.assertPublicHost("metadata.example.com"),
+    /private host/
+  );
+});
+
+test("assertPublicHost allows public hosts", async (t) => {
+  const fetcher = new DataFetcher();
+  fetcher.allowPrivateMetadataHosts = false;
+
+  resolvesTo(t, "93.184.216.34");
+  await assert.doesNotReject(fetcher.assertPublicHost("example.com"));
+});
+
+test("assertPublicHost allows private hosts only when configured", async (t) => {
+  const fetcher = new DataFetcher();
+  fetcher.allowPrivateMetadataHosts = true;
+
+  const lookup = resolvesTo(t, "127.0.0.1");
+  await assert.doesNotReject(fetcher.assertPublicHost("localhost"));
+  assert.equal(lookup.mock.callCount(), 0);
+});
+
+test("fetchMetadata refuses private hosts without requesting them", async (t) => {
+  const fetcher = new DataFetcher();
+  fetcher.allowPrivateMetadataHosts = false;
+
+  resolvesTo(t, "169.254.169.254");
+  const get = t.mock.method(axios, "get", async () => ({ data: "{}" }));
+
+  const result = await fetcher.fetchMetadata(
+    "http://metadata.example.com/latest"
+  );
+  assert.deepEqual(result.metadata, {});
+  assert.match(result.error, /private host/);
+  assert.equal(get.mock.callCount(), 0);
+});
+
+test("fetchMetadata refuses redirects to private hosts", async (t) => {
+  const fetcher = new DataFetcher();
+  fetcher.allowPrivateMetadataHosts = false;
+
+  resolvesTo(t, "93.184.216.34");
+  t.mock.method(axios, "get", async (url, options) => {
+    options.beforeRedirect({ hostname: "127.0.0.1" });
+    return { data: "{}" };
+  });
+
+  const result = await fetcher.fetchMetadata("https://example.com/meta.json");
+  assert.match(result.error, /redirect to 127\.0\.0\.1/);
+});
+
+test("fetchMetadata refuses URIs that are not http(s)", async () => {
+  const fetcher = new DataFetcher();
+
+  const result = await fetcher.fetchMetadata("file:///etc/passwd");
+  assert.match(result.error, /Unsupported metadata URI/);
+});
+
+test("fetchMetadata keeps only the served profile fields", async (t) => {
+  const fetcher = new DataFetcher();
+  fetcher.allowPrivateMetadataHosts = false;
+
+  resolvesTo(t, "93.184.216.34");
+  t.mock.method(axios, "get", async () => ({
+    data: JSON.stringify({
+      name: " Operator ",
+      website: "javascript:alert(1)",
+      logo: "https://example.com/logo.png",
+      extra: "dropped",
+    }),
+  }));
+
+  const result = await fetcher.fetchMetadata("ipfs://QmHash");
+  assert.equal(result.error, null);
+  assert.deepEqual(result.metadata, {
+    name: "Operator",
+    logo: "https://example.com/logo.png",
+  });
+});
@@ -0,0 +1,289 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Web3 } = require("web3");
+const Restaker = require("../models/Restaker");
+const Validator = require("../models/Validator");
+const Strategy = require("../models/Strategy");
+const DatabasePopulator = require("../scripts/fetchData");
+const {
+  BEACON_CHAIN_ETH_STRATEGY,
+  STETH_STRATEGY,
+} = require("../config/strategies");
+
+const ETHER = 10n ** 18n;
+const RETH_STRATEGY = "0x1bee69b7dfffa4e2d53c2a2df135c388ad25dcd2";
+const OPERATOR = "0x" + "a".repeat(40);
+const TOPPED_UP = "0x" + "1".repeat(40);
+const WITHDRAWN = "0x" + "2".repeat(40);
+const IN_SYNC = "0x" + "3".repeat(40);
+const HEAD = 100;
+
+const abi = new Web3().eth.abi;
+const selector = (signature) => abi.encodeFunctionSignature(signature);
+
+// Chain state the provider answers DelegationManager, StrategyManager and
+// EigenPodManager calls from
+const chain = {
+  stakers: {
+    [TOPPED_UP]: {
+      operator: OPERATOR,
+      strategies: { [STETH_STRATEGY]: 6n * ETHER },
+      podShares: 0n,
+    },
+    [IN_SYNC]: { operator: OPERATOR, strategies: {}, podShares: 32n * ETHER },
+  },
+  operatorShares: {
+    [OPERATOR]: {
+      [STETH_STRATEGY]: 9n * ETHER,
+      [BEACON_CHAIN_ETH_STRATEGY]: 32n * ETHER,
+    },
+  },
+};
+
+const staker = (address) =>
+  chain.stakers[address.toLowerCase()] || {
+    operator: "0x" + "0".repeat(40),
+    strategies: {},
+    podShares: 0n,
+  };
+
+const calls = {
+  [selector("delegatedTo(address)")]: [
+    ["address"],
+    ([address]) => abi.encodeParameter("address", staker(address).operator),
+  ],
+  [selector("stakerStrategyListLength(address)")]: [
+    ["address"],
+    ([address]) =>
+      abi.encodeParameter(
+        "uint256",
+        Object.keys(staker(address).strategies).length
+      ),
+  ],
+  [selector("stakerStrategyList(address,uint256)")]: [
+    ["address", "uint256"],
+    ([address, index]) =>
+      abi.encodeParameter(
+        "address",
+        Object.keys(staker(address).strategies)[Number(index)]
+      ),
+  ],
+  [selector("stakerStrategyShares(address,address)")]: [
+    ["address", "address"],
+    ([address, strategy]) =>
+      abi.encodeParameter(
+        "uint256",
+        staker(address).strategies[strategy.toLowerCase()] || 0n
+      ),
+  ],
+  [selector("podOwnerShares(address)")]: [
+    ["address"],
+    ([address]) => abi.encodeParameter("int256", staker(address).podShares),
+  ],
+  [selector("operatorShares(address,address)")]: [
+    ["address", "address"],
+    ([operator, strategy]) =>
+      abi.encodeParameter(
+        "uint256",
+        (chain.operatorShares[operator.toLowerCase()] || {})[
+          strategy.toLowerCase()
+        ] || 0n
+      ),
+  ],
+};
+
+// EIP-1193 provider serving the chain state above at HEAD. Every call must
+// be pinned to the block the run started at.
+const provider = {
+  request: async ({ method, params }) => {
+    if (method === "eth_blockNumber") {
+      return Web3.utils.toHex(HEAD);
+    }
+    if (method !== "eth_call") {
+      throw new Error(`Unexpected RPC method ${method}`);
+    }
+
+    const [{ data }, block] = params;
+    assert.equal(Number(block), HEAD);
+    const [types, answer] = calls[data.slice(0, 10)];
+    const args = abi.decodeParameters(types, `0x${data.slice(10)}`);
+    return answer(types.map((_, index) => args[index]));
+  },
+};
+
+const stored = {
+  [TOPPED_UP]: [
+    {
+      userAddress: TOPPED_UP,
+      strategyAddress: STETH_STRATEGY,
+      targetAVSOperatorAddress: OPERATOR,
+      amountRestaked: (5n * ETHER).toString(),
+    },
+  ],
+  [WITHDRAWN]: [
+    {
+      userAddress: WITHDRAWN,
+      strategyAddress: STETH_STRATEGY,
+      targetAVSOperatorAddress: OPERATOR,
+      amountRestaked: (3n * ETHER).toString(),
+    },
+  ],
+  [IN_SYNC]: [
+    {
+      userAddress: IN_SYNC,
+      strategyAddress: BEACON_CHAIN_ETH_STRATEGY,
+      targetAVSOperatorAddress: OPERATOR,
+      amountRestaked: (32n * ETHER).toString(),
+    },
+  ],
+};
+
+// A populator reading the mocked chain, with the models it touches stubbed
+// and their writes recorded
+const setup = (t) => {
+  const writes = {
+    saved: [],
+    withdrawn: [],
+    statuses: [],
+    validators: [],
+  };
+
+  t.mock.method(console, "log", () => {});
+  t.mock.method(Restaker, "distinct", async (field) =>
+    field === "userAddress" ? Object.keys(stored) : [STETH_STRATEGY]
+  );
+  t.mock.method(Restaker, "find", (filter) => ({
+    lean: async () => stored[filter.userAddress],
+  }));
+  t.mock.method(Restaker, "updateMany", async (filter, update) =>
+    writes.withdrawn.push({ filter, update })
+  );
+  t.mock.method(Validator, "find", () => ({
+    lean: async () => [
+      {
+        operatorAddress: OPERATOR,
+        stakeByStrategy: [
+          { strategyAddress: STETH_STRATEGY, shares: (8n * ETHER).toString() },
+          { strategyAddress: RETH_STRATEGY, shares: (4n * ETHER).toString() },
+        ],
+      },
+    ],
+  }));
+  t.mock.method(Validator, "updateOne", async (filter, update) =>
+    writes.validators.push({ filter, update })
+  );
+  t.mock.method(
+    Strategy,
+    "getRateMap",
+    async () => new Map([[STETH_STRATEGY, ((11n * ETHER) / 10n).toString()]])
+  );
+
+  const populator = new DatabasePopulator();
+  populator.useMockData = false;
+  populator.dataFetcher.web3 = new Web3(provider);
+  populator.saveRestakers = async (positions) => writes.saved.push(positions);
+  populator.updateWithdrawalStatuses = async (wallets) =>
+    writes.statuses.push(wallets);
+
+  return { populator, writes };
+};
+
+test("reconcile reports wallet and operator mismatches per strategy", async (t) => {
+  const { populator, writes } = setup(t);
+
+  const mismatches = await populator.reconcile();
+
+  assert.deepEqual(mismatches.positions, [
+    {
+      userAddress: TOPPED_UP,
+      strategyAddress: STETH_STRATEGY,
+      operatorAddress: OPERATOR,
+      issue: "amount",
+      stored: (5n * ETHER).toString(),
+      onchain: (6n * ETHER).toString(),
+    },
+    {
+      userAddress: WITHDRAWN,
+      strategyAddress: STETH_STRATEGY,
+      operatorAddress: OPERATOR,
+      issue: "stale",
+      stored: (3n * ETHER).toString(),
+      onchain: "0",
+    },
+  ]);
+  assert.deepEqual(
+    mismatches.operators.map(({ strategyAddress, issue }) => [
+      strategyAddress,
+      issue,
+    ]),
+    [
+      [BEACON_CHAIN_ETH_STRATEGY, "missing"],
+      [STETH_STRATEGY, "amount"],
+      [RETH_STRATEGY, "stale"],
+    ]
+  );
+
+  // Without apply nothing is written
+  assert.deepEqual(writes, {
+    saved: [],
+    withdrawn: [],
+    statuses: [],
+    validators: [],
+  });
+});
+
+test("reconcile with apply stores the chain's values", async (t) => {
+  const { populator, writes } = setup(t);
+
+  await populator.reconcile({ apply: true });
+
+  assert.deepEqual(writes.saved, [
+    [
+      {
+        userAddress: TOPPED_UP,
+        strategyAddress: STETH_STRATEGY,
+        tokenSymbol: "stETH",
+        amountRestaked: (6n * ETHER).toString(),
+        targetAVSOperatorAddress: OPERATOR,
+        source: "onchain",
+      },
+    ],
+  ]);
+
+  // A wallet with nothing left on-chain is kept, marked withdrawn
+  assert.deepEqual(writes.withdrawn[0].filter, { userAddress: WITHDRAWN });
+  assert.equal(writes.withdrawn[0].update.$set.amountRestaked, "0");
+  assert.deepEqual(writes.statuses, [[WITHDRAWN]]);
+
+  assert.deepEqual(writes.validators, [
+    {
+      filter: { operatorAddress: OPERATOR },
+      update: {
+        $set: {
+          stakeByStrategy: [
+            {
+              strategyAddress: BEACON_CHAIN_ETH_STRATEGY,
+              tokenSymbol: "ETH",
+              shares: (32n * ETHER).toString(),
+              underlyingAmount: null,
+            },
+            {
+              strategyAddress: STETH_STRATEGY,
+              tokenSymbol: "stETH",
+              shares: (9n * ETHER).toString(),
+              underlyingAmount: ((99n * ETHER) / 10n).toString(),
+            },
+          ],
+          source: "onchain",
+        },
+      },
+    },
+  ]);
+});
+
+test("reconcile refuses to run on mock data", async (t) => {
+  const { populator } = setup(t);
+  populator.useMockData = true;
+
+  await assert.rejects(populator.reconcile(), /disable USE_MOCK_DATA/);
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { assertWritableSource } = require("../config/sources");
+
+const withMockData = (value, fn) => {
+  const previous = process.env.USE_MOCK_DATA;
+  process.env.USE_MOCK_DATA = value;
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.USE_MOCK_DATA;
+    } else {
+      process.env.USE_MOCK_DATA = previous;
+    }
+  }
+};
+
+test("assertWritableSource accepts known sources", () => {
+  withMockData("false", () => {
+    ["subgraph", "rated", "onchain", "coingecko", "file"].forEach((source) =>
+      assert.doesNotThrow(() => assertWritableSource(source))
+    );
+  });
+});
+
+test("assertWritableSource refuses unknown and missing sources", () => {
+  [undefined, null, "", "Subgraph", "api"].forEach((source) =>
+    assert.throws(() => assertWritableSource(source), /unknown source/)
+  );
+});
+
+test("assertWritableSource refuses mock data unless it is enabled", () => {
+  withMockData("false", () => {
+    assert.throws(() => assertWritableSource("mock"), /USE_MOCK_DATA/);
+  });
+  withMockData("true", () => {
+    assert.doesNotThrow(() => assertWritableSource("mock"));
+  });
+});
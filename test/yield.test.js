@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  YEAR_MS,
+  windowRange,
+  annualizedYield,
+  stakeTimeIn,
+  totalStakeTime,
+  yieldOver,
+  attributeRewards,
+} = require("../utils/yield");
+
+const ETHER = 10n ** 18n;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STETH = { tokenAddress: "0xsteth", decimals: 18 };
+const USDC = { tokenAddress: "0xusdc", decimals: 6 };
+const tokens = new Map([
+  ["0xstethstrategy", STETH],
+  ["0xusdcstrategy", USDC],
+]);
+// Prices in ETH wei: stETH at par, USDC at 0.0005 ETH
+const prices = new Map([
+  [STETH.tokenAddress, { price: ETHER }],
+  [USDC.tokenAddress, { price: ETHER / 2000n }],
+]);
+
+const row = (wallet, strategyAddress, stakeTime, firstStaked) => ({
+  _id: { wallet, strategyAddress },
+  stakeTime,
+  firstStaked,
+});
+
+test("windowRange bounds events by the window, or only its end", () => {
+  const start = new Date("2024-01-01");
+  const end = new Date("2024-02-01");
+
+  assert.deepEqual(windowRange({ start, end }), { $gte: start, $lte: end });
+  assert.deepEqual(windowRange({ start: null, end }), { $lte: end });
+});
+
+test("annualizedYield is rewards over stake held for a year", () => {
+  // 1 stETH earned on 100 stETH held for a year
+  const { apr, apy } = annualizedYield(ETHER, 100n * ETHER * BigInt(YEAR_MS));
+
+  assert.equal(apr, "1.00");
+  assert.equal(apy, "1.01");
+});
+
+test("annualizedYield is null without stake", () => {
+  assert.deepEqual(annualizedYield(ETHER, 0n), { apr: null, apy: null });
+  assert.deepEqual(annualizedYield(ETHER, null), { apr: null, apy: null });
+});
+
+test("stakeTimeIn converts stake-time to the reward token at its price", () => {
+  const [steth, usdc, unknown] = stakeTimeIn(
+    [
+      row("0xa", "0xstethstrategy", 5n * ETHER, new Date(0)),
+      // 2000 USDC is worth 1 stETH
+      row("0xa", "0xusdcstrategy", 2000n * 10n ** 6n, new Date(0)),
+      row("0xa", "0xunknown", 7n, new Date(0)),
+    ],
+    STETH,
+    tokens,
+    prices
+  );
+
+  assert.equal(steth.stakeTime, 5n * ETHER);
+  assert.equal(usdc.stakeTime, ETHER);
+  assert.equal(unknown.stakeTime, null);
+});
+
+test("stakeTimeIn leaves stake null without a reward token price", () => {
+  const [converted] = stakeTimeIn(
+    [row("0xa", "0xstethstrategy", ETHER, new Date(0))],
+    { tokenAddress: "0xeigen", decimals: 18 },
+    tokens,
+    prices
+  );
+
+  assert.equal(converted.stakeTime, null);
+});
+
+test("totalStakeTime adds up priced rows per key", () => {
+  const totals = totalStakeTime(
+    [
+      row("0xa", "0xstethstrategy", 3n, new Date(2000)),
+      row("0xa", "0xusdcstrategy", 4n, new Date(1000)),
+      row("0xa", "0xunknown", null, new Date(0)),
+      row("0xb", "0xstethstrategy", 5n, new Date(3000)),
+    ],
+    (entry) => entry._id.wallet
+  );
+
+  assert.deepEqual(totals.get("0xa"), {
+    stakeTime: 7n,
+    firstStaked: new Date(1000),
+  });
+  assert.deepEqual(totals.get("0xb"), {
+    stakeTime: 5n,
+    firstStaked: new Date(3000),
+  });
+});
+
+test("yieldOver averages stake over the window", () => {
+  const end = new Date("2024-01-31");
+  const start = new Date(end.getTime() - 30 * DAY_MS);
+  const result = yieldOver(
+    { rewards: ETHER, stakeTime: 10n * ETHER * BigInt(30 * DAY_MS) },
+    { start, end }
+  );
+
+  assert.equal(result.rewards, ETHER);
+  assert.equal(result.averageStake, 10n * ETHER);
+  assert.equal(result.apr, "121.67");
+});
+
+test("yieldOver starts an all-time window at the first stake", () => {
+  const end = new Date("2024-01-31");
+  const firstStaked = new Date(end.getTime() - 10 * DAY_MS);
+  const result = yieldOver(
+    {
+      rewards: 0n,
+      stakeTime: 4n * ETHER * BigInt(10 * DAY_MS),
+      firstStaked,
+    },
+    { start: null, end }
+  );
+
+  assert.equal(result.averageStake, 4n * ETHER);
+  assert.equal(result.apr, "0.00");
+});
+
+test("yieldOver without stake has no average or yield", () => {
+  const result = yieldOver(
+    { rewards: ETHER },
+    { start: null, end: new Date() }
+  );
+
+  assert.equal(result.averageStake, 0n);
+  assert.equal(result.apr, null);
+});
+
+test("attributeRewards splits each wallet's rewards by stake-time", () => {
+  const byStrategy = attributeRewards(
+    [
+      row("0xa", "0xstethstrategy", 3n, new Date(1000)),
+      row("0xa", "0xusdcstrategy", 1n, new Date(2000)),
+      row("0xb", "0xstethstrategy", 2n, new Date(500)),
+      row("0xb", "0xunknown", null, new Date(0)),
+    ],
+    new Map([
+      ["0xa", 100n],
+      ["0xb", 10n],
+    ])
+  );
+
+  assert.deepEqual(byStrategy.get("0xstethstrategy"), {
+    rewards: 85n,
+    stakeTime: 5n,
+    firstStaked: new Date(500),
+  });
+  assert.deepEqual(byStrategy.get("0xusdcstrategy"), {
+    rewards: 25n,
+    stakeTime: 1n,
+    firstStaked: new Date(2000),
+  });
+  assert.equal(byStrategy.has("0xunknown"), false);
+});
@@ -0,0 +1,210 @@
+const mongoose = require("mongoose");
+
+const { Decimal128 } = mongoose.Types;
+
+// Amounts usually come from query strings, so reject them as a bad request
+const invalidAmount = (text) => {
+  const error = new Error(`Invalid amount: ${text}`);
+  error.statusCode = 400;
+  return error;
+};
+
+// Convert a wei value (BigInt, number, string or Decimal128) to a BigInt.
+// Fractional wei, e.g. from a Decimal128 $avg, is truncated toward zero.
+const toBigInt = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return 0n;
+  }
+  if (typeof value === "bigint") {
+    return value;
+  }
+  if (typeof value === "number") {
+    return BigInt(Math.trunc(value));
+  }
+
+  const text = value.toString().trim();
+  const match = /^(-?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text);
+  if (!match || (match[2] === "" && !match[3])) {
+    throw invalidAmount(text);
+  }
+
+  const [, sign, integer, fraction = "", exponent = "0"] = match;
+  const shift = parseInt(exponent);
+  let digits = integer + fraction;
+  let scale = fraction.length - shift;
+
+  if (scale < 0) {
+    digits += "0".repeat(-scale);
+    scale = 0;
+  }
+
+  const whole = digits.slice(0, digits.length - scale) || "0";
+  const result = BigInt(whole);
+  return sign === "-" ? -result : result;
+};
+
+// Parse a decimal token amount ("1.5") into wei
+const parseUnits = (value, decimals = 18) => {
+  const text = value.toString().trim();
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[1] === "" && !match[2])) {
+    throw invalidAmount(text);
+  }
+
+  const integer = match[1] || "0";
+  const fraction = (match[2] || "").padEnd(decimals, "0").slice(0, decimals);
+  return BigInt(integer + fraction);
+};
+
+// Format wei as an exact decimal token amount, trimming trailing zeros
+const formatUnits = (value, decimals = 18) => {
+  const wei = toBigInt(value);
+  const negative = wei < 0n;
+  const digits = (negative ? -wei : wei).toString().padStart(decimals + 1, "0");
+  const integer = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+
+  return `${negative ? "-" : ""}${integer}${fraction ? `.${fraction}` : ""}`;
+};
+
+// Format an amount in a token's decimals, or in raw units when the token's
+// decimals are unknown (null)
+const formatTokenAmount = (value, decimals) =>
+  decimals === null ? toBigInt(value).toString() : formatUnits(value, decimals);
+
+// Convert wei to a Decimal128 for storage
+const toDecimal128 = (value) =>
+  Decimal128.fromString(toBigInt(value).toString());
+
+// Exactly sum a list of wei values
+const sumAmounts = (values) =>
+  values.reduce((total, value) => total + toBigInt(value), 0n);
+
+// Strategy exchange rates are the underlying amount worth 1e18 shares
+const RATE_UNIT = 10n ** 18n;
+
+// Convert strategy shares to underlying token units at an exchange rate
+const sharesToUnderlying = (shares, rate) =>
+  (toBigInt(shares) * toBigInt(rate)) / RATE_UNIT;
+
+// Share of stake lost to successive slashes, each taking a wad (1e18 being
+// all of it) of what the ones before left, as a wad
+const compoundSlashes = (wads) =>
+  RATE_UNIT -
+  wads.reduce(
+    (remaining, wad) => (remaining * (RATE_UNIT - toBigInt(wad))) / RATE_UNIT,
+    RATE_UNIT
+  );
+
+// Percentage of two wei values as a fixed-point string
+const percentOf = (part, whole, fractionDigits = 2) => {
+  const denominator = toBigInt(whole);
+  if (denominator === 0n) {
+    return (0).toFixed(fractionDigits);
+  }
+
+  const scale = 10n ** BigInt(fractionDigits);
+  const scaled = (toBigInt(part) * 100n * scale) / denominator;
+  return (Number(scaled) / Number(scale)).toFixed(fractionDigits);
+};
+
+// Mongoose validator for non-negative integer wei amounts
+const isWeiAmount = (value) =>
+  value !== null && value !== undefined && /^\d+$/.test(value.toString());
+
+// Copy of an object with the named amount fields formatted in a token's
+// decimals (see formatTokenAmount). Null and missing fields stay as they are.
+const formatAmounts = (object, fields, decimals = 18) => ({
+  ...object,
+  ...Object.fromEntries(
+    fields
+      .filter((field) => object[field] !== null && object[field] !== undefined)
+      .map((field) => [field, formatTokenAmount(object[field], decimals)])
+  ),
+});
+
+// Format the named amount fields of per-strategy entries in each
+// strategy's token decimals, given Strategy.getUnderlyingTokens. Amounts of
+// strategies it does not know stay in raw units.
+const formatStrategyAmounts = (entries = [], fields, tokens) =>
+  entries.map((entry) =>
+    formatAmounts(
+      entry,
+      fields,
+      tokens.has(entry.strategyAddress)
+        ? tokens.get(entry.strategyAddress).decimals
+        : null
+    )
+  );
+
+// Total the named underlying amount fields of per-strategy entries per
+// token, given Strategy.getUnderlyingTokens, formatted in each token's
+// decimals. Shares are left out, as shares of different strategies are not
+// worth the same. A total is null while any of its amounts is unknown, and
+// strategies it does not know are left out, as their token is unknown.
+const totalsByToken = (entries = [], fields, tokens) => {
+  const totals = new Map();
+  entries
+    .filter((entry) => tokens.has(entry.strategyAddress))
+    .forEach((entry) => {
+      const { tokenAddress, decimals } = tokens.get(entry.strategyAddress);
+      if (!totals.has(tokenAddress)) {
+        totals.set(tokenAddress, {
+          tokenAddress,
+          tokenSymbol: entry.tokenSymbol,
+          decimals,
+          amounts: Object.fromEntries(fields.map((field) => [field, 0n])),
+        });
+      }
+
+      const { amounts } = totals.get(tokenAddress);
+      fields.forEach((field) => {
+        amounts[field] =
+          amounts[field] === null ||
+          entry[field] === null ||
+          entry[field] === undefined
+            ? null
+            : amounts[field] + toBigInt(entry[field]);
+      });
+    });
+
+  return [...totals.values()]
+    .map(({ decimals, amounts, ...total }) =>
+      formatAmounts({ ...total, ...amounts }, fields, decimals)
+    )
+    .sort((a, b) => (a.tokenAddress < b.tokenAddress ? -1 : 1));
+};
+
+// JSON replacer that keeps BigInt and Decimal128 values serializable. Only
+// the code producing an amount knows its token's decimals, so amounts are
+// formatted there; anything left over comes out as an exact integer in raw
+// units rather than at a guessed scale. Decimal128 values have already been
+// through toJSON by the time they reach the replacer, so they arrive as
+// { $numberDecimal } objects.
+const rawAmountReplacer = (key, value) => {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value && typeof value === "object" && "$numberDecimal" in value) {
+    return toBigInt(value.$numberDecimal).toString();
+  }
+  return value;
+};
+
+module.exports = {
+  toBigInt,
+  parseUnits,
+  formatUnits,
+  formatTokenAmount,
+  formatAmounts,
+  formatStrategyAmounts,
+  totalsByToken,
+  toDecimal128,
+  sumAmounts,
+  RATE_UNIT,
+  sharesToUnderlying,
+  compoundSlashes,
+  percentOf,
+  isWeiAmount,
+  rawAmountReplacer,
+};
@@ -1,6 +1,27 @@
 const axios = require("axios");
+const dns = require("dns").promises;
+const fs = require("fs").promises;
 const { gql, request } = require("graphql-request");
 const { Web3 } = require("web3");
+const {
+  BEACON_CHAIN_ETH_STRATEGY,
+  ZERO_ADDRESS,
+  STRATEGIES,
+  getStrategySymbol,
+} = require("../config/strategies");
+const {
+  CONTRACT_ADDRESSES,
+  WITHDRAWAL_DELAY_BLOCKS,
+  BLOCK_TIME_SECONDS,
+  DELEGATION_MANAGER_ABI,
+  STRATEGY_MANAGER_ABI,
+  EIGEN_POD_MANAGER_ABI,
+  STRATEGY_ABI,
+  ERC20_ABI,
+} = require("../config/contracts");
+const { STETH_TOKEN, getRewardToken } = require("../config/tokens");
+const { toBigInt, RATE_UNIT } = require("./amounts");
+const MockDataGenerator = require("./mockDataGenerator");
 require("dotenv").config();
 
 class DataFetcher {
@@ -15,6 +36,22 @@ class DataFetcher {
     this.ratedApiUrl = process.env.RATED_API_URL || "https://api.rated.network";
     this.maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
     this.retryDelay = parseInt(process.env.RETRY_DELAY_MS) || 5000;
+    this.ipfsGatewayUrl =
+      process.env.IPFS_GATEWAY_URL || "https://ipfs.io/ipfs/";
+    this.metadataTimeout = parseInt(process.env.METADATA_TIMEOUT_MS) || 5000;
+    this.snapshotTimeout =
+      parseInt(process.env.DISTRIBUTION_SNAPSHOT_TIMEOUT_MS) || 30000;
+    this.metadataMaxBytes =
+      parseInt(process.env.METADATA_MAX_BYTES) || 100 * 1024;
+    this.allowPrivateMetadataHosts =
+      process.env.METADATA_ALLOW_PRIVATE_HOSTS === "true";
+    this.mockData = new MockDataGenerator({
+      seed: process.env.MOCK_SEED || 1,
+      operatorCount: parseInt(process.env.MOCK_OPERATOR_COUNT) || 10,
+      restakerCount: parseInt(process.env.MOCK_RESTAKER_COUNT) || 20,
+      avsCount: parseInt(process.env.MOCK_AVS_COUNT) || 4,
+      snapshotDays: parseInt(process.env.MOCK_SNAPSHOT_DAYS) || 30,
+    });
   }
 
   // Utility method for retries
@@ -37,38 +74,132 @@ class DataFetcher {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  // Fetch restaking data from EigenLayer subgraph
-  async fetchRestakingData(first = 100, skip = 0) {
+  // Latest block on chain, from the web3 provider
+  async fetchChainHead(maxRetries = this.maxRetries) {
+    return await this.retryOperation(async () => {
+      return Number(await this.web3.eth.getBlockNumber());
+    }, maxRetries);
+  }
+
+  // Latest block indexed by the subgraph
+  async fetchSubgraphHead(maxRetries = this.maxRetries) {
     const query = gql`
-      query GetRestakers($first: Int!, $skip: Int!) {
-        delegations(
+      query GetHead {
+        _meta {
+          block {
+            number
+          }
+        }
+      }
+    `;
+
+    return await this.retryOperation(async () => {
+      const data = await request(this.eigenlayerSubgraphUrl, query);
+      return data._meta.block.number;
+    }, maxRetries);
+  }
+
+  // Fetch one page of a subgraph entity ordered by id, starting after lastId.
+  // The Graph caps `skip`, so pagination walks `id_gt` cursors instead.
+  // fromBlock limits the page to entities changed after that block (matched
+  // on blockField) and atBlock pins the query to a fixed indexed block.
+  async fetchPage(query, field, first, lastId, options = {}) {
+    const { blockField, fromBlock, atBlock } = options;
+    const where = { id_gt: lastId };
+    if (fromBlock !== undefined) {
+      where[`${blockField}_gt`] = fromBlock;
+    }
+
+    return await this.retryOperation(async () => {
+      const data = await request(this.eigenlayerSubgraphUrl, query, {
+        first,
+        where,
+        block: atBlock ? { number: atBlock } : null,
+      });
+      const records = data[field] || [];
+
+      return {
+        data,
+        lastId: records.length > 0 ? records[records.length - 1].id : lastId,
+        hasMore: records.length === first,
+      };
+    });
+  }
+
+  // Fetch every entity matching where, walking id_gt cursors in pages of
+  // the most The Graph returns, pinned to atBlock when given
+  async fetchAllPages(query, field, where, atBlock) {
+    const first = 1000;
+    const records = [];
+    let lastId = "";
+
+    for (;;) {
+      const data = await this.retryOperation(() =>
+        request(this.eigenlayerSubgraphUrl, query, {
+          first,
+          where: { ...where, id_gt: lastId },
+          block: atBlock ? { number: atBlock } : null,
+        })
+      );
+      const page = data[field] || [];
+      records.push(...page);
+
+      if (page.length < first) {
+        return records;
+      }
+      lastId = page[page.length - 1].id;
+    }
+  }
+
+  // Fetch a page of restaking data from EigenLayer subgraph. Options are
+  // passed through to fetchPage for incremental syncs. The stakers'
+  // deposits are read in full at the block the page was served at, as a
+  // staker can have more of them than one nested query returns.
+  async fetchRestakingData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetRestakers(
+        $first: Int!
+        $where: Staker_filter!
+        $block: Block_height
+      ) {
+        _meta {
+          block {
+            number
+          }
+        }
+        stakers(
           first: $first
-          skip: $skip
-          orderBy: createdAt
-          orderDirection: desc
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
         ) {
           id
-          delegator {
-            id
-          }
-          operator {
+          delegatedTo {
             id
-            metadataURI
           }
-          shares
-          createdAt
-          transactionHash
-          blockNumber
         }
-        stakers(
+      }
+    `;
+    const depositsQuery = gql`
+      query GetDeposits(
+        $first: Int!
+        $where: Deposit_filter!
+        $block: Block_height
+      ) {
+        deposits(
           first: $first
-          skip: $skip
-          orderBy: createdAt
-          orderDirection: desc
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
         ) {
           id
+          staker {
+            id
+          }
           shares
-          strategies {
+          strategy {
             id
             token {
               id
@@ -76,182 +207,417 @@ class DataFetcher {
               symbol
             }
           }
-          deposits {
-            id
-            shares
-            strategy {
-              id
-            }
-            transactionHash
-            blockNumber
-            createdAt
-          }
+          transactionHash
+          blockNumber
+          createdAt
         }
       }
     `;
 
-    return await this.retryOperation(async () => {
-      const data = await request(this.eigenlayerSubgraphUrl, query, {
-        first,
-        skip,
-      });
-      return this.transformRestakingData(data);
+    const page = await this.fetchPage(query, "stakers", first, lastId, {
+      ...options,
+      blockField: "lastUpdatedBlock",
     });
+    const stakers = page.data.stakers || [];
+    const deposits =
+      stakers.length > 0
+        ? await this.fetchAllPages(
+            depositsQuery,
+            "deposits",
+            { staker_in: stakers.map((staker) => staker.id) },
+            options.atBlock || page.data._meta.block.number
+          )
+        : [];
+
+    return {
+      records: this.transformRestakingData({ stakers, deposits }),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
   }
 
-  // Transform raw subgraph data to our format
+  // Transform raw subgraph data to our format, one position per
+  // (wallet, strategy, operator) with the shares deposited into it. The
+  // shares its completed withdrawals took out, and its status, come from
+  // the wallet's withdrawals.
   transformRestakingData(data) {
     const restakers = [];
 
-    // Process delegations
-    if (data.delegations) {
-      data.delegations.forEach((delegation) => {
+    if (!data.stakers) {
+      return restakers;
+    }
+
+    const depositsByStaker = new Map();
+    (data.deposits || []).forEach((deposit) => {
+      const stakerAddress = deposit.staker.id.toLowerCase();
+      if (!depositsByStaker.has(stakerAddress)) {
+        depositsByStaker.set(stakerAddress, []);
+      }
+      depositsByStaker.get(stakerAddress).push(deposit);
+    });
+
+    data.stakers.forEach((staker) => {
+      const stakerAddress = staker.id.toLowerCase();
+      const operatorAddress = staker.delegatedTo
+        ? staker.delegatedTo.id
+        : ZERO_ADDRESS;
+      const positions = new Map();
+
+      // Sum deposits into the same strategy
+      (depositsByStaker.get(stakerAddress) || []).forEach((deposit) => {
         try {
-          const sharesInEther = this.web3.utils.fromWei(
-            delegation.shares,
-            "ether"
+          const strategyAddress = deposit.strategy.id.toLowerCase();
+          const createdAt = parseInt(deposit.createdAt);
+          const blockNumber = parseInt(deposit.blockNumber);
+          const position = positions.get(strategyAddress);
+
+          if (!position) {
+            positions.set(strategyAddress, {
+              shares: BigInt(deposit.shares),
+              tokenSymbol: getStrategySymbol(
+                strategyAddress,
+                deposit.strategy.token?.symbol
+              ),
+              firstCreatedAt: createdAt,
+              transactionHash: deposit.transactionHash,
+              blockNumber,
+            });
+            return;
+          }
+
+          position.shares += BigInt(deposit.shares);
+          position.firstCreatedAt = Math.min(
+            position.firstCreatedAt,
+            createdAt
           );
-          restakers.push({
-            userAddress: delegation.delegator.id,
-            amountRestakedStETH: sharesInEther,
-            targetAVSOperatorAddress: delegation.operator.id,
-            delegationTimestamp: new Date(
-              parseInt(delegation.createdAt) * 1000
-            ),
-            transactionHash: delegation.transactionHash,
-            blockNumber: parseInt(delegation.blockNumber),
-            status: "active",
-          });
+          if (blockNumber > position.blockNumber) {
+            position.transactionHash = deposit.transactionHash;
+            position.blockNumber = blockNumber;
+          }
         } catch (error) {
-          console.error("Error transforming delegation:", error);
+          console.error("Error transforming deposit:", error);
+        }
+      });
+
+      positions.forEach((position, strategyAddress) => {
+        restakers.push({
+          userAddress: stakerAddress,
+          strategyAddress,
+          tokenSymbol: position.tokenSymbol,
+          amountDeposited: position.shares.toString(),
+          amountRestaked: position.shares.toString(),
+          targetAVSOperatorAddress: operatorAddress,
+          delegationTimestamp: new Date(position.firstCreatedAt * 1000),
+          transactionHash: position.transactionHash,
+          blockNumber: position.blockNumber,
+          source: "subgraph",
+        });
+      });
+    });
+
+    return restakers;
+  }
+
+  // Fetch a page of WithdrawalQueued events
+  async fetchWithdrawalQueuedData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetQueuedWithdrawals(
+        $first: Int!
+        $where: WithdrawalQueued_filter!
+        $block: Block_height
+      ) {
+        withdrawalQueueds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          withdrawalRoot
+          withdrawal_staker
+          withdrawal_delegatedTo
+          withdrawal_withdrawer
+          withdrawal_nonce
+          withdrawal_startBlock
+          withdrawal_strategies
+          withdrawal_shares
+          blockNumber
+          blockTimestamp
+          transactionHash
         }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "withdrawalQueueds",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformWithdrawalQueuedData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  // Transform WithdrawalQueued events. The withdrawal can be completed once
+  // the delay has passed; its time is estimated from the block delay.
+  transformWithdrawalQueuedData(data) {
+    const withdrawals = [];
+
+    if (data.withdrawalQueueds) {
+      data.withdrawalQueueds.forEach((event) => {
+        const startBlock = parseInt(event.withdrawal_startBlock);
+        const startTimestamp = parseInt(event.blockTimestamp);
+
+        withdrawals.push({
+          withdrawalRoot: event.withdrawalRoot.toLowerCase(),
+          stakerAddress: event.withdrawal_staker.toLowerCase(),
+          operatorAddress: event.withdrawal_delegatedTo.toLowerCase(),
+          withdrawerAddress: event.withdrawal_withdrawer.toLowerCase(),
+          nonce: parseInt(event.withdrawal_nonce),
+          strategies: event.withdrawal_strategies.map((strategy, index) => ({
+            strategyAddress: strategy.toLowerCase(),
+            tokenSymbol: getStrategySymbol(strategy),
+            shares: event.withdrawal_shares[index],
+          })),
+          startBlock,
+          startTimestamp: new Date(startTimestamp * 1000),
+          completableBlock: startBlock + WITHDRAWAL_DELAY_BLOCKS,
+          completableAt: new Date(
+            (startTimestamp + WITHDRAWAL_DELAY_BLOCKS * BLOCK_TIME_SECONDS) *
+              1000
+          ),
+          transactionHash: event.transactionHash,
+          source: "subgraph",
+        });
       });
     }
 
-    // Process stakers
-    if (data.stakers) {
-      data.stakers.forEach((staker) => {
-        // Find stETH deposits
-        const stETHDeposits = staker.deposits.filter(
-          (deposit) =>
-            deposit.strategy.id.toLowerCase().includes("steth") ||
-            deposit.strategy.id ===
-              process.env.STETH_STRATEGY_ADDRESS?.toLowerCase()
-        );
+    return withdrawals;
+  }
 
-        stETHDeposits.forEach((deposit) => {
-          try {
-            const sharesInEther = this.web3.utils.fromWei(
-              deposit.shares,
-              "ether"
-            );
-            restakers.push({
-              userAddress: staker.id,
-              amountRestakedStETH: sharesInEther,
-              targetAVSOperatorAddress:
-                "0x0000000000000000000000000000000000000000", // Default if no operator
-              delegationTimestamp: new Date(parseInt(deposit.createdAt) * 1000),
-              transactionHash: deposit.transactionHash,
-              blockNumber: parseInt(deposit.blockNumber),
-              status: "active",
-            });
-          } catch (error) {
-            console.error("Error transforming staker:", error);
-          }
+  // Fetch a page of WithdrawalCompleted events
+  async fetchWithdrawalCompletedData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetCompletedWithdrawals(
+        $first: Int!
+        $where: WithdrawalCompleted_filter!
+        $block: Block_height
+      ) {
+        withdrawalCompleteds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          withdrawalRoot
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "withdrawalCompleteds",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformWithdrawalCompletedData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  // Transform WithdrawalCompleted events
+  transformWithdrawalCompletedData(data) {
+    const completions = [];
+
+    if (data.withdrawalCompleteds) {
+      data.withdrawalCompleteds.forEach((event) => {
+        completions.push({
+          withdrawalRoot: event.withdrawalRoot.toLowerCase(),
+          timestamp: parseInt(event.blockTimestamp),
+          transactionHash: event.transactionHash,
+          blockNumber: parseInt(event.blockNumber),
+          source: "subgraph",
         });
       });
     }
 
-    return restakers;
+    return completions;
   }
 
-  // Fetch validator/operator data
-  async fetchValidatorData(first = 100, skip = 0) {
+  // Fetch a page of StakerUndelegated events
+  async fetchUndelegationData(first = 100, lastId = "", options = {}) {
     const query = gql`
-      query GetOperators($first: Int!, $skip: Int!) {
+      query GetUndelegations(
+        $first: Int!
+        $where: StakerUndelegated_filter!
+        $block: Block_height
+      ) {
+        stakerUndelegateds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          staker
+          operator
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "stakerUndelegateds",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformUndelegationData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  // Transform StakerUndelegated events
+  transformUndelegationData(data) {
+    const undelegations = [];
+
+    if (data.stakerUndelegateds) {
+      data.stakerUndelegateds.forEach((event) => {
+        undelegations.push({
+          stakerAddress: event.staker.toLowerCase(),
+          operatorAddress: event.operator.toLowerCase(),
+          timestamp: parseInt(event.blockTimestamp),
+          transactionHash: event.transactionHash,
+          blockNumber: parseInt(event.blockNumber),
+          source: "subgraph",
+        });
+      });
+    }
+
+    return undelegations;
+  }
+
+  // Fetch a page of validator/operator data
+  async fetchValidatorData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetOperators(
+        $first: Int!
+        $where: Operator_filter!
+        $block: Block_height
+      ) {
         operators(
           first: $first
-          skip: $skip
-          orderBy: createdAt
-          orderDirection: desc
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
         ) {
           id
           metadataURI
           delegatedShares
           operatorShares
-          totalShares
           createdAt
           blockNumber
           transactionHash
         }
-        slashings(first: 100, orderBy: createdAt, orderDirection: desc) {
+      }
+    `;
+
+    const page = await this.fetchPage(query, "operators", first, lastId, {
+      ...options,
+      blockField: "lastUpdatedBlock",
+    });
+    return {
+      records: this.transformValidatorData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  // Fetch a page of OperatorSlashed events
+  async fetchSlashingData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetSlashings(
+        $first: Int!
+        $where: OperatorSlashed_filter!
+        $block: Block_height
+      ) {
+        operatorSlasheds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
           id
-          operator {
-            id
-          }
-          amount
-          createdAt
-          transactionHash
+          operator
+          operatorSet_avs
+          operatorSet_id
+          strategies
+          wadSlashed
+          description
           blockNumber
+          blockTimestamp
+          transactionHash
         }
       }
     `;
 
-    return await this.retryOperation(async () => {
-      const data = await request(this.eigenlayerSubgraphUrl, query, {
-        first,
-        skip,
-      });
-      return this.transformValidatorData(data);
-    });
+    const page = await this.fetchPage(
+      query,
+      "operatorSlasheds",
+      first,
+      lastId,
+      {
+        ...options,
+        blockField: "blockNumber",
+      }
+    );
+    return {
+      records: this.transformSlashingData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
   }
 
-  // Transform validator data
+  // Transform validator data. Slashings are fetched separately, so status and
+  // slash history are left to the slashing sync.
   transformValidatorData(data) {
     const validators = [];
-    const slashingMap = new Map();
-
-    // Process slashings first
-    if (data.slashings) {
-      data.slashings.forEach((slash) => {
-        if (!slashingMap.has(slash.operator.id)) {
-          slashingMap.set(slash.operator.id, []);
-        }
-        slashingMap.get(slash.operator.id).push({
-          timestamp: parseInt(slash.createdAt),
-          amountStETH: this.web3.utils.fromWei(slash.amount, "ether"),
-          reason: "Protocol violation", // Default reason
-          transactionHash: slash.transactionHash,
-          blockNumber: parseInt(slash.blockNumber),
-        });
-      });
-    }
 
     // Process operators
     if (data.operators) {
       data.operators.forEach((operator) => {
         try {
-          const totalStake = this.web3.utils.fromWei(
-            operator.totalShares || "0",
-            "ether"
-          );
-          const slashHistory = slashingMap.get(operator.id) || [];
-          const hasBeenSlashed = slashHistory.length > 0;
-
           validators.push({
             operatorAddress: operator.id,
-            totalDelegatedStakeStETH: totalStake,
-            slashHistory: slashHistory,
-            status: hasBeenSlashed ? "slashed" : "active",
             registrationTimestamp: new Date(
               parseInt(operator.createdAt) * 1000
             ),
             lastActivityTimestamp: new Date(),
-            delegatorCount: 0, // Will be calculated from delegations
-            commission: 0, // Default commission
             metadata: {
               metadataURI: operator.metadataURI,
             },
+            source: "subgraph",
           });
         } catch (error) {
           console.error("Error transforming operator:", error);
@@ -262,16 +628,935 @@ class DataFetcher {
     return validators;
   }
 
+  // Transform OperatorSlashed events. One event slashes the operator in an
+  // operator set by a wad (1e18 = 100%) per strategy; the shares that wad
+  // amounted to are not part of the event.
+  transformSlashingData(data) {
+    const slashings = [];
+
+    if (data.operatorSlasheds) {
+      data.operatorSlasheds.forEach((event) => {
+        slashings.push({
+          eventId: event.id,
+          operatorAddress: event.operator.toLowerCase(),
+          avsAddress: event.operatorSet_avs.toLowerCase(),
+          operatorSetId: parseInt(event.operatorSet_id),
+          strategies: event.strategies.map((strategy, index) => ({
+            strategyAddress: strategy.toLowerCase(),
+            tokenSymbol: getStrategySymbol(strategy),
+            wadSlashed: event.wadSlashed[index],
+          })),
+          description: event.description?.slice(0, 500),
+          timestamp: parseInt(event.blockTimestamp),
+          transactionHash: event.transactionHash,
+          blockNumber: parseInt(event.blockNumber),
+          source: "subgraph",
+        });
+      });
+    }
+
+    return slashings;
+  }
+
+  // Fetch a page of OperatorAVSRegistrationStatusUpdated events
+  async fetchAVSRegistrationData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetAVSRegistrations(
+        $first: Int!
+        $where: OperatorAVSRegistrationStatusUpdated_filter!
+        $block: Block_height
+      ) {
+        operatorAVSRegistrationStatusUpdateds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          operator
+          avs
+          status
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "operatorAVSRegistrationStatusUpdateds",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformAVSRegistrationData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  // Transform registration events. Status 1 is registered, 0 deregistered.
+  transformAVSRegistrationData(data) {
+    const registrations = [];
+
+    if (data.operatorAVSRegistrationStatusUpdateds) {
+      data.operatorAVSRegistrationStatusUpdateds.forEach((event) => {
+        registrations.push({
+          avsAddress: event.avs.toLowerCase(),
+          operatorAddress: event.operator.toLowerCase(),
+          status: parseInt(event.status) === 1 ? "registered" : "deregistered",
+          timestamp: parseInt(event.blockTimestamp),
+          transactionHash: event.transactionHash,
+          blockNumber: parseInt(event.blockNumber),
+          source: "subgraph",
+        });
+      });
+    }
+
+    return registrations;
+  }
+
+  // Fetch a page of AVSMetadataURIUpdated events
+  async fetchAVSMetadataData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetAVSMetadata(
+        $first: Int!
+        $where: AVSMetadataURIUpdated_filter!
+        $block: Block_height
+      ) {
+        avsMetadataURIUpdateds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          avs
+          metadataURI
+          blockNumber
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "avsMetadataURIUpdateds",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformAVSMetadataData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  transformAVSMetadataData(data) {
+    return (data.avsMetadataURIUpdateds || []).map((event) => ({
+      avsAddress: event.avs.toLowerCase(),
+      metadataURI: event.metadataURI,
+      blockNumber: parseInt(event.blockNumber),
+      source: "subgraph",
+    }));
+  }
+
+  // Fetch a page of RewardsCoordinator DistributionRootSubmitted events
+  async fetchDistributionRootData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetDistributionRoots(
+        $first: Int!
+        $where: DistributionRootSubmitted_filter!
+        $block: Block_height
+      ) {
+        distributionRootSubmitteds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          rootIndex
+          root
+          rewardsCalculationEndTimestamp
+          activatedAt
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "distributionRootSubmitteds",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformDistributionRootData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  transformDistributionRootData(data) {
+    return (data.distributionRootSubmitteds || []).map((event) => ({
+      rootIndex: parseInt(event.rootIndex),
+      root: event.root.toLowerCase(),
+      rewardsCalculationEndTimestamp: new Date(
+        parseInt(event.rewardsCalculationEndTimestamp) * 1000
+      ),
+      activatedAt: new Date(parseInt(event.activatedAt) * 1000),
+      timestamp: new Date(parseInt(event.blockTimestamp) * 1000),
+      blockNumber: parseInt(event.blockNumber),
+      transactionHash: event.transactionHash,
+      source: "subgraph",
+    }));
+  }
+
+  // Fetch a page of RewardsCoordinator RewardsClaimed events
+  async fetchRewardsClaimData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetRewardsClaims(
+        $first: Int!
+        $where: RewardsClaimed_filter!
+        $block: Block_height
+      ) {
+        rewardsClaimeds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          root
+          earner
+          claimer
+          recipient
+          token
+          claimedAmount
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(query, "rewardsClaimeds", first, lastId, {
+      ...options,
+      blockField: "blockNumber",
+    });
+    return {
+      records: this.transformRewardsClaimData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  // Decimals of tokens the catalog does not know are left null for the
+  // populator to read
+  transformRewardsClaimData(data) {
+    return (data.rewardsClaimeds || []).map((event) => {
+      const tokenAddress = event.token.toLowerCase();
+      const known = getRewardToken(tokenAddress);
+
+      return {
+        eventId: event.id.toLowerCase(),
+        root: event.root.toLowerCase(),
+        earnerAddress: event.earner.toLowerCase(),
+        claimerAddress: event.claimer.toLowerCase(),
+        recipientAddress: event.recipient.toLowerCase(),
+        tokenAddress,
+        tokenSymbol: known ? known.symbol : "UNKNOWN",
+        tokenDecimals: known ? known.decimals : null,
+        amount: event.claimedAmount,
+        timestamp: new Date(parseInt(event.blockTimestamp) * 1000),
+        blockNumber: parseInt(event.blockNumber),
+        transactionHash: event.transactionHash,
+        source: "subgraph",
+      };
+    });
+  }
+
+  // Fetch a page of RewardsCoordinator ClaimerForSet events
+  async fetchClaimerData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetClaimers(
+        $first: Int!
+        $where: ClaimerForSet_filter!
+        $block: Block_height
+      ) {
+        claimerForSets(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          earner
+          oldClaimer
+          claimer
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(query, "claimerForSets", first, lastId, {
+      ...options,
+      blockField: "blockNumber",
+    });
+    return {
+      records: this.transformClaimerData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  transformClaimerData(data) {
+    return (data.claimerForSets || []).map((event) => ({
+      earnerAddress: event.earner.toLowerCase(),
+      claimerAddress: event.claimer.toLowerCase(),
+      previousClaimerAddress: event.oldClaimer.toLowerCase(),
+      timestamp: new Date(parseInt(event.blockTimestamp) * 1000),
+      blockNumber: parseInt(event.blockNumber),
+      transactionHash: event.transactionHash,
+      source: "subgraph",
+    }));
+  }
+
+  // Fetch a page of RewardsCoordinator AVSRewardsSubmissionCreated events.
+  // The subgraph flattens the submission struct, with its strategies and
+  // multipliers as parallel arrays.
+  async fetchAVSRewardsSubmissionData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetAVSRewardsSubmissions(
+        $first: Int!
+        $where: AVSRewardsSubmissionCreated_filter!
+        $block: Block_height
+      ) {
+        avsRewardsSubmissionCreateds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          avs
+          submissionNonce
+          rewardsSubmissionHash
+          token
+          amount
+          strategies
+          multipliers
+          startTimestamp
+          duration
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "avsRewardsSubmissionCreateds",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformAVSRewardsSubmissionData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  transformAVSRewardsSubmissionData(data) {
+    return (data.avsRewardsSubmissionCreateds || []).map((event) => ({
+      ...this.transformRewardsSubmission(event),
+      submissionHash: event.rewardsSubmissionHash.toLowerCase(),
+      submissionType: "avs",
+      submitterAddress: event.avs.toLowerCase(),
+      amount: event.amount,
+      operatorRewards: [],
+    }));
+  }
+
+  // Fetch a page of RewardsCoordinator
+  // OperatorDirectedAVSRewardsSubmissionCreated events, with each operator's
+  // reward as parallel operators and operatorAmounts arrays
+  async fetchOperatorDirectedRewardsSubmissionData(
+    first = 100,
+    lastId = "",
+    options = {}
+  ) {
+    const query = gql`
+      query GetOperatorDirectedRewardsSubmissions(
+        $first: Int!
+        $where: OperatorDirectedAVSRewardsSubmissionCreated_filter!
+        $block: Block_height
+      ) {
+        operatorDirectedAVSRewardsSubmissionCreateds(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          caller
+          avs
+          submissionNonce
+          operatorDirectedRewardsSubmissionHash
+          token
+          strategies
+          multipliers
+          operators
+          operatorAmounts
+          startTimestamp
+          duration
+          description
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "operatorDirectedAVSRewardsSubmissionCreateds",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformOperatorDirectedRewardsSubmissionData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  transformOperatorDirectedRewardsSubmissionData(data) {
+    return (data.operatorDirectedAVSRewardsSubmissionCreateds || []).map(
+      (event) => {
+        const operatorRewards = event.operators.map((operator, index) => ({
+          operatorAddress: operator.toLowerCase(),
+          amount: event.operatorAmounts[index],
+        }));
+
+        return {
+          ...this.transformRewardsSubmission(event),
+          submissionHash:
+            event.operatorDirectedRewardsSubmissionHash.toLowerCase(),
+          submissionType: "operator_directed",
+          submitterAddress: event.caller.toLowerCase(),
+          amount: operatorRewards
+            .reduce((total, reward) => total + toBigInt(reward.amount), 0n)
+            .toString(),
+          operatorRewards,
+          description: event.description || null,
+        };
+      }
+    );
+  }
+
+  // Fields shared by both kinds of rewards submission. Decimals of tokens
+  // the catalog does not know are left null for the populator to read.
+  transformRewardsSubmission(event) {
+    const tokenAddress = event.token.toLowerCase();
+    const known = getRewardToken(tokenAddress);
+    const startTimestamp = parseInt(event.startTimestamp);
+    const duration = parseInt(event.duration);
+
+    return {
+      avsAddress: event.avs.toLowerCase(),
+      submissionNonce: parseInt(event.submissionNonce),
+      tokenAddress,
+      tokenSymbol: known ? known.symbol : "UNKNOWN",
+      tokenDecimals: known ? known.decimals : null,
+      strategies: event.strategies.map((strategy, index) => ({
+        strategyAddress: strategy.toLowerCase(),
+        multiplier: event.multipliers[index],
+      })),
+      startTimestamp: new Date(startTimestamp * 1000),
+      duration,
+      endTimestamp: new Date((startTimestamp + duration) * 1000),
+      timestamp: new Date(parseInt(event.blockTimestamp) * 1000),
+      blockNumber: parseInt(event.blockNumber),
+      transactionHash: event.transactionHash,
+      source: "subgraph",
+    };
+  }
+
+  // Fetch a page of RewardsCoordinator OperatorAVSSplitBipsSet events
+  async fetchOperatorSplitData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetOperatorSplits(
+        $first: Int!
+        $where: OperatorAVSSplitBipsSet_filter!
+        $block: Block_height
+      ) {
+        operatorAVSSplitBipsSets(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          operator
+          avs
+          activatedAt
+          oldOperatorAVSSplitBips
+          newOperatorAVSSplitBips
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "operatorAVSSplitBipsSets",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformOperatorSplitData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  transformOperatorSplitData(data) {
+    return (data.operatorAVSSplitBipsSets || []).map((event) => ({
+      eventId: event.id.toLowerCase(),
+      splitType: "avs",
+      operatorAddress: event.operator.toLowerCase(),
+      avsAddress: event.avs.toLowerCase(),
+      oldSplitBips: parseInt(event.oldOperatorAVSSplitBips),
+      newSplitBips: parseInt(event.newOperatorAVSSplitBips),
+      activatedAt: new Date(parseInt(event.activatedAt) * 1000),
+      timestamp: new Date(parseInt(event.blockTimestamp) * 1000),
+      blockNumber: parseInt(event.blockNumber),
+      transactionHash: event.transactionHash,
+      source: "subgraph",
+    }));
+  }
+
+  // Fetch a page of RewardsCoordinator DefaultOperatorSplitBipsSet events
+  async fetchDefaultSplitData(first = 100, lastId = "", options = {}) {
+    const query = gql`
+      query GetDefaultSplits(
+        $first: Int!
+        $where: DefaultOperatorSplitBipsSet_filter!
+        $block: Block_height
+      ) {
+        defaultOperatorSplitBipsSets(
+          first: $first
+          where: $where
+          block: $block
+          orderBy: id
+          orderDirection: asc
+        ) {
+          id
+          oldDefaultOperatorSplitBips
+          newDefaultOperatorSplitBips
+          blockNumber
+          blockTimestamp
+          transactionHash
+        }
+      }
+    `;
+
+    const page = await this.fetchPage(
+      query,
+      "defaultOperatorSplitBipsSets",
+      first,
+      lastId,
+      { ...options, blockField: "blockNumber" }
+    );
+    return {
+      records: this.transformDefaultSplitData(page.data),
+      lastId: page.lastId,
+      hasMore: page.hasMore,
+    };
+  }
+
+  // A new default split applies as soon as it is set
+  transformDefaultSplitData(data) {
+    return (data.defaultOperatorSplitBipsSets || []).map((event) => {
+      const timestamp = new Date(parseInt(event.blockTimestamp) * 1000);
+
+      return {
+        eventId: event.id.toLowerCase(),
+        splitType: "default",
+        operatorAddress: null,
+        avsAddress: null,
+        oldSplitBips: parseInt(event.oldDefaultOperatorSplitBips),
+        newSplitBips: parseInt(event.newDefaultOperatorSplitBips),
+        activatedAt: timestamp,
+        timestamp,
+        blockNumber: parseInt(event.blockNumber),
+        transactionHash: event.transactionHash,
+        source: "subgraph",
+      };
+    });
+  }
+
+  // Load the distribution snapshot behind a root: every earner's cumulative
+  // earnings per token, as published alongside the root. The location is a
+  // local path or an http(s) URL of a JSON document shaped
+  // { rootIndex, root, earners: [{ earner, token, cumulativeAmount }] }.
+  async fetchDistributionSnapshot(location) {
+    const text = /^https?:\/\//i.test(location)
+      ? (
+          await this.retryOperation(() =>
+            axios.get(location, {
+              timeout: this.snapshotTimeout,
+              responseType: "text",
+              transformResponse: (data) => data,
+              headers: { Accept: "application/json" },
+            })
+          )
+        ).data
+      : await fs.readFile(location, "utf8");
+    const snapshot = JSON.parse(text);
+
+    if (
+      !Number.isInteger(snapshot.rootIndex) ||
+      !/^0x[a-fA-F0-9]{64}$/.test(snapshot.root || "") ||
+      !Array.isArray(snapshot.earners)
+    ) {
+      throw new Error(
+        "Distribution snapshot needs a rootIndex, a root and an earners list"
+      );
+    }
+
+    return {
+      rootIndex: snapshot.rootIndex,
+      root: snapshot.root.toLowerCase(),
+      earnings: snapshot.earners.map((entry) => ({
+        earnerAddress: entry.earner.toLowerCase(),
+        tokenAddress: entry.token.toLowerCase(),
+        cumulativeAmount: toBigInt(entry.cumulativeAmount).toString(),
+      })),
+    };
+  }
+
+  // Turn a metadata URI into a fetchable URL, serving ipfs:// through the
+  // configured gateway
+  resolveMetadataUrl(uri) {
+    const url = uri.startsWith("ipfs://")
+      ? `${this.ipfsGatewayUrl.replace(/\/$/, "")}/${uri.slice(7)}`
+      : uri;
+
+    if (!/^https?:\/\//i.test(url)) {
+      throw new Error(`Unsupported metadata URI: ${uri}`);
+    }
+    return new URL(url);
+  }
+
+  // Operators and AVSs choose their own metadata URI, so requests to
+  // loopback and private networks are refused unless
+  // METADATA_ALLOW_PRIVATE_HOSTS is set
+  isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    return (
+      host === "localhost" ||
+      /^(127\.|10\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(
+        host
+      ) ||
+      /^(::1?$|f[cd][0-9a-f]{2}:|fe80:|::ffff:)/.test(host)
+    );
+  }
+
+  async assertPublicHost(hostname) {
+    if (this.allowPrivateMetadataHosts) {
+      return;
+    }
+
+    const addresses = await dns.lookup(hostname, { all: true });
+    if (
+      this.isPrivateHost(hostname) ||
+      addresses.some(({ address }) => this.isPrivateHost(address))
+    ) {
+      throw new Error(
+        `Refusing to fetch metadata from private host ${hostname}`
+      );
+    }
+  }
+
+  // Fetch an operator's or AVS's metadata JSON from its URI. Responses are
+  // limited in size and time, and failures are returned rather than thrown
+  // so one bad URI cannot stop a sync.
+  async fetchMetadata(uri) {
+    try {
+      const url = this.resolveMetadataUrl(uri);
+      await this.assertPublicHost(url.hostname);
+
+      const response = await axios.get(url.href, {
+        timeout: this.metadataTimeout,
+        maxContentLength: this.metadataMaxBytes,
+        maxRedirects: 3,
+        beforeRedirect: (options) => {
+          if (
+            !this.allowPrivateMetadataHosts &&
+            this.isPrivateHost(options.hostname)
+          ) {
+            throw new Error(
+              `Refusing to follow metadata redirect to ${options.hostname}`
+            );
+          }
+        },
+        responseType: "text",
+        transformResponse: (data) => data,
+        headers: { Accept: "application/json" },
+      });
+
+      return {
+        metadata: this.transformMetadata(JSON.parse(response.data)),
+        error: null,
+      };
+    } catch (error) {
+      return { metadata: {}, error: error.message };
+    }
+  }
+
+  // Keep only the profile fields we serve, dropping any that are not
+  // strings, are too long for the schema, or are not http(s) links
+  transformMetadata(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Metadata is not a JSON object");
+    }
+
+    const text = (value, maxLength) =>
+      typeof value === "string" &&
+      value.trim() !== "" &&
+      value.trim().length <= maxLength
+        ? value.trim()
+        : undefined;
+    const link = (value, maxLength) => {
+      const url = text(value, maxLength);
+      return url && /^https?:\/\/\S+$/i.test(url) ? url : undefined;
+    };
+
+    const metadata = {
+      name: text(data.name, 100),
+      website: link(data.website, 200),
+      description: text(data.description, 1000),
+      logo: link(data.logo, 500),
+      twitter: link(data.twitter, 200),
+    };
+
+    return Object.fromEntries(
+      Object.entries(metadata).filter(([, value]) => value !== undefined)
+    );
+  }
+
+  // EigenLayer contracts on the web3 provider, created on first use
+  getContracts() {
+    if (!this.contracts) {
+      this.contracts = {
+        delegationManager: new this.web3.eth.Contract(
+          DELEGATION_MANAGER_ABI,
+          CONTRACT_ADDRESSES.delegationManager
+        ),
+        strategyManager: new this.web3.eth.Contract(
+          STRATEGY_MANAGER_ABI,
+          CONTRACT_ADDRESSES.strategyManager
+        ),
+        eigenPodManager: new this.web3.eth.Contract(
+          EIGEN_POD_MANAGER_ABI,
+          CONTRACT_ADDRESSES.eigenPodManager
+        ),
+      };
+    }
+    return this.contracts;
+  }
+
+  // Read a staker's operator and per-strategy shares straight from the
+  // contracts at blockNumber, in the same shape as transformRestakingData.
+  // Used when the subgraph is unavailable or lagging.
+  async fetchOnchainPositions(stakerAddress, blockNumber = "latest") {
+    const { delegationManager, strategyManager, eigenPodManager } =
+      this.getContracts();
+    const staker = stakerAddress.toLowerCase();
+
+    return await this.retryOperation(async () => {
+      const operatorAddress = (
+        await delegationManager.methods
+          .delegatedTo(staker)
+          .call({}, blockNumber)
+      ).toLowerCase();
+      const strategyCount = Number(
+        await strategyManager.methods
+          .stakerStrategyListLength(staker)
+          .call({}, blockNumber)
+      );
+
+      const shares = new Map();
+      for (let i = 0; i < strategyCount; i++) {
+        const strategyAddress = (
+          await strategyManager.methods
+            .stakerStrategyList(staker, i)
+            .call({}, blockNumber)
+        ).toLowerCase();
+        shares.set(
+          strategyAddress,
+          BigInt(
+            await strategyManager.methods
+              .stakerStrategyShares(staker, strategyAddress)
+              .call({}, blockNumber)
+          )
+        );
+      }
+
+      // Pod shares go negative after a balance drop, which is not a position
+      const podShares = BigInt(
+        await eigenPodManager.methods
+          .podOwnerShares(staker)
+          .call({}, blockNumber)
+      );
+      if (podShares > 0n) {
+        shares.set(BEACON_CHAIN_ETH_STRATEGY, podShares);
+      }
+
+      return [...shares]
+        .filter(([, amount]) => amount > 0n)
+        .map(([strategyAddress, amount]) => ({
+          userAddress: staker,
+          strategyAddress,
+          tokenSymbol: getStrategySymbol(strategyAddress),
+          amountRestaked: amount.toString(),
+          targetAVSOperatorAddress: operatorAddress,
+          source: "onchain",
+        }));
+    });
+  }
+
+  // Read the shares delegated to an operator in each strategy at
+  // blockNumber, keyed by strategy address. Strategies without shares are
+  // left out.
+  async fetchOnchainOperatorShares(
+    operatorAddress,
+    strategyAddresses,
+    blockNumber = "latest"
+  ) {
+    const { delegationManager } = this.getContracts();
+
+    return await this.retryOperation(async () => {
+      const byStrategy = {};
+
+      for (const strategyAddress of strategyAddresses) {
+        const shares = BigInt(
+          await delegationManager.methods
+            .operatorShares(operatorAddress, strategyAddress)
+            .call({}, blockNumber)
+        );
+        if (shares > 0n) {
+          byStrategy[strategyAddress] = shares.toString();
+        }
+      }
+
+      return { byStrategy };
+    });
+  }
+
+  // Read a strategy's underlying token and its sharesToUnderlying rate at
+  // blockNumber. Catalog entries skip the token lookups, and beacon chain
+  // ETH has no contract: its shares are wei.
+  async fetchOnchainStrategy(strategyAddress, blockNumber = "latest") {
+    const address = strategyAddress.toLowerCase();
+    const known = STRATEGIES[address];
+
+    if (address === BEACON_CHAIN_ETH_STRATEGY) {
+      return { ...known, sharesToUnderlying: RATE_UNIT.toString() };
+    }
+
+    const strategy = new this.web3.eth.Contract(STRATEGY_ABI, address);
+
+    return await this.retryOperation(async () => {
+      const sharesToUnderlying = (
+        await strategy.methods
+          .sharesToUnderlyingView(RATE_UNIT)
+          .call({}, blockNumber)
+      ).toString();
+
+      if (known) {
+        return { ...known, sharesToUnderlying };
+      }
+
+      const underlyingToken = (
+        await strategy.methods.underlyingToken().call({}, blockNumber)
+      ).toLowerCase();
+      const token = new this.web3.eth.Contract(ERC20_ABI, underlyingToken);
+
+      return {
+        symbol: await token.methods.symbol().call({}, blockNumber),
+        underlyingToken,
+        decimals: Number(await token.methods.decimals().call({}, blockNumber)),
+        sharesToUnderlying,
+      };
+    });
+  }
+
+  // Read an ERC-20 token's symbol and decimals; catalog entries skip the
+  // lookups
+  async fetchOnchainToken(tokenAddress) {
+    const address = tokenAddress.toLowerCase();
+    const known = getRewardToken(address);
+    if (known) {
+      return { symbol: known.symbol, decimals: known.decimals };
+    }
+
+    const token = new this.web3.eth.Contract(ERC20_ABI, address);
+
+    return await this.retryOperation(async () => ({
+      symbol: await token.methods.symbol().call(),
+      decimals: Number(await token.methods.decimals().call()),
+    }));
+  }
+
+  // Timestamp of a block, from the web3 provider
+  async fetchBlockTimestamp(blockNumber) {
+    return await this.retryOperation(async () => {
+      const block = await this.web3.eth.getBlock(blockNumber);
+      return new Date(Number(block.timestamp) * 1000);
+    });
+  }
+
   // Fetch rewards data from Rated Network API (if available)
-  async fetchRewardsFromRated(address) {
+  // Fetch a wallet's reward payouts from Rated, only those paid at or after
+  // since when given. Payouts Rated returns from before since are dropped,
+  // so callers get the same events whether or not it honours the filter.
+  async fetchRewardsFromRated(address, since = null) {
     if (!process.env.RATED_API_KEY) {
       console.warn("⚠️  Rated API key not provided, skipping Rated API calls");
       return null;
     }
 
+    const from = since ? `from=${Math.floor(since.getTime() / 1000)}` : null;
     const endpoints = [
-      `/v1/eigenlayer/rewards/delegator/${address}`,
-      `/v1/eigenlayer/rewards/rewards?delegator=${address}`,
+      `/v1/eigenlayer/rewards/delegator/${address}${from ? `?${from}` : ""}`,
+      `/v1/eigenlayer/rewards/rewards?delegator=${address}${
+        from ? `&${from}` : ""
+      }`,
     ];
 
     for (const endpoint of endpoints) {
@@ -285,7 +1570,9 @@ class DataFetcher {
         });
 
         if (response.data) {
-          return this.transformRatedRewardsData(response.data, address);
+          return this.transformRatedRewardsData(response.data, address).filter(
+            (event) => !since || event.timestamp >= since
+          );
         }
       } catch (error) {
         console.error(
@@ -298,167 +1585,136 @@ class DataFetcher {
     return null;
   }
 
-  // Transform Rated API rewards data
+  // Transform Rated API rewards data into reward events. Payouts are
+  // identified by their log when Rated gives one, otherwise by what was paid
+  // to whom and when, so fetching them again does not count them twice.
+  // Without a log the token is part of the id, as one transaction can pay
+  // an earner several tokens.
+  // Payouts with neither a transaction nor a time are skipped. Payouts that
+  // name no token are stETH; decimals of tokens Rated does not describe and
+  // the catalog does not know are left null for the populator to read.
   transformRatedRewardsData(data, walletAddress) {
-    const rewardsBreakdown = [];
-    let totalRewards = "0";
-
-    // Transform based on Rated API response structure
-    if (data.rewards && Array.isArray(data.rewards)) {
-      data.rewards.forEach((reward) => {
-        const amount = reward.amount || reward.value || "0";
-        const operatorAddress =
+    const earnerAddress = walletAddress.toLowerCase();
+
+    if (!data.rewards || !Array.isArray(data.rewards)) {
+      return [];
+    }
+
+    return data.rewards
+      .map((reward) => {
+        const amount = toBigInt(reward.amount || reward.value || "0");
+        const operatorAddress = (
           reward.operator ||
           reward.validator ||
-          "0x0000000000000000000000000000000000000000";
-        const timestamp =
-          reward.timestamp ||
-          reward.block_time ||
-          Math.floor(Date.now() / 1000);
-
-        rewardsBreakdown.push({
-          operatorAddress: operatorAddress,
-          amountStETH: this.web3.utils.fromWei(amount, "ether"),
-          timestamps: [timestamp],
-          transactionHashes: reward.tx_hash ? [reward.tx_hash] : [],
-          blockNumbers: reward.block_number ? [reward.block_number] : [],
-        });
+          "0x0000000000000000000000000000000000000000"
+        ).toLowerCase();
+        const timestamp = reward.timestamp || reward.block_time;
+        const transactionHash = reward.tx_hash || null;
+        const logIndex =
+          reward.log_index !== undefined ? Number(reward.log_index) : null;
+        const tokenAddress = (reward.token || STETH_TOKEN).toLowerCase();
+        const known = getRewardToken(tokenAddress);
 
-        totalRewards = (
-          parseFloat(totalRewards) +
-          parseFloat(this.web3.utils.fromWei(amount, "ether"))
-        ).toString();
-      });
-    }
+        if (!transactionHash && !timestamp) {
+          return null;
+        }
 
-    return {
-      walletAddress: walletAddress.toLowerCase(),
-      totalRewardsReceivedStETH: totalRewards,
-      rewardsBreakdown: rewardsBreakdown,
-    };
+        const eventId = transactionHash
+          ? `${transactionHash}-${
+              logIndex !== null
+                ? logIndex
+                : `${earnerAddress}-${operatorAddress}-${tokenAddress}`
+            }`
+          : `${earnerAddress}-${operatorAddress}-${tokenAddress}-${timestamp}-${amount}`;
+
+        return {
+          eventId: eventId.toLowerCase(),
+          earnerAddress,
+          operatorAddress,
+          avsAddress: reward.avs ? reward.avs.toLowerCase() : null,
+          tokenAddress,
+          tokenSymbol:
+            reward.token_symbol || (known ? known.symbol : "UNKNOWN"),
+          tokenDecimals:
+            reward.token_decimals !== undefined
+              ? Number(reward.token_decimals)
+              : known
+              ? known.decimals
+              : null,
+          amount: amount.toString(),
+          rewardType: "delegation",
+          // Unix seconds or a date string; a payout known only by its
+          // transaction is timed when first seen
+          timestamp: !timestamp
+            ? new Date()
+            : /^\d+$/.test(String(timestamp))
+            ? new Date(Number(timestamp) * 1000)
+            : new Date(timestamp),
+          blockNumber: reward.block_number || undefined,
+          transactionHash,
+          logIndex: logIndex !== null ? logIndex : undefined,
+          source: "rated",
+        };
+      })
+      .filter(Boolean);
   }
 
-  // Generate mock data for testing (when real APIs are not available)
-  generateMockRestakingData(count = 10) {
-    const mockData = [];
-    const mockOperators = [
-      "0x1234567890123456789012345678901234567890",
-      "0x2345678901234567890123456789012345678901",
-      "0x3456789012345678901234567890123456789012",
-      "0x4567890123456789012345678901234567890123",
-      "0x5678901234567890123456789012345678901234",
-    ];
+  // Mock data for testing (when real APIs are not available). All of it
+  // comes from the same seeded fixture set, so the datasets agree.
+  generateMockRestakingData() {
+    return this.mockData.generate().restakers;
+  }
 
-    for (let i = 0; i < count; i++) {
-      mockData.push({
-        userAddress: `0x${Math.random().toString(16).substr(2, 40)}`,
-        amountRestakedStETH: (Math.random() * 1000 + 10).toFixed(2),
-        targetAVSOperatorAddress:
-          mockOperators[Math.floor(Math.random() * mockOperators.length)],
-        delegationTimestamp: new Date(
-          Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000
-        ),
-        transactionHash: `0x${Math.random().toString(16).substr(2, 64)}`,
-        blockNumber: Math.floor(Math.random() * 1000000) + 18000000,
-        status: "active",
-      });
-    }
+  generateMockValidatorData() {
+    return this.mockData.generate().validators;
+  }
 
-    return mockData;
+  generateMockWithdrawalData() {
+    return this.mockData.generate().withdrawals;
   }
 
-  generateMockValidatorData(count = 5) {
-    const mockData = [];
-    const statuses = ["active", "active", "active", "jailed", "slashed"];
-    const operatorNames = [
-      "EigenOp1",
-      "ValidatorPro",
-      "StakeSecure",
-      "EthGuard",
-      "RestakeMax",
-    ];
+  generateMockStrategyData() {
+    const { strategies, strategyRates } = this.mockData.generate();
+    return { strategies, rates: strategyRates };
+  }
 
-    for (let i = 0; i < count; i++) {
-      const operatorAddress = `0x${Math.random().toString(16).substr(2, 40)}`;
-      const status = statuses[i] || "active";
-      const slashHistory =
-        status === "slashed"
-          ? [
-              {
-                timestamp: Math.floor(Date.now() / 1000) - 86400,
-                amountStETH: (Math.random() * 50 + 10).toFixed(2),
-                reason: "Protocol violation detected",
-                transactionHash: `0x${Math.random()
-                  .toString(16)
-                  .substr(2, 64)}`,
-                blockNumber: Math.floor(Math.random() * 1000000) + 18000000,
-              },
-            ]
-          : [];
-
-      mockData.push({
-        operatorAddress: operatorAddress,
-        operatorName: operatorNames[i] || `Operator${i}`,
-        totalDelegatedStakeStETH: (Math.random() * 10000 + 1000).toFixed(2),
-        slashHistory: slashHistory,
-        status: status,
-        registrationTimestamp: new Date(
-          Date.now() - Math.random() * 180 * 24 * 60 * 60 * 1000
-        ),
-        lastActivityTimestamp: new Date(
-          Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000
-        ),
-        delegatorCount: Math.floor(Math.random() * 100) + 10,
-        commission: Math.floor(Math.random() * 10),
-        metadata: {
-          website: `https://${operatorNames[i] || `operator${i}`}.com`,
-          description: `Professional EigenLayer operator providing secure validation services`,
-          logo: `https://example.com/logos/${
-            operatorNames[i] || `operator${i}`
-          }.png`,
-        },
-      });
-    }
+  generateMockSnapshotData() {
+    return this.mockData.generate().snapshots;
+  }
 
-    return mockData;
+  generateMockPriceData() {
+    return this.mockData.generate().tokenPrices;
   }
 
-  generateMockRewardsData(walletAddress) {
-    const mockOperators = [
-      "0x1234567890123456789012345678901234567890",
-      "0x2345678901234567890123456789012345678901",
-      "0x3456789012345678901234567890123456789012",
-    ];
+  generateMockRewardsDistributionData() {
+    return this.mockData.generate().rewardsDistribution;
+  }
 
-    const rewardsBreakdown = mockOperators.map((operatorAddress) => ({
-      operatorAddress: operatorAddress,
-      amountStETH: (Math.random() * 50 + 5).toFixed(2),
-      timestamps: [
-        Math.floor(Date.now() / 1000) - 86400,
-        Math.floor(Date.now() / 1000) - 172800,
-        Math.floor(Date.now() / 1000) - 259200,
-      ],
-      transactionHashes: [
-        `0x${Math.random().toString(16).substr(2, 64)}`,
-        `0x${Math.random().toString(16).substr(2, 64)}`,
-        `0x${Math.random().toString(16).substr(2, 64)}`,
-      ],
-      blockNumbers: [
-        Math.floor(Math.random() * 1000000) + 18000000,
-        Math.floor(Math.random() * 1000000) + 18000000,
-        Math.floor(Math.random() * 1000000) + 18000000,
-      ],
-    }));
+  generateMockRewardsSubmissionData() {
+    return this.mockData.generate().rewardsSubmissions;
+  }
 
-    const totalRewards = rewardsBreakdown
-      .reduce((sum, reward) => sum + parseFloat(reward.amountStETH), 0)
-      .toFixed(2);
+  generateMockOperatorSplitData() {
+    return this.mockData.generate().operatorSplits;
+  }
 
-    return {
-      walletAddress: walletAddress.toLowerCase(),
-      totalRewardsReceivedStETH: totalRewards,
-      rewardsBreakdown: rewardsBreakdown,
-    };
+  generateMockSlashingData() {
+    return this.mockData.generate().slashEvents;
+  }
+
+  generateMockAVSData() {
+    const { avs, avsRegistrations } = this.mockData.generate();
+    return { avs, registrations: avsRegistrations };
+  }
+
+  // Reward payouts to one wallet, empty for wallets that are not part of
+  // the fixtures
+  generateMockRewardEvents(walletAddress) {
+    return this.mockData
+      .generate()
+      .rewardEvents.filter(
+        (event) => event.earnerAddress === walletAddress.toLowerCase()
+      );
   }
 
   // Validate Ethereum address
@@ -0,0 +1,1144 @@
+const {
+  BEACON_CHAIN_ETH_STRATEGY,
+  ZERO_ADDRESS,
+  STRATEGIES,
+  getStrategySymbol,
+} = require("../config/strategies");
+const {
+  STETH_TOKEN,
+  EIGEN_TOKEN,
+  WETH_TOKEN,
+  ETH_ADDRESS,
+  REWARD_TOKENS,
+} = require("../config/tokens");
+const {
+  WITHDRAWAL_DELAY_BLOCKS,
+  BLOCK_TIME_SECONDS,
+  DEFAULT_OPERATOR_SPLIT_BIPS,
+} = require("../config/contracts");
+
+const { RATE_UNIT, parseUnits, sharesToUnderlying } = require("./amounts");
+
+const DAY_SECONDS = 24 * 60 * 60;
+const WEI_PER_ETHER = 10n ** 18n;
+const EUR_PER_USD = 0.92;
+
+// Mainnet reference point used to derive block numbers from timestamps
+const REFERENCE_BLOCK = 18000000;
+const REFERENCE_TIMESTAMP = 1693066763;
+
+const AVS_NAMES = [
+  "DataLayer",
+  "OracleNet",
+  "BridgeWatch",
+  "SequencerHub",
+  "ProofMarket",
+];
+
+const OPERATOR_NAMES = [
+  "EigenOp",
+  "ValidatorPro",
+  "StakeSecure",
+  "EthGuard",
+  "RestakeMax",
+  "NodeHarbor",
+  "BlockSentry",
+  "ChainKeep",
+];
+
+// Operator statuses with their relative weights
+const OPERATOR_STATUSES = [
+  ["active", 14],
+  ["jailed", 2],
+  ["slashed", 2],
+  ["inactive", 2],
+];
+
+// Restaker statuses with their relative weights
+const RESTAKER_STATUSES = [
+  ["active", 16],
+  ["unstaking", 3],
+  ["withdrawn", 1],
+];
+
+// Turn a string or number seed into a 32-bit integer
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Deterministic fixtures for demos and tests. The same seed, scale and
+// reference time always produce the same data, and the datasets agree with
+// each other: restakers delegate to generated operators, operator stake is
+// the sum of its delegations, slashed operators (and only those) carry slash
+// events from AVSs they registered with, rewards are paid to wallets for
+// their actual delegations, AVSs are secured by generated operators, and
+// unstaking and withdrawn wallets have the withdrawals behind their status.
+class MockDataGenerator {
+  constructor({
+    seed = 1,
+    operatorCount = 10,
+    restakerCount = 20,
+    avsCount = 4,
+    snapshotDays = 30,
+    now = Math.floor(Date.now() / 1000 / DAY_SECONDS) * DAY_SECONDS,
+  } = {}) {
+    this.seed = hashSeed(seed);
+    this.operatorCount = operatorCount;
+    this.restakerCount = restakerCount;
+    this.avsCount = avsCount;
+    this.snapshotDays = snapshotDays;
+    this.now = now;
+    this.fixtures = null;
+  }
+
+  // mulberry32
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [min, max]
+  randomInt(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  // Wei amount between min and max ether, with two decimals
+  randomAmount(minEther, maxEther) {
+    const cents = this.randomInt(minEther * 100, maxEther * 100);
+    return (BigInt(cents) * WEI_PER_ETHER) / 100n;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  pickWeighted(choices) {
+    const total = choices.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.random() * total;
+    for (const [value, weight] of choices) {
+      roll -= weight;
+      if (roll < 0) {
+        return value;
+      }
+    }
+    return choices[choices.length - 1][0];
+  }
+
+  randomHex(bytes) {
+    let hex = "0x";
+    for (let i = 0; i < bytes; i++) {
+      hex += this.randomInt(0, 255).toString(16).padStart(2, "0");
+    }
+    return hex;
+  }
+
+  // Unique 20-byte address
+  address() {
+    let address;
+    do {
+      address = this.randomHex(20);
+    } while (this.usedAddresses.has(address));
+    this.usedAddresses.add(address);
+    return address;
+  }
+
+  transactionHash() {
+    return this.randomHex(32);
+  }
+
+  // Unix timestamp between daysAgoMax and daysAgoMin days before now, never
+  // earlier than notBefore
+  timestampBetween(daysAgoMax, daysAgoMin, notBefore = 0) {
+    const from = Math.max(this.now - daysAgoMax * DAY_SECONDS, notBefore);
+    const to = Math.max(this.now - daysAgoMin * DAY_SECONDS, from);
+    return this.randomInt(from, to);
+  }
+
+  blockAt(timestamp) {
+    return (
+      REFERENCE_BLOCK +
+      Math.floor((timestamp - REFERENCE_TIMESTAMP) / BLOCK_TIME_SECONDS)
+    );
+  }
+
+  generateOperator(index) {
+    const status = this.pickWeighted(OPERATOR_STATUSES);
+    const baseName = OPERATOR_NAMES[index % OPERATOR_NAMES.length];
+    const operatorName =
+      index < OPERATOR_NAMES.length
+        ? baseName
+        : `${baseName}${Math.floor(index / OPERATOR_NAMES.length) + 1}`;
+    const registeredAt = this.timestampBetween(365, 120);
+    const slug = operatorName.toLowerCase();
+
+    return {
+      operatorAddress: this.address(),
+      operatorName,
+      slashHistory: [],
+      status,
+      registrationTimestamp: new Date(registeredAt * 1000),
+      lastActivityTimestamp: new Date(
+        this.timestampBetween(7, 0, registeredAt) * 1000
+      ),
+      delegatorCount: 0,
+      commission: this.randomInt(0, 10),
+      metadata: {
+        website: `https://${slug}.example.com`,
+        description: `${operatorName} runs EigenLayer operator infrastructure`,
+        logo: `https://${slug}.example.com/logo.png`,
+        twitter: `https://twitter.com/${slug}`,
+      },
+      source: "mock",
+    };
+  }
+
+  // One wallet delegates to a single operator, with one position per
+  // strategy it has deposited into
+  generateRestaker(operators) {
+    const userAddress = this.address();
+    const operator = this.pick(operators);
+    const registeredAt = operator.registrationTimestamp.getTime() / 1000;
+    const status = this.pickWeighted(RESTAKER_STATUSES);
+    const strategies = [...Object.keys(STRATEGIES)];
+    const positionCount = this.randomInt(1, 3);
+    const positions = [];
+
+    for (let i = 0; i < positionCount; i++) {
+      const [strategyAddress] = strategies.splice(
+        this.randomInt(0, strategies.length - 1),
+        1
+      );
+      const delegatedAt = this.timestampBetween(90, 14, registeredAt);
+
+      positions.push({
+        userAddress,
+        strategyAddress,
+        tokenSymbol: getStrategySymbol(strategyAddress),
+        amountRestaked: this.randomAmount(1, 1000),
+        targetAVSOperatorAddress: operator.operatorAddress,
+        delegationTimestamp: new Date(delegatedAt * 1000),
+        transactionHash: this.transactionHash(),
+        blockNumber: this.blockAt(delegatedAt),
+        status,
+        source: "mock",
+      });
+    }
+
+    return positions;
+  }
+
+  // OperatorSlashed events after the operator registered, each taking a
+  // small wad of one or two of the strategies delegated to it
+  generateSlashEvents(operator, positions, avsAddresses) {
+    const registeredAt = operator.registrationTimestamp.getTime() / 1000;
+    const sharesByStrategy = new Map();
+    positions.forEach((position) => {
+      sharesByStrategy.set(
+        position.strategyAddress,
+        (sharesByStrategy.get(position.strategyAddress) || 0n) +
+          position.amountRestaked
+      );
+    });
+
+    const slashCount = this.randomInt(1, 3);
+    const slashEvents = [];
+
+    for (let i = 0; i < slashCount; i++) {
+      const timestamp = this.timestampBetween(60, 1, registeredAt);
+      const transactionHash = this.transactionHash();
+      const candidates = [...sharesByStrategy.keys()];
+      const strategyCount = this.randomInt(1, Math.min(2, candidates.length));
+      const strategies = [];
+
+      for (let j = 0; j < strategyCount; j++) {
+        const [strategyAddress] = candidates.splice(
+          this.randomInt(0, candidates.length - 1),
+          1
+        );
+        const wadSlashed = BigInt(this.randomInt(1, 50)) * 10n ** 15n;
+
+        strategies.push({
+          strategyAddress,
+          tokenSymbol: getStrategySymbol(strategyAddress),
+          wadSlashed: wadSlashed.toString(),
+          amountSlashed: (
+            (sharesByStrategy.get(strategyAddress) * wadSlashed) /
+            WEI_PER_ETHER
+          ).toString(),
+        });
+      }
+
+      slashEvents.push({
+        eventId: `${transactionHash}-0`,
+        operatorAddress: operator.operatorAddress,
+        avsAddress: avsAddresses.length > 0 ? this.pick(avsAddresses) : null,
+        operatorSetId: this.randomInt(0, 3),
+        strategies,
+        description: "Protocol violation detected",
+        timestamp,
+        transactionHash,
+        blockNumber: this.blockAt(timestamp),
+        source: "mock",
+      });
+    }
+
+    return slashEvents.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // A wallet that is exiting has queued all of its positions for
+  // withdrawal, sometimes by undelegating; withdrawn wallets also completed
+  // the withdrawal once the delay had passed
+  generateWithdrawal(positions) {
+    const { userAddress, targetAVSOperatorAddress, status } = positions[0];
+    const delegatedAt = Math.max(
+      ...positions.map(
+        (position) => position.delegationTimestamp.getTime() / 1000
+      )
+    );
+    const delay = WITHDRAWAL_DELAY_BLOCKS * BLOCK_TIME_SECONDS;
+    const startTimestamp =
+      status === "withdrawn"
+        ? this.timestampBetween(40, 8, delegatedAt)
+        : this.timestampBetween(10, 0, delegatedAt);
+    const startBlock = this.blockAt(startTimestamp);
+    const transactionHash = this.transactionHash();
+
+    const queued = {
+      withdrawalRoot: this.randomHex(32),
+      stakerAddress: userAddress,
+      operatorAddress: targetAVSOperatorAddress,
+      withdrawerAddress: userAddress,
+      nonce: 0,
+      strategies: positions.map((position) => ({
+        strategyAddress: position.strategyAddress,
+        tokenSymbol: position.tokenSymbol,
+        shares: position.amountRestaked.toString(),
+      })),
+      startBlock,
+      startTimestamp: new Date(startTimestamp * 1000),
+      completableBlock: startBlock + WITHDRAWAL_DELAY_BLOCKS,
+      completableAt: new Date((startTimestamp + delay) * 1000),
+      transactionHash,
+      source: "mock",
+    };
+
+    const undelegation =
+      this.random() < 0.5
+        ? {
+            stakerAddress: userAddress,
+            operatorAddress: targetAVSOperatorAddress,
+            timestamp: startTimestamp,
+            transactionHash,
+            blockNumber: startBlock,
+            source: "mock",
+          }
+        : null;
+
+    let completed = null;
+    if (status === "withdrawn") {
+      const completedAt = Math.min(
+        startTimestamp + delay + this.randomInt(0, 2 * DAY_SECONDS),
+        this.now
+      );
+      completed = {
+        withdrawalRoot: queued.withdrawalRoot,
+        timestamp: completedAt,
+        transactionHash: this.transactionHash(),
+        blockNumber: this.blockAt(completedAt),
+        source: "mock",
+      };
+    }
+
+    return { queued, undelegation, completed };
+  }
+
+  // Weekly stETH reward payouts since the wallet delegated, at 2-6% a year
+  // of the stake it has with its operator, and EIGEN incentives every four
+  // weeks. Each payout has a transaction of its own.
+  generateRewardEvents(walletAddress, positions) {
+    const operatorAddress = positions[0].targetAVSOperatorAddress;
+    const stake = positions.reduce(
+      (total, position) => total + position.amountRestaked,
+      0n
+    );
+    const delegatedAt = Math.min(
+      ...positions.map(
+        (position) => position.delegationTimestamp.getTime() / 1000
+      )
+    );
+    const aprBasisPoints = BigInt(this.randomInt(200, 600));
+    const weeklyReward = (stake * aprBasisPoints * 7n) / (10000n * 365n);
+
+    // 0.5-2.5 EIGEN per ETH of stake each time
+    const eigenReward = (stake * BigInt(this.randomInt(5, 25))) / 10n;
+
+    const events = [];
+    const payout = (tokenAddress, amount, timestamp) => {
+      const transactionHash = this.transactionHash();
+      events.push({
+        eventId: `${transactionHash}-0`,
+        earnerAddress: walletAddress,
+        operatorAddress,
+        avsAddress: null,
+        tokenAddress,
+        tokenSymbol: REWARD_TOKENS[tokenAddress].symbol,
+        tokenDecimals: REWARD_TOKENS[tokenAddress].decimals,
+        amount: amount.toString(),
+        rewardType: "delegation",
+        timestamp: new Date(timestamp * 1000),
+        blockNumber: this.blockAt(timestamp),
+        transactionHash,
+        logIndex: 0,
+        source: "mock",
+      });
+    };
+
+    for (
+      let week = 1, timestamp = delegatedAt + 7 * DAY_SECONDS;
+      timestamp <= this.now;
+      week++, timestamp += 7 * DAY_SECONDS
+    ) {
+      payout(STETH_TOKEN, weeklyReward, timestamp);
+      if (week % 4 === 0) {
+        payout(EIGEN_TOKEN, eigenReward, timestamp);
+      }
+    }
+    return events;
+  }
+
+  // An AVS with registrations from a random subset of the operators that
+  // are still running; some have since deregistered
+  generateAVS(index, operators) {
+    const baseName = AVS_NAMES[index % AVS_NAMES.length];
+    const name =
+      index < AVS_NAMES.length
+        ? baseName
+        : `${baseName}${Math.floor(index / AVS_NAMES.length) + 1}`;
+    const slug = name.toLowerCase();
+    const avsAddress = this.address();
+    const candidates = operators.filter(
+      (operator) => operator.status !== "inactive"
+    );
+    const registrations = [];
+
+    candidates.forEach((operator) => {
+      if (this.random() < 0.5) {
+        return;
+      }
+
+      const registeredAt = operator.registrationTimestamp.getTime() / 1000;
+      const timestamp = this.timestampBetween(100, 30, registeredAt);
+      registrations.push({
+        avsAddress,
+        operatorAddress: operator.operatorAddress,
+        status: "registered",
+        timestamp,
+        transactionHash: this.transactionHash(),
+        blockNumber: this.blockAt(timestamp),
+        source: "mock",
+      });
+
+      if (this.random() < 0.1) {
+        const leftAt = this.timestampBetween(29, 1, timestamp);
+        registrations.push({
+          avsAddress,
+          operatorAddress: operator.operatorAddress,
+          status: "deregistered",
+          timestamp: leftAt,
+          transactionHash: this.transactionHash(),
+          blockNumber: this.blockAt(leftAt),
+          source: "mock",
+        });
+      }
+    });
+
+    return {
+      avs: {
+        avsAddress,
+        metadata: {
+          name,
+          website: `https://${slug}.example.com`,
+          description: `${name} is an actively validated service on EigenLayer`,
+          logo: `https://${slug}.example.com/logo.png`,
+          twitter: `https://twitter.com/${slug}`,
+        },
+        source: "mock",
+      },
+      registrations,
+    };
+  }
+
+  // Weekly sharesToUnderlying rates over the last 13 weeks. Native ETH is
+  // always one wei per share; the other strategies grow at up to 4% a year.
+  generateStrategyRates(strategyAddress) {
+    const native = strategyAddress === BEACON_CHAIN_ETH_STRATEGY;
+    const aprBasisPoints = native ? 0n : BigInt(this.randomInt(0, 400));
+    let rate = native
+      ? RATE_UNIT
+      : RATE_UNIT + BigInt(this.randomInt(0, 50)) * 10n ** 15n;
+    const rates = [];
+
+    for (let week = 13; week >= 0; week--) {
+      const timestamp = this.now - week * 7 * DAY_SECONDS;
+      rates.push({
+        strategyAddress,
+        blockNumber: this.blockAt(timestamp),
+        timestamp: new Date(timestamp * 1000),
+        sharesToUnderlying: rate.toString(),
+        source: "mock",
+      });
+      rate += (rate * aprBasisPoints * 7n) / (10000n * 365n);
+    }
+
+    return rates;
+  }
+
+  // Daily usd, eur and eth prices over the last 120 days of ETH and every
+  // token the fixtures hold or are paid in. ETH takes a random walk from
+  // $3000; liquid staking tokens trade near one ETH and EIGEN at a fraction
+  // of it.
+  generateTokenPrices() {
+    const tokens = [
+      ...new Set([
+        ...Object.values(STRATEGIES)
+          .map((strategy) => strategy.underlyingToken)
+          .filter(Boolean),
+        ...Object.keys(REWARD_TOKENS),
+      ]),
+    ];
+    const ethRatios = new Map(
+      tokens.map((tokenAddress) => [
+        tokenAddress,
+        tokenAddress === WETH_TOKEN
+          ? 1
+          : tokenAddress === EIGEN_TOKEN
+          ? this.randomInt(80, 150) / 100000
+          : this.randomInt(1000, 1100) / 1000,
+      ])
+    );
+
+    const prices = [];
+    const add = (tokenAddress, currency, timestamp, price) =>
+      prices.push({
+        tokenAddress,
+        currency,
+        date: new Date(timestamp * 1000),
+        price: parseUnits(price.toFixed(6)).toString(),
+        source: "mock",
+      });
+
+    const today = Math.floor(this.now / DAY_SECONDS) * DAY_SECONDS;
+    let ethUsd = 3000;
+    for (let day = 120; day >= 0; day--) {
+      const timestamp = today - day * DAY_SECONDS;
+      add(ETH_ADDRESS, "usd", timestamp, ethUsd);
+      add(ETH_ADDRESS, "eur", timestamp, ethUsd * EUR_PER_USD);
+      tokens.forEach((tokenAddress) => {
+        const ratio = ethRatios.get(tokenAddress);
+        add(tokenAddress, "usd", timestamp, ethUsd * ratio);
+        add(tokenAddress, "eur", timestamp, ethUsd * EUR_PER_USD * ratio);
+        add(tokenAddress, "eth", timestamp, ratio);
+      });
+      ethUsd *= 1 + this.randomInt(-300, 300) / 10000;
+    }
+
+    return prices;
+  }
+
+  // Weekly RewardsCoordinator distribution roots over the last ten weeks,
+  // each covering rewards up to a week boundary and claimable a week after
+  // it was posted, so the latest is not claimable yet. About half the
+  // earners claim everything earned as of an active root, some twice, a few
+  // through a claimer they set, and a snapshot of cumulative earnings is
+  // published for the latest root.
+  generateRewardsDistribution(rewardEvents) {
+    const today = Math.floor(this.now / DAY_SECONDS) * DAY_SECONDS;
+    const roots = [];
+    for (let week = 10; week >= 1; week--) {
+      const calculationEnd = today - week * 7 * DAY_SECONDS;
+      const submittedAt = calculationEnd + DAY_SECONDS;
+      roots.push({
+        rootIndex: roots.length,
+        root: this.randomHex(32),
+        rewardsCalculationEndTimestamp: new Date(calculationEnd * 1000),
+        activatedAt: new Date((submittedAt + 7 * DAY_SECONDS) * 1000),
+        timestamp: new Date(submittedAt * 1000),
+        blockNumber: this.blockAt(submittedAt),
+        transactionHash: this.transactionHash(),
+        source: "mock",
+      });
+    }
+
+    // Cumulative earnings per earner and token as of a root
+    const earningsAt = (root) => {
+      const earnings = new Map();
+      rewardEvents
+        .filter(
+          (event) => event.timestamp <= root.rewardsCalculationEndTimestamp
+        )
+        .forEach((event) => {
+          const key = `${event.earnerAddress}:${event.tokenAddress}`;
+          earnings.set(key, (earnings.get(key) || 0n) + BigInt(event.amount));
+        });
+      return earnings;
+    };
+
+    const latestRoot = roots[roots.length - 1];
+    const earnings = [...earningsAt(latestRoot)].map(([key, amount]) => {
+      const [earnerAddress, tokenAddress] = key.split(":");
+      return {
+        rootIndex: latestRoot.rootIndex,
+        root: latestRoot.root,
+        earnerAddress,
+        tokenAddress,
+        cumulativeAmount: amount.toString(),
+        source: "mock",
+      };
+    });
+
+    const activeRoots = roots.filter(
+      (root) => root.activatedAt.getTime() <= this.now * 1000
+    );
+    const earners = [
+      ...new Set(rewardEvents.map((event) => event.earnerAddress)),
+    ];
+    const claims = [];
+    const claimers = [];
+
+    earners.forEach((earnerAddress) => {
+      if (this.random() < 0.5) {
+        return;
+      }
+
+      let claimerAddress = earnerAddress;
+      const firstRoot = this.randomInt(0, activeRoots.length - 1);
+      if (this.random() < 0.25) {
+        claimerAddress = this.address();
+        const setAt =
+          activeRoots[firstRoot].activatedAt.getTime() / 1000 - DAY_SECONDS;
+        claimers.push({
+          earnerAddress,
+          claimerAddress,
+          previousClaimerAddress: ZERO_ADDRESS,
+          timestamp: new Date(setAt * 1000),
+          blockNumber: this.blockAt(setAt),
+          transactionHash: this.transactionHash(),
+          source: "mock",
+        });
+      }
+      const recipientAddress =
+        this.random() < 0.8 ? earnerAddress : this.address();
+
+      const claimedRoots = [activeRoots[firstRoot]];
+      if (firstRoot < activeRoots.length - 1 && this.random() < 0.5) {
+        claimedRoots.push(
+          activeRoots[this.randomInt(firstRoot + 1, activeRoots.length - 1)]
+        );
+      }
+
+      const claimed = new Map();
+      claimedRoots.forEach((root) => {
+        const claimedAt = Math.min(
+          root.activatedAt.getTime() / 1000 +
+            this.randomInt(0, 3 * DAY_SECONDS),
+          this.now
+        );
+        const transactionHash = this.transactionHash();
+        let logIndex = 0;
+
+        [...earningsAt(root)]
+          .filter(([key]) => key.startsWith(`${earnerAddress}:`))
+          .forEach(([key, cumulative]) => {
+            const tokenAddress = key.split(":")[1];
+            const amount = cumulative - (claimed.get(tokenAddress) || 0n);
+            if (amount <= 0n) {
+              return;
+            }
+            claimed.set(tokenAddress, cumulative);
+            claims.push({
+              eventId: `${transactionHash}-${logIndex++}`,
+              root: root.root,
+              earnerAddress,
+              claimerAddress,
+              recipientAddress,
+              tokenAddress,
+              tokenSymbol: REWARD_TOKENS[tokenAddress].symbol,
+              tokenDecimals: REWARD_TOKENS[tokenAddress].decimals,
+              amount: amount.toString(),
+              timestamp: new Date(claimedAt * 1000),
+              blockNumber: this.blockAt(claimedAt),
+              transactionHash,
+              source: "mock",
+            });
+          });
+      });
+    });
+
+    return { roots, claims, claimers, earnings };
+  }
+
+  // Two to four rewards submissions per AVS, aligned to weeks, one to eight
+  // weeks long and starting between ten weeks ago and two weeks ahead, paid
+  // to some of the strategies. Every third one is operator-directed to the
+  // AVS's registered operators.
+  generateRewardsSubmissions(avs) {
+    const week = 7 * DAY_SECONDS;
+    const thisWeek = Math.floor(this.now / week) * week;
+    // Weekly budget in whole tokens
+    const budgets = {
+      [STETH_TOKEN]: [1, 10],
+      [EIGEN_TOKEN]: [1000, 20000],
+      [WETH_TOKEN]: [1, 10],
+    };
+    const strategyAddresses = Object.keys(STRATEGIES).sort();
+    const submissions = [];
+
+    avs.forEach(({ avs: { avsAddress }, registrations }) => {
+      const operators = [
+        ...new Set(
+          registrations
+            .filter((registration) => registration.status === "registered")
+            .map((registration) => registration.operatorAddress)
+        ),
+      ].sort();
+      const count = this.randomInt(2, 4);
+
+      for (let nonce = 0; nonce < count; nonce++) {
+        const operatorDirected = nonce % 3 === 2 && operators.length > 0;
+        const startTimestamp = thisWeek + this.randomInt(-10, 2) * week;
+        const weeks = this.randomInt(1, 8);
+        const createdAt = Math.min(
+          startTimestamp - this.randomInt(0, 3) * DAY_SECONDS,
+          this.now
+        );
+        const tokenAddress = this.pick(Object.keys(budgets));
+        const [minBudget, maxBudget] = budgets[tokenAddress];
+
+        let strategies = strategyAddresses.filter(() => this.random() < 0.5);
+        if (strategies.length === 0) {
+          strategies = [this.pick(strategyAddresses)];
+        }
+
+        let rewarded = operatorDirected
+          ? operators.filter(() => this.random() < 0.7)
+          : [];
+        if (operatorDirected && rewarded.length === 0) {
+          rewarded = [this.pick(operators)];
+        }
+        const operatorRewards = rewarded.map((operatorAddress) => ({
+          operatorAddress,
+          amount: (
+            this.randomAmount(minBudget, maxBudget) * BigInt(weeks)
+          ).toString(),
+        }));
+        const amount = operatorDirected
+          ? operatorRewards.reduce(
+              (total, reward) => total + BigInt(reward.amount),
+              0n
+            )
+          : this.randomAmount(minBudget, maxBudget) * BigInt(weeks);
+
+        submissions.push({
+          submissionHash: this.randomHex(32),
+          submissionType: operatorDirected ? "operator_directed" : "avs",
+          avsAddress,
+          submitterAddress: avsAddress,
+          submissionNonce: nonce,
+          tokenAddress,
+          tokenSymbol: REWARD_TOKENS[tokenAddress].symbol,
+          tokenDecimals: REWARD_TOKENS[tokenAddress].decimals,
+          amount: amount.toString(),
+          strategies: strategies.map((strategyAddress) => ({
+            strategyAddress,
+            multiplier: (this.random() < 0.2
+              ? 2n * WEI_PER_ETHER
+              : WEI_PER_ETHER
+            ).toString(),
+          })),
+          operatorRewards,
+          startTimestamp: new Date(startTimestamp * 1000),
+          duration: weeks * week,
+          endTimestamp: new Date((startTimestamp + weeks * week) * 1000),
+          description: operatorDirected ? "Operator performance rewards" : null,
+          timestamp: new Date(createdAt * 1000),
+          blockNumber: this.blockAt(createdAt),
+          transactionHash: this.transactionHash(),
+          source: "mock",
+        });
+      }
+    });
+    return submissions;
+  }
+
+  // The default split set when rewards launched, and splits some operators
+  // set for the AVSs they registered with, at the commission they
+  // advertise. A few change theirs later, some recently enough that the
+  // change has not activated yet.
+  generateOperatorSplits(validators, avsRegistrations) {
+    const activationDelay = 7 * DAY_SECONDS;
+    const launchedAt = this.now - 400 * DAY_SECONDS;
+    const splits = [];
+
+    const setSplit = (fields, setAt, activatedAt = setAt + activationDelay) => {
+      const transactionHash = this.transactionHash();
+      splits.push({
+        eventId: `${transactionHash}-0`,
+        ...fields,
+        activatedAt: new Date(activatedAt * 1000),
+        timestamp: new Date(setAt * 1000),
+        blockNumber: this.blockAt(setAt),
+        transactionHash,
+        source: "mock",
+      });
+    };
+
+    setSplit(
+      {
+        splitType: "default",
+        operatorAddress: null,
+        avsAddress: null,
+        oldSplitBips: 0,
+        newSplitBips: DEFAULT_OPERATOR_SPLIT_BIPS,
+      },
+      launchedAt,
+      launchedAt
+    );
+
+    avsRegistrations
+      .filter((registration) => registration.status === "registered")
+      .forEach(({ operatorAddress, avsAddress, timestamp }) => {
+        if (this.random() < 0.4) {
+          return;
+        }
+
+        const { commission } = validators.find(
+          (validator) => validator.operatorAddress === operatorAddress
+        );
+        const splitBips = commission * 100;
+        const setAt = this.randomInt(
+          timestamp,
+          Math.max(timestamp, this.now - 20 * DAY_SECONDS)
+        );
+        setSplit(
+          {
+            splitType: "avs",
+            operatorAddress,
+            avsAddress,
+            oldSplitBips: DEFAULT_OPERATOR_SPLIT_BIPS,
+            newSplitBips: splitBips,
+          },
+          setAt
+        );
+
+        // A split cannot change again until the last change activated
+        if (this.random() < 0.3) {
+          const changedAt = this.randomInt(setAt + activationDelay, this.now);
+          setSplit(
+            {
+              splitType: "avs",
+              operatorAddress,
+              avsAddress,
+              oldSplitBips: splitBips,
+              newSplitBips: Math.max(
+                0,
+                splitBips + this.pick([-300, -100, 100, 200, 500])
+              ),
+            },
+            changedAt
+          );
+        }
+      });
+    return splits;
+  }
+
+  // Daily snapshots of every operator and position over the last
+  // snapshotDays days, replaying delegations, withdrawals, slashes and
+  // strategy rates up to the start of each day
+  generateSnapshots(validators, positions, withdrawals, strategyRates) {
+    const queuedAt = new Map(
+      withdrawals.queued.map((withdrawal) => [
+        withdrawal.stakerAddress,
+        withdrawal.startTimestamp.getTime() / 1000,
+      ])
+    );
+    const completedAt = new Map(
+      withdrawals.completed.map((completion) => [
+        withdrawals.queued.find(
+          (withdrawal) =>
+            withdrawal.withdrawalRoot === completion.withdrawalRoot
+        ).stakerAddress,
+        completion.timestamp,
+      ])
+    );
+    const rateAt = (strategyAddress, timestamp) =>
+      strategyRates
+        .filter(
+          (rate) =>
+            rate.strategyAddress === strategyAddress &&
+            rate.timestamp.getTime() / 1000 <= timestamp
+        )
+        .pop()?.sharesToUnderlying || null;
+
+    const operatorSnapshots = [];
+    const positionSnapshots = [];
+
+    for (let day = this.snapshotDays - 1; day >= 0; day--) {
+      const timestamp = this.now - day * DAY_SECONDS;
+      const snapshot = {
+        snapshotDate: new Date(timestamp * 1000),
+        timestamp: new Date(timestamp * 1000),
+        blockNumber: this.blockAt(timestamp),
+        source: "mock",
+      };
+
+      const current = positions.filter(
+        (position) => position.delegationTimestamp.getTime() / 1000 <= timestamp
+      );
+      current.forEach((position) => {
+        const rate = rateAt(position.strategyAddress, timestamp);
+        const status =
+          completedAt.get(position.userAddress) <= timestamp
+            ? "withdrawn"
+            : queuedAt.get(position.userAddress) <= timestamp
+            ? "unstaking"
+            : "active";
+
+        // A completed withdrawal leaves the position without shares
+        const shares = status === "withdrawn" ? 0n : position.amountRestaked;
+
+        positionSnapshots.push({
+          userAddress: position.userAddress,
+          strategyAddress: position.strategyAddress,
+          targetAVSOperatorAddress: position.targetAVSOperatorAddress,
+          tokenSymbol: position.tokenSymbol,
+          amountRestaked: shares.toString(),
+          amountUnderlying: rate
+            ? sharesToUnderlying(shares, rate).toString()
+            : null,
+          delegationTimestamp: position.delegationTimestamp,
+          status,
+          ...snapshot,
+        });
+      });
+
+      validators.forEach((validator) => {
+        if (validator.registrationTimestamp.getTime() / 1000 > timestamp) {
+          return;
+        }
+
+        const delegated = current.filter(
+          (position) =>
+            position.targetAVSOperatorAddress === validator.operatorAddress
+        );
+        const sharesByStrategy = new Map();
+        delegated.forEach((position) => {
+          sharesByStrategy.set(
+            position.strategyAddress,
+            (sharesByStrategy.get(position.strategyAddress) || 0n) +
+              position.amountRestaked
+          );
+        });
+        const slashed = validator.slashHistory.some(
+          (slash) => slash.timestamp <= timestamp
+        );
+
+        operatorSnapshots.push({
+          operatorAddress: validator.operatorAddress,
+          stakeByStrategy: [...sharesByStrategy].map(
+            ([strategyAddress, shares]) => {
+              const rate = rateAt(strategyAddress, timestamp);
+              return {
+                strategyAddress,
+                tokenSymbol: getStrategySymbol(strategyAddress),
+                shares: shares.toString(),
+                underlyingAmount: rate
+                  ? sharesToUnderlying(shares, rate).toString()
+                  : null,
+              };
+            }
+          ),
+          delegatorCount: new Set(
+            delegated.map((position) => position.userAddress)
+          ).size,
+          status:
+            validator.status === "slashed" && !slashed
+              ? "active"
+              : validator.status,
+          ...snapshot,
+        });
+      });
+    }
+
+    return { operators: operatorSnapshots, positions: positionSnapshots };
+  }
+
+  // Build (once) and return the whole fixture set
+  generate() {
+    if (this.fixtures) {
+      return this.fixtures;
+    }
+
+    this.state = this.seed;
+    this.usedAddresses = new Set();
+
+    const operators = [];
+    for (let i = 0; i < this.operatorCount; i++) {
+      operators.push(this.generateOperator(i));
+    }
+
+    const wallets = [];
+    for (let i = 0; i < this.restakerCount; i++) {
+      wallets.push(this.generateRestaker(operators));
+    }
+
+    const validators = operators.map((operator) => {
+      const delegations = wallets.filter(
+        (positions) =>
+          positions[0].targetAVSOperatorAddress === operator.operatorAddress
+      );
+      return {
+        ...operator,
+        delegatorCount: delegations.length,
+      };
+    });
+
+    const rewardEvents = wallets.flatMap((positions) =>
+      this.generateRewardEvents(positions[0].userAddress, positions)
+    );
+
+    const avs = [];
+    for (let i = 0; i < this.avsCount; i++) {
+      avs.push(this.generateAVS(i, validators));
+    }
+    const avsRegistrations = avs.flatMap((entry) => entry.registrations);
+
+    // Slashed operators are slashed by AVSs they registered with; operators
+    // without any stake cannot have been slashed
+    const slashEvents = [];
+    validators.forEach((validator) => {
+      if (validator.status !== "slashed") {
+        return;
+      }
+
+      const positions = wallets
+        .flat()
+        .filter(
+          (position) =>
+            position.targetAVSOperatorAddress === validator.operatorAddress
+        );
+      if (positions.length === 0) {
+        validator.status = "active";
+        return;
+      }
+
+      const registeredWith = avsRegistrations
+        .filter(
+          (registration) =>
+            registration.operatorAddress === validator.operatorAddress &&
+            registration.status === "registered"
+        )
+        .map((registration) => registration.avsAddress);
+      const events = this.generateSlashEvents(
+        validator,
+        positions,
+        registeredWith.length > 0
+          ? registeredWith
+          : avs.map((entry) => entry.avs.avsAddress)
+      );
+
+      validator.slashHistory = events.map((event) => ({
+        eventId: event.eventId,
+        timestamp: event.timestamp,
+        strategies: event.strategies.map((strategy) => ({
+          strategyAddress: strategy.strategyAddress,
+          tokenSymbol: strategy.tokenSymbol,
+          wadSlashed: strategy.wadSlashed,
+          amountSlashed: strategy.amountSlashed,
+        })),
+        reason: event.description,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        source: "mock",
+      }));
+      slashEvents.push(...events);
+    });
+
+    const withdrawals = { queued: [], undelegations: [], completed: [] };
+    wallets
+      .filter((positions) => positions[0].status !== "active")
+      .forEach((positions) => {
+        const { queued, undelegation, completed } =
+          this.generateWithdrawal(positions);
+        withdrawals.queued.push(queued);
+        if (undelegation) {
+          withdrawals.undelegations.push(undelegation);
+        }
+        if (completed) {
+          withdrawals.completed.push(completed);
+        }
+      });
+
+    const strategies = Object.entries(STRATEGIES).map(
+      ([strategyAddress, strategy]) => ({
+        strategyAddress,
+        ...strategy,
+        source: "mock",
+      })
+    );
+    const strategyRates = strategies.flatMap((strategy) =>
+      this.generateStrategyRates(strategy.strategyAddress)
+    );
+
+    const snapshots = this.generateSnapshots(
+      validators,
+      wallets.flat(),
+      withdrawals,
+      strategyRates
+    );
+
+    // Drawn last so the other fixtures stay the same
+    const tokenPrices = this.generateTokenPrices();
+    const rewardsDistribution = this.generateRewardsDistribution(rewardEvents);
+    const rewardsSubmissions = this.generateRewardsSubmissions(avs);
+    const operatorSplits = this.generateOperatorSplits(
+      validators,
+      avsRegistrations
+    );
+
+    this.fixtures = {
+      validators,
+      // Withdrawn positions hold no shares once their withdrawal completed
+      restakers: wallets.flat().map((position) => ({
+        ...position,
+        amountDeposited: position.amountRestaked.toString(),
+        amountRestaked:
+          position.status === "withdrawn"
+            ? "0"
+            : position.amountRestaked.toString(),
+      })),
+      rewardEvents,
+      avs: avs.map((entry) => entry.avs),
+      avsRegistrations,
+      slashEvents,
+      withdrawals,
+      strategies,
+      strategyRates,
+      snapshots,
+      tokenPrices,
+      rewardsDistribution,
+      rewardsSubmissions,
+      operatorSplits,
+    };
+    return this.fixtures;
+  }
+}
+
+module.exports = MockDataGenerator;
@@ -0,0 +1,132 @@
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const { parseUnits } = require("./amounts");
+const { startOfDay } = require("./valuation");
+const { COINGECKO_IDS } = require("../config/prices");
+require("dotenv").config();
+
+// Price providers fill the token_prices table; endpoints only ever read the
+// table, so they keep working offline. A provider has the source its
+// prices are stored under and fetchDailyPrices(tokenAddress, currency,
+// from, to), resolving to one { date, price } per UTC day in the range with
+// price in the table's 1e18 scale.
+
+// Convert a decimal price to the 1e18 scale, including the exponent
+// notation JSON numbers use for very small prices
+const toPriceUnits = (value) => {
+  const text = String(value);
+  return parseUnits(
+    /e/i.test(text) ? Number(text).toFixed(18) : text
+  ).toString();
+};
+
+// Daily prices from the CoinGecko API. Known tokens are looked up by coin
+// id, others by their Ethereum contract.
+class CoinGeckoPriceProvider {
+  constructor() {
+    this.source = "coingecko";
+    this.apiUrl =
+      process.env.COINGECKO_API_URL || "https://api.coingecko.com/api/v3";
+    this.apiKey = process.env.COINGECKO_API_KEY;
+    this.timeout = parseInt(process.env.PRICE_TIMEOUT_MS) || 10000;
+  }
+
+  async fetchDailyPrices(tokenAddress, currency, from, to) {
+    const id = COINGECKO_IDS[tokenAddress];
+    const endpoint = id
+      ? `/coins/${id}/market_chart/range`
+      : `/coins/ethereum/contract/${tokenAddress}/market_chart/range`;
+
+    const response = await axios.get(`${this.apiUrl}${endpoint}`, {
+      params: {
+        vs_currency: currency,
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000) + 24 * 60 * 60 - 1,
+      },
+      headers: this.apiKey ? { "x-cg-demo-api-key": this.apiKey } : {},
+      timeout: this.timeout,
+    });
+
+    // Ranges under 90 days come back hourly; keep each day's first price
+    const byDay = new Map();
+    (response.data.prices || []).forEach(([time, price]) => {
+      const day = startOfDay(new Date(time)).getTime();
+      if (!byDay.has(day)) {
+        byDay.set(day, price);
+      }
+    });
+
+    return [...byDay].map(([day, price]) => ({
+      date: new Date(day),
+      price: toPriceUnits(price),
+    }));
+  }
+}
+
+// Daily prices from a local JSON file of
+// [{ token, currency, date, price }] entries, with dates as YYYY-MM-DD and
+// prices as decimal strings, for running without a price API
+class FilePriceProvider {
+  constructor() {
+    this.source = "file";
+    this.filePath = path.resolve(
+      process.env.PRICE_FILE || path.join(__dirname, "../data/prices.json")
+    );
+    this.entries = null;
+  }
+
+  loadEntries() {
+    if (!this.entries) {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, "utf8")).map(
+        (entry) => ({
+          tokenAddress: entry.token.toLowerCase(),
+          currency: entry.currency.toLowerCase(),
+          date: startOfDay(new Date(entry.date)),
+          price: toPriceUnits(entry.price),
+        })
+      );
+    }
+    return this.entries;
+  }
+
+  async fetchDailyPrices(tokenAddress, currency, from, to) {
+    return this.loadEntries()
+      .filter(
+        (entry) =>
+          entry.tokenAddress === tokenAddress &&
+          entry.currency === currency &&
+          entry.date >= from &&
+          entry.date <= to
+      )
+      .map(({ date, price }) => ({ date, price }));
+  }
+}
+
+// Available providers by PRICE_PROVIDER name; add an entry to plug in
+// another one
+const PRICE_PROVIDERS = {
+  coingecko: () => new CoinGeckoPriceProvider(),
+  file: () => new FilePriceProvider(),
+};
+
+const createPriceProvider = (
+  name = process.env.PRICE_PROVIDER || "coingecko"
+) => {
+  const create = PRICE_PROVIDERS[name];
+  if (!create) {
+    throw new Error(
+      `Unknown price provider "${name}". Available: ${Object.keys(
+        PRICE_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+  return create();
+};
+
+module.exports = {
+  CoinGeckoPriceProvider,
+  FilePriceProvider,
+  PRICE_PROVIDERS,
+  createPriceProvider,
+};
@@ -0,0 +1,333 @@
+const { parseUnits, toDecimal128 } = require("./amounts");
+const { SOURCES } = require("../config/sources");
+const { STETH_TOKEN } = require("../config/tokens");
+const { CURRENCIES } = require("../config/prices");
+
+// Query string problems are reported as 400s by the error handler
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Resolve ?sortBy/&sortOrder against a whitelist of { alias: field }.
+// _id is appended as a tie-breaker so pagination is stable.
+const buildSort = (sortBy, sortOrder, sortableFields) => {
+  const field = sortableFields[sortBy];
+  if (!field) {
+    throw badRequest(
+      `Cannot sort by "${sortBy}". Allowed: ${Object.keys(sortableFields).join(
+        ", "
+      )}`
+    );
+  }
+
+  if (sortOrder !== "asc" && sortOrder !== "desc") {
+    throw badRequest(`Invalid sortOrder "${sortOrder}". Use asc or desc`);
+  }
+
+  const direction = sortOrder === "desc" ? -1 : 1;
+  return { [field]: direction, _id: direction };
+};
+
+// Build a numeric { $gte, $lte } filter from decimal token amounts, or null
+const buildAmountRange = (min, max, decimals = 18) => {
+  if (!min && !max) {
+    return null;
+  }
+
+  const range = {};
+  if (min) {
+    range.$gte = toDecimal128(parseUnits(min, decimals));
+  }
+  if (max) {
+    range.$lte = toDecimal128(parseUnits(max, decimals));
+  }
+  return range;
+};
+
+// Validate an address query parameter, returned lowercased, or null
+const buildAddressFilter = (address, name) => {
+  if (!address) {
+    return null;
+  }
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    throw badRequest(`Invalid ${name} address "${address}"`);
+  }
+  return address.toLowerCase();
+};
+
+// Parse a date query parameter given as unix seconds or an ISO date
+const parseDate = (value, name) => {
+  const date = /^\d+$/.test(value)
+    ? new Date(parseInt(value) * 1000)
+    : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw badRequest(`Invalid ${name} date "${value}"`);
+  }
+  return date;
+};
+
+// Build a { $gte, $lte } filter from ?from/&to dates, or null
+const buildDateRange = (from, to) => {
+  if (!from && !to) {
+    return null;
+  }
+
+  const range = {};
+  if (from) {
+    range.$gte = parseDate(from, "from");
+  }
+  if (to) {
+    range.$lte = parseDate(to, "to");
+  }
+  return range;
+};
+
+// Lookback windows accepted by ?period=, in days
+const PERIOD_DAYS = { "7d": 7, "30d": 30, "90d": 90 };
+
+// Build a { $gte, $lte } date filter from ?from/&to, or else from a
+// ?period= lookback ending now, or null for all time
+const buildPeriodRange = (period, from, to) => {
+  if (from || to) {
+    return buildDateRange(from, to);
+  }
+  if (!period || period === "all") {
+    return null;
+  }
+
+  const days = PERIOD_DAYS[period];
+  if (!days) {
+    throw badRequest(
+      `Invalid period "${period}". Allowed: ${Object.keys(PERIOD_DAYS).join(
+        ", "
+      )}, all`
+    );
+  }
+  return { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+};
+
+// Resolve the window yields are computed over from ?from/&to, or else a
+// ?period= lookback ending now. start is null for all time.
+const buildYieldWindow = (period = "30d", from, to) => {
+  const range = buildPeriodRange(period, from, to) || {};
+  return { start: range.$gte || null, end: range.$lte || new Date() };
+};
+
+// Build a { $gte, $lte } filter from block numbers, or null
+const buildBlockRange = (fromBlock, toBlock) => {
+  if (!fromBlock && !toBlock) {
+    return null;
+  }
+
+  const range = {};
+  for (const [operator, value, name] of [
+    ["$gte", fromBlock, "fromBlock"],
+    ["$lte", toBlock, "toBlock"],
+  ]) {
+    if (!value) {
+      continue;
+    }
+    if (!/^\d+$/.test(value)) {
+      throw badRequest(`Invalid ${name} "${value}"`);
+    }
+    range[operator] = parseInt(value);
+  }
+  return range;
+};
+
+// Bucket sizes accepted by ?interval= on time-series endpoints, in ms
+const SERIES_INTERVALS = {
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+  "1w": 7 * 24 * 60 * 60 * 1000,
+};
+
+// Points returned when ?from= is absent, and the most a range may span
+const DEFAULT_SERIES_POINTS = { "1h": 168, "1d": 90, "1w": 52 };
+const MAX_SERIES_POINTS = 1000;
+
+// Resolve ?interval/&from/&to into a range whose start is aligned to the
+// interval in UTC. Weeks start on Monday; the unix epoch was a Thursday.
+const buildSeriesRange = (interval = "1d", from, to) => {
+  const intervalMs = SERIES_INTERVALS[interval];
+  if (!intervalMs) {
+    throw badRequest(
+      `Invalid interval "${interval}". Allowed: ${Object.keys(
+        SERIES_INTERVALS
+      ).join(", ")}`
+    );
+  }
+
+  const end = to ? parseDate(to, "to") : new Date();
+  const start = from
+    ? parseDate(from, "from")
+    : new Date(
+        end.getTime() - (DEFAULT_SERIES_POINTS[interval] - 1) * intervalMs
+      );
+  if (start > end) {
+    throw badRequest("from must not be after to");
+  }
+
+  const offset = interval === "1w" ? 4 * SERIES_INTERVALS["1d"] : 0;
+  const alignedStart =
+    Math.floor((start.getTime() - offset) / intervalMs) * intervalMs + offset;
+  const points = Math.floor((end.getTime() - alignedStart) / intervalMs) + 1;
+  if (points > MAX_SERIES_POINTS) {
+    throw badRequest(
+      `Range spans ${points} ${interval} points. Narrow from/to or use a longer interval (max ${MAX_SERIES_POINTS})`
+    );
+  }
+
+  return {
+    interval,
+    intervalMs,
+    from: new Date(alignedStart),
+    to: end,
+    points,
+  };
+};
+
+// Parse ?asOf= as a block number (digits only) or a date, or null when
+// absent
+const parseAsOf = (asOf) => {
+  if (!asOf) {
+    return null;
+  }
+
+  if (/^\d+$/.test(asOf)) {
+    return { blockNumber: parseInt(asOf) };
+  }
+
+  const timestamp = new Date(asOf);
+  if (isNaN(timestamp.getTime())) {
+    throw badRequest(`Invalid asOf "${asOf}". Use a block number or a date`);
+  }
+  return { timestamp };
+};
+
+// Validate a ?source= provenance filter, or return null when absent
+const buildSourceFilter = (source) => {
+  if (!source) {
+    return null;
+  }
+
+  if (!SOURCES.includes(source)) {
+    throw badRequest(
+      `Invalid source "${source}". Allowed: ${SOURCES.join(", ")}`
+    );
+  }
+  return source;
+};
+
+// Build the $or clauses for a ?search= text, or return null when absent.
+// The text is escaped so it only ever matches literally: address fields,
+// stored lowercase, match on a prefix so their indexes can be used, and
+// text fields match anywhere, ignoring case.
+const buildSearchFilter = (search, addressFields, textFields = []) => {
+  if (!search) {
+    return null;
+  }
+
+  if (typeof search !== "string") {
+    throw badRequest("Invalid search: expected a single value");
+  }
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return [
+    ...addressFields.map((field) => ({
+      [field]: { $regex: `^${escape(search.toLowerCase())}` },
+    })),
+    ...textFields.map((field) => ({
+      [field]: { $regex: escape(search), $options: "i" },
+    })),
+  ];
+};
+
+// Validate a ?token= reward token, defaulting to stETH so that amounts in
+// different tokens are never added together
+const buildTokenFilter = (token) =>
+  buildAddressFilter(token, "token") || STETH_TOKEN;
+
+// Resolve a ?token= to rank and filter stake by: an underlying token,
+// defaulting to stETH, with its decimals and the strategies holding it,
+// given Strategy.getUnderlyingTokens. Stake in different tokens is never
+// added together.
+const buildStakeToken = (token, tokens) => {
+  const tokenAddress = buildAddressFilter(token, "token") || STETH_TOKEN;
+  const strategies = [...tokens]
+    .filter(([, underlying]) => underlying.tokenAddress === tokenAddress)
+    .map(([strategyAddress]) => strategyAddress);
+  if (strategies.length === 0) {
+    throw badRequest(`No strategy holds token "${token}"`);
+  }
+  return {
+    tokenAddress,
+    decimals: tokens.get(strategies[0]).decimals,
+    strategies,
+  };
+};
+
+// Aggregation expression for the stake a document holds in a token (see
+// buildStakeToken): the underlying amounts of the entries of its
+// per-strategy array field that are in the token's strategies, summed.
+// Amounts whose rate is unknown count as 0.
+const tokenStakeExpression = (arrayField, amountField, stakeToken) => ({
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: [`$${arrayField}`, []] },
+          cond: { $in: ["$$this.strategyAddress", stakeToken.strategies] },
+        },
+      },
+      in: `$$this.${amountField}`,
+    },
+  },
+});
+
+// Validate a ?currency= to value amounts in, or return null when absent
+const buildCurrency = (currency) => {
+  if (!currency) {
+    return null;
+  }
+
+  const normalized = currency.toLowerCase();
+  if (!CURRENCIES.includes(normalized)) {
+    throw badRequest(
+      `Invalid currency "${currency}". Allowed: ${CURRENCIES.join(", ")}`
+    );
+  }
+  return normalized;
+};
+
+// Reject ?currency= on endpoints that do not value their amounts, rather
+// than returning them unvalued as if it had been applied
+const rejectCurrency = (currency) => {
+  if (currency) {
+    throw badRequest(
+      `Invalid currency "${currency}": this endpoint does not value amounts`
+    );
+  }
+};
+
+module.exports = {
+  badRequest,
+  buildSort,
+  buildAmountRange,
+  buildAddressFilter,
+  buildDateRange,
+  buildPeriodRange,
+  buildYieldWindow,
+  buildBlockRange,
+  buildSeriesRange,
+  parseAsOf,
+  buildSourceFilter,
+  buildTokenFilter,
+  buildSearchFilter,
+  buildStakeToken,
+  tokenStakeExpression,
+  buildCurrency,
+  rejectCurrency,
+};
@@ -0,0 +1,11 @@
+// Resolve to null instead of failing when a promise rejects or is slower
+// than ms, so optional lookups cannot hold a request open
+const settleWithin = (promise, ms) =>
+  Promise.race([
+    promise.catch(() => null),
+    new Promise((resolve) => setTimeout(() => resolve(null), ms)),
+  ]);
+
+module.exports = {
+  settleWithin,
+};
@@ -0,0 +1,59 @@
+// Resolve the split an operator keeps of each given AVS's rewards at a
+// time, from its ascending split history (OperatorSplit.getSplitHistory).
+// As in the RewardsCoordinator only the latest change set by then counts:
+// its old split applies until it activates, and AVSs the operator never set
+// a split for use the default. Returns one entry per AVS, with the change
+// still to activate, if any, flagged when it raises the split.
+const resolveSplits = (history, avsAddresses, defaultBips, at = new Date()) => {
+  const byAVS = new Map(avsAddresses.map((avsAddress) => [avsAddress, []]));
+  history
+    .filter((change) => change.timestamp <= at && byAVS.has(change.avsAddress))
+    .forEach((change) => byAVS.get(change.avsAddress).push(change));
+
+  return [...byAVS].map(([avsAddress, changes]) => {
+    const latest = changes[changes.length - 1];
+    if (!latest) {
+      return {
+        avsAddress,
+        splitBips: defaultBips,
+        isDefault: true,
+        activatedAt: null,
+        upcoming: null,
+      };
+    }
+
+    const pending = latest.activatedAt > at;
+    const previous = changes[changes.length - 2];
+    return {
+      avsAddress,
+      splitBips: pending ? latest.oldSplitBips : latest.newSplitBips,
+      isDefault: false,
+      activatedAt: pending
+        ? previous
+          ? previous.activatedAt
+          : null
+        : latest.activatedAt,
+      upcoming: pending
+        ? {
+            splitBips: latest.newSplitBips,
+            activatesAt: latest.activatedAt,
+            isIncrease: latest.newSplitBips > latest.oldSplitBips,
+          }
+        : null,
+    };
+  });
+};
+
+// Commission shown for an operator: the highest split it keeps across its
+// AVSs, or the default when it has none, as a percentage
+const commissionOf = (splits, defaultBips) =>
+  Math.max(
+    ...(splits.length > 0 ? splits : [{ splitBips: defaultBips }]).map(
+      (split) => split.splitBips
+    )
+  ) / 100;
+
+module.exports = {
+  resolveSplits,
+  commissionOf,
+};
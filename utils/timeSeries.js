@@ -0,0 +1,116 @@
+const { toBigInt, formatTokenAmount } = require("./amounts");
+
+// Aggregation expression for the bucket a date field falls in, relative to
+// a range from buildSeriesRange. Anything before the range is bucket -1 so
+// it can seed running totals.
+const bucketExpression = (field, range) => ({
+  $cond: [
+    { $lt: [field, range.from] },
+    -1,
+    {
+      $floor: {
+        $divide: [{ $subtract: [field, range.from] }, range.intervalMs],
+      },
+    },
+  ],
+});
+
+// Turn flows of { key, bucket, amount } into one point per bucket, with the
+// amounts that flowed in that bucket and the running totals at its end, both
+// as Maps by key. Flows after the range are ignored.
+const buildSeries = (range, flows) => {
+  const flowsByBucket = new Map();
+  flows.forEach((flow) => {
+    if (!flowsByBucket.has(flow.bucket)) {
+      flowsByBucket.set(flow.bucket, []);
+    }
+    flowsByBucket.get(flow.bucket).push(flow);
+  });
+
+  const addTo = (totals, flow) =>
+    totals.set(flow.key, (totals.get(flow.key) || 0n) + toBigInt(flow.amount));
+
+  const running = new Map();
+  (flowsByBucket.get(-1) || []).forEach((flow) => addTo(running, flow));
+
+  const points = [];
+  for (let bucket = 0; bucket < range.points; bucket++) {
+    const inBucket = new Map();
+    (flowsByBucket.get(bucket) || []).forEach((flow) => {
+      addTo(inBucket, flow);
+      addTo(running, flow);
+    });
+
+    points.push({
+      timestamp: new Date(range.from.getTime() + bucket * range.intervalMs),
+      flows: inBucket,
+      totals: new Map(running),
+    });
+  }
+  return points;
+};
+
+// Latest of the snapshot run dates at or before each bucket's close, or null
+// for buckets before the first run
+const closingSnapshots = (range, snapshotDates) => {
+  const dates = [...snapshotDates].sort((a, b) => a - b);
+  const closing = [];
+  let index = -1;
+
+  for (let bucket = 0; bucket < range.points; bucket++) {
+    const closedAt = Math.min(
+      range.from.getTime() + (bucket + 1) * range.intervalMs - 1,
+      range.to.getTime()
+    );
+    while (index + 1 < dates.length && dates[index + 1] <= closedAt) {
+      index++;
+    }
+    closing.push(index >= 0 ? dates[index] : null);
+  }
+  return closing;
+};
+
+// Stake over time, one point per bucket holding the stake of the snapshot
+// run it closed on (see closingSnapshots). Totals are { snapshotDate,
+// strategyAddress, tokenSymbol, totalUnderlying } rows for those runs, and
+// tokens comes from Strategy.getUnderlyingTokens. Amounts stay per
+// strategy, formatted in its underlying token, as tokens cannot be added up.
+const buildStakeSeries = (range, closing, totals, tokens) => {
+  const byRun = new Map();
+  totals.forEach((total) => {
+    const run = total.snapshotDate.getTime();
+    if (!byRun.has(run)) {
+      byRun.set(run, []);
+    }
+    byRun.get(run).push(total);
+  });
+
+  return closing.map((run, bucket) => ({
+    timestamp: new Date(range.from.getTime() + bucket * range.intervalMs),
+    snapshotDate: run,
+    strategies: (run ? byRun.get(run.getTime()) || [] : [])
+      .map((total) => {
+        const token = tokens.get(total.strategyAddress);
+        return {
+          strategyAddress: total.strategyAddress,
+          tokenSymbol: total.tokenSymbol,
+          tokenAddress: token ? token.tokenAddress : null,
+          totalUnderlying:
+            total.totalUnderlying === null
+              ? null
+              : formatTokenAmount(
+                  total.totalUnderlying,
+                  token ? token.decimals : null
+                ),
+        };
+      })
+      .sort((a, b) => (a.strategyAddress < b.strategyAddress ? -1 : 1)),
+  }));
+};
+
+module.exports = {
+  bucketExpression,
+  buildSeries,
+  closingSnapshots,
+  buildStakeSeries,
+};
@@ -0,0 +1,106 @@
+const { toBigInt, formatUnits } = require("./amounts");
+
+// Prices are currency units worth one whole token, scaled by 1e18 like wei,
+// so values come out in currency wei
+const PRICE_DECIMALS = 18;
+const PRICE_UNIT = 10n ** BigInt(PRICE_DECIMALS);
+
+// Format a price or a value in currency wei as a decimal amount of the
+// currency, keeping null for unknown ones
+const formatValue = (value) =>
+  value === null || value === undefined
+    ? null
+    : formatUnits(value, PRICE_DECIMALS);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the UTC day a date falls on; prices are daily
+const startOfDay = (date) =>
+  new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+// Value of an amount in token units with the given decimals
+const valueOf = (amount, decimals, price) =>
+  (toBigInt(amount) * toBigInt(price)) / 10n ** BigInt(decimals);
+
+// Latest price in an ascending [{ date, price }] history at or before a
+// time, or null
+const priceAt = (history = [], time) => {
+  let price = null;
+  for (const entry of history) {
+    if (entry.date.getTime() > time) {
+      break;
+    }
+    price = entry.price;
+  }
+  return price;
+};
+
+// Value [{ strategyAddress, amount }] holdings of underlying tokens at one
+// set of prices, given Strategy.getUnderlyingTokens and
+// TokenPrice.getPricesAt. A holding without a known amount or price is
+// valued null, and so is the total. Prices and values are formatted in the
+// currency.
+const valueHoldings = (holdings, tokens, prices) => {
+  const valued = holdings.map(({ strategyAddress, amount }) => {
+    const token = tokens.get(strategyAddress);
+    const price = token ? prices.get(token.tokenAddress) : null;
+
+    return {
+      strategyAddress,
+      tokenAddress: token ? token.tokenAddress : null,
+      price: price ? price.price : null,
+      priceDate: price ? price.date : null,
+      value:
+        price && amount !== null && amount !== undefined
+          ? valueOf(amount, token.decimals, price.price)
+          : null,
+    };
+  });
+
+  return {
+    totalValue: valued.every((holding) => holding.value !== null)
+      ? formatValue(
+          valued.reduce((total, holding) => total + holding.value, 0n)
+        )
+      : null,
+    holdings: valued.map((holding) => ({
+      ...holding,
+      price: formatValue(holding.price),
+      value: formatValue(holding.value),
+    })),
+  };
+};
+
+// Value reward payouts at the price on the day each was received, from
+// RewardEvent.getDailyTotals rows and TokenPrice.getPriceHistory. Returns a
+// Map of token address to { value, unpricedEvents }.
+const valueRewards = (dailyTotals, history) => {
+  const byToken = new Map();
+  dailyTotals.forEach((row) => {
+    const { tokenAddress, day } = row._id;
+    const entry = byToken.get(tokenAddress) || {
+      value: 0n,
+      unpricedEvents: 0,
+    };
+    const price = priceAt(history.get(tokenAddress), day.getTime());
+
+    if (price) {
+      entry.value += valueOf(row.amount, row.tokenDecimals, price);
+    } else {
+      entry.unpricedEvents += row.eventCount;
+    }
+    byToken.set(tokenAddress, entry);
+  });
+  return byToken;
+};
+
+module.exports = {
+  PRICE_DECIMALS,
+  PRICE_UNIT,
+  formatValue,
+  startOfDay,
+  valueOf,
+  priceAt,
+  valueHoldings,
+  valueRewards,
+};
@@ -0,0 +1,177 @@
+const { toBigInt, percentOf, RATE_UNIT } = require("./amounts");
+
+const DAY_SECONDS = 24 * 60 * 60;
+const YEAR_MS = 365 * DAY_SECONDS * 1000;
+
+// APY compounds the APR daily
+const COMPOUNDING_PERIODS = 365;
+
+// Date filter for events inside a yield window from buildYieldWindow
+const windowRange = (window) =>
+  window.start
+    ? { $gte: window.start, $lte: window.end }
+    : { $lte: window.end };
+
+// Annualized yield of rewards earned on stake over time, where stakeTime is
+// stake multiplied by the ms it was held. Percentages, or null without stake.
+const annualizedYield = (rewards, stakeTime) => {
+  const held = toBigInt(stakeTime);
+  if (held <= 0n) {
+    return { apr: null, apy: null };
+  }
+
+  const apr = Number(percentOf(toBigInt(rewards) * BigInt(YEAR_MS), held, 4));
+  const apy =
+    ((1 + apr / 100 / COMPOUNDING_PERIODS) ** COMPOUNDING_PERIODS - 1) * 100;
+  return { apr: apr.toFixed(2), apy: apy.toFixed(2) };
+};
+
+// Convert PositionSnapshot.getStakeTime rows from each strategy's
+// underlying token into rewardToken ({ tokenAddress, decimals }) units, at
+// one set of prices from TokenPrice.getPricesAt that covers rewardToken,
+// given Strategy.getUnderlyingTokens. Rows without a known token or price
+// get a null stakeTime, so stake in different tokens is never added up as is.
+const stakeTimeIn = (rows, rewardToken, tokens, prices) => {
+  const rewardPrice = prices.get(rewardToken.tokenAddress);
+
+  return rows.map((row) => {
+    const token = tokens.get(row._id.strategyAddress);
+    const price = token ? prices.get(token.tokenAddress) : null;
+
+    return {
+      ...row,
+      stakeTime:
+        price && rewardPrice && toBigInt(rewardPrice.price) > 0n
+          ? (toBigInt(row.stakeTime) *
+              toBigInt(price.price) *
+              10n ** BigInt(rewardToken.decimals)) /
+            (10n ** BigInt(token.decimals) * toBigInt(rewardPrice.price))
+          : null,
+    };
+  });
+};
+
+// Total converted stake-time rows (see stakeTimeIn) per keyOf(row) into a
+// Map of key to { stakeTime, firstStaked }, leaving out unpriced rows
+const totalStakeTime = (rows, keyOf) => {
+  const totals = new Map();
+  rows
+    .filter((row) => row.stakeTime !== null)
+    .forEach((row) => {
+      const key = keyOf(row);
+      const entry = totals.get(key) || {
+        stakeTime: 0n,
+        firstStaked: row.firstStaked,
+      };
+      entry.stakeTime += row.stakeTime;
+      if (row.firstStaked < entry.firstStaked) {
+        entry.firstStaked = row.firstStaked;
+      }
+      totals.set(key, entry);
+    });
+  return totals;
+};
+
+// Yield of one subject over a window, from its stake-time in reward token
+// units (see stakeTimeIn) and rewards. An all-time window starts at the
+// subject's first snapshot with stake.
+const yieldOver = ({ rewards, stakeTime, firstStaked }, window) => {
+  const start = window.start || firstStaked;
+  const windowMs = start ? window.end.getTime() - start.getTime() : 0;
+
+  return {
+    rewards: toBigInt(rewards),
+    averageStake: windowMs > 0 ? toBigInt(stakeTime) / BigInt(windowMs) : 0n,
+    ...annualizedYield(rewards, stakeTime),
+  };
+};
+
+// Reward events do not name a strategy, so split each wallet's rewards across
+// its strategies in proportion to stake-time. Rows are converted stake-time
+// rows (see stakeTimeIn) grouped by { wallet }; returns a Map of strategy
+// address to the { rewards, stakeTime, firstStaked } attributed to it.
+const attributeRewards = (rows, rewardsByWallet) => {
+  const priced = rows.filter((row) => row.stakeTime !== null);
+  const walletStakeTime = totalStakeTime(priced, (row) => row._id.wallet);
+
+  const byStrategy = new Map();
+  priced.forEach((row) => {
+    const walletTotal = walletStakeTime.get(row._id.wallet).stakeTime;
+    const rewards =
+      walletTotal > 0n
+        ? (toBigInt(rewardsByWallet.get(row._id.wallet)) * row.stakeTime) /
+          walletTotal
+        : 0n;
+
+    const entry = byStrategy.get(row._id.strategyAddress) || {
+      rewards: 0n,
+      stakeTime: 0n,
+      firstStaked: row.firstStaked,
+    };
+    entry.rewards += rewards;
+    entry.stakeTime += row.stakeTime;
+    if (row.firstStaked < entry.firstStaked) {
+      entry.firstStaked = row.firstStaked;
+    }
+    byStrategy.set(row._id.strategyAddress, entry);
+  });
+  return byStrategy;
+};
+
+// Rewards offered per strategy and token by rewards submissions, given the
+// shares of each strategy they are paid to. A submission pays amount /
+// duration, split across its strategies by multiplier x shares, so every
+// share of a strategy earns the same. Returns one entry per strategy and
+// token with the daily amount paid to it and the daily amount per 1e18
+// shares, which is null while no strategy of any submission has stake.
+const offeredRewardRates = (submissions, sharesByStrategy) => {
+  const rates = new Map();
+
+  submissions.forEach((submission) => {
+    const daily =
+      (toBigInt(submission.amount) * BigInt(DAY_SECONDS)) /
+      BigInt(submission.duration);
+    const weights = submission.strategies.map((strategy) => ({
+      strategyAddress: strategy.strategyAddress,
+      multiplier: toBigInt(strategy.multiplier),
+      shares: toBigInt(sharesByStrategy.get(strategy.strategyAddress)),
+    }));
+    const totalWeight = weights.reduce(
+      (total, weight) => total + weight.multiplier * weight.shares,
+      0n
+    );
+
+    weights.forEach((weight) => {
+      const key = `${weight.strategyAddress}:${submission.tokenAddress}`;
+      const entry = rates.get(key) || {
+        strategyAddress: weight.strategyAddress,
+        tokenAddress: submission.tokenAddress,
+        shares: weight.shares,
+        dailyRewards: 0n,
+        dailyRewardsPerShare: null,
+        submissionCount: 0,
+      };
+      if (totalWeight > 0n) {
+        entry.dailyRewards +=
+          (daily * weight.multiplier * weight.shares) / totalWeight;
+        entry.dailyRewardsPerShare =
+          (entry.dailyRewardsPerShare || 0n) +
+          (daily * weight.multiplier * RATE_UNIT) / totalWeight;
+      }
+      entry.submissionCount += 1;
+      rates.set(key, entry);
+    });
+  });
+  return [...rates.values()];
+};
+
+module.exports = {
+  YEAR_MS,
+  windowRange,
+  annualizedYield,
+  stakeTimeIn,
+  totalStakeTime,
+  yieldOver,
+  attributeRewards,
+  offeredRewardRates,
+};